@@ -4,33 +4,88 @@
  * Main entry point for the Bento Browse React application.
  *
  * Features:
- * - Shopify Polaris-based UI with dark mode support
- * - Product CSV import and search/filtering
- * - Inline product list with click-to-view ProductCard popup
- * - Smart fuzzy searching (by name, SKU, or category)
+ * - Shopify Polaris-based UI; light, dark and high-contrast themes (following the
+ *   system by default) with a selectable accent color
+ * - Product CSV/XLSX import in a Web Worker (streamed, with progress and cancel) and search/filtering
+ * - Several named catalogs (workspaces) persisted in IndexedDB, with a header switcher
+ * - Search scoped to the active catalog, or across all catalogs with catalog labels
+ * - Catalog diff view (new/removed/changed SKUs, price deltas, XLSX export)
+ * - Row-level data quality report with "show affected products" filter
+ * - Export of the current result list to CSV/XLSX (canonical column order)
+ * - Faceted filters (sidebar on wide screens, drawer on mobile) with removable chips
+ * - Optional grouped mode: variants (same Serie and base name) as one row with count
+ *   and price range; ProductCard variant picker switches SKUs in place
+ * - Unit-aware measurements: ranges, sorting and filtering in base units; display unit preference
+ * - Virtualized product list (only visible rows render) with click-to-view ProductCard popup
+ * - Keyboard: "/" focuses search, arrows move through the results (listbox), Enter opens,
+ *   Escape closes, left/right in ProductCard step to the previous/next result;
+ *   dialogs trap focus and hand it back on close
+ * - Smart fuzzy searching (by name, SKU, or category): typo-tolerant, prebuilt index in a Web Worker
+ * - Query language in the search box (field:value, pris<200, "fras", -ord, OR) with help popover
+ * - Search suggestions: completions (names, series, categories, SKUs), recent and saved
+ *   searches; saved searches also launch from the empty search state
  * - Success/warning/error messaging for uploads
+ * - Favorites and named shortlists with notes (stars in rows and ProductCard), flagging
+ *   SKUs missing from the active catalog
+ * - Quote builder: add from ProductCard, quantities, discounts, VAT totals, XLSX/print export
+ * - Side-by-side comparison of 2-4 products (units normalized, differing rows highlighted)
+ * - Deep links: query, filters and open product (SKU) in the URL; back/forward
+ *   step through opened products and close the ProductCard
+ * - Swedish/English UI (header switcher): translated messages and field labels,
+ *   locale number formatting; data keys stay the canonical Swedish field names
+ * - Installable offline PWA: precached app shell, cached product images, update prompt
  * - Responsive, accessible design
  *
  * Component structure:
- * - AppProvider (Polaris theme + i18n)
- *   - YouTubeHeader (search box, dark mode toggle, upload button)
+ * - I18nProvider (UI language), ThemeProvider (design tokens) and AppProvider (Polaris i18n)
+ *   - YouTubeHeader (search box with SearchDropdown, catalog switcher, appearance menu, upload button)
  *   - Page
- *     - CsvImport (file input & parsing)
+ *     - CsvImport (file input & parsing, column-mapping wizard with saved profiles)
  *     - Spinner (loading state)
  *     - Success/Warning/Error banners
- *     - Product list (as clickable rows)
- *     - ProductCard (popup overlay for product details and switching between related products)
+ *     - Product list (VirtualList of ProductRow)
+ *     - ShortlistView (shortlist items with notes, in place of the results)
+ *     - ProductCard (popup overlay for product details and switching between related products;
+ *       "Visa alla" lists a related section in place of the results)
+ *     - CatalogDiff (overlay comparing two catalogs)
+ *     - QualityReport (overlay listing QC issues of the active catalog)
+ *     - ExportDialog (overlay exporting the filtered list)
+ *     - QuotePanel (overlay with the quote lines and totals)
+ *     - CompareView (overlay comparing the selected products in columns)
+ *     - FilterPanel (facets and range sliders; sidebar or bottom drawer)
+ *     - UpdatePrompt (bar offering to reload into a newly deployed build)
  *
  * State Management:
  * - search: current search string
- * - products: array of all parsed products
- * - darkMode: theme toggle
- * - selectedProduct: product for ProductCard popup
+ * - recentSearches / savedSearches: last submitted queries and named searches (localStorage)
+ * - catalogs: metadata (name, file name, import time, row count) of stored catalogs
+ * - activeCatalogId / searchAllCatalogs: which catalog(s) search and related products use
+ * - catalogRows: loaded rows per catalog id; products is the active catalog's rows
+ * - loadProgress: rows loaded so far while reading a catalog from IndexedDB
+ * - themePrefs: theme mode and accent (localStorage); theme holds the resolved tokens
+ * - language: UI language (localStorage); i18n holds its translate/format helpers
+ * - selectedProduct: product for ProductCard popup (pendingSku: from the URL, not yet found)
+ * - activeIndex: keyboard-active row of the result listbox (-1 for none)
+ * - diffOpen: CatalogDiff overlay visibility
+ * - qcOpen: QualityReport visibility
+ * - listFilter: fixed product set shown instead of the catalog (QC "show affected",
+ *   ProductCard "Visa alla" related products), with its chip label
+ * - exportOpen: ExportDialog visibility
+ * - shortlists / shortlistOpen: stored shortlists and the shortlist view
+ * - quote / quoteOpen: the quote being built and QuotePanel visibility
+ * - compareItems / compareOpen: products picked for comparison and CompareView visibility
+ * - filters: facet values and numeric ranges applied on top of the search
+ * - sortKey: sort order of the list (relevance, price, name, measurements)
+ * - displayUnits: preferred display unit per unit group (length, volume, weight)
+ * - priceSettings: prices shown (exkl./inkl./both) and default VAT rate (localStorage)
+ * - groupedMode: list variant groups instead of single products (localStorage)
+ * - isWide / filterSidebarOpen / filterDrawerOpen: FilterPanel layout and visibility
  * - uploadInProgress/showResults: spinner state
+ * - importProgress: rows parsed / bytes read while a file is imported (cancellable)
  * - showSuccess, warningMessage, errorMessage: upload/parse messaging
  *
  * Styling:
- * - Custom Polaris overrides for background/theme, both light and dark
+ * - Colors come from theme.js tokens; custom Polaris overrides use the theme background
  * - Responsive, accessible inline styles
  */
 
@@ -41,18 +96,115 @@ import {
   Card,
   Spinner,
 } from "@shopify/polaris";
-import enTranslations from "@shopify/polaris/locales/en.json";
 import CsvImport from "./CsvImport.jsx";
-import { tableSeLightTheme, tableSeDarkTheme } from "./theme.js";
+import {
+  ThemeProvider,
+  createTheme,
+  resolveThemeName,
+  useSystemDark,
+  loadThemePrefs,
+  saveThemePrefs,
+} from "./theme.js";
 import YouTubeHeader from "./YouTubeHeader.jsx";
-import { ImageSquare } from "phosphor-react";
+import { DownloadSimple, Funnel, Star, Receipt, Columns, BookmarkSimple } from "phosphor-react";
 import ProductCard from "./ProductCard.jsx";
+import ProductRow, { ROW_HEIGHT, ROW_HEIGHT_WITH_CATALOG } from "./ProductRow.jsx";
+import VirtualList from "./VirtualList.jsx";
+import ShortlistView from "./ShortlistView.jsx";
+import QuotePanel from "./QuotePanel.jsx";
+import { loadQuote, saveQuote, addToQuote, quotedQuantity } from "./quote.js";
+import CompareView from "./CompareView.jsx";
+import UpdatePrompt from "./UpdatePrompt.jsx";
+import { toggleCompare, isCompared, MAX_COMPARE } from "./compare.js";
+import {
+  loadShortlists,
+  saveShortlists,
+  getActiveList,
+  toggleListItem,
+} from "./shortlists.js";
+import CatalogDiff from "./CatalogDiff.jsx";
+import QualityReport from "./QualityReport.jsx";
+import { checkCatalogQuality } from "./qualityCheck.js";
+import ExportDialog from "./ExportDialog.jsx";
+import FilterPanel from "./FilterPanel.jsx";
+import {
+  EMPTY_FILTERS,
+  applyFilters,
+  computeFacetCounts,
+  computeRangeBounds,
+  filterChips,
+  rangeLabel,
+} from "./facets.js";
+import { formatNumber } from "./numberFormat.js";
+import { createI18n, I18nProvider, languageInfo, loadLanguage, saveLanguage } from "./i18n.js";
+import useProductSearch from "./useProductSearch.js";
+import { buildSuggestionIndex } from "./searchSuggestions.js";
+import {
+  loadRecentSearches,
+  saveRecentSearches,
+  addRecentSearch,
+  removeRecentSearch,
+  loadSavedSearches,
+  saveSavedSearches,
+  addSavedSearch,
+  removeSavedSearch,
+} from "./searchHistory.js";
+import { viewStateToSearch, searchToViewState } from "./urlState.js";
+import { sortProducts, sortMeasurement, DEFAULT_SORT } from "./sortProducts.js";
+import { loadDisplayUnits, saveDisplayUnits, formatBaseValue } from "./measurements.js";
+import { loadPriceSettings, savePriceSettings } from "./prices.js";
+import {
+  groupVariants,
+  buildVariantIndex,
+  variantsOf,
+  loadGroupedMode,
+  saveGroupedMode,
+} from "./variants.js";
+import {
+  createCatalogMeta,
+  saveCatalog,
+  listCatalogs,
+  loadCatalog,
+  renameCatalog,
+  deleteCatalog,
+  getCatalogName,
+  catalogErrorMessage,
+  getStoredActiveCatalogId,
+  setStoredActiveCatalogId,
+} from "./catalogStore.js";
+
+const EMPTY_PRODUCTS = [];
+
+function productSku(product) {
+  return String((product && product["Artikelnummer"]) || "").trim();
+}
+
+// Number of product entries pushed on top of the list entry in the browser history
+function historyProductDepth() {
+  return (window.history.state && window.history.state.productDepth) || 0;
+}
+
+function viewUrl(view) {
+  return window.location.pathname + viewStateToSearch(view) + window.location.hash;
+}
+
+// Stable id per result row, for aria-activedescendant
+function resultOptionId(index) {
+  return `result-option-${index}`;
+}
+
+function formatMegabytes(bytes, locale) {
+  return formatNumber(bytes / (1024 * 1024), 1, locale);
+}
+
+// Filter panel is a sidebar from this width, a drawer below it
+const WIDE_LAYOUT_MIN_WIDTH = 900;
 
 /**
  * Custom hook: Applies global CSS overrides for Polaris backgrounds and shadows.
  * Ensures theme coloring consistency beyond what Polaris exposes.
  */
-function usePolarisCustomOverrides(darkMode, dark, light) {
+function usePolarisCustomOverrides(background) {
   useEffect(() => {
     const styleId = "polaris-global-overrides";
     let style = document.getElementById(styleId);
@@ -62,16 +214,16 @@ function usePolarisCustomOverrides(darkMode, dark, light) {
       .Polaris-Page,
       .Polaris-Page__Content,
       .Polaris-Box {
-        --pc-box-background: ${darkMode ? dark : light} !important;
-        --p-color-bg: ${darkMode ? dark : light} !important;
-        background: ${darkMode ? dark : light} !important;
+        --pc-box-background: ${background} !important;
+        --p-color-bg: ${background} !important;
+        background: ${background} !important;
       }
       .Polaris-ShadowBevel {
         --pc-shadow-bevel-content-xs: none !important;
         box-shadow: none !important;
       }
       body {
-        background: ${darkMode ? dark : light} !important;
+        background: ${background} !important;
       }
     `;
     if (!style) {
@@ -83,14 +235,68 @@ function usePolarisCustomOverrides(darkMode, dark, light) {
     return () => {
       if (style && style.parentNode) style.parentNode.removeChild(style);
     };
-  }, [darkMode, dark, light]);
+  }, [background]);
 }
 
 export default function App() {
+  // View shared through the URL (?q=...&sku=...), read once at startup
+  const [initialView] = useState(() => searchToViewState(window.location.search));
+
   // State: search query, products, theme, popup, spinner, and upload banners
-  const [search, setSearch] = useState("");
-  const [products, setProducts] = useState([]);
-  const [darkMode, setDarkMode] = useState(false);
+  const [search, setSearch] = useState(initialView.query);
+
+  // Recent and saved searches for the search box dropdown (localStorage)
+  const [recentSearches, setRecentSearches] = useState(loadRecentSearches);
+  const [savedSearches, setSavedSearches] = useState(loadSavedSearches);
+
+  useEffect(() => {
+    saveRecentSearches(recentSearches);
+  }, [recentSearches]);
+
+  useEffect(() => {
+    saveSavedSearches(savedSearches);
+  }, [savedSearches]);
+
+  // Theme: mode (system/light/dark/contrast) and accent are stored preferences
+  const [themePrefs, setThemePrefs] = useState(loadThemePrefs);
+  const systemDark = useSystemDark();
+  const theme = React.useMemo(
+    () => createTheme(resolveThemeName(themePrefs.mode, systemDark), themePrefs.accent),
+    [themePrefs, systemDark]
+  );
+  const { colors } = theme;
+
+  useEffect(() => {
+    saveThemePrefs(themePrefs);
+  }, [themePrefs]);
+
+  useEffect(() => {
+    document.documentElement.style.colorScheme = theme.dark ? "dark" : "light";
+    const meta = document.querySelector('meta[name="theme-color"]');
+    if (meta) meta.setAttribute("content", colors.background);
+  }, [theme, colors.background]);
+
+  // UI language; data keys (field names) are not affected
+  const [language, setLanguage] = useState(loadLanguage);
+  const i18n = React.useMemo(() => createI18n(language), [language]);
+  const { t, fieldLabel, locale } = i18n;
+
+  useEffect(() => {
+    saveLanguage(language);
+    document.documentElement.lang = language;
+  }, [language]);
+
+  // Stored catalogs (IndexedDB) and the active workspace
+  const [catalogs, setCatalogs] = useState([]);
+  const [catalogsReady, setCatalogsReady] = useState(false);
+  const [activeCatalogId, setActiveCatalogId] = useState(null);
+  const [catalogRows, setCatalogRows] = useState({});
+  const [searchAllCatalogs, setSearchAllCatalogs] = useState(false);
+  const [loadProgress, setLoadProgress] = useState(null);
+  const loadingCatalogsRef = useRef(new Set());
+
+  const products = catalogRows[activeCatalogId] || EMPTY_PRODUCTS;
+  const catalogMeta = catalogs.find((c) => c.id === activeCatalogId) || null;
 
   // Upload banners and spinner state
   const [showSuccess, setShowSuccess] = useState(false);
@@ -99,56 +305,281 @@ export default function App() {
   const [errorMessage, setErrorMessage] = useState("");
   const [uploadInProgress, setUploadInProgress] = useState(false);
   const [showResults, setShowResults] = useState(false);
-  const spinnerTimeoutRef = useRef();
-  const SPINNER_MIN_DURATION = 900;
+  // Rows parsed / bytes read of the file being imported, and how to cancel it
+  const [importProgress, setImportProgress] = useState(null);
+  const cancelImportRef = useRef(null);
 
-  // Product details popup
+  // Product details popup; pendingSku waits for its catalog (deep link, back/forward)
   const [selectedProduct, setSelectedProduct] = useState(null);
+  const [pendingSku, setPendingSku] = useState(initialView.sku || null);
+  const productCardOpen = Boolean(selectedProduct);
+
+  // Keep the list where it was while the ProductCard is open: the page behind
+  // can't scroll, and the position is restored when the card closes
+  useEffect(() => {
+    if (!productCardOpen) return;
+    const scrollY = window.scrollY;
+    const previousOverflow = document.body.style.overflow;
+    document.body.style.overflow = "hidden";
+    return () => {
+      document.body.style.overflow = previousOverflow;
+      window.scrollTo(0, scrollY);
+    };
+  }, [productCardOpen]);
+
+  // Catalog diff overlay
+  const [diffOpen, setDiffOpen] = useState(false);
+
+  // Data quality report overlay and "show affected products" filter (Set of rows)
+  const [qcOpen, setQcOpen] = useState(false);
+  // { kind: "qc" | "related", label: { key, params }, removeLabel (message key), products } or null
+  const [listFilter, setListFilter] = useState(null);
+
+  // Export dialog
+  const [exportOpen, setExportOpen] = useState(false);
+
+  // Favorites / shortlists (localStorage) and whether the shortlist view replaces the results
+  const [shortlists, setShortlists] = useState(loadShortlists);
+  const [shortlistOpen, setShortlistOpen] = useState(false);
+
+  useEffect(() => {
+    saveShortlists(shortlists);
+  }, [shortlists]);
+
+  const activeShortlist = getActiveList(shortlists);
+  const starredSkus = React.useMemo(
+    () => new Set(activeShortlist.items.map((item) => item.sku)),
+    [activeShortlist]
+  );
+
+  // Quote (offert) built from ProductCard, persisted locally
+  const [quote, setQuote] = useState(loadQuote);
+  const [quoteOpen, setQuoteOpen] = useState(false);
+
+  useEffect(() => {
+    saveQuote(quote);
+  }, [quote]);
+
+  // Products picked in ProductCard for the side-by-side comparison
+  const [compareItems, setCompareItems] = useState([]);
+  const [compareOpen, setCompareOpen] = useState(false);
+
+  // Stars in list rows add to / remove from the active shortlist
+  const handleToggleStar = React.useCallback((product) => {
+    setShortlists((current) => toggleListItem(current, current.activeId, product));
+  }, []);
 
-  // Theme color constants
-  const COLOR_LIGHT_BG = "#fff";
-  const COLOR_DARK_BG = "#18191a";
-  const COLOR_LIGHT_CARD = "#fff";
-  const COLOR_DARK_CARD = "#18191a";
-  const COLOR_LIGHT_BORDER = "#e0e0e0";
-  const COLOR_DARK_BORDER = "#232426";
-  const COLOR_LIGHT_TEXT = "#18191a";
-  const COLOR_DARK_TEXT = "#f6f6f6";
-  const COLOR_LIGHT_FADED = "#888";
-  const COLOR_DARK_FADED = "#aaa";
-  const COLOR_LIGHT_ICON_BG = "#f8f8f8";
-  const COLOR_DARK_ICON_BG = "#232426";
-  const tableSeOrange = "#ff7e1b";
+  // Faceted filters: sidebar on wide screens, bottom drawer on mobile
+  const [filters, setFilters] = useState(initialView.filters);
+
+  // Sort order of the result list (see sortProducts.js)
+  const [sortKey, setSortKey] = useState(initialView.sort);
+
+  // Preferred display units for measurements, per unit group (localStorage)
+  const [displayUnits, setDisplayUnits] = useState(loadDisplayUnits);
+
+  useEffect(() => {
+    saveDisplayUnits(displayUnits);
+  }, [displayUnits]);
+
+  // Prices shown (exkl./inkl./both) and the default VAT rate (localStorage)
+  const [priceSettings, setPriceSettings] = useState(loadPriceSettings);
+
+  useEffect(() => {
+    savePriceSettings(priceSettings);
+  }, [priceSettings]);
+
+  // Grouped mode: one row per variant group
+  const [groupedMode, setGroupedMode] = useState(loadGroupedMode);
+
+  useEffect(() => {
+    saveGroupedMode(groupedMode);
+  }, [groupedMode]);
+  const [isWide, setIsWide] = useState(window.innerWidth >= WIDE_LAYOUT_MIN_WIDTH);
+  const [filterSidebarOpen, setFilterSidebarOpen] = useState(true);
+  const [filterDrawerOpen, setFilterDrawerOpen] = useState(false);
+
+  useEffect(() => {
+    function handleResize() {
+      setIsWide(window.innerWidth >= WIDE_LAYOUT_MIN_WIDTH);
+    }
+    window.addEventListener("resize", handleResize);
+    return () => window.removeEventListener("resize", handleResize);
+  }, []);
 
   // Sizing constants
   const HEADER_HEIGHT = 56;
-  const ICON_SIZE = 22;
 
   // Apply custom Polaris theme overrides
-  usePolarisCustomOverrides(darkMode, COLOR_DARK_BG, COLOR_LIGHT_BG);
+  usePolarisCustomOverrides(colors.background);
 
   /**
-   * Triggered when a CSV upload starts.
-   * Shows spinner and hides results.
+   * Triggered when a file upload starts.
+   * Shows spinner with import progress and hides results.
    */
-  const handleUploadStart = () => {
+  const handleUploadStart = ({ cancel } = {}) => {
+    cancelImportRef.current = cancel || null;
+    setImportProgress(null);
     setUploadInProgress(true);
     setShowResults(false);
-    if (spinnerTimeoutRef.current) clearTimeout(spinnerTimeoutRef.current);
   };
 
   /**
-   * Called by CsvImport when CSV parsing is done.
-   * Ensures spinner is visible for at least SPINNER_MIN_DURATION ms.
+   * Triggered when an upload is abandoned (cancelled, mapping wizard closed or read error).
+   * Brings back whatever was shown before.
    */
-  const handleCsvData = (rows) => {
-    spinnerTimeoutRef.current = setTimeout(() => {
-      setProducts(rows);
-      setUploadInProgress(false);
-      setShowResults(true);
-    }, SPINNER_MIN_DURATION);
+  const handleUploadCancel = () => {
+    cancelImportRef.current = null;
+    setImportProgress(null);
+    setUploadInProgress(false);
+    setShowResults(true);
   };
 
+  /**
+   * Called by CsvImport when parsing and column mapping are done.
+   * Adds the rows as a new catalog, makes it active and stores it locally.
+   */
+  const handleCsvData = (rows, { fileName } = {}) => {
+    cancelImportRef.current = null;
+    setImportProgress(null);
+    const meta = createCatalogMeta(rows, { fileName });
+    loadingCatalogsRef.current.add(meta.id);
+    setCatalogRows((current) => ({ ...current, [meta.id]: rows }));
+    setCatalogs((current) => [...current, meta]);
+    setActiveCatalogId(meta.id);
+    setSelectedProduct(null);
+    setUploadInProgress(false);
+    setShowResults(true);
+    saveCatalog(meta, rows).catch((err) => {
+      setWarningMessage(t("app.saveCatalogFailed", { error: catalogErrorMessage(err, t) }));
+    });
+  };
+
+  /**
+   * Reads a catalog's rows from IndexedDB unless they are already loading.
+   * Progress is only reported for the catalog the user is waiting on.
+   */
+  const ensureCatalogLoaded = React.useCallback((id, reportProgress) => {
+    if (!id || loadingCatalogsRef.current.has(id)) return;
+    loadingCatalogsRef.current.add(id);
+    if (reportProgress) setLoadProgress({ id, loaded: 0, total: 0 });
+    loadCatalog(id, (loaded, total) => {
+      if (reportProgress) setLoadProgress({ id, loaded, total });
+    })
+      .then((stored) => {
+        setCatalogRows((current) => ({ ...current, [id]: stored ? stored.rows : [] }));
+        setShowResults(true);
+      })
+      .catch((err) => {
+        setCatalogRows((current) => ({ ...current, [id]: [] }));
+        setWarningMessage(t("app.loadCatalogFailed", { error: catalogErrorMessage(err, t) }));
+      })
+      .finally(() => {
+        if (reportProgress) {
+          setLoadProgress((current) => (current && current.id === id ? null : current));
+        }
+      });
+  }, [t]);
+
+  // Restore the catalog list and the last active catalog at startup
+  useEffect(() => {
+    let cancelled = false;
+    listCatalogs()
+      .then((stored) => {
+        if (cancelled) return;
+        // Catalogs uploaded while listing are kept
+        setCatalogs((current) => [
+          ...stored,
+          ...current.filter((c) => !stored.some((s) => s.id === c.id)),
+        ]);
+        if (stored.length === 0) return;
+        const storedActiveId = getStoredActiveCatalogId();
+        const initial = stored.find((c) => c.id === storedActiveId) || stored[stored.length - 1];
+        setActiveCatalogId((current) => current || initial.id);
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        setWarningMessage(t("app.listCatalogsFailed", { error: catalogErrorMessage(err, t) }));
+      })
+      .finally(() => {
+        if (!cancelled) setCatalogsReady(true);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  // Load the active catalog's rows and remember the choice
+  useEffect(() => {
+    if (!catalogsReady) return;
+    setStoredActiveCatalogId(activeCatalogId);
+    if (activeCatalogId && !catalogRows[activeCatalogId]) {
+      ensureCatalogLoaded(activeCatalogId, true);
+    }
+  }, [catalogsReady, activeCatalogId, catalogRows, ensureCatalogLoaded]);
+
+  // "Search all catalogs" needs every catalog's rows in memory
+  useEffect(() => {
+    if (!searchAllCatalogs) return;
+    catalogs.forEach((c) => {
+      if (!catalogRows[c.id]) ensureCatalogLoaded(c.id, false);
+    });
+  }, [searchAllCatalogs, catalogs, catalogRows, ensureCatalogLoaded]);
+
+  // Background loading for views that need other catalogs (diff)
+  const loadCatalogInBackground = React.useCallback(
+    (id) => ensureCatalogLoaded(id, false),
+    [ensureCatalogLoaded]
+  );
+
+  /**
+   * Switches the active catalog; an open product belongs to the old one.
+   */
+  function handleSelectCatalog(id) {
+    setActiveCatalogId(id);
+    setSelectedProduct(null);
+    setFilters(EMPTY_FILTERS);
+  }
+
+  function handleRenameCatalog(id) {
+    const meta = catalogs.find((c) => c.id === id);
+    const name = window.prompt(t("app.renamePrompt"), getCatalogName(meta, t));
+    if (name === null || !name.trim()) return;
+    renameCatalog(id, name)
+      .then((updated) => setCatalogs((current) => current.map((c) => (c.id === id ? updated : c))))
+      .catch((err) => setErrorMessage(t("app.renameFailed", { error: catalogErrorMessage(err, t) })));
+  }
+
+  /**
+   * Removes a catalog; the most recent remaining catalog becomes active.
+   */
+  function handleDeleteCatalog(id) {
+    const meta = catalogs.find((c) => c.id === id);
+    if (!window.confirm(t("app.deleteConfirm", { name: getCatalogName(meta, t) }))) return;
+    deleteCatalog(id)
+      .then(() => {
+        const remaining = catalogs.filter((c) => c.id !== id);
+        setCatalogs(remaining);
+        setCatalogRows((current) => {
+          const next = { ...current };
+          delete next[id];
+          return next;
+        });
+        loadingCatalogsRef.current.delete(id);
+        if (id === activeCatalogId) {
+          setActiveCatalogId(remaining.length ? remaining[remaining.length - 1].id : null);
+          setSelectedProduct(null);
+        }
+        if (remaining.length === 0) {
+          setSearch("");
+          setFilters(EMPTY_FILTERS);
+          setSearchAllCatalogs(false);
+          setShowResults(false);
+        }
+      })
+      .catch((err) => setErrorMessage(t("app.deleteFailed", { error: catalogErrorMessage(err, t) })));
+  }
+
   /**
    * Trigger success banner when all required columns are present.
    */
@@ -176,68 +607,259 @@ export default function App() {
   }, [warningMessage, errorMessage, showSuccess]);
 
   /**
-   * Normalizes strings for search: lowercase, removes accents, replaces non-alphanum with space.
+   * Which catalog each loaded product row belongs to (keyed by row object).
+   */
+  const productCatalogIds = React.useMemo(() => {
+    const map = new WeakMap();
+    Object.entries(catalogRows).forEach(([id, rows]) => {
+      rows.forEach((row) => map.set(row, id));
+    });
+    return map;
+  }, [catalogRows]);
+
+  /**
+   * QC report for the active catalog.
+   */
+  const qualityReport = React.useMemo(
+    () => (products.length ? checkCatalogQuality(products, priceSettings) : null),
+    [products, priceSettings]
+  );
+
+  // A product set belongs to the catalog it was made for
+  useEffect(() => {
+    setListFilter(null);
+  }, [products]);
+
+  /**
+   * Narrows the list to the products behind the given QC issues.
    */
-  function normalize(str) {
-    return String(str || "")
-      .toLowerCase()
-      .normalize("NFD")
-      .replace(/[\u0300-\u036f]/g, "")
-      .replace(/[^\w\d]/g, " ")
-      .replace(/\s+/g, " ")
-      .trim();
+  function handleShowAffected(issues) {
+    const affected = new Set();
+    issues.forEach((issue) => {
+      if (products[issue.index]) affected.add(products[issue.index]);
+    });
+    setListFilter({
+      kind: "qc",
+      label: { key: "app.qcFilter", params: { count: affected.size } },
+      removeLabel: "app.qcFilterRemove",
+      products: products.filter((p) => affected.has(p)),
+    });
+    setQcOpen(false);
   }
 
   /**
-   * Heuristic: Detect whether user is searching by SKU or by product name.
+   * ProductCard "Visa alla": closes the card and lists the related set (best
+   * match first) in place of the search results, as a new history entry.
    */
-  function isLikelySku(q) {
-    return /\d/.test(q) || (/^[\w\-]+$/.test(q) && q.length < 10);
+  function handleShowRelated(sectionKey, related) {
+    const name = (selectedProduct && selectedProduct["Namn"]) || productSku(selectedProduct);
+    setListFilter({
+      kind: "related",
+      label: { key: `related.filter.${sectionKey}`, params: { name, count: related.length } },
+      removeLabel: "app.relatedFilterRemove",
+      products: related,
+    });
+    setSearch("");
+    setFilters(EMPTY_FILTERS);
+    setSortKey(DEFAULT_SORT);
+    setShortlistOpen(false);
+    setPendingSku(null);
+    setSelectedProduct(null);
+    window.history.pushState(
+      { productDepth: 0 },
+      "",
+      viewUrl({ query: "", filters: EMPTY_FILTERS, sort: DEFAULT_SORT, sku: "" })
+    );
   }
 
   /**
-   * Compute a relevancy score for a match (for fuzzy search).
+   * Products searched: the active catalog, or every loaded catalog.
+   * A list filter (QC affected rows, related products) replaces the pool.
    */
-  function getRelevancy(p, q, mode) {
-    const name = normalize(p["Namn"]);
-    const sku = normalize(p["Artikelnummer"]);
-    const parent = normalize(p["Kategori (parent)"]);
-    const sub = normalize(p["Kategori (sub)"]);
-    if (mode === "sku") {
-      if (sku.includes(q)) return 100;
-      if (sub.includes(q)) return 90;
-      if (parent.includes(q)) return 80;
-      if (name.includes(q)) return 70;
-    } else {
-      if (sub.includes(q)) return 100;
-      if (parent.includes(q)) return 90;
-      if (sku.includes(q)) return 80;
-      if (name.includes(q)) return 70;
-    }
-    return 0;
+  const searchPool = React.useMemo(() => {
+    if (listFilter) return listFilter.products;
+    if (!searchAllCatalogs) return products;
+    return catalogs.flatMap((c) => catalogRows[c.id] || []);
+  }, [listFilter, searchAllCatalogs, products, catalogs, catalogRows]);
+
+  /**
+   * Searched & ranked product list, from the indexed search worker (see useProductSearch.js).
+   * Keeps the original row objects so catalog lookups by identity still work.
+   * searchError is set when the query had bad syntax and ran as plain search.
+   */
+  const {
+    results: searchResults,
+    error: searchError,
+    pending: searchPending,
+  } = useProductSearch(searchPool, search);
+
+  // Search box completions: names, series, categories and SKUs of the searched products
+  const suggestionIndex = React.useMemo(() => buildSuggestionIndex(searchPool), [searchPool]);
+
+  /**
+   * Search results narrowed by the facet filters and sorted; this is the list shown.
+   */
+  const filtered = React.useMemo(
+    () => sortProducts(applyFilters(searchResults, filters), sortKey),
+    [searchResults, filters, sortKey]
+  );
+  // Rows show the sorted-by measurement, else their first one
+  const rowMeasurement = sortMeasurement(sortKey);
+
+  // Rows of the list: { product, group } per product, or per variant group in grouped mode
+  const listRows = React.useMemo(
+    () =>
+      groupedMode
+        ? groupVariants(filtered, (p) => productCatalogIds.get(p)).map((group) => ({
+            product: group.product,
+            group,
+          }))
+        : filtered.map((product) => ({ product, group: null })),
+    [groupedMode, filtered, productCatalogIds]
+  );
+
+  // Keyboard-active result row; a new list starts without one
+  const [activeIndex, setActiveIndex] = useState(-1);
+  const listboxRef = useRef(null);
+  useEffect(() => setActiveIndex(-1), [listRows]);
+
+  // Position of the open product (or its variant group) in the list, for prev/next
+  const selectedListIndex = React.useMemo(
+    () =>
+      selectedProduct
+        ? listRows.findIndex(
+            (row) => row.product === selectedProduct || (row.group && row.group.products.includes(selectedProduct))
+          )
+        : -1,
+    [listRows, selectedProduct]
+  );
+  // Closing the card leaves the last viewed product active in the list
+  useEffect(() => {
+    if (selectedListIndex >= 0) setActiveIndex(selectedListIndex);
+  }, [selectedListIndex]);
+
+  // Facet counts follow the search; only computed while the panel is visible
+  const facetsVisible = isWide ? filterSidebarOpen : filterDrawerOpen;
+  const facetCounts = React.useMemo(
+    () => (facetsVisible ? computeFacetCounts(searchResults, filters) : {}),
+    [facetsVisible, searchResults, filters]
+  );
+  // Slider bounds follow the catalog, so they don't jump while typing
+  const rangeBounds = React.useMemo(() => computeRangeBounds(searchPool), [searchPool]);
+  const activeFilterChips = filterChips(
+    filters,
+    (value, field) => formatBaseValue(value, (rangeBounds[field] || {}).unit, displayUnits, locale),
+    (field) => fieldLabel(rangeLabel(field))
+  );
+
+  function renderFilterChip(key, label, removeLabel, onRemove) {
+    return (
+      <span
+        key={key}
+        style={{
+          display: "inline-flex",
+          alignItems: "center",
+          gap: 4,
+          maxWidth: "100%",
+          padding: "2px 4px 2px 12px",
+          borderRadius: 16,
+          border: `1px solid ${colors.border}`,
+        }}
+      >
+        <span style={{ overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>
+          {label}
+        </span>
+        <button
+          type="button"
+          onClick={onRemove}
+          style={{ ...iconButtonStyle, width: 28, height: 28, color: "inherit", fontSize: 18 }}
+          aria-label={removeLabel}
+        >
+          ×
+        </button>
+      </span>
+    );
   }
 
   /**
-   * Memoized filtered & sorted product list based on search.
+   * Saved searches as chips, for the empty search box and the no-matches state.
    */
-  const filtered = React.useMemo(() => {
-    if (!search) return products;
-    const qWords = normalize(search).split(" ").filter(Boolean);
-    const mode = isLikelySku(search) ? "sku" : "name";
-    return products
-      .map((p) => {
-        let totalScore = 0;
-        let allMatched = true;
-        for (const q of qWords) {
-          const score = getRelevancy(p, q, mode);
-          if (score > 0) totalScore += score;
-          else allMatched = false;
-        }
-        return { ...p, _score: allMatched ? totalScore : 0 };
-      })
-      .filter((p) => p._score > 0)
-      .sort((a, b) => b._score - a._score);
-  }, [products, search]);
+  function renderSavedSearches() {
+    if (savedSearches.length === 0) return null;
+    return (
+      <div
+        style={{
+          display: "flex",
+          alignItems: "center",
+          flexWrap: "wrap",
+          gap: 6,
+          margin: "0 0 8px 0",
+          fontSize: 14,
+          color: colors.textMuted,
+        }}
+      >
+        <span>{t("search.savedSearches")}</span>
+        {savedSearches.map((saved) => (
+          <button
+            key={saved.id}
+            type="button"
+            onClick={() => runSearch(saved.query)}
+            title={saved.query}
+            style={{
+              display: "inline-flex",
+              alignItems: "center",
+              gap: 4,
+              maxWidth: "100%",
+              minHeight: 32,
+              padding: "0 12px",
+              borderRadius: 16,
+              border: `1px solid ${colors.border}`,
+              background: "none",
+              color: colors.text,
+              fontSize: 14,
+              cursor: "pointer",
+            }}
+          >
+            <BookmarkSimple size={14} weight="duotone" style={{ flexShrink: 0, color: colors.accent }} />
+            <span style={{ overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>{saved.name}</span>
+          </button>
+        ))}
+      </div>
+    );
+  }
+
+  /**
+   * Catalog name shown on result rows in "search all catalogs" mode.
+   */
+  function getProductCatalogLabel(product) {
+    if (!searchAllCatalogs) return "";
+    const meta = catalogs.find((c) => c.id === productCatalogIds.get(product));
+    return getCatalogName(meta, t);
+  }
+
+  // Shortlist items are looked up by SKU in the active catalog
+  const productsBySku = React.useMemo(() => {
+    const map = new Map();
+    products.forEach((p) => {
+      const sku = productSku(p);
+      if (sku && !map.has(sku)) map.set(sku, p);
+    });
+    return map;
+  }, [products]);
+
+  // Rows get taller when they carry a catalog label
+  const rowHeight = searchAllCatalogs ? ROW_HEIGHT_WITH_CATALOG : ROW_HEIGHT;
+
+  // Related products come from the selected product's own catalog
+  const selectedCatalogRows =
+    (selectedProduct && catalogRows[productCatalogIds.get(selectedProduct)]) || products;
+
+  // Variants of the open product, for the ProductCard picker
+  const variantIndex = React.useMemo(
+    () => buildVariantIndex(selectedCatalogRows),
+    [selectedCatalogRows]
+  );
+  const selectedVariants = variantsOf(variantIndex, selectedProduct);
 
   /**
    * Triggers the hidden file input for CSV upload.
@@ -262,35 +884,151 @@ export default function App() {
   };
 
   // Only show "Inga produkter matchar din sökning" if a file is uploaded
-  const hasFileUploaded = products.length > 0;
+  const hasFileUploaded = searchPool.length > 0;
 
   // Show main content if not uploading, or after upload spinner is done
+  const isRestoring =
+    !catalogsReady || (Boolean(activeCatalogId) && !catalogRows[activeCatalogId]);
   const shouldShowContent =
-    (!uploadInProgress && showResults) ||
-    (!uploadInProgress && products.length === 0);
+    !isRestoring &&
+    ((!uploadInProgress && showResults) ||
+      (!uploadInProgress && products.length === 0));
+
+  /**
+   * Opens a product in ProductCard as a new history entry, so back returns to
+   * the previous product or closes the card.
+   */
+  function openProduct(product) {
+    // Opening a result counts the query as used
+    recordSearch(search);
+    const depth = selectedProduct ? historyProductDepth() : 0;
+    window.history.pushState(
+      { productDepth: depth + 1 },
+      "",
+      viewUrl({ query: search, filters, sort: sortKey, sku: productSku(product) })
+    );
+    setPendingSku(null);
+    setSelectedProduct(product);
+  }
+
+  /**
+   * Closes ProductCard by going back past every product entry it pushed.
+   */
+  function closeProduct() {
+    const depth = historyProductDepth();
+    if (depth > 0) window.history.go(-depth);
+    else setSelectedProduct(null);
+  }
+
+  /**
+   * Steps ProductCard to the previous/next result in place (no history entry,
+   * like the variant picker).
+   */
+  function stepProduct(step) {
+    const row = listRows[selectedListIndex + step];
+    if (!row) return;
+    setPendingSku(null);
+    setSelectedProduct(row.product);
+  }
+  const canStep = !shortlistOpen && selectedListIndex >= 0;
+
+  function focusResults() {
+    recordSearch(search);
+    if (listboxRef.current) listboxRef.current.focus();
+  }
+
+  function recordSearch(query) {
+    if (query.trim()) setRecentSearches((current) => addRecentSearch(current, query));
+  }
+
+  /**
+   * Runs a query from the search box (submit, a suggestion) or a saved search.
+   */
+  function runSearch(query) {
+    setSearch(query);
+    recordSearch(query);
+  }
 
-  // Cleanup spinner timeout on unmount
+  // Stable row handler so memoized rows don't re-render on every change
+  const openProductRef = useRef(openProduct);
+  openProductRef.current = openProduct;
+  const handleRowSelect = React.useCallback((product) => openProductRef.current(product), []);
+
+  // Back/forward: take query, filters, sort order and product from the URL
   useEffect(() => {
-    return () => {
-      if (spinnerTimeoutRef.current) clearTimeout(spinnerTimeoutRef.current);
-    };
+    function handlePopState() {
+      const view = searchToViewState(window.location.search);
+      setSearch(view.query);
+      setFilters(view.filters);
+      setSortKey(view.sort);
+      // Related sets aren't in the URL; leaving their entry drops them
+      setListFilter((current) => (current && current.kind === "related" ? null : current));
+      if (view.sku) {
+        setPendingSku(view.sku);
+      } else {
+        setPendingSku(null);
+        setSelectedProduct(null);
+      }
+    }
+    window.addEventListener("popstate", handlePopState);
+    return () => window.removeEventListener("popstate", handlePopState);
   }, []);
 
+  // Open the product named by the URL once its catalog is loaded
+  useEffect(() => {
+    if (!pendingSku || isRestoring) return;
+    const match =
+      products.find((p) => productSku(p) === pendingSku) ||
+      Object.values(catalogRows).flat().find((p) => productSku(p) === pendingSku);
+    setPendingSku(null);
+    setSelectedProduct(match || null);
+    // A deep-linked product gets its own entry on top of the list, so back closes it
+    if (match && historyProductDepth() === 0) {
+      window.history.replaceState({ productDepth: 0 }, "", viewUrl({ query: search, filters, sort: sortKey, sku: "" }));
+      window.history.pushState({ productDepth: 1 }, "", viewUrl({ query: search, filters, sort: sortKey, sku: pendingSku }));
+    }
+  }, [pendingSku, isRestoring, products, catalogRows]);
+
+  // Mirror the current view in the URL (typing and filtering replace the entry)
+  useEffect(() => {
+    const sku = pendingSku || productSku(selectedProduct);
+    const url = viewUrl({ query: search, filters, sort: sortKey, sku });
+    if (url === window.location.pathname + window.location.search + window.location.hash) return;
+    window.history.replaceState({ productDepth: sku ? historyProductDepth() : 0 }, "", url);
+  }, [search, filters, sortKey, selectedProduct, pendingSku]);
+
   return (
     <div style={{ minHeight: "100vh", width: "100vw" }}>
-      <AppProvider
-        i18n={enTranslations}
-        theme={darkMode ? tableSeDarkTheme : tableSeLightTheme}
-      >
+      <I18nProvider value={i18n}>
+      <ThemeProvider value={theme}>
+      <AppProvider i18n={languageInfo(language).polaris}>
         <YouTubeHeader
-          darkMode={darkMode}
           searchValue={search}
           setSearchValue={setSearch}
-          onSearch={setSearch}
+          onSearch={runSearch}
+          onFocusResults={focusResults}
+          searchError={searchError}
+          suggestionIndex={suggestionIndex}
+          recentSearches={recentSearches}
+          onRemoveRecentSearch={(query) => setRecentSearches((current) => removeRecentSearch(current, query))}
+          savedSearches={savedSearches}
+          onSaveSearch={(name, query) => setSavedSearches((current) => addSavedSearch(current, name, query))}
+          onRemoveSavedSearch={(id) => setSavedSearches((current) => removeSavedSearch(current, id))}
           onUpload={handleUploadClick}
-          onToggleDarkMode={() => setDarkMode((v) => !v)}
+          themePrefs={themePrefs}
+          onThemePrefsChange={setThemePrefs}
+          language={language}
+          onLanguageChange={setLanguage}
+          catalogs={catalogs}
+          activeCatalogId={activeCatalogId}
+          searchAllCatalogs={searchAllCatalogs}
+          onSelectCatalog={handleSelectCatalog}
+          onToggleSearchAll={setSearchAllCatalogs}
+          onRenameCatalog={handleRenameCatalog}
+          onDeleteCatalog={handleDeleteCatalog}
+          onCompareCatalogs={() => setDiffOpen(true)}
         />
-        <div style={{ paddingTop: HEADER_HEIGHT, background: darkMode ? COLOR_DARK_BG : COLOR_LIGHT_BG, minHeight: "100vh" }}>
+        <div style={{ paddingTop: HEADER_HEIGHT, background: colors.background, minHeight: "100vh" }}>
           <Page title="" fullWidth>
             <CsvImport
               onData={handleCsvData}
@@ -298,8 +1036,10 @@ export default function App() {
               setWarningMessage={setWarningMessage}
               setErrorMessage={setErrorMessage}
               onUploadStart={handleUploadStart}
+              onUploadProgress={setImportProgress}
+              onUploadCancel={handleUploadCancel}
             />
-            {uploadInProgress && (
+            {(uploadInProgress || isRestoring) && (
               <div
                 style={{
                   minHeight: 250,
@@ -309,15 +1049,72 @@ export default function App() {
                   flexDirection: "column",
                 }}
               >
-                <Spinner accessibilityLabel="Laddar produkter" size="large" />
+                <Spinner accessibilityLabel={t("app.loadingProducts")} size="large" />
                 <div style={{
                   marginTop: 18,
-                  color: darkMode ? COLOR_DARK_FADED : COLOR_LIGHT_FADED,
+                  color: colors.textMuted,
                   fontWeight: 500,
                   fontSize: 16,
                 }}>
-                  Laddar produkter...
+                  {uploadInProgress && importProgress
+                    ? t("app.readingFile", {
+                        rows: formatNumber(importProgress.rowsParsed, 0, locale),
+                        read: formatMegabytes(importProgress.bytesRead, locale),
+                        total: formatMegabytes(importProgress.totalBytes, locale),
+                      })
+                    : isRestoring && loadProgress && loadProgress.total > 0
+                      ? t("app.readingStoredCatalog", {
+                          loaded: formatNumber(loadProgress.loaded, 0, locale),
+                          total: formatNumber(loadProgress.total, 0, locale),
+                        })
+                      : t("app.loadingProductsEllipsis")}
                 </div>
+                {uploadInProgress && importProgress && importProgress.totalBytes > 0 && (
+                  <div
+                    role="progressbar"
+                    aria-label={t("app.importProgress")}
+                    aria-valuemin={0}
+                    aria-valuemax={100}
+                    aria-valuenow={Math.round((importProgress.bytesRead / importProgress.totalBytes) * 100)}
+                    style={{
+                      width: 240,
+                      maxWidth: "80vw",
+                      height: 6,
+                      marginTop: 10,
+                      borderRadius: 3,
+                      overflow: "hidden",
+                      background: colors.border,
+                    }}
+                  >
+                    <div
+                      style={{
+                        width: `${(importProgress.bytesRead / importProgress.totalBytes) * 100}%`,
+                        height: "100%",
+                        background: colors.accent,
+                        transition: "width 0.1s",
+                      }}
+                    />
+                  </div>
+                )}
+                {uploadInProgress && cancelImportRef.current && (
+                  <button
+                    type="button"
+                    onClick={() => cancelImportRef.current && cancelImportRef.current()}
+                    style={{
+                      marginTop: 14,
+                      minHeight: 36,
+                      padding: "0 18px",
+                      borderRadius: 6,
+                      border: `1px solid ${colors.textMuted}`,
+                      background: "none",
+                      color: colors.text,
+                      fontSize: 15,
+                      cursor: "pointer",
+                    }}
+                  >
+                    {t("common.cancel")}
+                  </button>
+                )}
               </div>
             )}
             {shouldShowContent && (
@@ -325,9 +1122,9 @@ export default function App() {
                 {warningMessage && (
                   <div
                     style={{
-                      color: "#b38800",
-                      background: "#fffbe7",
-                      border: "1px solid #ffe082",
+                      color: colors.warning,
+                      background: colors.warningBg,
+                      border: `1px solid ${colors.warningBorder}`,
                       borderRadius: 6,
                       padding: "10px 18px",
                       margin: "18px auto",
@@ -344,9 +1141,9 @@ export default function App() {
                 {errorMessage && (
                   <div
                     style={{
-                      color: "#b00020",
-                      background: "#ffeaea",
-                      border: "1px solid #ffcdd2",
+                      color: colors.error,
+                      background: colors.errorBg,
+                      border: `1px solid ${colors.errorBorder}`,
                       borderRadius: 6,
                       padding: "10px 18px",
                       margin: "18px auto",
@@ -363,9 +1160,9 @@ export default function App() {
                 {showSuccess && !warningMessage && !errorMessage && (
                   <div
                     style={{
-                      color: "green",
-                      background: "#eafbe7",
-                      border: "1px solid #b8e6c1",
+                      color: colors.success,
+                      background: colors.successBg,
+                      border: `1px solid ${colors.successBorder}`,
                       borderRadius: 6,
                       padding: "10px 18px",
                       margin: "18px auto",
@@ -376,177 +1173,310 @@ export default function App() {
                       transition: "opacity 0.5s",
                     }}
                   >
-                    Alla obligatoriska kolumner finns!
+                    {t("app.requiredColumnsPresent")}
                   </div>
                 )}
-                <div>
-                  <Card
+                {catalogMeta && !searchAllCatalogs && hasFileUploaded && (
+                  <div
                     style={{
-                      background: darkMode ? COLOR_DARK_CARD : COLOR_LIGHT_CARD,
-                      border: "none",
-                      boxShadow: "none",
-                      color: darkMode ? COLOR_DARK_TEXT : COLOR_LIGHT_TEXT,
-                      margin: 0,
-                      padding: 0,
-                      borderRadius: 0,
-                      transition: "background 0.18s,color 0.18s",
+                      color: colors.textMuted,
+                      fontSize: 13,
+                      margin: "0 0 8px 0",
+                      whiteSpace: "nowrap",
+                      overflow: "hidden",
+                      textOverflow: "ellipsis",
                     }}
+                    title={catalogMeta.fileName}
                   >
-                    {filtered.length === 0 && hasFileUploaded ? (
-                      <div
+                    {getCatalogName(catalogMeta, t)} ·{" "}
+                    {t("app.importedAt", { date: new Date(catalogMeta.importedAt).toLocaleString(locale) })} ·{" "}
+                    {t("catalogs.rows", { count: catalogMeta.rowCount })}
+                    {qualityReport && (
+                      <>
+                        {" · "}
+                        <button
+                          type="button"
+                          onClick={() => setQcOpen(true)}
+                          style={{
+                            background: "none",
+                            border: "none",
+                            padding: 0,
+                            font: "inherit",
+                            cursor: "pointer",
+                            textDecoration: "underline",
+                            color: qualityReport.counts.error
+                              ? colors.error
+                              : qualityReport.counts.warning
+                                ? colors.warning
+                                : "inherit",
+                          }}
+                        >
+                          {qualityReport.issues.length === 0
+                            ? t("app.qualityOk")
+                            : t("app.qualityCounts", { errors: qualityReport.counts.error, warnings: qualityReport.counts.warning })}
+                        </button>
+                      </>
+                    )}
+                  </div>
+                )}
+                {hasFileUploaded && (
+                  <div
+                    style={{
+                      display: "flex",
+                      alignItems: "center",
+                      flexWrap: "wrap",
+                      gap: 8,
+                      margin: "0 0 6px 0",
+                      fontSize: 14,
+                      color: colors.textMuted,
+                    }}
+                  >
+                    <span style={{ flex: 1 }}>
+                      {groupedMode && listRows.length !== filtered.length
+                        ? t("app.productCountGrouped", { count: filtered.length, groups: listRows.length })
+                        : t("app.productCount", { count: filtered.length })}
+                    </span>
+                    <button
+                      type="button"
+                      onClick={() => setQuoteOpen(true)}
+                      style={{
+                        ...iconButtonStyle,
+                        width: "auto",
+                        gap: 6,
+                        padding: "0 8px",
+                        color: colors.text,
+                        fontSize: 14,
+                      }}
+                      title={t("app.showQuote")}
+                    >
+                      <Receipt size={18} weight="duotone" />
+                      {t("app.quoteButton", { count: quote.lines.length })}
+                    </button>
+                    {compareItems.length > 0 && (
+                      <button
+                        type="button"
+                        onClick={() => setCompareOpen(true)}
                         style={{
-                          textAlign: "center",
-                          color: darkMode ? COLOR_DARK_FADED : COLOR_LIGHT_FADED,
-                          padding: "1em 0",
-                          fontSize: 17,
+                          ...iconButtonStyle,
+                          width: "auto",
+                          gap: 6,
+                          padding: "0 8px",
+                          color: colors.text,
+                          fontSize: 14,
                         }}
+                        title={t("app.compareSelected")}
                       >
-                        {/* No icon here */}
-                        <div style={{ marginTop: 8 }}>
-                          <strong style={{ color: darkMode ? COLOR_DARK_TEXT : COLOR_LIGHT_TEXT }}>
-                            Inga produkter matchar din sökning
-                          </strong>
-                        </div>
-                      </div>
-                    ) : (
-                      <div
+                        <Columns size={18} weight="duotone" />
+                        {t("app.compareButton", { count: compareItems.length })}
+                      </button>
+                    )}
+                    <button
+                      type="button"
+                      onClick={() => setShortlistOpen((v) => !v)}
+                      style={{
+                        ...iconButtonStyle,
+                        width: "auto",
+                        gap: 6,
+                        padding: "0 8px",
+                        color: shortlistOpen
+                          ? colors.sku
+                          : colors.text,
+                        fontSize: 14,
+                      }}
+                      aria-pressed={shortlistOpen}
+                      title={shortlistOpen ? t("app.backToResults") : t("app.showLists")}
+                    >
+                      <Star size={18} weight="duotone" />
+                      {t("app.listsButton", { count: activeShortlist.items.length })}
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() =>
+                        isWide ? setFilterSidebarOpen((v) => !v) : setFilterDrawerOpen(true)
+                      }
+                      style={{
+                        ...iconButtonStyle,
+                        width: "auto",
+                        gap: 6,
+                        padding: "0 8px",
+                        color: activeFilterChips.length
+                          ? colors.sku
+                          : colors.text,
+                        fontSize: 14,
+                      }}
+                      aria-expanded={isWide ? filterSidebarOpen : filterDrawerOpen}
+                      title={isWide && filterSidebarOpen ? t("app.hideFilters") : t("app.showFilters")}
+                    >
+                      <Funnel size={18} weight="duotone" />
+                      {activeFilterChips.length
+                        ? t("app.filterButtonCount", { count: activeFilterChips.length })
+                        : t("app.filterButton")}
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => setExportOpen(true)}
+                      disabled={filtered.length === 0}
+                      style={{
+                        ...iconButtonStyle,
+                        width: "auto",
+                        gap: 6,
+                        padding: "0 8px",
+                        color: colors.text,
+                        fontSize: 14,
+                        opacity: filtered.length === 0 ? 0.5 : 1,
+                      }}
+                      title={t("app.exportTitle")}
+                    >
+                      <DownloadSimple size={18} weight="duotone" />
+                      {t("app.export")}
+                    </button>
+                  </div>
+                )}
+                {hasFileUploaded && !search.trim() && !listFilter && !shortlistOpen && renderSavedSearches()}
+                {(listFilter || activeFilterChips.length > 0) && (
+                  <div
+                    style={{
+                      display: "flex",
+                      alignItems: "center",
+                      flexWrap: "wrap",
+                      gap: 6,
+                      margin: "0 0 8px 0",
+                      fontSize: 14,
+                      color: colors.text,
+                    }}
+                  >
+                    {listFilter &&
+                      renderFilterChip(
+                        listFilter.kind,
+                        t(listFilter.label.key, listFilter.label.params),
+                        t(listFilter.removeLabel),
+                        () => setListFilter(null)
+                      )}
+                    {activeFilterChips.map((chip) =>
+                      renderFilterChip(chip.key, chip.label, t("app.removeFilter", { name: chip.title }), () =>
+                        setFilters((current) => chip.remove(current))
+                      )
+                    )}
+                    {activeFilterChips.length > 1 && (
+                      <button
+                        type="button"
+                        onClick={() => setFilters(EMPTY_FILTERS)}
                         style={{
-                          display: "flex",
-                          flexDirection: "column",
-                          gap: 0,
-                          background: darkMode ? COLOR_DARK_CARD : COLOR_LIGHT_CARD,
-                          borderRadius: 0,
+                          background: "none",
+                          border: "none",
+                          padding: "4px 6px",
+                          fontSize: 13,
+                          color: "inherit",
+                          textDecoration: "underline",
+                          cursor: "pointer",
                         }}
                       >
-                        {filtered.map((item, idx) => {
-                          const imgUrl = item["Produktbild-URL"];
-                          return (
-                            <div
-                              key={item["Artikelnummer"] || idx}
-                              onClick={() => setSelectedProduct(item)}
-                              onTouchStart={() => setSelectedProduct(item)}
-                              style={{
-                                display: "flex",
-                                alignItems: "center",
-                                borderBottom: idx === filtered.length - 1
-                                  ? "none"
-                                  : `1px solid ${darkMode ? COLOR_DARK_BORDER : COLOR_LIGHT_BORDER}`,
-                                padding: "7px 0 7px 0",
-                                gap: 9,
-                                background: "transparent",
-                                color: darkMode ? COLOR_DARK_TEXT : COLOR_LIGHT_TEXT,
-                                cursor: "pointer",
-                              }}
-                            >
-                              {/* Image */}
-                              <div
-                                style={{
-                                  width: 44,
-                                  height: 44,
-                                  background: darkMode ? COLOR_DARK_ICON_BG : COLOR_LIGHT_ICON_BG,
-                                  borderRadius: 6,
-                                  overflow: "hidden",
-                                  display: "flex",
-                                  alignItems: "center",
-                                  justifyContent: "center",
-                                  flexShrink: 0,
-                                }}
-                              >
-                                {imgUrl ? (
-                                  <img
-                                    src={imgUrl}
-                                    alt={item["Namn"] || "Produktbild"}
-                                    style={{
-                                      width: "100%",
-                                      height: "100%",
-                                      objectFit: "contain",
-                                      display: "block",
-                                      background: darkMode ? COLOR_DARK_ICON_BG : COLOR_LIGHT_ICON_BG,
-                                    }}
-                                  />
-                                ) : (
-                                  <span style={{ color: darkMode ? COLOR_DARK_FADED : COLOR_LIGHT_FADED, ...iconButtonStyle }}>
-                                    <ImageSquare size={ICON_SIZE} />
-                                  </span>
-                                )}
-                              </div>
-                              {/* Info */}
-                              <div style={{ flex: 1, minWidth: 0 }}>
-                                <div
-                                  style={{
-                                    fontWeight: 600,
-                                    fontSize: 15,
-                                    whiteSpace: "nowrap",
-                                    overflow: "hidden",
-                                    textOverflow: "ellipsis",
-                                    textTransform: "uppercase",
-                                    minWidth: 0,
-                                    color: darkMode ? COLOR_DARK_TEXT : COLOR_LIGHT_TEXT,
-                                  }}
-                                  title={item["Namn"]}
-                                >
-                                  {item["Namn"] || <em style={{ color: darkMode ? COLOR_DARK_FADED : COLOR_LIGHT_FADED }}>Namnlös</em>}
-                                </div>
-                                <div
-                                  style={{
-                                    fontWeight: 600,
-                                    fontSize: 15,
-                                    color: tableSeOrange,
-                                    whiteSpace: "nowrap",
-                                    overflow: "hidden",
-                                    textOverflow: "ellipsis",
-                                    minWidth: 0,
-                                  }}
-                                  title={item["Artikelnummer"]}
-                                >
-                                  {item["Artikelnummer"]}
-                                </div>
-                              </div>
-                              {/* Prices */}
-                              <div
-                                style={{
-                                  display: "flex",
-                                  flexDirection: "column",
-                                  alignItems: "flex-end",
-                                  gap: 1,
-                                  minWidth: 80,
-                                }}
-                              >
-                                <span
-                                  style={{
-                                    display: "flex",
-                                    alignItems: "center",
-                                    gap: 3,
-                                    fontSize: 14,
-                                    color: darkMode ? COLOR_DARK_TEXT : COLOR_LIGHT_TEXT,
-                                  }}
-                                >
-                                  <span>{item["Pris exkl. moms (värde)"]}</span>
-                                  <span style={{ fontSize: 12, color: darkMode ? COLOR_DARK_FADED : COLOR_LIGHT_FADED, marginLeft: 2 }}>
-                                    {item["Pris exkl. moms (enhet)"]}
-                                  </span>
-                                </span>
-                                <span
-                                  style={{
-                                    display: "flex",
-                                    alignItems: "center",
-                                    gap: 3,
-                                    fontSize: 14,
-                                    color: darkMode ? COLOR_DARK_TEXT : COLOR_LIGHT_TEXT,
-                                  }}
-                                >
-                                  <span>{item["Pris inkl. moms (värde)"]}</span>
-                                  <span style={{ fontSize: 12, color: darkMode ? COLOR_DARK_FADED : COLOR_LIGHT_FADED, marginLeft: 2 }}>
-                                    {item["Pris inkl. moms (enhet)"]}
-                                  </span>
-                                </span>
-                              </div>
-                            </div>
-                          );
-                        })}
-                      </div>
+                        {t("app.clearAll")}
+                      </button>
                     )}
-                  </Card>
+                  </div>
+                )}
+                <div style={{ display: "flex", gap: 16, alignItems: "flex-start" }}>
+                  {isWide && filterSidebarOpen && hasFileUploaded && !shortlistOpen && (
+                    <FilterPanel
+                      variant="sidebar"
+                      facetCounts={facetCounts}
+                      rangeBounds={rangeBounds}
+                      filters={filters}
+                      onChange={setFilters}
+                      sortKey={sortKey}
+                      onSortChange={setSortKey}
+                      groupedMode={groupedMode}
+                      onGroupedModeChange={setGroupedMode}
+                      displayUnits={displayUnits}
+                      onDisplayUnitsChange={setDisplayUnits}
+                      priceSettings={priceSettings}
+                      onPriceSettingsChange={setPriceSettings}
+                      resultCount={filtered.length}
+                    />
+                  )}
+                  <div style={{ flex: 1, minWidth: 0 }}>
+                    <Card
+                      style={{
+                        background: colors.background,
+                        border: "none",
+                        boxShadow: "none",
+                        color: colors.text,
+                        margin: 0,
+                        padding: 0,
+                        borderRadius: 0,
+                        transition: "background 0.18s,color 0.18s",
+                      }}
+                    >
+                      {shortlistOpen ? (
+                        <ShortlistView
+                          shortlists={shortlists}
+                          onChange={setShortlists}
+                          resolveProduct={(sku) => productsBySku.get(sku) || null}
+                          catalogName={getCatalogName(catalogMeta, t)}
+                          onSelectProduct={handleRowSelect}
+                          displayUnits={displayUnits}
+                          priceSettings={priceSettings}
+                          onClose={() => setShortlistOpen(false)}
+                        />
+                      ) : filtered.length === 0 && hasFileUploaded ? (
+                        <div
+                          style={{
+                            textAlign: "center",
+                            color: colors.textMuted,
+                            padding: "1em 0",
+                            fontSize: 17,
+                          }}
+                        >
+                          {/* No icon here */}
+                          <div style={{ marginTop: 8 }}>
+                            <strong style={{ color: colors.text }}>
+                              {searchPending ? t("app.searching") : t("app.noMatches")}
+                            </strong>
+                          </div>
+                          {!searchPending && (
+                            <div style={{ display: "flex", justifyContent: "center", marginTop: 12 }}>
+                              {renderSavedSearches()}
+                            </div>
+                          )}
+                        </div>
+                      ) : (
+                        <div style={{ background: colors.background }}>
+                          <VirtualList
+                            items={listRows}
+                            itemHeight={rowHeight}
+                            label={t("app.results")}
+                            listboxRef={listboxRef}
+                            optionId={resultOptionId}
+                            activeIndex={activeIndex}
+                            onActiveIndexChange={setActiveIndex}
+                            onActivate={(idx) => handleRowSelect(listRows[idx].product)}
+                            scrollMarginTop={HEADER_HEIGHT}
+                            renderItem={({ product: item, group }, idx, active) => (
+                              <ProductRow
+                                key={`${productCatalogIds.get(item) || ""}:${item["Artikelnummer"] || idx}`}
+                                item={item}
+                                group={group}
+                                height={rowHeight}
+                                catalogLabel={getProductCatalogLabel(item)}
+                                isLast={idx === listRows.length - 1}
+                                onSelect={handleRowSelect}
+                                starred={starredSkus.has(productSku(item))}
+                                onToggleStar={handleToggleStar}
+                                measurement={rowMeasurement}
+                                displayUnits={displayUnits}
+                                priceSettings={priceSettings}
+                                optionId={resultOptionId(idx)}
+                                active={active}
+                                position={idx + 1}
+                                setSize={listRows.length}
+                              />
+                            )}
+                          />
+                        </div>
+                      )}
+                    </Card>
+                  </div>
                 </div>
               </>
             )}
@@ -555,16 +1485,100 @@ export default function App() {
         {/* ProductCard Popup */}
         <ProductCard
           product={selectedProduct}
-          allProducts={products}
-          onClose={() => setSelectedProduct(null)}
-          darkMode={darkMode}
+          allProducts={selectedCatalogRows}
+          onClose={closeProduct}
+          displayUnits={displayUnits}
+          priceSettings={priceSettings}
+          shortlists={shortlists}
+          onToggleShortlist={(listId, product) =>
+            setShortlists((current) => toggleListItem(current, listId, product))
+          }
+          quoteQuantity={selectedProduct ? quotedQuantity(quote, selectedProduct) : 0}
+          onAddToQuote={(product) => setQuote((current) => addToQuote(current, product, priceSettings))}
+          compared={selectedProduct ? isCompared(compareItems, selectedProduct) : false}
+          compareFull={compareItems.length >= MAX_COMPARE}
+          onToggleCompare={(product) => setCompareItems((current) => toggleCompare(current, product))}
+          onShowRelated={handleShowRelated}
+          variants={selectedVariants}
+          onSelectVariant={setSelectedProduct}
+          onPrevious={canStep && selectedListIndex > 0 ? () => stepProduct(-1) : undefined}
+          onNext={canStep && selectedListIndex < listRows.length - 1 ? () => stepProduct(1) : undefined}
           onProductSelect={rel => {
-            // Always pick from products list for correct object identity
-            const match = products.find(p => p["Artikelnummer"] === rel["Artikelnummer"]);
-            setSelectedProduct(match || rel);
+            // Always pick from the catalog's rows for correct object identity
+            const match = selectedCatalogRows.find(p => p["Artikelnummer"] === rel["Artikelnummer"]);
+            openProduct(match || rel);
           }}
         />
+        {qcOpen && qualityReport && (
+          <QualityReport
+            report={qualityReport}
+            catalogName={getCatalogName(catalogMeta, t)}
+            onShowAffected={handleShowAffected}
+            onClose={() => setQcOpen(false)}
+          />
+        )}
+        {!isWide && filterDrawerOpen && (
+          <FilterPanel
+            variant="drawer"
+            facetCounts={facetCounts}
+            rangeBounds={rangeBounds}
+            filters={filters}
+            onChange={setFilters}
+            sortKey={sortKey}
+            onSortChange={setSortKey}
+            groupedMode={groupedMode}
+            onGroupedModeChange={setGroupedMode}
+            displayUnits={displayUnits}
+            onDisplayUnitsChange={setDisplayUnits}
+            priceSettings={priceSettings}
+            onPriceSettingsChange={setPriceSettings}
+            resultCount={filtered.length}
+            onClose={() => setFilterDrawerOpen(false)}
+          />
+        )}
+        {quoteOpen && (
+          <QuotePanel
+            quote={quote}
+            onChange={setQuote}
+            onClose={() => setQuoteOpen(false)}
+          />
+        )}
+        {compareOpen && (
+          <CompareView
+            products={compareItems}
+            displayUnits={displayUnits}
+            priceSettings={priceSettings}
+            onRemove={(product) => setCompareItems((current) => toggleCompare(current, product))}
+            onClear={() => {
+              setCompareItems([]);
+              setCompareOpen(false);
+            }}
+            onSelectProduct={(product) => {
+              setCompareOpen(false);
+              openProduct(product);
+            }}
+            onClose={() => setCompareOpen(false)}
+          />
+        )}
+        {exportOpen && (
+          <ExportDialog
+            products={filtered}
+            query={search}
+            onClose={() => setExportOpen(false)}
+          />
+        )}
+        {diffOpen && (
+          <CatalogDiff
+            catalogs={catalogs}
+            catalogRows={catalogRows}
+            onLoadCatalog={loadCatalogInBackground}
+            onClose={() => setDiffOpen(false)}
+          />
+        )}
+        <UpdatePrompt />
       </AppProvider>
+      </ThemeProvider>
+      </I18nProvider>
     </div>
   );
 }
\ No newline at end of file
@@ -0,0 +1,394 @@
+/**
+ * CatalogDiff.jsx
+ *
+ * Full-screen overlay comparing two imported catalogs, keyed on Artikelnummer.
+ * - Tabs for new, removed and changed SKUs.
+ * - Changed products list each differing field with old and new value side by side.
+ * - Price changes are highlighted with absolute and percentage deltas.
+ * - Export of the whole diff to XLSX.
+ * - Long lists render in pages so huge diffs stay responsive on mobile.
+ */
+
+import React, { useState, useEffect, useMemo, useRef } from "react";
+import { X, DownloadSimple, ArrowRight } from "phosphor-react";
+import { getCatalogName } from "./catalogStore.js";
+import { diffCatalogs, hasPriceChange, exportDiffToXlsx } from "./catalogDiff.js";
+import { parsePriceUnit } from "./prices.js";
+import { parseNumber } from "./numberFormat.js";
+import useDialogFocus from "./useDialogFocus.js";
+import { useI18n } from "./i18n.js";
+import { useTheme } from "./theme.js";
+
+const PAGE_SIZE = 100;
+
+export default function CatalogDiff({
+  catalogs,
+  catalogRows,
+  onLoadCatalog,
+  onClose,
+}) {
+  const i18n = useI18n();
+  const { t, fieldLabel, formatNumber, formatPrice } = i18n;
+  const { colors } = useTheme();
+  const dialogRef = useRef(null);
+  useDialogFocus(dialogRef, onClose);
+
+  // Default: previous import vs. latest import
+  const [oldId, setOldId] = useState(
+    catalogs.length > 1 ? catalogs[catalogs.length - 2].id : ""
+  );
+  const [newId, setNewId] = useState(
+    catalogs.length > 0 ? catalogs[catalogs.length - 1].id : ""
+  );
+  const [tab, setTab] = useState("changed");
+  const [priceOnly, setPriceOnly] = useState(false);
+  const [visibleCount, setVisibleCount] = useState(PAGE_SIZE);
+
+  useEffect(() => {
+    if (oldId) onLoadCatalog(oldId);
+    if (newId) onLoadCatalog(newId);
+  }, [oldId, newId, onLoadCatalog]);
+
+  useEffect(() => {
+    setVisibleCount(PAGE_SIZE);
+  }, [oldId, newId, tab, priceOnly]);
+
+  const oldRows = catalogRows[oldId];
+  const newRows = catalogRows[newId];
+  const diff = useMemo(() => {
+    if (!oldRows || !newRows || oldId === newId) return null;
+    return diffCatalogs(oldRows, newRows);
+  }, [oldRows, newRows, oldId, newId]);
+
+  const oldMeta = catalogs.find((c) => c.id === oldId);
+  const newMeta = catalogs.find((c) => c.id === newId);
+
+  const textColor = colors.text;
+  const fadedColor = colors.textMuted;
+  const borderColor = colors.border;
+  const accent = colors.accent;
+  const upColor = colors.error;
+  const downColor = colors.success;
+  const priceBg = colors.highlight;
+
+  const changedList = diff
+    ? priceOnly ? diff.changed.filter(hasPriceChange) : diff.changed
+    : [];
+  const listForTab = !diff
+    ? []
+    : tab === "added" ? diff.added : tab === "removed" ? diff.removed : changedList;
+
+  const selectStyle = {
+    flex: 1,
+    minWidth: 0,
+    height: 36,
+    borderRadius: 6,
+    border: `1px solid ${borderColor}`,
+    background: colors.input,
+    color: textColor,
+    fontSize: 15,
+    padding: "0 6px",
+  };
+
+  function renderTab(key, label, count) {
+    const active = tab === key;
+    return (
+      <button
+        key={key}
+        type="button"
+        onClick={() => setTab(key)}
+        style={{
+          flex: 1,
+          padding: "8px 4px",
+          background: "none",
+          border: "none",
+          borderBottom: `2px solid ${active ? accent : "transparent"}`,
+          color: active ? accent : textColor,
+          fontWeight: active ? 700 : 500,
+          fontSize: 14,
+          cursor: "pointer",
+        }}
+        aria-pressed={active}
+      >
+        {label} ({count})
+      </button>
+    );
+  }
+
+  function renderPriceDelta(price) {
+    if (!price) return null;
+    const color = price.delta > 0 ? upColor : downColor;
+    const sign = price.delta > 0 ? "+" : "";
+    return (
+      <div style={{ color, fontWeight: 700, fontSize: 13, marginTop: 2 }}>
+        {sign}{formatNumber(price.delta)}
+        {price.percent !== null && ` (${sign}${formatNumber(price.percent, 1)} %)`}
+      </div>
+    );
+  }
+
+  // The catalog's own exkl. price (not derived), in its currency; unparsable text as is
+  function renderProductLine(product) {
+    const priceValue = parseNumber(product["Pris exkl. moms (värde)"]);
+    const { currency, per } = parsePriceUnit(product["Pris exkl. moms (enhet)"]);
+    return (
+      <div
+        key={product["Artikelnummer"]}
+        style={{
+          display: "flex",
+          gap: 10,
+          padding: "7px 0",
+          borderBottom: `1px solid ${borderColor}`,
+          alignItems: "center",
+        }}
+      >
+        <div style={{ flex: 1, minWidth: 0 }}>
+          <div
+            style={{
+              fontWeight: 600,
+              textTransform: "uppercase",
+              whiteSpace: "nowrap",
+              overflow: "hidden",
+              textOverflow: "ellipsis",
+            }}
+            title={product["Namn"]}
+          >
+            {product["Namn"] || t("product.unnamed")}
+          </div>
+          <div style={{ color: colors.sku, fontWeight: 600, fontSize: 13 }}>
+            {product["Artikelnummer"]}
+          </div>
+        </div>
+        <div style={{ fontSize: 14, textAlign: "right" }}>
+          {priceValue === null ? product["Pris exkl. moms (värde)"] : formatPrice(priceValue, currency)}
+          {per && <span style={{ color: fadedColor, fontSize: 12 }}> /{per}</span>}
+        </div>
+      </div>
+    );
+  }
+
+  function renderChangedEntry(entry) {
+    return (
+      <div
+        key={entry.sku}
+        style={{ padding: "10px 0", borderBottom: `1px solid ${borderColor}` }}
+      >
+        <div
+          style={{
+            fontWeight: 600,
+            textTransform: "uppercase",
+            whiteSpace: "nowrap",
+            overflow: "hidden",
+            textOverflow: "ellipsis",
+          }}
+          title={entry.newProduct["Namn"]}
+        >
+          {entry.newProduct["Namn"] || t("product.unnamed")}
+        </div>
+        <div style={{ color: colors.sku, fontWeight: 600, fontSize: 13, marginBottom: 6 }}>
+          {entry.sku}
+        </div>
+        {entry.changes.map((change) => (
+          <div
+            key={change.field}
+            style={{
+              display: "grid",
+              gridTemplateColumns: "minmax(90px, 1fr) 1fr auto 1fr",
+              gap: 6,
+              alignItems: "start",
+              fontSize: 13,
+              padding: "4px 6px",
+              borderRadius: 6,
+              background: change.price ? priceBg : "transparent",
+            }}
+          >
+            <span style={{ color: fadedColor, wordBreak: "break-word" }}>{fieldLabel(change.field)}</span>
+            <span style={{ wordBreak: "break-word", textDecoration: "line-through", color: fadedColor }}>
+              {change.oldValue || "–"}
+            </span>
+            <ArrowRight size={14} style={{ marginTop: 2, color: fadedColor }} />
+            <span style={{ wordBreak: "break-word", fontWeight: 600 }}>
+              {change.newValue || "–"}
+              {renderPriceDelta(change.price)}
+            </span>
+          </div>
+        ))}
+      </div>
+    );
+  }
+
+  return (
+    <div
+      style={{
+        position: "fixed",
+        inset: 0,
+        background: colors.backdrop,
+        zIndex: 9999,
+        display: "flex",
+        alignItems: "center",
+        justifyContent: "center",
+      }}
+      onClick={onClose}
+    >
+      <div
+        ref={dialogRef}
+        role="dialog"
+        aria-modal="true"
+        tabIndex={-1}
+        aria-label={t("diff.title")}
+        onClick={(e) => e.stopPropagation()}
+        style={{
+          outline: "none",
+          background: colors.surface,
+          color: textColor,
+          borderRadius: 12,
+          maxWidth: 720,
+          width: "99vw",
+          maxHeight: "94vh",
+          display: "flex",
+          flexDirection: "column",
+          padding: 16,
+          boxShadow: `0 4px 32px ${colors.shadow}`,
+          border: `1px solid ${colors.outline}`,
+          boxSizing: "border-box",
+        }}
+      >
+        <div style={{ display: "flex", alignItems: "center", marginBottom: 10 }}>
+          <strong style={{ flex: 1, fontSize: 18 }}>{t("diff.title")}</strong>
+          <button
+            type="button"
+            onClick={onClose}
+            style={{ background: "none", border: "none", color: fadedColor, cursor: "pointer", padding: 4 }}
+            aria-label={t("common.close")}
+          >
+            <X size={22} />
+          </button>
+        </div>
+        <div style={{ display: "flex", alignItems: "center", gap: 8, marginBottom: 10 }}>
+          <select
+            value={oldId}
+            onChange={(e) => setOldId(e.target.value)}
+            style={selectStyle}
+            aria-label={t("diff.oldCatalog")}
+          >
+            {catalogs.map((c) => (
+              <option key={c.id} value={c.id}>{getCatalogName(c, t)}</option>
+            ))}
+          </select>
+          <ArrowRight size={18} style={{ flexShrink: 0 }} />
+          <select
+            value={newId}
+            onChange={(e) => setNewId(e.target.value)}
+            style={selectStyle}
+            aria-label={t("diff.newCatalog")}
+          >
+            {catalogs.map((c) => (
+              <option key={c.id} value={c.id}>{getCatalogName(c, t)}</option>
+            ))}
+          </select>
+        </div>
+        {oldId === newId ? (
+          <div style={{ color: fadedColor, padding: "1em 0", textAlign: "center" }}>
+            {t("diff.chooseTwo")}
+          </div>
+        ) : !diff ? (
+          <div style={{ color: fadedColor, padding: "1em 0", textAlign: "center" }}>
+            {t("diff.loading")}
+          </div>
+        ) : (
+          <>
+            <div style={{ display: "flex", borderBottom: `1px solid ${borderColor}` }}>
+              {renderTab("added", t("diff.added"), diff.added.length)}
+              {renderTab("removed", t("diff.removed"), diff.removed.length)}
+              {renderTab("changed", t("diff.changed"), diff.changed.length)}
+            </div>
+            <div
+              style={{
+                display: "flex",
+                alignItems: "center",
+                gap: 12,
+                flexWrap: "wrap",
+                padding: "8px 0",
+                fontSize: 13,
+                color: fadedColor,
+              }}
+            >
+              <span style={{ flex: 1 }}>
+                {t("diff.unchanged", { count: diff.unchangedCount })}
+                {(diff.missingSku.old + diff.missingSku.new) > 0 &&
+                  ` · ${t("diff.missingSku", { count: diff.missingSku.old + diff.missingSku.new })}`}
+                {(diff.duplicateSku.old + diff.duplicateSku.new) > 0 &&
+                  ` · ${t("diff.duplicates", { count: diff.duplicateSku.old + diff.duplicateSku.new })}`}
+              </span>
+              {tab === "changed" && (
+                <label style={{ display: "flex", alignItems: "center", gap: 6, color: textColor }}>
+                  <input
+                    type="checkbox"
+                    checked={priceOnly}
+                    onChange={(e) => setPriceOnly(e.target.checked)}
+                  />
+                  {t("diff.priceOnly")}
+                </label>
+              )}
+              <button
+                type="button"
+                onClick={() =>
+                  exportDiffToXlsx(
+                    diff,
+                    {
+                      oldName: getCatalogName(oldMeta, t),
+                      newName: getCatalogName(newMeta, t),
+                    },
+                    i18n
+                  )
+                }
+                style={{
+                  display: "flex",
+                  alignItems: "center",
+                  gap: 6,
+                  padding: "6px 10px",
+                  borderRadius: 6,
+                  border: `1px solid ${accent}`,
+                  background: "none",
+                  color: accent,
+                  fontWeight: 600,
+                  cursor: "pointer",
+                }}
+              >
+                <DownloadSimple size={16} /> XLSX
+              </button>
+            </div>
+            <div style={{ overflowY: "auto", flex: 1, minHeight: 0 }}>
+              {listForTab.length === 0 && (
+                <div style={{ color: fadedColor, padding: "1em 0", textAlign: "center" }}>
+                  {t("diff.noDifferences")}
+                </div>
+              )}
+              {listForTab
+                .slice(0, visibleCount)
+                .map((item) => (tab === "changed" ? renderChangedEntry(item) : renderProductLine(item)))}
+              {listForTab.length > visibleCount && (
+                <button
+                  type="button"
+                  onClick={() => setVisibleCount((n) => n + PAGE_SIZE)}
+                  style={{
+                    display: "block",
+                    margin: "12px auto",
+                    padding: "8px 16px",
+                    borderRadius: 6,
+                    border: `1px solid ${borderColor}`,
+                    background: "none",
+                    color: textColor,
+                    cursor: "pointer",
+                  }}
+                >
+                  {t("qc.showMore", { count: listForTab.length - visibleCount })}
+                </button>
+              )}
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,216 @@
+/**
+ * CatalogSwitcher.jsx
+ *
+ * Header dropdown for choosing the active catalog (workspace).
+ * - Lists every stored catalog with its row count; tap to activate.
+ * - "Sök i alla kataloger" toggles searching across all catalogs.
+ * - Rename and delete act on the active catalog.
+ * - "Jämför kataloger" opens the diff view when there are two or more catalogs.
+ * - Touch-friendly: no hover-only UI, closes on outside tap.
+ */
+
+import React, { useState, useRef, useEffect } from "react";
+import { Stack, Check, PencilSimple, Trash, GitDiff } from "phosphor-react";
+import { getCatalogName } from "./catalogStore.js";
+import { useI18n } from "./i18n.js";
+import { useTheme } from "./theme.js";
+
+const ICON_SIZE = 22;
+
+export default function CatalogSwitcher({
+  catalogs,
+  activeCatalogId,
+  searchAllCatalogs,
+  onSelectCatalog,
+  onToggleSearchAll,
+  onRenameCatalog,
+  onDeleteCatalog,
+  onCompareCatalogs,
+}) {
+  const { t, locale } = useI18n();
+  const { colors } = useTheme();
+  const [open, setOpen] = useState(false);
+  const rootRef = useRef(null);
+
+  // Close on outside tap/click
+  useEffect(() => {
+    if (!open) return;
+    function handlePointerDown(e) {
+      if (rootRef.current && !rootRef.current.contains(e.target)) setOpen(false);
+    }
+    document.addEventListener("pointerdown", handlePointerDown);
+    return () => document.removeEventListener("pointerdown", handlePointerDown);
+  }, [open]);
+
+  if (!catalogs || catalogs.length === 0) return null;
+
+  const active = catalogs.find((c) => c.id === activeCatalogId);
+  const textColor = colors.text;
+  const fadedColor = colors.textMuted;
+  const accent = colors.accent;
+
+  const itemStyle = {
+    display: "flex",
+    alignItems: "center",
+    gap: 8,
+    width: "100%",
+    minHeight: 40,
+    padding: "6px 12px",
+    background: "none",
+    border: "none",
+    color: textColor,
+    fontSize: 15,
+    textAlign: "left",
+    cursor: "pointer",
+  };
+
+  return (
+    <div ref={rootRef} style={{ position: "relative" }}>
+      <button
+        type="button"
+        onClick={() => setOpen((v) => !v)}
+        style={{
+          display: "flex",
+          alignItems: "center",
+          gap: 6,
+          height: 36,
+          maxWidth: 160,
+          padding: "0 8px",
+          borderRadius: 6,
+          background: "none",
+          border: "none",
+          color: searchAllCatalogs ? accent : textColor,
+          cursor: "pointer",
+        }}
+        title={searchAllCatalogs ? t("catalogs.all") : getCatalogName(active, t)}
+        aria-label={t("catalogs.choose")}
+        aria-haspopup="menu"
+        aria-expanded={open}
+      >
+        <Stack size={ICON_SIZE} weight="duotone" style={{ flexShrink: 0 }} />
+        <span
+          className="header-catalog-name"
+          style={{
+            fontSize: 14,
+            fontWeight: 600,
+            whiteSpace: "nowrap",
+            overflow: "hidden",
+            textOverflow: "ellipsis",
+          }}
+        >
+          {searchAllCatalogs ? t("catalogs.all") : getCatalogName(active, t)}
+        </span>
+      </button>
+      {open && (
+        <div
+          role="menu"
+          style={{
+            position: "absolute",
+            top: 40,
+            right: 0,
+            width: 260,
+            maxWidth: "90vw",
+            maxHeight: "70vh",
+            overflowY: "auto",
+            background: colors.surface,
+            border: `1px solid ${colors.outline}`,
+            borderRadius: 8,
+            boxShadow: `0 4px 24px ${colors.shadow}`,
+            padding: "6px 0",
+            zIndex: 1200,
+          }}
+        >
+          {catalogs.map((c) => {
+            const isActive = c.id === activeCatalogId;
+            return (
+              <button
+                key={c.id}
+                type="button"
+                role="menuitemradio"
+                aria-checked={isActive}
+                style={itemStyle}
+                onClick={() => {
+                  onSelectCatalog(c.id);
+                  setOpen(false);
+                }}
+              >
+                <span style={{ width: 18, display: "flex", color: accent }}>
+                  {isActive && <Check size={16} weight="bold" />}
+                </span>
+                <span style={{ flex: 1, minWidth: 0 }}>
+                  <span
+                    style={{
+                      display: "block",
+                      fontWeight: isActive ? 700 : 500,
+                      whiteSpace: "nowrap",
+                      overflow: "hidden",
+                      textOverflow: "ellipsis",
+                    }}
+                    title={getCatalogName(c, t)}
+                  >
+                    {getCatalogName(c, t)}
+                  </span>
+                  <span style={{ display: "block", fontSize: 12, color: fadedColor }}>
+                    {t("catalogs.rows", { count: c.rowCount })} · {new Date(c.importedAt).toLocaleDateString(locale)}
+                  </span>
+                </span>
+              </button>
+            );
+          })}
+          <hr style={{ margin: "6px 0", border: "none", borderTop: `1px solid ${colors.border}` }} />
+          <label style={{ ...itemStyle, cursor: "pointer" }}>
+            <input
+              type="checkbox"
+              checked={searchAllCatalogs}
+              onChange={(e) => onToggleSearchAll(e.target.checked)}
+              style={{ width: 18, height: 18, margin: 0 }}
+            />
+            {t("catalogs.searchAll")}
+          </label>
+          {catalogs.length > 1 && onCompareCatalogs && (
+            <button
+              type="button"
+              role="menuitem"
+              style={itemStyle}
+              onClick={() => {
+                setOpen(false);
+                onCompareCatalogs();
+              }}
+            >
+              <GitDiff size={18} style={{ width: 18 }} />
+              {t("catalogs.compare")}
+            </button>
+          )}
+          {active && (
+            <>
+              <button
+                type="button"
+                role="menuitem"
+                style={itemStyle}
+                onClick={() => {
+                  setOpen(false);
+                  onRenameCatalog(active.id);
+                }}
+              >
+                <PencilSimple size={18} style={{ width: 18 }} />
+                {t("catalogs.rename")}
+              </button>
+              <button
+                type="button"
+                role="menuitem"
+                style={{ ...itemStyle, color: colors.error }}
+                onClick={() => {
+                  setOpen(false);
+                  onDeleteCatalog(active.id);
+                }}
+              >
+                <Trash size={18} style={{ width: 18 }} />
+                {t("catalogs.delete")}
+              </button>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
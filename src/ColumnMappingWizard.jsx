@@ -0,0 +1,285 @@
+/**
+ * ColumnMappingWizard.jsx
+ *
+ * Overlay shown by CsvImport when uploaded columns don't line up with PRODUCT_FIELDS.
+ * - One row per uploaded column, with sample values from the first rows.
+ * - Dropdown maps each column to a canonical field or "Ignorera".
+ * - A canonical field can only be the target of one column; picking it again
+ *   moves it and the previous column becomes ignored.
+ * - Existing mapping profiles can be applied, and the result saved as a named
+ *   profile that is auto-applied to files with the same header signature.
+ * - Mobile-first: single column list, full-width selects, touch-sized buttons.
+ */
+
+import React, { useState, useMemo, useRef } from "react";
+import { X, Trash } from "phosphor-react";
+import { PRODUCT_FIELDS } from "./productFields.js";
+import { IGNORE } from "./fieldMapping.js";
+import { listProfiles, deleteProfile, applyProfile } from "./mappingProfiles.js";
+import useDialogFocus from "./useDialogFocus.js";
+import { useI18n } from "./i18n.js";
+import { useTheme } from "./theme.js";
+
+const PREVIEW_VALUES = 3;
+
+export default function ColumnMappingWizard({
+  fileName,
+  uploadedFields,
+  previewRows,
+  initialMapping,
+  onConfirm,
+  onCancel,
+}) {
+  const { t, fieldLabel } = useI18n();
+  const { colors } = useTheme();
+  const dialogRef = useRef(null);
+  useDialogFocus(dialogRef, onCancel);
+
+  // Non-canonical initial targets (unrecognized headers) start out ignored
+  const [mapping, setMapping] = useState(() => {
+    const result = {};
+    uploadedFields.forEach((f) => {
+      result[f] = PRODUCT_FIELDS.includes(initialMapping[f]) ? initialMapping[f] : IGNORE;
+    });
+    return result;
+  });
+  const [profiles, setProfiles] = useState(listProfiles);
+  const [saveProfile, setSaveProfile] = useState(true);
+  const [profileName, setProfileName] = useState(
+    String(fileName || "").replace(/\.[^.]+$/, "") || t("mapping.newProfile")
+  );
+
+  const usedFields = useMemo(() => new Set(Object.values(mapping)), [mapping]);
+  const missing = PRODUCT_FIELDS.filter((f) => !usedFields.has(f));
+
+  const textColor = colors.text;
+  const fadedColor = colors.textMuted;
+  const borderColor = colors.border;
+  const accent = colors.accent;
+  const inputStyle = {
+    width: "100%",
+    height: 36,
+    borderRadius: 6,
+    border: `1px solid ${borderColor}`,
+    background: colors.input,
+    color: textColor,
+    fontSize: 15,
+    padding: "0 6px",
+    boxSizing: "border-box",
+  };
+
+  function setColumnTarget(column, target) {
+    setMapping((current) => {
+      const next = { ...current };
+      if (target !== IGNORE) {
+        Object.keys(next).forEach((f) => {
+          if (next[f] === target) next[f] = IGNORE;
+        });
+      }
+      next[column] = target;
+      return next;
+    });
+  }
+
+  function handleApplyProfile(name) {
+    const profile = profiles.find((p) => p.name === name);
+    if (!profile) return;
+    setMapping((current) => applyProfile(profile, uploadedFields, current));
+    setProfileName(profile.name);
+  }
+
+  function handleDeleteProfile(name) {
+    if (!window.confirm(t("mapping.deleteProfileConfirm", { name }))) return;
+    deleteProfile(name);
+    setProfiles(listProfiles());
+  }
+
+  function samplesFor(column) {
+    return previewRows
+      .map((row) => String(row[column] ?? "").trim())
+      .filter(Boolean)
+      .slice(0, PREVIEW_VALUES);
+  }
+
+  const buttonStyle = {
+    minHeight: 40,
+    padding: "0 18px",
+    borderRadius: 6,
+    fontSize: 15,
+    fontWeight: 600,
+    cursor: "pointer",
+  };
+
+  return (
+    <div
+      style={{
+        position: "fixed",
+        inset: 0,
+        background: colors.backdrop,
+        zIndex: 9999,
+        display: "flex",
+        alignItems: "center",
+        justifyContent: "center",
+      }}
+    >
+      <div
+        ref={dialogRef}
+        role="dialog"
+        aria-modal="true"
+        tabIndex={-1}
+        aria-label={t("mapping.title")}
+        style={{
+          outline: "none",
+          background: colors.surface,
+          color: textColor,
+          borderRadius: 12,
+          maxWidth: 570,
+          width: "99vw",
+          maxHeight: "94vh",
+          display: "flex",
+          flexDirection: "column",
+          padding: 16,
+          boxShadow: `0 4px 32px ${colors.shadow}`,
+          border: `1px solid ${colors.outline}`,
+          boxSizing: "border-box",
+        }}
+      >
+        <div style={{ display: "flex", alignItems: "center", marginBottom: 4 }}>
+          <strong style={{ flex: 1, fontSize: 18 }}>{t("mapping.title")}</strong>
+          <button
+            type="button"
+            onClick={onCancel}
+            style={{ background: "none", border: "none", color: fadedColor, cursor: "pointer", padding: 4 }}
+            aria-label={t("mapping.cancelImport")}
+          >
+            <X size={22} />
+          </button>
+        </div>
+        <div style={{ fontSize: 13, color: fadedColor, marginBottom: 10 }}>
+          {fileName} · {t("mapping.intro", { count: uploadedFields.length })}
+        </div>
+
+        {profiles.length > 0 && (
+          <div style={{ display: "flex", gap: 8, alignItems: "center", marginBottom: 10 }}>
+            <select
+              defaultValue=""
+              onChange={(e) => handleApplyProfile(e.target.value)}
+              style={inputStyle}
+              aria-label={t("mapping.applyProfile")}
+            >
+              <option value="" disabled>{t("mapping.applySavedProfile")}</option>
+              {profiles.map((p) => (
+                <option key={p.name} value={p.name}>{p.name}</option>
+              ))}
+            </select>
+            <button
+              type="button"
+              onClick={() => handleDeleteProfile(profileName)}
+              disabled={!profiles.some((p) => p.name === profileName)}
+              style={{ background: "none", border: "none", color: fadedColor, cursor: "pointer", padding: 4 }}
+              title={t("mapping.deleteProfile")}
+              aria-label={t("mapping.deleteProfile")}
+            >
+              <Trash size={20} />
+            </button>
+          </div>
+        )}
+
+        <div style={{ overflowY: "auto", flex: 1, minHeight: 0 }}>
+          {uploadedFields.map((column) => {
+            const samples = samplesFor(column);
+            const target = mapping[column];
+            return (
+              <div
+                key={column}
+                style={{
+                  padding: "8px 0",
+                  borderBottom: `1px solid ${borderColor}`,
+                  opacity: target === IGNORE ? 0.7 : 1,
+                }}
+              >
+                <div style={{ fontWeight: 600, fontSize: 15, wordBreak: "break-word" }}>{column}</div>
+                <div
+                  style={{
+                    fontSize: 12,
+                    color: fadedColor,
+                    whiteSpace: "nowrap",
+                    overflow: "hidden",
+                    textOverflow: "ellipsis",
+                    margin: "2px 0 6px 0",
+                  }}
+                  title={samples.join(" · ")}
+                >
+                  {samples.length ? samples.join(" · ") : t("mapping.emptyValues")}
+                </div>
+                <select
+                  value={target}
+                  onChange={(e) => setColumnTarget(column, e.target.value)}
+                  style={{
+                    ...inputStyle,
+                    borderColor: target === IGNORE ? borderColor : accent,
+                  }}
+                  aria-label={t("mapping.fieldFor", { column })}
+                >
+                  <option value={IGNORE}>— {t("mapping.ignore")} —</option>
+                  {PRODUCT_FIELDS.map((field) => (
+                    <option key={field} value={field}>
+                      {fieldLabel(field)}
+                      {usedFields.has(field) && field !== target ? ` (${t("mapping.inUse")})` : ""}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            );
+          })}
+          {missing.length > 0 && (
+            <div style={{ color: colors.warning, fontSize: 13, padding: "10px 0" }}>
+              <strong>{t("mapping.missing", { count: missing.length })}</strong> {missing.map(fieldLabel).join(", ")}
+            </div>
+          )}
+        </div>
+
+        <div style={{ borderTop: `1px solid ${borderColor}`, paddingTop: 10, marginTop: 6 }}>
+          <label style={{ display: "flex", alignItems: "center", gap: 8, fontSize: 15, marginBottom: 8 }}>
+            <input
+              type="checkbox"
+              checked={saveProfile}
+              onChange={(e) => setSaveProfile(e.target.checked)}
+              style={{ width: 18, height: 18, margin: 0 }}
+            />
+            {t("mapping.saveProfile")}
+          </label>
+          {saveProfile && (
+            <input
+              type="text"
+              value={profileName}
+              onChange={(e) => setProfileName(e.target.value)}
+              style={{ ...inputStyle, marginBottom: 10 }}
+              aria-label={t("mapping.profileName")}
+              placeholder={t("mapping.profileName")}
+            />
+          )}
+          <div style={{ display: "flex", justifyContent: "flex-end", gap: 10 }}>
+            <button
+              type="button"
+              onClick={onCancel}
+              style={{ ...buttonStyle, background: "none", border: `1px solid ${borderColor}`, color: textColor }}
+            >
+              {t("common.cancel")}
+            </button>
+            <button
+              type="button"
+              onClick={() =>
+                onConfirm(mapping, { profileName: saveProfile ? profileName.trim() : "" })
+              }
+              disabled={saveProfile && !profileName.trim()}
+              style={{ ...buttonStyle, background: accent, border: "none", color: colors.onAccent }}
+            >
+              {t("mapping.import")}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,269 @@
+/**
+ * CompareView.jsx
+ *
+ * Overlay comparing 2-4 products side by side, one column per product.
+ * - Rows: image, name/SKU, prices, Material, Serie, Färg and every measurement,
+ *   each measurement row in one common unit.
+ * - Rows where the values differ are highlighted; "Bara skillnader" hides the rest.
+ * - Price rows follow the price settings; a note explains "≈" derived prices.
+ * - Narrow screens (375px) scroll the table horizontally; the label column is sticky.
+ */
+
+import React, { useState, useRef } from "react";
+import { X, ImageSquare, Trash } from "phosphor-react";
+import { compareRows, MIN_COMPARE } from "./compare.js";
+import { primaryImage } from "./productImages.js";
+import useDialogFocus from "./useDialogFocus.js";
+import { useI18n } from "./i18n.js";
+import { useTheme } from "./theme.js";
+
+const LABEL_WIDTH = 104;
+const COLUMN_WIDTH = 150;
+
+export default function CompareView({
+  products,
+  displayUnits,
+  priceSettings,
+  onRemove,
+  onClear,
+  onSelectProduct,
+  onClose,
+}) {
+  const { t, fieldLabel, locale } = useI18n();
+  const { colors } = useTheme();
+  const dialogRef = useRef(null);
+  useDialogFocus(dialogRef, onClose);
+
+  const [onlyDifferences, setOnlyDifferences] = useState(false);
+  const rows = compareRows(products, displayUnits, locale, fieldLabel, priceSettings);
+  const visibleRows = onlyDifferences ? rows.filter((row) => row.differs) : rows;
+
+  const textColor = colors.text;
+  const fadedColor = colors.textMuted;
+  const borderColor = colors.border;
+  const background = colors.surface;
+  const highlight = colors.highlight;
+
+  const cellStyle = {
+    width: COLUMN_WIDTH,
+    minWidth: COLUMN_WIDTH,
+    padding: "7px 8px",
+    borderBottom: `1px solid ${borderColor}`,
+    verticalAlign: "top",
+    fontSize: 14,
+    overflowWrap: "anywhere",
+    textAlign: "left",
+  };
+  // Sticky label column; needs its own background to cover the scrolled cells
+  const labelStyle = {
+    ...cellStyle,
+    width: LABEL_WIDTH,
+    minWidth: LABEL_WIDTH,
+    position: "sticky",
+    left: 0,
+    zIndex: 1,
+    background,
+    color: fadedColor,
+    fontWeight: 600,
+    fontSize: 13,
+    borderRight: `1px solid ${borderColor}`,
+  };
+
+  return (
+    <div
+      style={{
+        position: "fixed",
+        inset: 0,
+        background: colors.backdrop,
+        zIndex: 9999,
+        display: "flex",
+        alignItems: "center",
+        justifyContent: "center",
+      }}
+      onClick={onClose}
+    >
+      <div
+        ref={dialogRef}
+        role="dialog"
+        aria-modal="true"
+        tabIndex={-1}
+        aria-label={t("compare.title")}
+        onClick={(e) => e.stopPropagation()}
+        style={{
+          outline: "none",
+          background,
+          color: textColor,
+          borderRadius: 12,
+          maxWidth: 760,
+          width: "99vw",
+          maxHeight: "94vh",
+          display: "flex",
+          flexDirection: "column",
+          padding: 16,
+          boxShadow: `0 4px 32px ${colors.shadow}`,
+          border: `1px solid ${colors.outline}`,
+          boxSizing: "border-box",
+        }}
+      >
+        <div style={{ display: "flex", alignItems: "center", marginBottom: 8 }}>
+          <strong style={{ flex: 1, fontSize: 18 }}>{t("app.compareButton", { count: products.length })}</strong>
+          <button
+            type="button"
+            onClick={onClose}
+            style={{ background: "none", border: "none", color: fadedColor, cursor: "pointer", padding: 4 }}
+            aria-label={t("common.close")}
+          >
+            <X size={22} />
+          </button>
+        </div>
+
+        <div style={{ display: "flex", alignItems: "center", gap: 12, marginBottom: 8, fontSize: 14 }}>
+          <label style={{ display: "flex", alignItems: "center", gap: 6, cursor: "pointer" }}>
+            <input
+              type="checkbox"
+              checked={onlyDifferences}
+              onChange={(e) => setOnlyDifferences(e.target.checked)}
+            />
+            {t("compare.onlyDifferences")}
+          </label>
+          <span style={{ flex: 1 }} />
+          <button
+            type="button"
+            onClick={onClear}
+            style={{
+              background: "none",
+              border: "none",
+              color: colors.error,
+              cursor: "pointer",
+              fontSize: 14,
+              padding: 4,
+            }}
+          >
+            {t("compare.clear")}
+          </button>
+        </div>
+
+        {products.length < MIN_COMPARE && (
+          <div style={{ color: fadedColor, fontSize: 14, marginBottom: 8 }}>
+            {t("compare.chooseMore", { count: MIN_COMPARE })}
+          </div>
+        )}
+
+        <div style={{ overflow: "auto", flex: 1, minHeight: 0, WebkitOverflowScrolling: "touch" }}>
+          <table style={{ borderCollapse: "separate", borderSpacing: 0, tableLayout: "fixed" }}>
+            <thead>
+              <tr>
+                <th style={{ ...labelStyle, zIndex: 2 }} scope="col">
+                  <span style={{ position: "absolute", width: 1, height: 1, overflow: "hidden", clip: "rect(0 0 0 0)" }}>
+                    {t("compare.property")}
+                  </span>
+                </th>
+                {products.map((product) => {
+                  const sku = String(product["Artikelnummer"] || "");
+                  const imageUrl = primaryImage(product);
+                  return (
+                    <th key={sku} style={{ ...cellStyle, fontWeight: 400 }} scope="col">
+                      <div style={{ position: "relative" }}>
+                        <button
+                          type="button"
+                          onClick={() => onRemove(product)}
+                          style={{
+                            position: "absolute",
+                            top: 0,
+                            right: 0,
+                            background: background,
+                            border: "none",
+                            borderRadius: 6,
+                            color: fadedColor,
+                            cursor: "pointer",
+                            padding: 4,
+                          }}
+                          aria-label={t("compare.removeSku", { sku })}
+                          title={t("compare.remove")}
+                        >
+                          <Trash size={16} />
+                        </button>
+                        <div
+                          style={{
+                            height: 96,
+                            display: "flex",
+                            alignItems: "center",
+                            justifyContent: "center",
+                            borderRadius: 8,
+                            overflow: "hidden",
+                            background: colors.surfaceAlt,
+                            color: fadedColor,
+                            marginBottom: 6,
+                          }}
+                        >
+                          {imageUrl ? (
+                            <img
+                              src={imageUrl}
+                              alt=""
+                              loading="lazy"
+                              style={{ maxWidth: "100%", maxHeight: "100%", objectFit: "contain" }}
+                            />
+                          ) : (
+                            <ImageSquare size={32} />
+                          )}
+                        </div>
+                        <button
+                          type="button"
+                          onClick={() => onSelectProduct(product)}
+                          style={{
+                            display: "block",
+                            width: "100%",
+                            background: "none",
+                            border: "none",
+                            padding: 0,
+                            color: textColor,
+                            cursor: "pointer",
+                            textAlign: "left",
+                            fontWeight: 600,
+                            fontSize: 14,
+                            textTransform: "uppercase",
+                            overflowWrap: "anywhere",
+                          }}
+                          title={t("compare.showProduct")}
+                        >
+                          {product["Namn"] || <em style={{ color: fadedColor }}>{t("product.unnamed")}</em>}
+                        </button>
+                        <div style={{ color: colors.sku, fontWeight: 600, fontSize: 13 }}>{sku}</div>
+                      </div>
+                    </th>
+                  );
+                })}
+              </tr>
+            </thead>
+            <tbody>
+              {visibleRows.map((row) => (
+                <tr key={row.key}>
+                  <th scope="row" style={{ ...labelStyle, background: row.differs ? highlight : background }}>
+                    {row.label}
+                  </th>
+                  {row.values.map((value, i) => (
+                    <td key={i} style={{ ...cellStyle, background: row.differs ? highlight : "none" }}>
+                      {value || <span style={{ color: fadedColor }}>–</span>}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+              {visibleRows.length === 0 && (
+                <tr>
+                  <td colSpan={products.length + 1} style={{ ...cellStyle, color: fadedColor }}>
+                    {t("compare.noDifferences")}
+                  </td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+          {rows.some((row) => row.derived) && (
+            <div style={{ padding: "8px 0", fontSize: 12, fontStyle: "italic", color: fadedColor }}>
+              {t("prices.derivedNote")}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
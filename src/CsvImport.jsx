@@ -1,66 +1,9 @@
 import React from "react";
-import * as XLSX from "xlsx";
-
-// Canonical Table.se product fields (order matters for export)
-const PRODUCT_FIELDS = [
-  "Namn",
-  "Artikelnummer",
-  "Färg",
-  "Material",
-  "Serie",
-  "Pris exkl. moms (värde)",
-  "Pris exkl. moms (enhet)",
-  "Pris inkl. moms (värde)",
-  "Pris inkl. moms (enhet)",
-  "Längd (värde)", "Längd (enhet)",
-  "Bredd (värde)", "Bredd (enhet)",
-  "Höjd (värde)", "Höjd (enhet)",
-  "Djup (värde)", "Djup (enhet)",
-  "Diameter (värde)", "Diameter (enhet)",
-  "Kapacitet (värde)", "Kapacitet (enhet)",
-  "Volym (värde)", "Volym (enhet)",
-  "Vikt (värde)", "Vikt (enhet)",
-  "Data (text)",
-  "Kategori (parent)",
-  "Kategori (sub)",
-  "Produktbild-URL",
-  "Produkt-URL",
-  "Beskrivning",
-  "Extra data",
-];
-
-// Field normalization for robust mapping, e.g. "Färg" <-> "farg"
-const FIELD_ALIASES = PRODUCT_FIELDS.reduce((acc, field) => {
-  acc[field.toLowerCase()] = field;
-  acc[field.replace(/[\s\-\(\)]/g, "").toLowerCase()] = field;
-  return acc;
-}, {});
-
-// Try to map columns to canonical field names
-function mapFields(uploadedFields) {
-  const mapping = {};
-  uploadedFields.forEach((f) => {
-    const norm = f.trim().toLowerCase();
-    if (FIELD_ALIASES[norm]) {
-      mapping[f] = FIELD_ALIASES[norm];
-    } else if (FIELD_ALIASES[norm.replace(/[\s\-\(\)]/g, "")]) {
-      mapping[f] = FIELD_ALIASES[norm.replace(/[\s\-\(\)]/g, "")];
-    } else {
-      mapping[f] = f; // unmapped, will be flagged as extra/ignored
-    }
-  });
-  return mapping;
-}
-
-// Validate columns: returns { missing: [], extra: [] }
-function validateColumns(mappedFields) {
-  const present = Object.values(mappedFields);
-  const missing = PRODUCT_FIELDS.filter((f) => !present.includes(f));
-  const extra = Object.keys(mappedFields).filter(
-    (f) => !PRODUCT_FIELDS.includes(mappedFields[f])
-  );
-  return { missing, extra };
-}
+import { mapFields, validateColumns, headerSignature } from "./fieldMapping.js";
+import { findProfileBySignature, saveProfile, applyProfile } from "./mappingProfiles.js";
+import ColumnMappingWizard from "./ColumnMappingWizard.jsx";
+import { useI18n } from "./i18n.js";
+import { useTheme } from "./theme.js";
 
 export default function CsvImport({
   onData,
@@ -68,67 +11,158 @@ export default function CsvImport({
   setWarningMessage,
   setErrorMessage,
   onUploadStart,
+  onUploadProgress,
+  onUploadCancel,
 }) {
+  const { t, fieldLabel } = useI18n();
+  const { colors } = useTheme();
   const fileInputRef = React.useRef();
+  // Import worker of the file being read, if any
+  const workerRef = React.useRef(null);
   const [validation, setValidation] = React.useState(null);
+  // Parsed upload waiting for the user to finish the column-mapping wizard
+  const [pendingUpload, setPendingUpload] = React.useState(null);
+
+  /**
+   * Validates the final field map, reports to the parent and has the worker
+   * reduce the rows to canonical fields.
+   */
+  function finishImport({ fileName }, fieldMap, profileName) {
+    const val = validateColumns(fieldMap);
+    setValidation({ ...val, profileName });
+
+    // Message logic for parent
+    if (setWarningMessage) setWarningMessage("");
+    if (setErrorMessage) setErrorMessage("");
+    if (val.missing.length === 0) {
+      if (onAllRequiredColumnsPresent) onAllRequiredColumnsPresent();
+    } else if (val.missing.length > 0 && setWarningMessage) {
+      setWarningMessage(t("import.missingWarning", { fields: val.missing.map(fieldLabel).join(", ") }));
+    }
+
+    // Rows come back mapped in batches; onData runs once they are all in
+    const worker = workerRef.current;
+    if (!worker) return;
+    const rows = [];
+    worker.onmessage = (evt) => {
+      if (workerRef.current !== worker) return;
+      const message = evt.data;
+      if (message.type === "rows") {
+        for (const row of message.rows) rows.push(row);
+      } else if (message.type === "done") {
+        stopWorker();
+        onData(rows, { fileName });
+      } else if (message.type === "error") {
+        failImport(message.message);
+      }
+    };
+    worker.postMessage({ type: "map", fieldMap });
+  }
+
+  function stopWorker() {
+    if (workerRef.current) workerRef.current.terminate();
+    workerRef.current = null;
+  }
+
+  // Stop reading if the component goes away mid-import
+  React.useEffect(() => stopWorker, []);
+
+  /**
+   * Cancels the file currently being read or waiting for its mapping.
+   */
+  function cancelImport() {
+    if (!workerRef.current) return;
+    stopWorker();
+    setPendingUpload(null);
+    if (onUploadCancel) onUploadCancel();
+  }
+
+  function failImport(message) {
+    stopWorker();
+    const text = t("import.readFailed", { error: message });
+    if (setErrorMessage) setErrorMessage(text);
+    if (onUploadCancel) onUploadCancel();
+    alert(text);
+  }
+
+  /**
+   * Continues once the worker has parsed every row: saved profile, automatic
+   * mapping, or the column-mapping wizard.
+   */
+  function handleParsed({ fields: uploadedFields, rowCount, previewRows }, fileName) {
+    if (!rowCount) {
+      failImport(t("import.noRows"));
+      return;
+    }
+    const signature = headerSignature(uploadedFields);
+    const upload = { fileName, signature };
+
+    const fieldMap = mapFields(uploadedFields);
+
+    // A saved profile for this header set (any case or order) is applied without asking
+    const profile = findProfileBySignature(signature);
+    if (profile) {
+      finishImport(upload, applyProfile(profile, uploadedFields, fieldMap), profile.name);
+      return;
+    }
+
+    const val = validateColumns(fieldMap);
+    if (val.missing.length === 0 && val.extra.length === 0) {
+      finishImport(upload, fieldMap, "");
+      return;
+    }
+    setPendingUpload({
+      ...upload,
+      uploadedFields,
+      fieldMap,
+      previewRows,
+    });
+  }
+
+  function handleWizardConfirm(fieldMap, { profileName }) {
+    const upload = pendingUpload;
+    setPendingUpload(null);
+    if (profileName) {
+      saveProfile({ name: profileName, signature: upload.signature, mapping: fieldMap });
+    }
+    finishImport(upload, fieldMap, profileName);
+  }
+
+  function handleWizardCancel() {
+    stopWorker();
+    setPendingUpload(null);
+    if (onUploadCancel) onUploadCancel();
+  }
 
   function handleFile(e) {
     const file = e.target.files[0];
+    // Allow picking the same file again later
+    e.target.value = "";
     if (!file) return;
 
-    if (onUploadStart) onUploadStart();
-
-    const ext = file.name.split('.').pop().toLowerCase();
-    const reader = new FileReader();
-
-    reader.onload = (evt) => {
-      try {
-        let workbook;
-        if (ext === "csv") {
-          // --- CRITICAL: Use string mode for UTF-8 CSVs! ---
-          workbook = XLSX.read(evt.target.result, { type: "string", codepage: 65001 });
-        } else {
-          workbook = XLSX.read(evt.target.result, { type: "binary" });
-        }
-        const sheet = workbook.Sheets[workbook.SheetNames[0]];
-        const rows = XLSX.utils.sheet_to_json(sheet, { defval: "" });
-        if (!rows.length) throw new Error("Filen innehåller inga rader.");
-        const uploadedFields = Object.keys(rows[0]);
-        const fieldMap = mapFields(uploadedFields);
-        const val = validateColumns(fieldMap);
-        setValidation(val);
-
-        // Message logic for parent
-        if (setWarningMessage) setWarningMessage("");
-        if (setErrorMessage) setErrorMessage("");
-        if (val.missing.length === 0) {
-          if (onAllRequiredColumnsPresent) onAllRequiredColumnsPresent();
-        } else if (val.missing.length > 0 && setWarningMessage) {
-          setWarningMessage("Varning: Saknade fält i filen: " + val.missing.join(", "));
-        }
-
-        // Map fields for each row, only canonical fields, fill missing as ""
-        const cleanRows = rows.map((row) => {
-          const result = {};
-          PRODUCT_FIELDS.forEach((canon) => {
-            // Find uploaded field mapped to this canonical field
-            const uploaded = Object.keys(fieldMap).find((uf) => fieldMap[uf] === canon);
-            result[canon] = uploaded ? row[uploaded] : "";
-          });
-          return result;
-        });
-        onData(cleanRows);
-      } catch (err) {
-        if (setErrorMessage) setErrorMessage("Kunde inte läsa filen: " + err.message);
-        alert("Kunde inte läsa filen: " + err.message);
+    // A new file replaces one that is still being read
+    stopWorker();
+    if (onUploadStart) onUploadStart({ cancel: cancelImport });
+
+    // Parsing and mapping run in importWorker.js; the rows stay there until
+    // the field map is chosen
+    const worker = new Worker(new URL("./importWorker.js", import.meta.url), { type: "module" });
+    workerRef.current = worker;
+    worker.onmessage = (evt) => {
+      if (workerRef.current !== worker) return;
+      const message = evt.data;
+      if (message.type === "progress") {
+        if (onUploadProgress) onUploadProgress(message);
+      } else if (message.type === "parsed") {
+        handleParsed(message, file.name);
+      } else if (message.type === "error") {
+        failImport(message.message);
       }
     };
-
-    if (ext === "csv") {
-      reader.readAsText(file, "utf-8"); // This fixes all Swedish/UTF-8 issues!
-    } else {
-      reader.readAsBinaryString(file);
-    }
+    worker.onerror = (evt) => {
+      if (workerRef.current === worker) failImport(evt.message || t("import.unknownError"));
+    };
+    worker.postMessage({ type: "parse", file });
   }
 
   return (
@@ -141,22 +175,38 @@ export default function CsvImport({
         style={{ display: "none" }}
         onChange={handleFile}
       />
-      
+
+      {pendingUpload && (
+        <ColumnMappingWizard
+          fileName={pendingUpload.fileName}
+          uploadedFields={pendingUpload.uploadedFields}
+          previewRows={pendingUpload.previewRows}
+          initialMapping={pendingUpload.fieldMap}
+          onConfirm={handleWizardConfirm}
+          onCancel={handleWizardCancel}
+        />
+      )}
+
       {validation && (
         <div style={{ marginTop: 12, fontSize: 14 }}>
+          {validation.profileName && (
+            <div style={{ color: colors.textMuted, marginBottom: 6 }}>
+              <strong>{t("import.profile")}</strong> {validation.profileName}
+            </div>
+          )}
           {validation.missing.length > 0 && (
-            <div style={{ color: "orange", marginBottom: 6 }}>
-              <strong>Varning:</strong> Saknade fält i filen:
+            <div style={{ color: colors.warning, marginBottom: 6 }}>
+              <strong>{t("import.warning")}</strong> {t("import.missingFields")}
               <ul>
                 {validation.missing.map((f) => (
-                  <li key={f}>{f}</li>
+                  <li key={f}>{fieldLabel(f)}</li>
                 ))}
               </ul>
             </div>
           )}
           {validation.extra.length > 0 && (
-            <div style={{ color: "#888", marginBottom: 6 }}>
-              <strong>Övriga kolumner (ignoreras):</strong>{" "}
+            <div style={{ color: colors.textMuted, marginBottom: 6 }}>
+              <strong>{t("import.extraColumns")}</strong>{" "}
               {validation.extra.join(", ")}
             </div>
           )}
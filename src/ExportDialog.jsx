@@ -0,0 +1,253 @@
+/**
+ * ExportDialog.jsx
+ *
+ * Overlay for exporting the current search result to CSV or XLSX.
+ * - Columns follow PRODUCT_FIELDS order; any subset can be chosen.
+ * - CSV gets a BOM, with ";" (Swedish Excel) or "," as delimiter.
+ * - File name is prefilled from the query and date, and can be edited.
+ * - Format, delimiter and column choice are remembered locally.
+ * - Columns are listed by display label; the file keeps the canonical field names.
+ */
+
+import React, { useState, useRef } from "react";
+import { X, DownloadSimple } from "phosphor-react";
+import { PRODUCT_FIELDS } from "./productFields.js";
+import { buildExportFileName, exportProducts } from "./exportProducts.js";
+import { readJson, writeJson } from "./localStore.js";
+import useDialogFocus from "./useDialogFocus.js";
+import { useI18n } from "./i18n.js";
+import { useTheme } from "./theme.js";
+
+const EXPORT_PREFS_KEY = "bento.exportPrefs";
+
+export default function ExportDialog({ products, query, onClose }) {
+  const i18n = useI18n();
+  const { t, fieldLabel } = i18n;
+  const { colors } = useTheme();
+  const dialogRef = useRef(null);
+  useDialogFocus(dialogRef, onClose);
+
+  const [prefs] = useState(() => readJson(EXPORT_PREFS_KEY, {}));
+  const [format, setFormat] = useState(prefs.format || "xlsx");
+  const [delimiter, setDelimiter] = useState(prefs.delimiter || ";");
+  const [columns, setColumns] = useState(() => {
+    const saved = Array.isArray(prefs.columns)
+      ? prefs.columns.filter((c) => PRODUCT_FIELDS.includes(c))
+      : [];
+    return saved.length ? saved : PRODUCT_FIELDS;
+  });
+  const [fileName, setFileName] = useState(() => buildExportFileName(query, i18n));
+
+  const textColor = colors.text;
+  const fadedColor = colors.textMuted;
+  const borderColor = colors.border;
+  const accent = colors.accent;
+
+  function toggleColumn(field) {
+    setColumns((current) =>
+      current.includes(field) ? current.filter((c) => c !== field) : [...current, field]
+    );
+  }
+
+  function handleExport() {
+    writeJson(EXPORT_PREFS_KEY, { format, delimiter, columns });
+    exportProducts(
+      products,
+      {
+        format,
+        columns,
+        delimiter,
+        fileName: fileName.trim() || buildExportFileName(query, i18n),
+      },
+      i18n
+    );
+    onClose();
+  }
+
+  const segmentStyle = (active) => ({
+    flex: 1,
+    minHeight: 36,
+    border: `1px solid ${active ? accent : borderColor}`,
+    background: "none",
+    color: active ? accent : textColor,
+    fontWeight: active ? 700 : 500,
+    fontSize: 14,
+    cursor: "pointer",
+  });
+
+  const linkButtonStyle = {
+    background: "none",
+    border: "none",
+    padding: 0,
+    color: accent,
+    fontSize: 13,
+    cursor: "pointer",
+    textDecoration: "underline",
+  };
+
+  return (
+    <div
+      style={{
+        position: "fixed",
+        inset: 0,
+        background: colors.backdrop,
+        zIndex: 9999,
+        display: "flex",
+        alignItems: "center",
+        justifyContent: "center",
+      }}
+      onClick={onClose}
+    >
+      <div
+        ref={dialogRef}
+        role="dialog"
+        aria-modal="true"
+        tabIndex={-1}
+        aria-label={t("export.title")}
+        onClick={(e) => e.stopPropagation()}
+        style={{
+          outline: "none",
+          background: colors.surface,
+          color: textColor,
+          borderRadius: 12,
+          maxWidth: 480,
+          width: "99vw",
+          maxHeight: "94vh",
+          display: "flex",
+          flexDirection: "column",
+          padding: 16,
+          boxShadow: `0 4px 32px ${colors.shadow}`,
+          border: `1px solid ${colors.outline}`,
+          boxSizing: "border-box",
+        }}
+      >
+        <div style={{ display: "flex", alignItems: "center", marginBottom: 4 }}>
+          <strong style={{ flex: 1, fontSize: 18 }}>{t("app.export")}</strong>
+          <button
+            type="button"
+            onClick={onClose}
+            style={{ background: "none", border: "none", color: fadedColor, cursor: "pointer", padding: 4 }}
+            aria-label={t("common.close")}
+          >
+            <X size={22} />
+          </button>
+        </div>
+        <div style={{ fontSize: 13, color: fadedColor, marginBottom: 12 }}>
+          {query
+            ? t("export.countMatching", { count: products.length, query })
+            : t("app.productCount", { count: products.length })}
+        </div>
+
+        <div style={{ display: "flex", marginBottom: 10 }}>
+          <button type="button" style={{ ...segmentStyle(format === "xlsx"), borderRadius: "6px 0 0 6px" }} onClick={() => setFormat("xlsx")}>
+            XLSX
+          </button>
+          <button type="button" style={{ ...segmentStyle(format === "csv"), borderRadius: "0 6px 6px 0" }} onClick={() => setFormat("csv")}>
+            CSV
+          </button>
+        </div>
+        {format === "csv" && (
+          <label style={{ display: "flex", alignItems: "center", gap: 8, fontSize: 14, marginBottom: 10 }}>
+            {t("export.delimiter")}
+            <select
+              value={delimiter}
+              onChange={(e) => setDelimiter(e.target.value)}
+              style={{
+                flex: 1,
+                height: 36,
+                borderRadius: 6,
+                border: `1px solid ${borderColor}`,
+                background: colors.input,
+                color: textColor,
+                fontSize: 14,
+              }}
+            >
+              <option value=";">{t("export.semicolon")}</option>
+              <option value=",">{t("export.comma")}</option>
+            </select>
+          </label>
+        )}
+        <label style={{ display: "block", fontSize: 14, marginBottom: 10 }}>
+          {t("export.fileName")}
+          <input
+            type="text"
+            value={fileName}
+            onChange={(e) => setFileName(e.target.value)}
+            style={{
+              display: "block",
+              width: "100%",
+              height: 36,
+              marginTop: 4,
+              borderRadius: 6,
+              border: `1px solid ${borderColor}`,
+              background: colors.input,
+              color: textColor,
+              fontSize: 15,
+              padding: "0 8px",
+              boxSizing: "border-box",
+            }}
+          />
+        </label>
+
+        <div style={{ display: "flex", alignItems: "center", gap: 12, fontSize: 14, marginBottom: 4 }}>
+          <strong style={{ flex: 1 }}>{t("export.columns", { count: columns.length })}</strong>
+          <button type="button" style={linkButtonStyle} onClick={() => setColumns(PRODUCT_FIELDS)}>
+            {t("export.all")}
+          </button>
+          <button type="button" style={linkButtonStyle} onClick={() => setColumns([])}>
+            {t("export.none")}
+          </button>
+        </div>
+        <div
+          style={{
+            overflowY: "auto",
+            flex: 1,
+            minHeight: 0,
+            border: `1px solid ${borderColor}`,
+            borderRadius: 6,
+            padding: "4px 8px",
+          }}
+        >
+          {PRODUCT_FIELDS.map((field) => (
+            <label
+              key={field}
+              style={{ display: "flex", alignItems: "center", gap: 8, minHeight: 32, fontSize: 14 }}
+            >
+              <input
+                type="checkbox"
+                checked={columns.includes(field)}
+                onChange={() => toggleColumn(field)}
+                style={{ width: 18, height: 18, margin: 0 }}
+              />
+              {fieldLabel(field)}
+            </label>
+          ))}
+        </div>
+
+        <button
+          type="button"
+          onClick={handleExport}
+          disabled={columns.length === 0 || products.length === 0}
+          style={{
+            display: "flex",
+            alignItems: "center",
+            justifyContent: "center",
+            gap: 8,
+            marginTop: 12,
+            minHeight: 40,
+            borderRadius: 6,
+            border: "none",
+            background: accent,
+            color: colors.onAccent,
+            fontSize: 15,
+            fontWeight: 600,
+            cursor: "pointer",
+            opacity: columns.length === 0 || products.length === 0 ? 0.5 : 1,
+          }}
+        >
+          <DownloadSimple size={18} /> {t("export.download", { format: format.toUpperCase() })}
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,419 @@
+/**
+ * FilterPanel.jsx
+ *
+ * Faceted filter panel built from the loaded products.
+ * - Sort order of the result list and grouped (variant) mode.
+ * - Value facets (Kategori, Material, Färg, Serie) with live counts.
+ * - Range sliders for price and measurements (measurements in base units,
+ *   labelled in the preferred display unit).
+ * - Price settings: show prices exkl./inkl. moms or both, and the default VAT rate
+ *   used to derive a missing price.
+ * - Display unit preference per unit group (Längd, Volym, Vikt).
+ * - Rendered as a sidebar on wide screens and as a bottom drawer on mobile.
+ * - Field, unit group and sort labels in the UI language.
+ * - Touch-friendly: 32px+ targets, no hover-only UI.
+ */
+
+import React, { useState, useEffect, useRef } from "react";
+import { X } from "phosphor-react";
+import {
+  FACET_FIELDS,
+  RANGE_FIELDS,
+  rangeLabel,
+  toggleFacetValue,
+  setRange,
+  hasActiveFilters,
+  EMPTY_FILTERS,
+} from "./facets.js";
+import { SORT_OPTIONS } from "./sortProducts.js";
+import {
+  DISPLAY_UNIT_CHOICES,
+  ORIGINAL_DISPLAY_UNITS,
+  formatBaseValue,
+} from "./measurements.js";
+import { PRICE_DISPLAY_MODES, VAT_RATE_CHOICES } from "./prices.js";
+import useDialogFocus from "./useDialogFocus.js";
+import { useI18n } from "./i18n.js";
+import { useTheme } from "./theme.js";
+
+// Values shown per facet before "Visa alla"
+const FACET_PREVIEW = 8;
+// Slider changes are committed after this pause, so dragging stays smooth
+const RANGE_COMMIT_DELAY = 250;
+
+function RangeFacet({ field, bounds, value, onCommit, displayUnits }) {
+  const { t, fieldLabel, locale } = useI18n();
+  const { colors } = useTheme();
+  const [range, setRangeState] = useState(value || [bounds.min, bounds.max]);
+
+  // Follow external changes (chip removed, filters cleared)
+  useEffect(() => {
+    setRangeState(value || [bounds.min, bounds.max]);
+  }, [value, bounds.min, bounds.max]);
+
+  useEffect(() => {
+    const current = value || [bounds.min, bounds.max];
+    if (range[0] === current[0] && range[1] === current[1]) return;
+    const timer = setTimeout(() => onCommit(range), RANGE_COMMIT_DELAY);
+    return () => clearTimeout(timer);
+  }, [range, value, bounds.min, bounds.max, onCommit]);
+
+  const step = Math.max((bounds.max - bounds.min) / 100, 0.01);
+  const accent = colors.accent;
+  const label = fieldLabel(rangeLabel(field));
+
+  return (
+    <div style={{ marginBottom: 12 }}>
+      <div style={{ display: "flex", justifyContent: "space-between", fontSize: 14, marginBottom: 2 }}>
+        <span style={{ fontWeight: 600 }}>{label}</span>
+        <span style={{ color: value ? accent : "inherit" }}>
+          {formatBaseValue(range[0], bounds.unit, displayUnits, locale)} –{" "}
+          {formatBaseValue(range[1], bounds.unit, displayUnits, locale)}
+        </span>
+      </div>
+      <input
+        type="range"
+        min={bounds.min}
+        max={bounds.max}
+        step={step}
+        value={range[0]}
+        onChange={(e) => {
+          const min = Math.min(Number(e.target.value), range[1]);
+          setRangeState([min, range[1]]);
+        }}
+        style={{ width: "100%", accentColor: accent }}
+        aria-label={t("filters.rangeMin", { name: label })}
+      />
+      <input
+        type="range"
+        min={bounds.min}
+        max={bounds.max}
+        step={step}
+        value={range[1]}
+        onChange={(e) => {
+          const max = Math.max(Number(e.target.value), range[0]);
+          setRangeState([range[0], max]);
+        }}
+        style={{ width: "100%", accentColor: accent }}
+        aria-label={t("filters.rangeMax", { name: label })}
+      />
+    </div>
+  );
+}
+
+export default function FilterPanel({
+  variant,
+  facetCounts,
+  rangeBounds,
+  filters,
+  onChange,
+  sortKey,
+  onSortChange,
+  groupedMode,
+  onGroupedModeChange,
+  displayUnits,
+  onDisplayUnitsChange,
+  priceSettings,
+  onPriceSettingsChange,
+  resultCount,
+  onClose,
+}) {
+  const { t, fieldLabel } = useI18n();
+  const { colors } = useTheme();
+  const dialogRef = useRef(null);
+  useDialogFocus(dialogRef, onClose, variant !== "sidebar");
+
+  const [expanded, setExpanded] = useState({});
+
+  const textColor = colors.text;
+  const fadedColor = colors.textMuted;
+  const borderColor = colors.border;
+  const accent = colors.accent;
+
+  const selectStyle = {
+    width: "100%",
+    height: 36,
+    borderRadius: 6,
+    border: `1px solid ${borderColor}`,
+    background: colors.input,
+    color: textColor,
+    fontSize: 14,
+    padding: "0 6px",
+  };
+
+  const content = (
+    <>
+      <div style={{ display: "flex", alignItems: "center", marginBottom: 8 }}>
+        <strong style={{ flex: 1, fontSize: 16 }}>{t("filters.title")}</strong>
+        {hasActiveFilters(filters) && (
+          <button
+            type="button"
+            onClick={() => onChange(EMPTY_FILTERS)}
+            style={{
+              background: "none",
+              border: "none",
+              color: accent,
+              fontSize: 13,
+              cursor: "pointer",
+              textDecoration: "underline",
+              padding: 4,
+            }}
+          >
+            {t("app.clearAll")}
+          </button>
+        )}
+        {onClose && (
+          <button
+            type="button"
+            onClick={onClose}
+            style={{ background: "none", border: "none", color: fadedColor, cursor: "pointer", padding: 4 }}
+            aria-label={t("filters.close")}
+          >
+            <X size={22} />
+          </button>
+        )}
+      </div>
+
+      {onSortChange && (
+        <label style={{ display: "block", borderTop: `1px solid ${borderColor}`, padding: "8px 0" }}>
+          <div style={{ fontWeight: 600, fontSize: 14, marginBottom: 4 }}>{t("filters.sort")}</div>
+          <select value={sortKey} onChange={(e) => onSortChange(e.target.value)} style={selectStyle}>
+            {SORT_OPTIONS.map((option) => (
+              <option key={option.key} value={option.key}>
+                {t(option.labelKey, option.measurement && { name: fieldLabel(option.measurement) })}
+              </option>
+            ))}
+          </select>
+        </label>
+      )}
+      {onGroupedModeChange && (
+        <label style={{ display: "flex", alignItems: "center", gap: 8, minHeight: 32, fontSize: 14, cursor: "pointer", marginBottom: 4 }}>
+          <input
+            type="checkbox"
+            checked={groupedMode}
+            onChange={(e) => onGroupedModeChange(e.target.checked)}
+            style={{ width: 18, height: 18, margin: 0, accentColor: accent }}
+          />
+          {t("filters.groupVariants")}
+        </label>
+      )}
+
+      {FACET_FIELDS.map((field) => {
+        const values = facetCounts[field] || [];
+        const selected = filters.values[field] || [];
+        if (values.length === 0 && selected.length === 0) return null;
+        const showAll = expanded[field];
+        // Selected values stay visible even when the count dropped to zero
+        const missingSelected = selected
+          .filter((v) => !values.some((entry) => entry.value === v))
+          .map((v) => ({ value: v, count: 0 }));
+        const list = [...values, ...missingSelected];
+        const visible = showAll ? list : list.slice(0, FACET_PREVIEW);
+        return (
+          <div key={field} style={{ borderTop: `1px solid ${borderColor}`, padding: "8px 0" }}>
+            <div style={{ fontWeight: 600, fontSize: 14, marginBottom: 4 }}>{fieldLabel(field)}</div>
+            {visible.map(({ value, count }) => (
+              <label
+                key={value}
+                style={{
+                  display: "flex",
+                  alignItems: "center",
+                  gap: 8,
+                  minHeight: 32,
+                  fontSize: 14,
+                  cursor: "pointer",
+                }}
+              >
+                <input
+                  type="checkbox"
+                  checked={selected.includes(value)}
+                  onChange={() => onChange(toggleFacetValue(filters, field, value))}
+                  style={{ width: 18, height: 18, margin: 0, accentColor: accent }}
+                />
+                <span
+                  style={{ flex: 1, minWidth: 0, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}
+                  title={value}
+                >
+                  {value}
+                </span>
+                <span style={{ color: fadedColor, fontSize: 12 }}>{count}</span>
+              </label>
+            ))}
+            {list.length > FACET_PREVIEW && (
+              <button
+                type="button"
+                onClick={() => setExpanded((current) => ({ ...current, [field]: !showAll }))}
+                style={{
+                  background: "none",
+                  border: "none",
+                  color: accent,
+                  fontSize: 13,
+                  cursor: "pointer",
+                  padding: "4px 0",
+                }}
+              >
+                {showAll ? t("filters.showFewer") : t("filters.showAll", { count: list.length })}
+              </button>
+            )}
+          </div>
+        );
+      })}
+
+      {RANGE_FIELDS.some((field) => rangeBounds[field]) && (
+        <div style={{ borderTop: `1px solid ${borderColor}`, paddingTop: 8 }}>
+          {RANGE_FIELDS.filter((field) => rangeBounds[field]).map((field) => (
+            <RangeFacet
+              key={field}
+              field={field}
+              bounds={rangeBounds[field]}
+              value={filters.ranges[field]}
+              displayUnits={displayUnits}
+              onCommit={(range) => onChange(setRange(filters, field, range, rangeBounds[field]))}
+            />
+          ))}
+        </div>
+      )}
+
+      {onPriceSettingsChange && (
+        <div style={{ borderTop: `1px solid ${borderColor}`, padding: "8px 0" }}>
+          <div style={{ fontWeight: 600, fontSize: 14, marginBottom: 4 }}>{t("prices.title")}</div>
+          <label style={{ display: "flex", alignItems: "center", gap: 8, minHeight: 40, fontSize: 14 }}>
+            <span style={{ width: 56 }}>{t("prices.show")}</span>
+            <select
+              value={priceSettings.display}
+              onChange={(e) => onPriceSettingsChange({ ...priceSettings, display: e.target.value })}
+              style={{ ...selectStyle, flex: 1 }}
+            >
+              {PRICE_DISPLAY_MODES.map((mode) => (
+                <option key={mode} value={mode}>
+                  {t(`prices.display.${mode}`)}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label style={{ display: "flex", alignItems: "center", gap: 8, minHeight: 40, fontSize: 14 }}>
+            <span style={{ width: 56 }}>{t("prices.vatRate")}</span>
+            <select
+              value={priceSettings.vatRate}
+              onChange={(e) => onPriceSettingsChange({ ...priceSettings, vatRate: Number(e.target.value) })}
+              style={{ ...selectStyle, flex: 1 }}
+            >
+              {VAT_RATE_CHOICES.map((rate) => (
+                <option key={rate} value={rate}>
+                  {t("prices.rateOption", { rate: Math.round(rate * 100) })}
+                </option>
+              ))}
+            </select>
+          </label>
+          <div style={{ fontSize: 12, color: fadedColor }}>{t("prices.categoryRates")}</div>
+        </div>
+      )}
+
+      {onDisplayUnitsChange && (
+        <div style={{ borderTop: `1px solid ${borderColor}`, padding: "8px 0" }}>
+          <div style={{ fontWeight: 600, fontSize: 14, marginBottom: 4 }}>{t("filters.displayUnits")}</div>
+          {Object.keys(DISPLAY_UNIT_CHOICES).map((group) => (
+            <label
+              key={group}
+              style={{ display: "flex", alignItems: "center", gap: 8, minHeight: 40, fontSize: 14 }}
+            >
+              <span style={{ width: 56 }}>{t(`filters.unitGroup.${group}`)}</span>
+              <select
+                value={(displayUnits || ORIGINAL_DISPLAY_UNITS)[group]}
+                onChange={(e) => onDisplayUnitsChange({ ...displayUnits, [group]: e.target.value })}
+                style={{ ...selectStyle, flex: 1 }}
+              >
+                <option value="">{t("filters.productUnit")}</option>
+                {DISPLAY_UNIT_CHOICES[group].map((unit) => (
+                  <option key={unit} value={unit}>
+                    {unit}
+                  </option>
+                ))}
+              </select>
+            </label>
+          ))}
+        </div>
+      )}
+    </>
+  );
+
+  if (variant === "sidebar") {
+    return (
+      <aside
+        aria-label={t("filters.title")}
+        style={{
+          width: 260,
+          flexShrink: 0,
+          alignSelf: "flex-start",
+          position: "sticky",
+          top: 64,
+          maxHeight: "calc(100vh - 72px)",
+          overflowY: "auto",
+          color: textColor,
+          paddingRight: 8,
+        }}
+      >
+        {content}
+      </aside>
+    );
+  }
+
+  // Bottom drawer (mobile)
+  return (
+    <div
+      style={{
+        position: "fixed",
+        inset: 0,
+        background: colors.backdrop,
+        zIndex: 9999,
+        display: "flex",
+        alignItems: "flex-end",
+        justifyContent: "center",
+      }}
+      onClick={onClose}
+    >
+      <div
+        ref={dialogRef}
+        role="dialog"
+        aria-modal="true"
+        tabIndex={-1}
+        aria-label={t("filters.title")}
+        onClick={(e) => e.stopPropagation()}
+        style={{
+          outline: "none",
+          background: colors.surface,
+          color: textColor,
+          width: "100vw",
+          maxWidth: 570,
+          maxHeight: "85vh",
+          display: "flex",
+          flexDirection: "column",
+          borderRadius: "12px 12px 0 0",
+          boxShadow: `0 -4px 32px ${colors.shadow}`,
+          boxSizing: "border-box",
+        }}
+      >
+        <div style={{ overflowY: "auto", padding: 16, flex: 1, minHeight: 0 }}>{content}</div>
+        <div style={{ padding: "10px 16px", borderTop: `1px solid ${borderColor}` }}>
+          <button
+            type="button"
+            onClick={onClose}
+            style={{
+              width: "100%",
+              minHeight: 40,
+              borderRadius: 6,
+              border: "none",
+              background: accent,
+              color: colors.onAccent,
+              fontSize: 15,
+              fontWeight: 600,
+              cursor: "pointer",
+            }}
+          >
+            {t("filters.showResults", { count: resultCount })}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,345 @@
+/**
+ * ImageGallery.jsx
+ *
+ * Full-screen image gallery opened from ProductCard.
+ * - Swipe (or arrow buttons / keyboard arrows) between images; Escape closes.
+ * - Pinch or double-tap/double-click to zoom, drag to pan while zoomed.
+ * - Thumbnail strip when there is more than one image.
+ * - Loads the high-res guess of each URL and falls back to the original URL
+ *   when it fails, instead of showing a broken image.
+ * - Tapping the background closes the gallery; colors come from the theme.
+ */
+
+import React, { useState, useEffect, useRef } from "react";
+import { X, CaretLeft, CaretRight } from "phosphor-react";
+import { getHighResImage } from "./productImages.js";
+import useDialogFocus from "./useDialogFocus.js";
+import { useI18n } from "./i18n.js";
+import { useTheme } from "./theme.js";
+
+const MAX_SCALE = 4;
+const DOUBLE_TAP_SCALE = 2.5;
+const DOUBLE_TAP_MS = 300;
+// Horizontal distance (px) that counts as a swipe
+const SWIPE_DISTANCE = 50;
+// Movement (px) below which a pointer release is a tap
+const TAP_SLOP = 8;
+
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
+
+function distance(a, b) {
+  return Math.hypot(a.x - b.x, a.y - b.y);
+}
+
+export default function ImageGallery({ images, initialIndex = 0, alt, onClose }) {
+  const { t } = useI18n();
+  const { colors } = useTheme();
+  const [index, setIndex] = useState(clamp(initialIndex, 0, images.length - 1));
+  const [scale, setScale] = useState(1);
+  const [offset, setOffset] = useState({ x: 0, y: 0 });
+  const [swipeX, setSwipeX] = useState(0);
+  // URLs whose high-res guess failed to load
+  const [failedHighRes, setFailedHighRes] = useState(() => new Set());
+  const dialogRef = useRef(null);
+  const stageRef = useRef(null);
+  const pointers = useRef(new Map());
+  const gesture = useRef(null);
+  const lastTap = useRef({ time: 0, x: 0, y: 0 });
+
+  // Focus trap and restore; Escape and arrows are handled below, ahead of ProductCard
+  useDialogFocus(dialogRef, onClose);
+
+  const count = images.length;
+  const url = images[index];
+  const src = failedHighRes.has(url) ? url : getHighResImage(url);
+
+  function resetZoom() {
+    setScale(1);
+    setOffset({ x: 0, y: 0 });
+  }
+
+  function go(step) {
+    if (count < 2) return;
+    setIndex((current) => (current + step + count) % count);
+    resetZoom();
+  }
+
+  // Keyboard: arrows step, Escape closes
+  useEffect(() => {
+    function handleKeyDown(e) {
+      if (e.key === "ArrowLeft") go(-1);
+      else if (e.key === "ArrowRight") go(1);
+      else if (e.key === "Escape") onClose();
+      else return;
+      e.preventDefault();
+      e.stopPropagation();
+    }
+    window.addEventListener("keydown", handleKeyDown, true);
+    return () => window.removeEventListener("keydown", handleKeyDown, true);
+  });
+
+  // Keeps a zoomed image from being panned out of view
+  function clampOffset(next, nextScale) {
+    const rect = stageRef.current ? stageRef.current.getBoundingClientRect() : { width: 0, height: 0 };
+    const maxX = ((nextScale - 1) * rect.width) / 2;
+    const maxY = ((nextScale - 1) * rect.height) / 2;
+    return { x: clamp(next.x, -maxX, maxX), y: clamp(next.y, -maxY, maxY) };
+  }
+
+  function zoomAt(clientX, clientY, nextScale) {
+    const rect = stageRef.current.getBoundingClientRect();
+    // Keep the tapped point under the finger
+    const px = clientX - (rect.left + rect.width / 2);
+    const py = clientY - (rect.top + rect.height / 2);
+    const ratio = nextScale / scale;
+    setOffset(
+      clampOffset({ x: px - (px - offset.x) * ratio, y: py - (py - offset.y) * ratio }, nextScale)
+    );
+    setScale(nextScale);
+  }
+
+  function handlePointerDown(e) {
+    e.currentTarget.setPointerCapture(e.pointerId);
+    pointers.current.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    const points = [...pointers.current.values()];
+    if (points.length === 2) {
+      gesture.current = { type: "pinch", startDistance: distance(points[0], points[1]), startScale: scale };
+    } else if (points.length === 1) {
+      gesture.current = {
+        type: "drag",
+        startX: e.clientX,
+        startY: e.clientY,
+        startOffset: offset,
+        moved: false,
+        onImage: e.target.tagName === "IMG",
+      };
+    }
+  }
+
+  function handlePointerMove(e) {
+    if (!pointers.current.has(e.pointerId)) return;
+    pointers.current.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    const g = gesture.current;
+    if (!g) return;
+    if (g.type === "pinch") {
+      const points = [...pointers.current.values()];
+      if (points.length < 2 || g.startDistance === 0) return;
+      const nextScale = clamp((g.startScale * distance(points[0], points[1])) / g.startDistance, 1, MAX_SCALE);
+      setScale(nextScale);
+      setOffset((current) => clampOffset(current, nextScale));
+      return;
+    }
+    const dx = e.clientX - g.startX;
+    const dy = e.clientY - g.startY;
+    if (Math.abs(dx) > TAP_SLOP || Math.abs(dy) > TAP_SLOP) g.moved = true;
+    if (scale > 1) {
+      setOffset(clampOffset({ x: g.startOffset.x + dx, y: g.startOffset.y + dy }, scale));
+    } else if (count > 1) {
+      setSwipeX(dx);
+    }
+  }
+
+  function handlePointerUp(e) {
+    if (!pointers.current.has(e.pointerId)) return;
+    pointers.current.delete(e.pointerId);
+    const g = gesture.current;
+    if (!g) return;
+    if (g.type === "pinch") {
+      // The remaining finger continues as a pan, not as a tap or swipe
+      if (pointers.current.size === 0) {
+        gesture.current = null;
+        if (scale <= 1.05) resetZoom();
+      } else {
+        const [point] = pointers.current.values();
+        gesture.current = { type: "drag", startX: point.x, startY: point.y, startOffset: offset, moved: true };
+      }
+      return;
+    }
+    gesture.current = null;
+    setSwipeX(0);
+    const dx = e.clientX - g.startX;
+    if (scale === 1 && count > 1 && Math.abs(dx) > SWIPE_DISTANCE) {
+      go(dx < 0 ? 1 : -1);
+      return;
+    }
+    if (g.moved) return;
+
+    // Tap: double tap on the image toggles zoom, a tap on the background closes
+    const now = Date.now();
+    const last = lastTap.current;
+    if (g.onImage && now - last.time < DOUBLE_TAP_MS && Math.hypot(e.clientX - last.x, e.clientY - last.y) < 30) {
+      lastTap.current = { time: 0, x: 0, y: 0 };
+      if (scale > 1) resetZoom();
+      else zoomAt(e.clientX, e.clientY, DOUBLE_TAP_SCALE);
+      return;
+    }
+    lastTap.current = { time: now, x: e.clientX, y: e.clientY };
+    if (!g.onImage && scale === 1) onClose();
+  }
+
+  function handlePointerCancel(e) {
+    pointers.current.delete(e.pointerId);
+    gesture.current = null;
+    setSwipeX(0);
+  }
+
+  const navButtonStyle = {
+    position: "absolute",
+    top: "50%",
+    transform: "translateY(-50%)",
+    width: 44,
+    height: 44,
+    borderRadius: 22,
+    border: `1px solid ${colors.outline}`,
+    background: colors.surface,
+    color: colors.text,
+    boxShadow: `0 2px 8px ${colors.shadow}`,
+    display: "flex",
+    alignItems: "center",
+    justifyContent: "center",
+    cursor: "pointer",
+    zIndex: 1,
+  };
+
+  return (
+    <div
+      ref={dialogRef}
+      role="dialog"
+      aria-label={t("gallery.label", { name: alt || t("gallery.product") })}
+      aria-modal="true"
+      tabIndex={-1}
+      style={{
+        outline: "none",
+        position: "fixed",
+        inset: 0,
+        background: colors.background,
+        zIndex: 10000,
+        display: "flex",
+        flexDirection: "column",
+      }}
+    >
+      <div style={{ display: "flex", alignItems: "center", padding: "8px 12px", color: colors.text }}>
+        <span style={{ flex: 1, fontSize: 14 }}>{count > 1 ? `${index + 1} / ${count}` : ""}</span>
+        <button
+          type="button"
+          onClick={onClose}
+          style={{ background: "none", border: "none", color: colors.text, cursor: "pointer", padding: 6, display: "flex" }}
+          aria-label={t("gallery.close")}
+        >
+          <X size={26} />
+        </button>
+      </div>
+
+      <div
+        ref={stageRef}
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerCancel={handlePointerCancel}
+        style={{
+          position: "relative",
+          flex: 1,
+          minHeight: 0,
+          overflow: "hidden",
+          display: "flex",
+          alignItems: "center",
+          justifyContent: "center",
+          touchAction: "none",
+          cursor: scale > 1 ? "grab" : "zoom-in",
+        }}
+      >
+        <img
+          key={url}
+          src={src}
+          alt={alt}
+          draggable={false}
+          onError={() => {
+            if (!failedHighRes.has(url) && src !== url) {
+              setFailedHighRes((current) => new Set(current).add(url));
+            }
+          }}
+          style={{
+            maxWidth: "98vw",
+            maxHeight: "100%",
+            borderRadius: 12,
+            boxShadow: `0 4px 32px ${colors.shadow}`,
+            background: colors.surfaceAlt,
+            objectFit: "contain",
+            display: "block",
+            userSelect: "none",
+            transform: `translate(${offset.x + swipeX}px, ${offset.y}px) scale(${scale})`,
+            transition: gesture.current ? "none" : "transform 0.2s ease",
+          }}
+        />
+        {count > 1 && (
+          <>
+            <button
+              type="button"
+              onPointerDown={(e) => e.stopPropagation()}
+              onClick={() => go(-1)}
+              style={{ ...navButtonStyle, left: 8 }}
+              aria-label={t("gallery.previous")}
+            >
+              <CaretLeft size={24} />
+            </button>
+            <button
+              type="button"
+              onPointerDown={(e) => e.stopPropagation()}
+              onClick={() => go(1)}
+              style={{ ...navButtonStyle, right: 8 }}
+              aria-label={t("gallery.next")}
+            >
+              <CaretRight size={24} />
+            </button>
+          </>
+        )}
+      </div>
+
+      {count > 1 && (
+        <div
+          style={{
+            display: "flex",
+            gap: 8,
+            padding: "10px 12px",
+            overflowX: "auto",
+            justifyContent: "safe center",
+          }}
+        >
+          {images.map((thumb, i) => (
+            <button
+              key={thumb}
+              type="button"
+              onClick={() => {
+                setIndex(i);
+                resetZoom();
+              }}
+              style={{
+                flexShrink: 0,
+                width: 56,
+                height: 56,
+                padding: 0,
+                borderRadius: 6,
+                overflow: "hidden",
+                border: `2px solid ${i === index ? colors.accent : colors.border}`,
+                background: colors.surfaceAlt,
+                cursor: "pointer",
+                opacity: i === index ? 1 : 0.7,
+              }}
+              aria-label={t("gallery.image", { number: i + 1 })}
+              aria-current={i === index}
+            >
+              <img
+                src={thumb}
+                alt=""
+                loading="lazy"
+                style={{ width: "100%", height: "100%", objectFit: "contain", display: "block" }}
+              />
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -5,11 +5,25 @@
  * - Title (Namn) is uppercase, single-line, ellipsis, never exceeds card border-radius or width.
  * - Serie and Färg are in a full-width block below the grid, word-wrapped, no fixed height.
  * - All values are compact and responsive.
- * - Image popup always loads the highest available resolution.
+ * - Several images (Produktbild-URL list, image links in Extra data) open in
+ *   ImageGallery: swipe, zoom, pan, thumbnails; high-res with fallback to the original.
+ * - Measurements are shown in the preferred display units (measurements.js).
+ * - Prices exkl./inkl. moms or both (price settings, prices.js); a derived price
+ *   is marked "≈" with the VAT rate it was computed with.
  * - Card is mobile-friendly (max-width: 570px, width: 99vw, padding, border-radius).
+ * - Star adds the product to the active shortlist; chips toggle it in other lists.
+ * - "Lägg till i offert" adds the product to the quote (again: one more).
+ * - "Jämför" adds the product to (or removes it from) the side-by-side comparison.
+ * - Variant picker: Färg / size chips switch between the product's variants
+ *   (same Serie and base name) without closing the card.
+ * - Related products are ranked by similarity and grouped (same series, similar
+ *   size, same category); "Visa alla" opens a section's full set in the main list.
+ * - Labels, prices and measurements follow the UI language (i18n.js).
+ * - Keyboard: a modal dialog (focus trapped, restored on close); Escape closes,
+ *   left/right arrows step to the previous/next result (onPrevious / onNext).
  */
 
-import React, { useState, useRef, useEffect } from "react";
+import React, { useState, useRef, useEffect, useMemo } from "react";
 import {
   TagChevron,
   Cube,
@@ -26,7 +40,22 @@ import {
   LinkSimple,
   Info,
   ListBullets,
+  Star,
+  Receipt,
+  Columns,
 } from "phosphor-react";
+import { OTHER_MEASUREMENTS } from "./productFields.js";
+import { getActiveList, isInList, shortlistName } from "./shortlists.js";
+import { getMeasurement, formatMeasurementParts, displayUnitFor } from "./measurements.js";
+import { relatedSections } from "./relatedProducts.js";
+import { variantPicker } from "./variants.js";
+import { productPrices, shownPriceKinds, DEFAULT_PRICE_SETTINGS } from "./prices.js";
+import { productImages, primaryImage } from "./productImages.js";
+import ImageGallery from "./ImageGallery.jsx";
+import useDialogFocus from "./useDialogFocus.js";
+import { isTextInput, activateOnKey } from "./keyboard.js";
+import { useI18n } from "./i18n.js";
+import { useTheme } from "./theme.js";
 
 // --- Icon mapping for product fields ---
 const FIELD_ICONS = {
@@ -51,14 +80,11 @@ const FIELD_ICONS = {
   "Extra data": <Info size={18} />,
 };
 
-const PRICE_FIELDS = [
-  ["Pris exkl. moms (värde)", "Pris exkl. moms (enhet)", "Exkl."],
-  ["Pris inkl. moms (värde)", "Pris inkl. moms (enhet)", "Inkl."],
-];
-
-const OTHER_MEASUREMENTS = [
-  "Längd", "Bredd", "Höjd", "Djup", "Diameter", "Kapacitet", "Volym", "Vikt"
-];
+// Price kind -> [icon, label message key]
+const PRICE_FIELDS = {
+  exkl: ["Exkl.", "product.priceExkl"],
+  inkl: ["Inkl.", "product.priceInkl"],
+};
 
 // Serie and Färg are NOT in the column structure
 const BASIC_FIELDS = [
@@ -67,32 +93,33 @@ const BASIC_FIELDS = [
   ["Kategori (sub)", "Kategori (sub)"],
 ];
 
-function stripPriceLabel(label) {
-  return label.replace(/pris/gi, "").replace(/moms/gi, "").replace(/\(\s*\)/g, "").replace(/\s+/g, " ").trim() || label;
-}
-
-function getHighResImage(url) {
-  if (!url) return url;
-  let highRes = url
-    .replace(/(_small|_thumb|_medium)/gi, "")
-    .replace(/(-\d+x\d+)(\.\w+)$/, "$2")
-    .replace(/\/small\//gi, "/")
-    .replace(/\/thumb\//gi, "/")
-    .replace(/\/medium\//gi, "/")
-    .replace(/(size=)\d+x\d+/gi, "size=2000x2000");
-  return highRes;
-}
-
 export default function ProductCard({
   product,
   allProducts,
   onClose,
-  darkMode,
-  onProductSelect
+  displayUnits,
+  priceSettings = DEFAULT_PRICE_SETTINGS,
+  onProductSelect,
+  shortlists,
+  onToggleShortlist,
+  quoteQuantity,
+  onAddToQuote,
+  compared,
+  compareFull,
+  onToggleCompare,
+  onShowRelated,
+  variants,
+  onSelectVariant,
+  onPrevious,
+  onNext
 }) {
   // All hooks at top
-  const [imagePopup, setImagePopup] = useState(false);
+  const { t, fieldLabel, locale, formatPrice } = useI18n();
+  const { colors } = useTheme();
+  // Index of the image open in the gallery, or null
+  const [galleryIndex, setGalleryIndex] = useState(null);
   const titleRef = useRef(null);
+  const cardRef = useRef(null);
   const gridContainerRef = useRef(null);
   const [gridWidth, setGridWidth] = useState(340);
 
@@ -110,27 +137,83 @@ export default function ProductCard({
     return () => window.removeEventListener("resize", handleResize);
   }, [product, gridContainerRef.current]);
 
+  useDialogFocus(cardRef, onClose, Boolean(product));
+
+  // Left/right step through the result list (the gallery handles its own arrows)
+  useEffect(() => {
+    if (!product) return undefined;
+    function handleKeyDown(e) {
+      if (e.altKey || e.ctrlKey || e.metaKey || e.shiftKey || isTextInput(e.target)) return;
+      const step = e.key === "ArrowLeft" ? onPrevious : e.key === "ArrowRight" ? onNext : null;
+      if (!step) return;
+      e.preventDefault();
+      step();
+    }
+    document.addEventListener("keydown", handleKeyDown);
+    return () => document.removeEventListener("keydown", handleKeyDown);
+  }, [product, onPrevious, onNext]);
+
+  // Scoring walks the whole catalog, so only when the product changes
+  const related = useMemo(
+    () => (product ? relatedSections(product, allProducts) : []),
+    [product, allProducts]
+  );
+
   if (!product) return null;
 
   const sku = String(product["Artikelnummer"] || "");
-  const subcat = product["Kategori (sub)"] || "";
-  const relevant = allProducts.filter(p => {
-    const psku = String(p["Artikelnummer"] || "");
+  const images = productImages(product);
+  const activeList = shortlists ? getActiveList(shortlists) : null;
+  const starred = activeList ? isInList(activeList, sku.trim()) : false;
+  const starLabel = activeList
+    ? t(starred ? "product.removeFromList" : "product.addToList", { name: shortlistName(activeList, t) })
+    : "";
+
+  const picker = variants && variants.length > 1 && onSelectVariant
+    ? variantPicker(variants, product, displayUnits, locale)
+    : null;
+
+  function openRelated(rel) {
+    const match = allProducts.find(p => p["Artikelnummer"] === rel["Artikelnummer"]);
+    if (onProductSelect) onProductSelect(match || rel);
+  }
+
+  function renderVariantChips(label, chips) {
+    if (chips.length === 0) return null;
     return (
-      psku &&
-      psku !== sku &&
-      (
-        (sku && psku.startsWith(sku.slice(0, 3))) ||
-        (subcat && p["Kategori (sub)"] === subcat)
-      )
+      <div style={{ display: "flex", alignItems: "center", flexWrap: "wrap", gap: 6, marginBottom: 6 }}>
+        <span style={{ fontSize: 13, color: colors.textMuted, minWidth: 50 }}>{label}</span>
+        {chips.map(chip => (
+          <button
+            key={chip.label}
+            onClick={() => {
+              if (!chip.selected) onSelectVariant(chip.product);
+            }}
+            style={{
+              minHeight: 30,
+              padding: "0 10px",
+              borderRadius: 15,
+              border: `1px solid ${chip.selected ? colors.accent : colors.border}`,
+              background: chip.selected ? colors.accent : "none",
+              color: chip.selected ? colors.onAccent : colors.text,
+              fontSize: 13,
+              fontWeight: chip.selected ? 600 : 400,
+              cursor: "pointer"
+            }}
+            aria-pressed={chip.selected}
+          >
+            {chip.label}
+          </button>
+        ))}
+      </div>
     );
-  }).slice(0, 6);
+  }
 
   // --- Styles ---
   const overlayStyle = {
     position: "fixed",
     top: 0, left: 0, width: "100vw", height: "100vh",
-    background: "rgba(0,0,0,0.5)",
+    background: colors.backdrop,
     zIndex: 9999,
     display: "flex",
     alignItems: "center",
@@ -138,15 +221,16 @@ export default function ProductCard({
     overflow: "auto"
   };
   const cardStyle = {
-    background: darkMode ? "#232426" : "#fff",
+    background: colors.surface,
     borderRadius: 12,
     maxWidth: 570,
     width: "99vw",
     padding: 20,
-    boxShadow: "0 4px 32px #0003",
+    boxShadow: `0 4px 32px ${colors.shadow}`,
     position: "relative",
-    color: darkMode ? "#f6f6f6" : "#18191a",
-    border: darkMode ? "1px solid #444" : "1px solid #e0e0e0"
+    color: colors.text,
+    border: `1px solid ${colors.outline}`,
+    outline: "none"
   };
 
   // Responsive: for grid and title, never overflow the card
@@ -159,11 +243,13 @@ export default function ProductCard({
     boxSizing: "border-box"
   };
 
-  function renderGridField(icon, label, value, enhet) {
+  // derivedTitle marks a computed value: "≈", italic, explained in the tooltip
+  function renderGridField(icon, label, value, enhet, derivedTitle) {
     if (!value) return null;
     return (
       <div
         key={label}
+        title={derivedTitle}
         style={{
           display: "flex",
           alignItems: "center",
@@ -176,7 +262,7 @@ export default function ProductCard({
         <span style={{
           fontWeight: 500,
           fontSize: 15,
-          color: darkMode ? "#f6f6f6" : "#333",
+          color: colors.text,
           flexShrink: 0,
           minWidth: 46,
           maxWidth: 80,
@@ -194,19 +280,21 @@ export default function ProductCard({
           <span style={{
             fontWeight: 600,
             fontSize: 15,
-            color: darkMode ? "#fff" : "#222",
+            color: colors.text,
             textAlign: "right",
             whiteSpace: "nowrap",
             overflow: "hidden",
             textOverflow: "ellipsis",
-            maxWidth: 72,
+            maxWidth: 110,
+            fontStyle: derivedTitle ? "italic" : "normal",
           }}>
+            {derivedTitle && "≈ "}
             {value}
           </span>
           {enhet && (
             <span style={{
               marginLeft: 4,
-              color: darkMode ? "#FFD600" : "#1976d2",
+              color: colors.accent,
               fontSize: 15,
               minWidth: 16,
               maxWidth: 36,
@@ -226,17 +314,31 @@ export default function ProductCard({
   function buildColumns() {
     // Left column: Prices
     const leftColumn = [];
-    PRICE_FIELDS.forEach(([valKey, enhetKey, label]) => {
-      const value = product[valKey];
-      const enhet = product[enhetKey];
-      if (value) {
+    const prices = productPrices(product, priceSettings);
+    const derivedTitle = t("prices.derived", { rate: Math.round(prices.rate * 100) });
+    shownPriceKinds(priceSettings.display).forEach((kind) => {
+      const price = prices[kind];
+      const [icon, labelKey] = PRICE_FIELDS[kind];
+      if (price) {
         leftColumn.push(
           renderGridField(
-            FIELD_ICONS[label], stripPriceLabel(label), value, enhet
+            FIELD_ICONS[icon],
+            t(labelKey),
+            formatPrice(price.value, prices.currency),
+            prices.per && `/${prices.per}`,
+            price.derived ? derivedTitle : undefined
           )
         );
       }
     });
+    // Spelled out as well, since tooltips don't show on touch
+    if (shownPriceKinds(priceSettings.display).some((kind) => prices[kind] && prices[kind].derived)) {
+      leftColumn.push(
+        <div key="derived" style={{ fontSize: 12, fontStyle: "italic", color: colors.textMuted, marginLeft: 30 }}>
+          ≈ {derivedTitle}
+        </div>
+      );
+    }
 
     // Right column: Article info and measurements (skip Artikelnummer, Serie, Färg)
     const rightColumn = [];
@@ -245,18 +347,25 @@ export default function ProductCard({
       if (value) {
         rightColumn.push(
           renderGridField(
-            FIELD_ICONS[label], label, value
+            FIELD_ICONS[label], fieldLabel(label), value
           )
         );
       }
     });
     OTHER_MEASUREMENTS.forEach(name => {
-      const value = product[`${name} (värde)`];
-      const enhet = product[`${name} (enhet)`];
+      let value = product[`${name} (värde)`];
+      let enhet = product[`${name} (enhet)`];
+      // Parsed values get the locale's formatting and the preferred unit; others stay raw
+      const measurement = getMeasurement(product, name);
+      if (measurement) {
+        const parts = formatMeasurementParts(measurement, displayUnitFor(measurement, displayUnits), locale);
+        value = parts.text;
+        enhet = parts.unit;
+      }
       if (value) {
         rightColumn.push(
           renderGridField(
-            FIELD_ICONS[name], name, value, enhet
+            FIELD_ICONS[name], fieldLabel(name), value, enhet
           )
         );
       }
@@ -267,18 +376,6 @@ export default function ProductCard({
 
   const [leftColumn, rightColumn] = buildColumns();
 
-  // --- Image Popup Overlay ---
-  const imagePopupStyle = {
-    position: "fixed",
-    top: 0, left: 0, width: "100vw", height: "100vh",
-    background: "rgba(0,0,0,0.88)",
-    zIndex: 10000,
-    display: "flex",
-    alignItems: "center",
-    justifyContent: "center",
-    cursor: "zoom-out"
-  };
-
   // Centered related products container
   const relatedProductsContainerStyle = {
     display: "flex",
@@ -290,38 +387,44 @@ export default function ProductCard({
     paddingRight: 0,
   };
 
+  // Quote / compare buttons
+  const actionButtonStyle = {
+    display: "flex",
+    alignItems: "center",
+    gap: 6,
+    minHeight: 36,
+    padding: "0 12px",
+    borderRadius: 6,
+    border: `1px solid ${colors.accent}`,
+    background: "none",
+    color: colors.accent,
+    fontSize: 15,
+    fontWeight: 600,
+    cursor: "pointer"
+  };
+
   // --- Render ---
   return (
     <>
-      {/* Image popup overlay, always tries high-res */}
-      {imagePopup && product["Produktbild-URL"] && (
-        <div
-          style={imagePopupStyle}
-          onClick={() => setImagePopup(false)}
-          tabIndex={0}
-          role="button"
-          aria-label="Stäng bild"
-        >
-          <img
-            src={getHighResImage(product["Produktbild-URL"])}
-            alt={product["Namn"]}
-            style={{
-              maxWidth: "98vw",
-              maxHeight: "96vh",
-              borderRadius: 12,
-              boxShadow: "0 4px 32px #0008",
-              cursor: "zoom-out",
-              background: "#fff",
-              objectFit: "contain",
-              display: "block",
-            }}
-            onClick={e => { e.stopPropagation(); setImagePopup(false); }}
-            onLoad={e => { e.target.style.opacity = 1; }}
-          />
-        </div>
+      {/* Image gallery, tries high-res first */}
+      {galleryIndex !== null && images.length > 0 && (
+        <ImageGallery
+          images={images}
+          initialIndex={galleryIndex}
+          alt={product["Namn"]}
+          onClose={() => setGalleryIndex(null)}
+        />
       )}
       <div style={overlayStyle} onClick={onClose}>
-        <div style={cardStyle} onClick={e => e.stopPropagation()}>
+        <div
+          ref={cardRef}
+          role="dialog"
+          aria-modal="true"
+          aria-labelledby="product-card-title"
+          tabIndex={-1}
+          style={cardStyle}
+          onClick={e => e.stopPropagation()}
+        >
           <button
             onClick={onClose}
             style={{
@@ -331,37 +434,60 @@ export default function ProductCard({
               fontSize: 24,
               background: "none",
               border: "none",
-              color: darkMode ? "#aaa" : "#888",
+              color: colors.textMuted,
               cursor: "pointer"
             }}
-            aria-label="Stäng"
+            aria-label={t("common.close")}
           >×</button>
+          {shortlists && (
+            <button
+              onClick={() => onToggleShortlist(activeList.id, product)}
+              style={{
+                position: "absolute",
+                top: 14,
+                right: 48,
+                background: "none",
+                border: "none",
+                padding: 4,
+                display: "flex",
+                color: starred ? colors.accent : colors.textMuted,
+                cursor: "pointer"
+              }}
+              aria-pressed={starred}
+              aria-label={starLabel}
+              title={starLabel}
+            >
+              <Star size={24} weight={starred ? "fill" : "regular"} />
+            </button>
+          )}
           {/* Header with image and name */}
-          <div style={{ display: "flex", alignItems: "center", gap: 12, marginBottom: 14 }}>
-            {product["Produktbild-URL"] ? (
+          <div style={{ display: "flex", alignItems: "center", gap: 12, marginBottom: 14, paddingRight: shortlists ? 40 : 0 }}>
+            {images.length > 0 ? (
               <img
-                src={product["Produktbild-URL"]}
+                src={images[0]}
                 alt={product["Namn"]}
                 style={{
                   width: 60,
                   height: 60,
                   objectFit: "contain",
                   borderRadius: 8,
-                  background: darkMode ? "#18191a" : "#f8f8f8",
+                  background: colors.surfaceAlt,
                   cursor: "zoom-in",
                   flexShrink: 0
                 }}
-                onClick={() => setImagePopup(true)}
+                onClick={() => setGalleryIndex(0)}
+                onKeyDown={activateOnKey(() => setGalleryIndex(0))}
                 tabIndex={0}
                 role="button"
-                aria-label="Visa större bild"
+                aria-label={images.length > 1 ? t("product.showImages", { count: images.length }) : t("product.showLargeImage")}
               />
             ) : (
-              <ImageSquare size={50} color={darkMode ? "#FFD600" : "#888"} />
+              <ImageSquare size={50} color={colors.textMuted} />
             )}
             <div style={{ flex: 1, minWidth: 0 }}>
               <div
                 ref={titleRef}
+                id="product-card-title"
                 style={{
                   fontSize: 19,
                   fontWeight: 700,
@@ -379,11 +505,79 @@ export default function ProductCard({
               >
                 {product["Namn"]}
               </div>
-              <div style={{ color: "#ff7e1b", fontWeight: 600, fontSize: 13 }}>
+              <div style={{ color: colors.sku, fontWeight: 600, fontSize: 13 }}>
                 {sku}
               </div>
             </div>
           </div>
+          {/* Shortlist chips when there is more than one list */}
+          {shortlists && shortlists.lists.length > 1 && (
+            <div style={{ display: "flex", flexWrap: "wrap", gap: 6, marginBottom: 12 }}>
+              {shortlists.lists.map(list => {
+                const inList = isInList(list, sku.trim());
+                return (
+                  <button
+                    key={list.id}
+                    onClick={() => onToggleShortlist(list.id, product)}
+                    style={{
+                      display: "flex",
+                      alignItems: "center",
+                      gap: 4,
+                      minHeight: 30,
+                      padding: "0 10px",
+                      borderRadius: 15,
+                      border: `1px solid ${inList ? colors.accent : colors.border}`,
+                      background: "none",
+                      color: inList ? colors.accent : colors.text,
+                      fontSize: 13,
+                      cursor: "pointer"
+                    }}
+                    aria-pressed={inList}
+                  >
+                    <Star size={14} weight={inList ? "fill" : "regular"} />
+                    {shortlistName(list, t)}
+                  </button>
+                );
+              })}
+            </div>
+          )}
+          {/* More images */}
+          {images.length > 1 && (
+            <div style={{ display: "flex", gap: 6, overflowX: "auto", marginBottom: 12 }}>
+              {images.map((url, i) => (
+                <img
+                  key={url}
+                  src={url}
+                  alt={`${product["Namn"] || t("product.image")} ${i + 1}`}
+                  loading="lazy"
+                  style={{
+                    width: 44,
+                    height: 44,
+                    flexShrink: 0,
+                    objectFit: "contain",
+                    borderRadius: 6,
+                    background: colors.surfaceAlt,
+                    cursor: "zoom-in"
+                  }}
+                  onClick={() => setGalleryIndex(i)}
+                  onKeyDown={activateOnKey(() => setGalleryIndex(i))}
+                  tabIndex={0}
+                  role="button"
+                />
+              ))}
+            </div>
+          )}
+          {/* Variant picker */}
+          {picker && (
+            <div style={{ marginBottom: 8 }}>
+              <div style={{ fontSize: 13, fontWeight: 600, marginBottom: 4 }}>
+                {t("product.variantCount", { count: variants.length })}
+              </div>
+              {renderVariantChips(fieldLabel("Färg"), picker.colors)}
+              {renderVariantChips(t("product.size"), picker.sizes)}
+              {renderVariantChips(t("product.variant"), picker.others)}
+            </div>
+          )}
           {/* Two-column grid for datapoints */}
           <div
             ref={gridContainerRef}
@@ -402,8 +596,8 @@ export default function ProductCard({
                 padding: "8px 8px",
                 width: "100%",
                 borderRadius: 8,
-                background: darkMode ? "#1d1d1e" : "#f7f7fa",
-                border: darkMode ? "1px solid #333" : "1px solid #e0e0e0",
+                background: colors.panel,
+                border: `1px solid ${colors.border}`,
               }}
             >
               {/* Serie */}
@@ -416,17 +610,17 @@ export default function ProductCard({
                   <span style={{
                     fontWeight: 500,
                     fontSize: 15,
-                    color: darkMode ? "#FFD600" : "#222",
+                    color: colors.heading,
                     flexShrink: 0,
                     minWidth: 52,
                     maxWidth: 90,
                     marginTop: 3,
                     marginRight: 8
-                  }}>Serie</span>
+                  }}>{fieldLabel("Serie")}</span>
                   <span style={{
                     fontWeight: 600,
                     fontSize: 15,
-                    color: darkMode ? "#fff" : "#222",
+                    color: colors.text,
                     display: "block",
                     lineHeight: "22px",
                     width: "100%",
@@ -447,17 +641,17 @@ export default function ProductCard({
                   <span style={{
                     fontWeight: 500,
                     fontSize: 15,
-                    color: darkMode ? "#FFD600" : "#222",
+                    color: colors.heading,
                     flexShrink: 0,
                     minWidth: 52,
                     maxWidth: 90,
                     marginTop: 3,
                     marginRight: 8
-                  }}>Färg</span>
+                  }}>{fieldLabel("Färg")}</span>
                   <span style={{
                     fontWeight: 600,
                     fontSize: 15,
-                    color: darkMode ? "#fff" : "#222",
+                    color: colors.text,
                     display: "block",
                     lineHeight: "22px",
                     width: "100%",
@@ -476,16 +670,16 @@ export default function ProductCard({
               style={{
                 margin: "14px 0 8px 0",
                 padding: "10px 10px",
-                background: darkMode ? "#191a1a" : "#f6f7fa",
+                background: colors.panel,
                 borderRadius: 8,
                 fontSize: 15,
                 whiteSpace: "pre-line",
-                color: darkMode ? "#eee" : "#222",
-                border: darkMode ? "1px solid #383838" : "1px solid #e0e0e0",
+                color: colors.text,
+                border: `1px solid ${colors.outline}`,
               }}
             >
-              <strong style={{ display: "block", marginBottom: 4, color: darkMode ? "#FFD600" : "#333" }}>
-                Beskrivning
+              <strong style={{ display: "block", marginBottom: 4, color: colors.heading }}>
+                {fieldLabel("Beskrivning")}
               </strong>
               {product["Beskrivning"]}
             </div>
@@ -498,72 +692,124 @@ export default function ProductCard({
               rel="noopener noreferrer"
               style={{
                 display: "inline-block",
-                color: "#1976d2",
+                color: colors.accent,
                 textDecoration: "underline",
                 marginBottom: 12,
                 fontSize: 15
               }}
             >
-              Visa på Table.se
+              {t("product.viewOnSite")}
             </a>
           )}
-          <hr style={{ margin: "16px 0", borderColor: darkMode ? "#333" : "#eee" }} />
+          <div style={{ display: "flex", gap: 8, flexWrap: "wrap", marginTop: 4 }}>
+            {onAddToQuote && (
+              <button
+                onClick={() => onAddToQuote(product)}
+                style={actionButtonStyle}
+              >
+                <Receipt size={18} />
+                {t("product.addToQuote")}
+                {quoteQuantity ? ` (${t("product.inQuote", { count: quoteQuantity })})` : ""}
+              </button>
+            )}
+            {onToggleCompare && (
+              <button
+                onClick={() => onToggleCompare(product)}
+                disabled={!compared && compareFull}
+                aria-pressed={Boolean(compared)}
+                title={!compared && compareFull ? t("product.compareFull") : undefined}
+                style={{
+                  ...actionButtonStyle,
+                  background: compared ? colors.accent : "none",
+                  color: compared ? colors.onAccent : actionButtonStyle.color,
+                  opacity: !compared && compareFull ? 0.5 : 1
+                }}
+              >
+                <Columns size={18} />
+                {compared ? t("product.compared") : t("product.compare")}
+              </button>
+            )}
+          </div>
+          <hr style={{ margin: "16px 0", borderColor: colors.border }} />
           <div>
-            <strong>Relaterade produkter</strong>
-            <div style={relatedProductsContainerStyle}>
-              {relevant.length === 0 && (
-                <div style={{ color: "#888" }}>Inga relaterade produkter</div>
-              )}
-              {relevant.map(rel => (
-                <div
-                  key={rel["Artikelnummer"]}
-                  style={{
-                    width: 78,
-                    textAlign: "center",
-                    cursor: "pointer",
-                    outline: "none",
-                    borderRadius: 6,
-                    transition: "box-shadow 0.2s",
-                    boxShadow: "none",
-                  }}
-                  onClick={() => {
-                    const match = allProducts.find(p => p["Artikelnummer"] === rel["Artikelnummer"]);
-                    if (onProductSelect) onProductSelect(match || rel);
-                  }}
-                  tabIndex={0}
-                  role="button"
-                  aria-label={`Visa ${rel["Namn"]}`}
-                >
-                  {rel["Produktbild-URL"] && (
-                    <img
-                      src={rel["Produktbild-URL"]}
-                      alt={rel["Namn"]}
+            <strong>{t("related.title")}</strong>
+            {related.length === 0 && (
+              <div style={{ color: colors.textMuted, marginTop: 8, textAlign: "center" }}>{t("related.none")}</div>
+            )}
+            {related.map(section => (
+              <div key={section.key} style={{ marginTop: 10 }}>
+                <div style={{ display: "flex", alignItems: "baseline", gap: 8 }}>
+                  <span style={{ flex: 1, fontSize: 14, fontWeight: 600, color: colors.textMuted }}>
+                    {t(`related.${section.key}`)}
+                  </span>
+                  {onShowRelated && (
+                    <button
+                      onClick={() => onShowRelated(section.key, section.all)}
                       style={{
-                        width: 60,
-                        height: 60,
-                        objectFit: "contain",
-                        borderRadius: 6,
-                        background: darkMode ? "#18191a" : "#f8f8f8"
+                        background: "none",
+                        border: "none",
+                        padding: 4,
+                        color: colors.accent,
+                        fontSize: 13,
+                        textDecoration: "underline",
+                        cursor: "pointer"
                       }}
-                    />
+                    >
+                      {t("filters.showAll", { count: section.all.length })}
+                    </button>
                   )}
-                  <div
-                    style={{
-                      fontSize: 11,
-                      color: "#555",
-                      marginTop: 2,
-                      whiteSpace: "nowrap",
-                      overflow: "hidden",
-                      textOverflow: "ellipsis",
-                    }}
-                    title={rel["Namn"]}
-                  >
-                    {rel["Namn"]}
-                  </div>
-                  <div style={{ color: "#ff7e1b", fontSize: 11 }}>{rel["Artikelnummer"]}</div>
                 </div>
-              ))}
-            </div>
+                <div style={relatedProductsContainerStyle}>
+                  {section.products.map(rel => (
+                    <button
+                      key={rel["Artikelnummer"]}
+                      type="button"
+                      style={{
+                        width: 78,
+                        padding: 0,
+                        background: "none",
+                        border: "none",
+                        color: "inherit",
+                        font: "inherit",
+                        textAlign: "center",
+                        cursor: "pointer",
+                        borderRadius: 6,
+                      }}
+                      onClick={() => openRelated(rel)}
+                      aria-label={t("related.show", { name: rel["Namn"] })}
+                    >
+                      {primaryImage(rel) && (
+                        <img
+                          src={primaryImage(rel)}
+                          alt={rel["Namn"]}
+                          style={{
+                            width: 60,
+                            height: 60,
+                            objectFit: "contain",
+                            borderRadius: 6,
+                            background: colors.surfaceAlt
+                          }}
+                        />
+                      )}
+                      <div
+                        style={{
+                          fontSize: 11,
+                          color: colors.textMuted,
+                          marginTop: 2,
+                          whiteSpace: "nowrap",
+                          overflow: "hidden",
+                          textOverflow: "ellipsis",
+                        }}
+                        title={rel["Namn"]}
+                      >
+                        {rel["Namn"]}
+                      </div>
+                      <div style={{ color: colors.sku, fontSize: 11 }}>{rel["Artikelnummer"]}</div>
+                    </button>
+                  ))}
+                </div>
+              </div>
+            ))}
           </div>
         </div>
       </div>
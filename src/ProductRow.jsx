@@ -0,0 +1,244 @@
+/**
+ * ProductRow.jsx
+ *
+ * One row of the product list: image, name, SKU, optional catalog label and prices.
+ * - One measurement after the SKU (the sorted-by one, else the first the product
+ *   has), in the preferred display unit.
+ * - Fixed height (ROW_HEIGHT, or ROW_HEIGHT_WITH_CATALOG with a catalog label)
+ *   so VirtualList can window the list.
+ * - Images load lazily and decode off the main thread.
+ * - Optional star button toggling the product in the active shortlist.
+ * - Prices exkl./inkl. moms or both (price settings); derived prices are italic
+ *   with "≈" and say their VAT rate in the tooltip.
+ * - Grouped mode: a variant group shows its variant count and price range.
+ * - Inside the result listbox a row is an option (optionId set), highlighted
+ *   while active; on its own (shortlists) it is a button reachable with Tab.
+ * - Prices in the UI language's currency format, measurements in its number format.
+ * - Memoized: rows only re-render when their product or props change.
+ */
+
+import React from "react";
+import { ImageSquare, Star } from "phosphor-react";
+import { OTHER_MEASUREMENTS } from "./productFields.js";
+import { getMeasurement, formatMeasurement, displayUnitFor } from "./measurements.js";
+import { productPrices, priceRangeOf, shownPriceKinds, formatPriceRange, DEFAULT_PRICE_SETTINGS } from "./prices.js";
+import { primaryImage } from "./productImages.js";
+import { activateOnKey } from "./keyboard.js";
+import { useI18n } from "./i18n.js";
+import { useTheme } from "./theme.js";
+
+// Row heights, including the 1px divider
+export const ROW_HEIGHT = 59;
+export const ROW_HEIGHT_WITH_CATALOG = 73;
+
+const ICON_SIZE = 22;
+
+function rowMeasurement(item, name) {
+  if (name) return getMeasurement(item, name);
+  for (const other of OTHER_MEASUREMENTS) {
+    const m = getMeasurement(item, other);
+    if (m) return m;
+  }
+  return null;
+}
+
+function ProductRow({
+  item,
+  height,
+  catalogLabel,
+  isLast,
+  onSelect,
+  starred,
+  onToggleStar,
+  measurement,
+  displayUnits,
+  priceSettings = DEFAULT_PRICE_SETTINGS,
+  group,
+  optionId,
+  active,
+  position,
+  setSize,
+}) {
+  const { t, locale, fieldLabel } = useI18n();
+  const { colors } = useTheme();
+  const imgUrl = primaryImage(item);
+  const variantCount = group ? group.products.length : 1;
+  const shownMeasurement = variantCount > 1 ? null : rowMeasurement(item, measurement);
+  const prices = productPrices(item, priceSettings);
+  // { min, max, derived } per shown price kind; a single product has min = max
+  const priceLines = shownPriceKinds(priceSettings.display).map((kind) => {
+    if (variantCount > 1) return { kind, range: priceRangeOf(group.products, kind, priceSettings) };
+    const price = prices[kind];
+    return { kind, range: price && { min: price.value, max: price.value, derived: price.derived } };
+  });
+  const textColor = colors.text;
+  const fadedColor = colors.textMuted;
+  const iconBg = colors.surfaceAlt;
+
+  const priceStyle = {
+    display: "flex",
+    alignItems: "center",
+    gap: 3,
+    fontSize: 14,
+    color: textColor,
+  };
+  const lineStyle = {
+    whiteSpace: "nowrap",
+    overflow: "hidden",
+    textOverflow: "ellipsis",
+    minWidth: 0,
+  };
+
+  const accent = colors.accent;
+  const roleProps = optionId
+    ? { role: "option", id: optionId, "aria-selected": Boolean(active), "aria-posinset": position, "aria-setsize": setSize }
+    : { role: "button", tabIndex: 0, onKeyDown: activateOnKey(() => onSelect(item)) };
+
+  return (
+    <div
+      {...roleProps}
+      onClick={() => onSelect(item)}
+      style={{
+        display: "flex",
+        alignItems: "center",
+        height,
+        boxSizing: "border-box",
+        overflow: "hidden",
+        borderBottom: isLast ? "none" : `1px solid ${colors.divider}`,
+        padding: "7px 0 7px 0",
+        gap: 9,
+        background: active ? colors.selected : "transparent",
+        outline: active ? `2px solid ${accent}` : "none",
+        outlineOffset: -2,
+        color: textColor,
+        cursor: "pointer",
+      }}
+    >
+      {/* Image */}
+      <div
+        style={{
+          width: 44,
+          height: 44,
+          background: iconBg,
+          borderRadius: 6,
+          overflow: "hidden",
+          display: "flex",
+          alignItems: "center",
+          justifyContent: "center",
+          flexShrink: 0,
+        }}
+      >
+        {imgUrl ? (
+          <img
+            src={imgUrl}
+            alt={item["Namn"] || t("product.image")}
+            loading="lazy"
+            decoding="async"
+            width={44}
+            height={44}
+            style={{
+              width: "100%",
+              height: "100%",
+              objectFit: "contain",
+              display: "block",
+              background: iconBg,
+            }}
+          />
+        ) : (
+          <span style={{ color: fadedColor, display: "flex" }}>
+            <ImageSquare size={ICON_SIZE} />
+          </span>
+        )}
+      </div>
+      {/* Info */}
+      <div style={{ flex: 1, minWidth: 0 }}>
+        <div
+          style={{
+            ...lineStyle,
+            fontWeight: 600,
+            fontSize: 15,
+            textTransform: "uppercase",
+            color: textColor,
+          }}
+          title={item["Namn"]}
+        >
+          {item["Namn"] || <em style={{ color: fadedColor }}>{t("product.unnamed")}</em>}
+        </div>
+        <div style={{ ...lineStyle, fontWeight: 600, fontSize: 15, color: colors.sku }} title={item["Artikelnummer"]}>
+          {variantCount > 1 ? t("product.variantCount", { count: variantCount }) : item["Artikelnummer"]}
+          {shownMeasurement && (
+            <span style={{ fontWeight: 400, fontSize: 13, color: fadedColor, marginLeft: 8 }}>
+              {fieldLabel(shownMeasurement.name)}{" "}
+              {formatMeasurement(shownMeasurement, displayUnitFor(shownMeasurement, displayUnits), locale)}
+            </span>
+          )}
+        </div>
+        {catalogLabel && (
+          <div style={{ ...lineStyle, fontSize: 12, color: fadedColor }} title={catalogLabel}>
+            {catalogLabel}
+          </div>
+        )}
+      </div>
+      {/* Prices */}
+      <div
+        style={{
+          display: "flex",
+          flexDirection: "column",
+          alignItems: "flex-end",
+          gap: 1,
+          minWidth: 80,
+        }}
+      >
+        {priceLines.map(({ kind, range }) =>
+          range ? (
+            <span
+              key={kind}
+              style={{ ...priceStyle, fontStyle: range.derived ? "italic" : "normal" }}
+              title={range.derived ? t("prices.derived", { rate: Math.round(prices.rate * 100) }) : undefined}
+            >
+              <span>
+                {range.derived && "≈ "}
+                {formatPriceRange(range, prices.currency, locale)}
+              </span>
+              <span style={{ fontSize: 12, color: fadedColor, marginLeft: 2 }}>
+                {prices.per && `/${prices.per} `}
+                {t(`prices.${kind}Short`)}
+              </span>
+            </span>
+          ) : null
+        )}
+      </div>
+      {onToggleStar && (
+        <button
+          type="button"
+          onClick={(e) => {
+            e.stopPropagation();
+            onToggleStar(item);
+          }}
+          style={{
+            width: 36,
+            height: 36,
+            display: "flex",
+            alignItems: "center",
+            justifyContent: "center",
+            flexShrink: 0,
+            background: "none",
+            border: "none",
+            padding: 0,
+            cursor: "pointer",
+            color: starred ? accent : fadedColor,
+          }}
+          // The list itself holds focus; the star stays reachable from ProductCard
+          tabIndex={optionId ? -1 : undefined}
+          aria-pressed={Boolean(starred)}
+          aria-label={starred ? t("shortlist.remove") : t("shortlist.add")}
+          title={starred ? t("shortlist.remove") : t("shortlist.add")}
+        >
+          <Star size={ICON_SIZE} weight={starred ? "fill" : "regular"} />
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default React.memo(ProductRow);
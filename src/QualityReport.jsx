@@ -0,0 +1,236 @@
+/**
+ * QualityReport.jsx
+ *
+ * Overlay listing the data quality (QC) issues of the active catalog.
+ * - Summary per severity and per check; tap a check to filter the list.
+ * - Issue rows show spreadsheet row number, SKU, field, message and severity.
+ * - "Visa berörda produkter" narrows the main list to affected products.
+ * - XLSX download of all issues.
+ * - Long lists render in pages so big catalogs stay responsive on mobile.
+ */
+
+import React, { useState, useEffect, useRef } from "react";
+import { X, DownloadSimple, Funnel, WarningCircle, Warning } from "phosphor-react";
+import {
+  QC_CHECKS,
+  SEVERITY_ERROR,
+  SEVERITY_LABELS,
+  exportQualityReport,
+  issueMessage,
+} from "./qualityCheck.js";
+import useDialogFocus from "./useDialogFocus.js";
+import { useI18n } from "./i18n.js";
+import { useTheme } from "./theme.js";
+
+const PAGE_SIZE = 100;
+
+export default function QualityReport({
+  report,
+  catalogName,
+  onShowAffected,
+  onClose,
+}) {
+  const i18n = useI18n();
+  const { colors } = useTheme();
+  const { t, fieldLabel } = i18n;
+  const dialogRef = useRef(null);
+  useDialogFocus(dialogRef, onClose);
+
+  const [severity, setSeverity] = useState("all");
+  const [check, setCheck] = useState("all");
+  const [visibleCount, setVisibleCount] = useState(PAGE_SIZE);
+
+  useEffect(() => {
+    setVisibleCount(PAGE_SIZE);
+  }, [severity, check]);
+
+  const textColor = colors.text;
+  const fadedColor = colors.textMuted;
+  const borderColor = colors.border;
+  const accent = colors.accent;
+  const errorColor = colors.error;
+  const warningColor = colors.warning;
+
+  const visibleIssues = report.issues.filter(
+    (issue) =>
+      (severity === "all" || issue.severity === severity) &&
+      (check === "all" || issue.check === check)
+  );
+
+  const chipStyle = (active) => ({
+    minHeight: 32,
+    padding: "0 10px",
+    borderRadius: 16,
+    border: `1px solid ${active ? accent : borderColor}`,
+    background: "none",
+    color: active ? accent : textColor,
+    fontWeight: active ? 700 : 500,
+    fontSize: 13,
+    cursor: "pointer",
+    whiteSpace: "nowrap",
+  });
+
+  const buttonStyle = {
+    display: "flex",
+    alignItems: "center",
+    gap: 6,
+    padding: "6px 10px",
+    borderRadius: 6,
+    border: `1px solid ${accent}`,
+    background: "none",
+    color: accent,
+    fontWeight: 600,
+    cursor: "pointer",
+  };
+
+  return (
+    <div
+      style={{
+        position: "fixed",
+        inset: 0,
+        background: colors.backdrop,
+        zIndex: 9999,
+        display: "flex",
+        alignItems: "center",
+        justifyContent: "center",
+      }}
+      onClick={onClose}
+    >
+      <div
+        ref={dialogRef}
+        role="dialog"
+        aria-modal="true"
+        tabIndex={-1}
+        aria-label={t("qc.title")}
+        onClick={(e) => e.stopPropagation()}
+        style={{
+          outline: "none",
+          background: colors.surface,
+          color: textColor,
+          borderRadius: 12,
+          maxWidth: 720,
+          width: "99vw",
+          maxHeight: "94vh",
+          display: "flex",
+          flexDirection: "column",
+          padding: 16,
+          boxShadow: `0 4px 32px ${colors.shadow}`,
+          border: `1px solid ${colors.outline}`,
+          boxSizing: "border-box",
+        }}
+      >
+        <div style={{ display: "flex", alignItems: "center", marginBottom: 4 }}>
+          <strong style={{ flex: 1, fontSize: 18 }}>{t("qc.title")}</strong>
+          <button
+            type="button"
+            onClick={onClose}
+            style={{ background: "none", border: "none", color: fadedColor, cursor: "pointer", padding: 4 }}
+            aria-label={t("common.close")}
+          >
+            <X size={22} />
+          </button>
+        </div>
+        <div style={{ fontSize: 13, color: fadedColor, marginBottom: 10 }}>
+          {catalogName} ·{" "}
+          {t("qc.summary", {
+            errors: report.counts.error,
+            warnings: report.counts.warning,
+            affected: report.affectedIndices.size,
+          })}
+        </div>
+
+        {report.issues.length > 0 && (
+          <>
+            <div style={{ display: "flex", gap: 6, overflowX: "auto", paddingBottom: 6 }}>
+              <button type="button" style={chipStyle(severity === "all")} onClick={() => setSeverity("all")}>
+                {t("qc.all")}
+              </button>
+              {Object.keys(SEVERITY_LABELS).map((key) => (
+                <button key={key} type="button" style={chipStyle(severity === key)} onClick={() => setSeverity(key)}>
+                  {t(SEVERITY_LABELS[key])} ({report.counts[key]})
+                </button>
+              ))}
+            </div>
+            <div style={{ display: "flex", gap: 6, overflowX: "auto", paddingBottom: 8 }}>
+              <button type="button" style={chipStyle(check === "all")} onClick={() => setCheck("all")}>
+                {t("qc.allChecks")}
+              </button>
+              {Object.keys(QC_CHECKS)
+                .filter((key) => report.byCheck[key])
+                .map((key) => (
+                  <button key={key} type="button" style={chipStyle(check === key)} onClick={() => setCheck(key)}>
+                    {t(QC_CHECKS[key])} ({report.byCheck[key]})
+                  </button>
+                ))}
+            </div>
+            <div style={{ display: "flex", gap: 8, flexWrap: "wrap", marginBottom: 8 }}>
+              <button type="button" style={buttonStyle} onClick={() => onShowAffected(visibleIssues)}>
+                <Funnel size={16} /> {t("qc.showAffected")}
+              </button>
+              <button type="button" style={buttonStyle} onClick={() => exportQualityReport(report, catalogName, i18n)}>
+                <DownloadSimple size={16} /> XLSX
+              </button>
+            </div>
+          </>
+        )}
+
+        <div style={{ overflowY: "auto", flex: 1, minHeight: 0 }}>
+          {visibleIssues.length === 0 && (
+            <div style={{ color: fadedColor, padding: "1em 0", textAlign: "center" }}>
+              {t("qc.noIssues")}
+            </div>
+          )}
+          {visibleIssues.slice(0, visibleCount).map((issue, i) => {
+            const isError = issue.severity === SEVERITY_ERROR;
+            return (
+              <div
+                key={`${issue.index}-${issue.field}-${issue.check}-${i}`}
+                style={{
+                  display: "flex",
+                  gap: 8,
+                  padding: "7px 0",
+                  borderBottom: `1px solid ${borderColor}`,
+                  fontSize: 14,
+                }}
+              >
+                <span
+                  style={{ color: isError ? errorColor : warningColor, flexShrink: 0, marginTop: 1 }}
+                  title={t(SEVERITY_LABELS[issue.severity])}
+                  aria-label={t(SEVERITY_LABELS[issue.severity])}
+                >
+                  {isError ? <WarningCircle size={18} weight="fill" /> : <Warning size={18} weight="fill" />}
+                </span>
+                <div style={{ flex: 1, minWidth: 0 }}>
+                  <div style={{ display: "flex", gap: 8, flexWrap: "wrap" }}>
+                    <strong>{t("qc.row", { row: issue.row })}</strong>
+                    {issue.sku && <span style={{ color: colors.sku, fontWeight: 600 }}>{issue.sku}</span>}
+                    <span style={{ color: fadedColor }}>{fieldLabel(issue.field)}</span>
+                  </div>
+                  <div style={{ wordBreak: "break-word" }}>{issueMessage(issue, i18n)}</div>
+                </div>
+              </div>
+            );
+          })}
+          {visibleIssues.length > visibleCount && (
+            <button
+              type="button"
+              onClick={() => setVisibleCount((n) => n + PAGE_SIZE)}
+              style={{
+                display: "block",
+                margin: "12px auto",
+                padding: "8px 16px",
+                borderRadius: 6,
+                border: `1px solid ${borderColor}`,
+                background: "none",
+                color: textColor,
+                cursor: "pointer",
+              }}
+            >
+              {t("qc.showMore", { count: visibleIssues.length - visibleCount })}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
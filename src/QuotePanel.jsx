@@ -0,0 +1,290 @@
+/**
+ * QuotePanel.jsx
+ *
+ * Overlay for the price quote (offert) built from ProductCard's "Lägg till i offert".
+ * - Own header text (customer, reference...) printed above the lines.
+ * - Per line: quantity stepper, optional discount (%), line totals exkl/inkl.
+ * - Grand totals: exkl. moms, VAT amount and inkl. moms.
+ * - XLSX download and a print-optimized HTML page with images.
+ */
+
+import React, { useRef } from "react";
+import { X, DownloadSimple, Printer, Minus, Plus, Trash, ImageSquare } from "phosphor-react";
+import {
+  quoteTotals,
+  setLineQuantity,
+  setLineDiscount,
+  removeQuoteLine,
+  setQuoteHeader,
+  exportQuoteToXlsx,
+  printQuote,
+  EMPTY_QUOTE,
+} from "./quote.js";
+import useDialogFocus from "./useDialogFocus.js";
+import { useI18n } from "./i18n.js";
+import { useTheme } from "./theme.js";
+
+export default function QuotePanel({ quote, onChange, onClose }) {
+  const i18n = useI18n();
+  const { colors } = useTheme();
+  const { t, formatPrice } = i18n;
+  const dialogRef = useRef(null);
+  useDialogFocus(dialogRef, onClose);
+
+  const totals = quoteTotals(quote);
+
+  const textColor = colors.text;
+  const fadedColor = colors.textMuted;
+  const borderColor = colors.border;
+  const accent = colors.accent;
+
+  const inputStyle = {
+    height: 32,
+    borderRadius: 6,
+    border: `1px solid ${borderColor}`,
+    background: colors.input,
+    color: textColor,
+    fontSize: 15,
+    padding: "0 6px",
+    boxSizing: "border-box",
+  };
+  const stepButtonStyle = {
+    width: 32,
+    height: 32,
+    display: "flex",
+    alignItems: "center",
+    justifyContent: "center",
+    borderRadius: 6,
+    border: `1px solid ${borderColor}`,
+    background: "none",
+    color: textColor,
+    cursor: "pointer",
+    padding: 0,
+  };
+  const buttonStyle = {
+    display: "flex",
+    alignItems: "center",
+    gap: 6,
+    padding: "6px 10px",
+    borderRadius: 6,
+    border: `1px solid ${accent}`,
+    background: "none",
+    color: accent,
+    fontWeight: 600,
+    cursor: "pointer",
+  };
+  const isEmpty = quote.lines.length === 0;
+
+  return (
+    <div
+      style={{
+        position: "fixed",
+        inset: 0,
+        background: colors.backdrop,
+        zIndex: 9999,
+        display: "flex",
+        alignItems: "center",
+        justifyContent: "center",
+      }}
+      onClick={onClose}
+    >
+      <div
+        ref={dialogRef}
+        role="dialog"
+        aria-modal="true"
+        tabIndex={-1}
+        aria-label={t("quote.title")}
+        onClick={(e) => e.stopPropagation()}
+        style={{
+          outline: "none",
+          background: colors.surface,
+          color: textColor,
+          borderRadius: 12,
+          maxWidth: 720,
+          width: "99vw",
+          maxHeight: "94vh",
+          display: "flex",
+          flexDirection: "column",
+          padding: 16,
+          boxShadow: `0 4px 32px ${colors.shadow}`,
+          border: `1px solid ${colors.outline}`,
+          boxSizing: "border-box",
+        }}
+      >
+        <div style={{ display: "flex", alignItems: "center", marginBottom: 8 }}>
+          <strong style={{ flex: 1, fontSize: 18 }}>{t("quote.title")}</strong>
+          <button
+            type="button"
+            onClick={onClose}
+            style={{ background: "none", border: "none", color: fadedColor, cursor: "pointer", padding: 4 }}
+            aria-label={t("common.close")}
+          >
+            <X size={22} />
+          </button>
+        </div>
+
+        <textarea
+          value={quote.header}
+          onChange={(e) => onChange(setQuoteHeader(quote, e.target.value))}
+          placeholder={t("quote.headerPlaceholder")}
+          aria-label={t("quote.headerLabel")}
+          rows={2}
+          style={{ ...inputStyle, height: "auto", padding: 8, resize: "vertical", marginBottom: 10, fontFamily: "inherit" }}
+        />
+
+        <div style={{ overflowY: "auto", flex: 1, minHeight: 0 }}>
+          {isEmpty && (
+            <div style={{ color: fadedColor, padding: "1em 0", textAlign: "center" }}>
+              {t("quote.empty")}
+            </div>
+          )}
+          {totals.lines.map((line) => (
+            <div
+              key={line.id}
+              style={{ display: "flex", gap: 9, padding: "8px 0", borderBottom: `1px solid ${borderColor}` }}
+            >
+              <div
+                style={{
+                  width: 44,
+                  height: 44,
+                  flexShrink: 0,
+                  borderRadius: 6,
+                  overflow: "hidden",
+                  display: "flex",
+                  alignItems: "center",
+                  justifyContent: "center",
+                  background: colors.surfaceAlt,
+                  color: fadedColor,
+                }}
+              >
+                {line.imageUrl ? (
+                  <img
+                    src={line.imageUrl}
+                    alt=""
+                    loading="lazy"
+                    style={{ width: "100%", height: "100%", objectFit: "contain" }}
+                  />
+                ) : (
+                  <ImageSquare size={22} />
+                )}
+              </div>
+              <div style={{ flex: 1, minWidth: 0 }}>
+                <div
+                  style={{
+                    fontWeight: 600,
+                    fontSize: 15,
+                    textTransform: "uppercase",
+                    whiteSpace: "nowrap",
+                    overflow: "hidden",
+                    textOverflow: "ellipsis",
+                  }}
+                  title={line.name}
+                >
+                  {line.name}
+                </div>
+                <div style={{ color: colors.sku, fontWeight: 600, fontSize: 13 }}>{line.sku}</div>
+                <div style={{ fontSize: 13, color: fadedColor }}>{t("quote.unitPrice", { price: formatPrice(line.unitExkl, line.currency) })}</div>
+                <div style={{ display: "flex", alignItems: "center", gap: 6, flexWrap: "wrap", marginTop: 6 }}>
+                  <button
+                    type="button"
+                    style={stepButtonStyle}
+                    onClick={() => onChange(setLineQuantity(quote, line.id, line.quantity - 1))}
+                    disabled={line.quantity <= 1}
+                    aria-label={t("quote.decrease")}
+                  >
+                    <Minus size={14} />
+                  </button>
+                  <input
+                    type="number"
+                    min={1}
+                    inputMode="numeric"
+                    value={line.quantity}
+                    onChange={(e) => onChange(setLineQuantity(quote, line.id, e.target.value))}
+                    style={{ ...inputStyle, width: 60, textAlign: "center" }}
+                    aria-label={t("quote.quantityFor", { sku: line.sku || line.name })}
+                  />
+                  <button
+                    type="button"
+                    style={stepButtonStyle}
+                    onClick={() => onChange(setLineQuantity(quote, line.id, line.quantity + 1))}
+                    aria-label={t("quote.increase")}
+                  >
+                    <Plus size={14} />
+                  </button>
+                  <label style={{ display: "flex", alignItems: "center", gap: 4, fontSize: 13, marginLeft: 6 }}>
+                    {t("quote.col.discountShort")}
+                    <input
+                      type="number"
+                      min={0}
+                      max={100}
+                      inputMode="decimal"
+                      value={line.discount || ""}
+                      placeholder="0"
+                      onChange={(e) => onChange(setLineDiscount(quote, line.id, e.target.value))}
+                      style={{ ...inputStyle, width: 56, textAlign: "right" }}
+                    />
+                    %
+                  </label>
+                </div>
+              </div>
+              <div style={{ display: "flex", flexDirection: "column", alignItems: "flex-end", gap: 2, fontSize: 14 }}>
+                <span style={{ fontWeight: 600, whiteSpace: "nowrap" }}>{formatPrice(line.totalExkl, line.currency)}</span>
+                <span style={{ fontSize: 12, color: fadedColor, whiteSpace: "nowrap" }}>
+                  {t("quote.inkl", { price: formatPrice(line.totalInkl, line.currency) })}
+                </span>
+                <button
+                  type="button"
+                  onClick={() => onChange(removeQuoteLine(quote, line.id))}
+                  style={{ background: "none", border: "none", color: fadedColor, cursor: "pointer", padding: 4 }}
+                  aria-label={t("quote.removeSku", { sku: line.sku || line.name })}
+                >
+                  <Trash size={18} />
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+
+        {totals.currencies.map((sum) => (
+          <div
+            key={sum.currency}
+            style={{ borderTop: `2px solid ${textColor}`, marginTop: 6, paddingTop: 8, fontSize: 15 }}
+          >
+            <div style={{ display: "flex", justifyContent: "space-between" }}>
+              <span>{t("quote.totalExkl")}</span>
+              <span>{formatPrice(sum.totalExkl, sum.currency)}</span>
+            </div>
+            <div style={{ display: "flex", justifyContent: "space-between", color: fadedColor }}>
+              <span>{t("quote.vat")}</span>
+              <span>{formatPrice(sum.vat, sum.currency)}</span>
+            </div>
+            <div style={{ display: "flex", justifyContent: "space-between", fontWeight: 700, fontSize: 17 }}>
+              <span>{t("quote.totalInkl")}</span>
+              <span>{formatPrice(sum.totalInkl, sum.currency)}</span>
+            </div>
+          </div>
+        ))}
+
+        <div style={{ display: "flex", gap: 8, flexWrap: "wrap", marginTop: 12 }}>
+          <button type="button" style={buttonStyle} disabled={isEmpty} onClick={() => exportQuoteToXlsx(quote, i18n)}>
+            <DownloadSimple size={16} /> XLSX
+          </button>
+          <button type="button" style={buttonStyle} disabled={isEmpty} onClick={() => printQuote(quote, i18n)}>
+            <Printer size={16} /> {t("quote.print")}
+          </button>
+          <span style={{ flex: 1 }} />
+          <button
+            type="button"
+            disabled={isEmpty}
+            onClick={() => {
+              if (window.confirm(t("quote.clearConfirm"))) onChange({ ...EMPTY_QUOTE, header: quote.header });
+            }}
+            style={{ ...buttonStyle, borderColor: borderColor, color: colors.error }}
+          >
+            <Trash size={16} /> {t("quote.clear")}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
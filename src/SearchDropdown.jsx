@@ -0,0 +1,152 @@
+/**
+ * SearchDropdown.jsx
+ *
+ * Suggestion list under the header search box: completions grouped by type,
+ * recent searches and saved searches.
+ * - A listbox of options; the search input owns focus and keyboard handling
+ *   (combobox with aria-activedescendant), so the dropdown only renders.
+ * - Tap/click picks an option; recent and saved entries have a remove button.
+ * - Pointer presses don't take focus from the input, so the keyboard stays up on touch.
+ * - Groups without a label (the "save search" action) render without a heading.
+ */
+
+import React from "react";
+import { MagnifyingGlass, ClockCounterClockwise, BookmarkSimple, FloppyDisk, X } from "phosphor-react";
+import { useTheme } from "./theme.js";
+
+const KIND_ICONS = {
+  completion: MagnifyingGlass,
+  recent: ClockCounterClockwise,
+  saved: BookmarkSimple,
+  save: FloppyDisk,
+};
+
+// Kinds that can be removed from the list
+const REMOVABLE = ["recent", "saved"];
+
+// Keeps focus (and the on-screen keyboard) in the search input
+function keepFocus(e) {
+  e.preventDefault();
+}
+
+export default function SearchDropdown({ id, groups, activeId, onPick, onRemove, removeLabel }) {
+  const { colors } = useTheme();
+
+  return (
+    <div
+      style={{
+        position: "absolute",
+        top: 42,
+        left: 0,
+        right: 0,
+        maxHeight: "70vh",
+        overflowY: "auto",
+        background: colors.surface,
+        color: colors.text,
+        border: `1px solid ${colors.outline}`,
+        borderRadius: 8,
+        boxShadow: `0 4px 24px ${colors.shadow}`,
+        padding: "4px 0",
+        fontSize: 15,
+        zIndex: 1200,
+      }}
+    >
+      <div id={id} role="listbox">
+        {groups.map((group) => (
+          <div
+            key={group.key}
+            role="group"
+            aria-labelledby={group.label ? `${id}-${group.key}` : undefined}
+            style={group.label ? undefined : { borderTop: `1px solid ${colors.border}`, marginTop: 4 }}
+          >
+            {group.label && (
+              <div
+                id={`${id}-${group.key}`}
+                style={{ padding: "6px 12px 2px", fontSize: 12, fontWeight: 600, color: colors.textMuted }}
+              >
+                {group.label}
+              </div>
+            )}
+            {group.options.map((option) => {
+              const Icon = KIND_ICONS[option.kind];
+              const active = option.id === activeId;
+              return (
+                <div
+                  key={option.id}
+                  style={{
+                    display: "flex",
+                    alignItems: "center",
+                    background: active ? colors.selected : "none",
+                    outline: active ? `2px solid ${colors.accent}` : "none",
+                    outlineOffset: -2,
+                  }}
+                >
+                  <div
+                    id={option.id}
+                    role="option"
+                    aria-selected={active}
+                    onPointerDown={keepFocus}
+                    onClick={() => onPick(option)}
+                    style={{
+                      flex: 1,
+                      minWidth: 0,
+                      minHeight: 40,
+                      display: "flex",
+                      alignItems: "center",
+                      gap: 10,
+                      padding: "4px 12px",
+                      cursor: "pointer",
+                    }}
+                  >
+                    <Icon size={16} style={{ flexShrink: 0, color: colors.textMuted }} />
+                    <span style={{ minWidth: 0, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>
+                      {option.label}
+                    </span>
+                    {option.detail && (
+                      <span
+                        style={{
+                          minWidth: 0,
+                          fontSize: 13,
+                          color: colors.textMuted,
+                          overflow: "hidden",
+                          textOverflow: "ellipsis",
+                          whiteSpace: "nowrap",
+                        }}
+                      >
+                        {option.detail}
+                      </span>
+                    )}
+                  </div>
+                  {REMOVABLE.includes(option.kind) && (
+                    <button
+                      type="button"
+                      tabIndex={-1}
+                      onPointerDown={keepFocus}
+                      onClick={() => onRemove(option)}
+                      aria-label={removeLabel(option)}
+                      title={removeLabel(option)}
+                      style={{
+                        width: 40,
+                        height: 40,
+                        flexShrink: 0,
+                        display: "flex",
+                        alignItems: "center",
+                        justifyContent: "center",
+                        background: "none",
+                        border: "none",
+                        color: colors.textMuted,
+                        cursor: "pointer",
+                      }}
+                    >
+                      <X size={14} />
+                    </button>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,210 @@
+/**
+ * ShortlistView.jsx
+ *
+ * Shown in place of the result list: the products of one shortlist.
+ * - Choose, create, rename and delete shortlists.
+ * - Items render with ProductRow (tap to open ProductCard, star to remove),
+ *   each with a free-text note.
+ * - Items whose SKU is missing from the active catalog (e.g. after a newer
+ *   import) are flagged, and keep their name from when they were added.
+ */
+
+import React from "react";
+import { ArrowLeft, Plus, PencilSimple, Trash, WarningCircle } from "phosphor-react";
+import ProductRow, { ROW_HEIGHT } from "./ProductRow.jsx";
+import {
+  getActiveList,
+  setActiveList,
+  createShortlist,
+  renameShortlist,
+  deleteShortlist,
+  removeListItem,
+  setItemNote,
+  shortlistName,
+} from "./shortlists.js";
+import { useI18n } from "./i18n.js";
+import { useTheme } from "./theme.js";
+
+export default function ShortlistView({
+  shortlists,
+  onChange,
+  resolveProduct,
+  catalogName,
+  onSelectProduct,
+  displayUnits,
+  priceSettings,
+  onClose,
+}) {
+  const { t } = useI18n();
+  const { colors } = useTheme();
+  const list = getActiveList(shortlists);
+  const items = list.items.map((item) => ({ item, product: resolveProduct(item.sku) }));
+  const missingCount = items.filter((entry) => !entry.product).length;
+
+  const textColor = colors.text;
+  const fadedColor = colors.textMuted;
+  const borderColor = colors.border;
+  const accent = colors.accent;
+  const warningColor = colors.warning;
+
+  const iconButtonStyle = {
+    display: "flex",
+    alignItems: "center",
+    justifyContent: "center",
+    width: 36,
+    height: 36,
+    flexShrink: 0,
+    background: "none",
+    border: "none",
+    padding: 0,
+    color: fadedColor,
+    cursor: "pointer",
+  };
+  const inputStyle = {
+    height: 36,
+    borderRadius: 6,
+    border: `1px solid ${borderColor}`,
+    background: colors.input,
+    color: textColor,
+    fontSize: 15,
+    padding: "0 8px",
+    boxSizing: "border-box",
+  };
+
+  function handleCreate() {
+    const name = window.prompt(t("shortlist.newPrompt"), "");
+    if (name === null || !name.trim()) return;
+    onChange(createShortlist(shortlists, name.trim()));
+  }
+
+  function handleRename() {
+    const name = window.prompt(t("shortlist.renamePrompt"), shortlistName(list, t));
+    if (name === null || !name.trim()) return;
+    onChange(renameShortlist(shortlists, list.id, name.trim()));
+  }
+
+  function handleDelete() {
+    const question = t(shortlists.lists.length > 1 ? "shortlist.deleteConfirm" : "shortlist.clearConfirm", {
+      name: shortlistName(list, t),
+    });
+    if (!window.confirm(question)) return;
+    onChange(deleteShortlist(shortlists, list.id));
+  }
+
+  function renderNote(item) {
+    return (
+      <input
+        type="text"
+        value={item.note}
+        onChange={(e) => onChange(setItemNote(shortlists, list.id, item.sku, e.target.value))}
+        placeholder={t("shortlist.note")}
+        aria-label={t("shortlist.noteFor", { sku: item.sku })}
+        style={{ ...inputStyle, width: "100%", height: 32, fontSize: 14, marginBottom: 8 }}
+      />
+    );
+  }
+
+  return (
+    <div style={{ color: textColor }}>
+      <div style={{ display: "flex", alignItems: "center", gap: 6, marginBottom: 6 }}>
+        <button type="button" onClick={onClose} style={iconButtonStyle} aria-label={t("app.backToResults")}>
+          <ArrowLeft size={22} />
+        </button>
+        <select
+          value={list.id}
+          onChange={(e) => onChange(setActiveList(shortlists, e.target.value))}
+          style={{ ...inputStyle, flex: 1, minWidth: 0, fontWeight: 600 }}
+          aria-label={t("shortlist.choose")}
+        >
+          {shortlists.lists.map((l) => (
+            <option key={l.id} value={l.id}>
+              {shortlistName(l, t)} ({l.items.length})
+            </option>
+          ))}
+        </select>
+        <button type="button" onClick={handleCreate} style={iconButtonStyle} aria-label={t("shortlist.new")} title={t("shortlist.new")}>
+          <Plus size={20} />
+        </button>
+        <button type="button" onClick={handleRename} style={iconButtonStyle} aria-label={t("shortlist.renameLabel")}
+          title={t("shortlist.rename")}>
+          <PencilSimple size={20} />
+        </button>
+        <button
+          type="button"
+          onClick={handleDelete}
+          style={{ ...iconButtonStyle, color: colors.error }}
+          aria-label={t("shortlist.delete")}
+          title={t("shortlist.delete")}
+        >
+          <Trash size={20} />
+        </button>
+      </div>
+      <div style={{ fontSize: 13, color: fadedColor, marginBottom: 8 }}>
+        {t("app.productCount", { count: list.items.length })}
+        {missingCount > 0 && (
+          <span style={{ color: warningColor }}> · {t("shortlist.missingCount", { count: missingCount, catalog: catalogName })}</span>
+        )}
+      </div>
+
+      {items.length === 0 && (
+        <div style={{ color: fadedColor, padding: "1em 0", textAlign: "center" }}>
+          {t("shortlist.empty")}
+        </div>
+      )}
+      {items.map(({ item, product }) => (
+        <div key={item.sku} style={{ borderBottom: `1px solid ${borderColor}` }}>
+          {product ? (
+            <ProductRow
+              item={product}
+              height={ROW_HEIGHT}
+              isLast
+              onSelect={onSelectProduct}
+              displayUnits={displayUnits}
+              priceSettings={priceSettings}
+              starred
+              onToggleStar={() => onChange(removeListItem(shortlists, list.id, item.sku))}
+            />
+          ) : (
+            <div style={{ display: "flex", alignItems: "center", gap: 9, minHeight: ROW_HEIGHT }}>
+              <span style={{ width: 44, display: "flex", justifyContent: "center", color: warningColor }}>
+                <WarningCircle size={26} weight="fill" />
+              </span>
+              <div style={{ flex: 1, minWidth: 0 }}>
+                <div
+                  style={{
+                    fontWeight: 600,
+                    fontSize: 15,
+                    textTransform: "uppercase",
+                    whiteSpace: "nowrap",
+                    overflow: "hidden",
+                    textOverflow: "ellipsis",
+                  }}
+                  title={item.name}
+                >
+                  {item.name || <em style={{ color: fadedColor }}>{t("product.unnamed")}</em>}
+                </div>
+                <div style={{ fontWeight: 600, fontSize: 15, color: colors.sku }}>{item.sku}</div>
+                <div style={{ fontSize: 12, color: warningColor }}>{t("shortlist.notInCatalog", { catalog: catalogName })}</div>
+              </div>
+              <button
+                type="button"
+                onClick={() => onChange(removeListItem(shortlists, list.id, item.sku))}
+                style={iconButtonStyle}
+                aria-label={t("shortlist.removeSku", { sku: item.sku })}
+                title={t("shortlist.remove")}
+              >
+                <Trash size={20} />
+              </button>
+            </div>
+          )}
+          {renderNote(item)}
+        </div>
+      ))}
+      {list.items.length > 0 && (
+        <div style={{ fontSize: 12, color: fadedColor, marginTop: 8 }}>
+          {t("shortlist.starHint")} <strong style={{ color: accent }}>{shortlistName(list, t)}</strong>.
+        </div>
+      )}
+    </div>
+  );
+}
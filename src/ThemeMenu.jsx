@@ -0,0 +1,148 @@
+/**
+ * ThemeMenu.jsx
+ *
+ * Header dropdown for the appearance.
+ * - Mode: follow the system, light, dark or high contrast.
+ * - Accent color swatches; the first keeps the theme's own accent.
+ * - The header icon shows the current theme; closes on outside tap.
+ */
+
+import React, { useState, useRef, useEffect } from "react";
+import { Sun, Moon, Desktop, CircleHalf, Check } from "phosphor-react";
+import { THEME_MODES, ACCENT_CHOICES, createTheme, useTheme } from "./theme.js";
+import { useI18n } from "./i18n.js";
+
+const MODE_ICONS = { system: Desktop, light: Sun, dark: Moon, contrast: CircleHalf };
+const THEME_ICONS = { light: Sun, dark: Moon, contrast: CircleHalf };
+
+export default function ThemeMenu({ themePrefs, onThemePrefsChange }) {
+  const { t } = useI18n();
+  const { name, colors } = useTheme();
+  const [open, setOpen] = useState(false);
+  const rootRef = useRef(null);
+
+  // Close on outside tap/click
+  useEffect(() => {
+    if (!open) return;
+    function handlePointerDown(e) {
+      if (rootRef.current && !rootRef.current.contains(e.target)) setOpen(false);
+    }
+    document.addEventListener("pointerdown", handlePointerDown);
+    return () => document.removeEventListener("pointerdown", handlePointerDown);
+  }, [open]);
+
+  const ThemeIcon = THEME_ICONS[name] || Sun;
+
+  const itemStyle = {
+    display: "flex",
+    alignItems: "center",
+    gap: 8,
+    width: "100%",
+    minHeight: 40,
+    padding: "6px 12px",
+    background: "none",
+    border: "none",
+    color: colors.text,
+    fontSize: 15,
+    textAlign: "left",
+    cursor: "pointer",
+  };
+
+  return (
+    <div ref={rootRef} style={{ position: "relative" }}>
+      <button
+        className="header-dark"
+        type="button"
+        onClick={() => setOpen((v) => !v)}
+        style={{
+          width: 36,
+          height: 36,
+          display: "flex",
+          alignItems: "center",
+          justifyContent: "center",
+          borderRadius: 6,
+          background: "none",
+          border: "none",
+          padding: 0,
+          color: colors.accent,
+          cursor: "pointer",
+        }}
+        title={t("theme.title")}
+        aria-label={t("theme.title")}
+        aria-haspopup="menu"
+        aria-expanded={open}
+      >
+        <ThemeIcon size={20} weight="duotone" />
+      </button>
+      {open && (
+        <div
+          role="menu"
+          aria-label={t("theme.title")}
+          style={{
+            position: "absolute",
+            top: 40,
+            right: 0,
+            width: 240,
+            maxWidth: "90vw",
+            background: colors.surface,
+            border: `1px solid ${colors.outline}`,
+            borderRadius: 8,
+            boxShadow: `0 4px 24px ${colors.shadow}`,
+            padding: "6px 0",
+            zIndex: 1200,
+          }}
+        >
+          {THEME_MODES.map((mode) => {
+            const Icon = MODE_ICONS[mode];
+            const isActive = themePrefs.mode === mode;
+            return (
+              <button
+                key={mode}
+                type="button"
+                role="menuitemradio"
+                aria-checked={isActive}
+                style={{ ...itemStyle, fontWeight: isActive ? 700 : 500 }}
+                onClick={() => onThemePrefsChange({ ...themePrefs, mode })}
+              >
+                <Icon size={18} weight="duotone" style={{ width: 18 }} />
+                <span style={{ flex: 1 }}>{t(`theme.mode.${mode}`)}</span>
+                {isActive && <Check size={16} weight="bold" color={colors.accent} />}
+              </button>
+            );
+          })}
+          <hr style={{ margin: "6px 0", border: "none", borderTop: `1px solid ${colors.border}` }} />
+          <div style={{ padding: "4px 12px", fontSize: 13, fontWeight: 600, color: colors.textMuted }}>
+            {t("theme.accent")}
+          </div>
+          <div style={{ display: "flex", flexWrap: "wrap", gap: 8, padding: "4px 12px 8px" }}>
+            {ACCENT_CHOICES.map(({ key, value }) => {
+              const isActive = themePrefs.accent === value;
+              // The swatch shows the accent as this theme will use it
+              const swatch = createTheme(name, value).colors.accent;
+              return (
+                <button
+                  key={key}
+                  type="button"
+                  aria-pressed={isActive}
+                  aria-label={t(`theme.accent.${key}`)}
+                  title={t(`theme.accent.${key}`)}
+                  onClick={() => onThemePrefsChange({ ...themePrefs, accent: value })}
+                  style={{
+                    width: 32,
+                    height: 32,
+                    borderRadius: "50%",
+                    padding: 0,
+                    cursor: "pointer",
+                    background: swatch,
+                    border: `2px solid ${isActive ? colors.text : colors.border}`,
+                    boxShadow: isActive ? `0 0 0 2px ${colors.surface} inset` : undefined,
+                  }}
+                />
+              );
+            })}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,86 @@
+/**
+ * UpdatePrompt.jsx
+ *
+ * Bottom bar shown when a new build has been deployed and downloaded.
+ * - "Uppdatera" switches to the new build and reloads the page.
+ * - "Senare" hides the bar; the new build then starts with the next visit.
+ */
+
+import React, { useState, useEffect } from "react";
+import { X } from "phosphor-react";
+import { onUpdateAvailable, applyUpdate } from "./registerServiceWorker.js";
+import { useI18n } from "./i18n.js";
+import { useTheme } from "./theme.js";
+
+export default function UpdatePrompt() {
+  const { t } = useI18n();
+  const { colors } = useTheme();
+  const [visible, setVisible] = useState(false);
+
+  useEffect(() => onUpdateAvailable(() => setVisible(true)), []);
+
+  if (!visible) return null;
+
+  const accent = colors.accent;
+
+  return (
+    <div
+      role="status"
+      style={{
+        position: "fixed",
+        left: "50%",
+        bottom: 16,
+        transform: "translateX(-50%)",
+        width: "calc(100vw - 24px)",
+        maxWidth: 480,
+        boxSizing: "border-box",
+        display: "flex",
+        alignItems: "center",
+        gap: 10,
+        padding: "10px 12px 10px 16px",
+        borderRadius: 12,
+        background: colors.surface,
+        color: colors.text,
+        border: `1px solid ${colors.outline}`,
+        boxShadow: `0 4px 24px ${colors.shadow}`,
+        zIndex: 9000,
+        fontSize: 15,
+      }}
+    >
+      <span style={{ flex: 1 }}>{t("update.available")}</span>
+      <button
+        type="button"
+        onClick={applyUpdate}
+        style={{
+          minHeight: 36,
+          padding: "0 16px",
+          borderRadius: 6,
+          border: "none",
+          background: accent,
+          color: colors.onAccent,
+          fontWeight: 600,
+          fontSize: 15,
+          cursor: "pointer",
+        }}
+      >
+        {t("update.apply")}
+      </button>
+      <button
+        type="button"
+        onClick={() => setVisible(false)}
+        style={{
+          background: "none",
+          border: "none",
+          color: colors.textMuted,
+          cursor: "pointer",
+          padding: 6,
+          display: "flex",
+        }}
+        aria-label={t("update.later")}
+        title={t("update.later")}
+      >
+        <X size={20} />
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,128 @@
+/**
+ * VirtualList.jsx
+ *
+ * Windowed list for long product lists: only rows near the viewport are rendered.
+ * - Follows the page (window) scroll, so the sticky header and browser
+ *   scrolling behave exactly like a plain list.
+ * - Rows have a fixed height; the list keeps its full height so the
+ *   scrollbar and scroll position stay correct.
+ * - Scroll and resize updates are batched per animation frame.
+ * - Keyboard: the list is one focusable listbox; arrows, Page Up/Down and
+ *   Home/End move the active row (aria-activedescendant, scrolled into view
+ *   below the sticky header), Enter activates it.
+ */
+
+import React, { useState, useEffect, useRef } from "react";
+
+// Extra rows rendered above and below the viewport
+const OVERSCAN = 8;
+// Rows rendered before the first measurement
+const INITIAL_ROWS = 30;
+
+export default function VirtualList({
+  items,
+  itemHeight,
+  renderItem,
+  overscan = OVERSCAN,
+  label,
+  listboxRef,
+  optionId,
+  activeIndex = -1,
+  onActiveIndexChange,
+  onActivate,
+  scrollMarginTop = 0,
+}) {
+  const ownRef = useRef(null);
+  const listRef = listboxRef || ownRef;
+  const [range, setRange] = useState({ start: 0, end: INITIAL_ROWS });
+  const [focused, setFocused] = useState(false);
+
+  useEffect(() => {
+    let frame = 0;
+    function update() {
+      frame = 0;
+      if (!listRef.current) return;
+      // Distance from the list's top to the viewport's top and bottom
+      const top = listRef.current.getBoundingClientRect().top;
+      const start = Math.max(0, Math.floor(-top / itemHeight) - overscan);
+      const end = Math.max(
+        start,
+        Math.min(items.length, Math.ceil((window.innerHeight - top) / itemHeight) + overscan)
+      );
+      setRange((current) =>
+        current.start === start && current.end === end ? current : { start, end }
+      );
+    }
+    function scheduleUpdate() {
+      if (!frame) frame = requestAnimationFrame(update);
+    }
+    update();
+    window.addEventListener("scroll", scheduleUpdate, { passive: true });
+    window.addEventListener("resize", scheduleUpdate);
+    return () => {
+      window.removeEventListener("scroll", scheduleUpdate);
+      window.removeEventListener("resize", scheduleUpdate);
+      if (frame) cancelAnimationFrame(frame);
+    };
+  }, [items, itemHeight, overscan]);
+
+  // Keep the active row in view (the window scrolls, not the list)
+  useEffect(() => {
+    if (activeIndex < 0 || !listRef.current) return;
+    const rowTop = listRef.current.getBoundingClientRect().top + activeIndex * itemHeight;
+    if (rowTop < scrollMarginTop) {
+      window.scrollBy(0, rowTop - scrollMarginTop);
+    } else if (rowTop + itemHeight > window.innerHeight) {
+      window.scrollBy(0, rowTop + itemHeight - window.innerHeight);
+    }
+  }, [activeIndex, itemHeight, scrollMarginTop]);
+
+  function handleKeyDown(e) {
+    if (!onActiveIndexChange || items.length === 0 || e.altKey || e.ctrlKey || e.metaKey) return;
+    const pageRows = Math.max(1, Math.floor((window.innerHeight - scrollMarginTop) / itemHeight) - 1);
+    let next;
+    if (e.key === "ArrowDown") next = activeIndex + 1;
+    else if (e.key === "ArrowUp") next = activeIndex - 1;
+    else if (e.key === "PageDown") next = activeIndex + pageRows;
+    else if (e.key === "PageUp") next = activeIndex - pageRows;
+    else if (e.key === "Home") next = 0;
+    else if (e.key === "End") next = items.length - 1;
+    else if (e.key === "Enter" && activeIndex >= 0 && onActivate) {
+      e.preventDefault();
+      onActivate(activeIndex);
+      return;
+    } else return;
+    e.preventDefault();
+    onActiveIndexChange(Math.min(items.length - 1, Math.max(0, next)));
+  }
+
+  const start = Math.min(range.start, items.length);
+  const visible = items.slice(start, range.end);
+  const keyboard = Boolean(onActiveIndexChange);
+
+  return (
+    <div
+      ref={listRef}
+      role={keyboard ? "listbox" : undefined}
+      aria-label={keyboard ? label : undefined}
+      aria-activedescendant={keyboard && activeIndex >= 0 && optionId ? optionId(activeIndex) : undefined}
+      tabIndex={keyboard ? 0 : undefined}
+      onKeyDown={keyboard ? handleKeyDown : undefined}
+      onFocus={(e) => {
+        if (e.target !== e.currentTarget) return;
+        setFocused(true);
+        // Focus from outside starts at the first row in view
+        if (keyboard && activeIndex < 0 && items.length > 0) {
+          const top = e.currentTarget.getBoundingClientRect().top;
+          onActiveIndexChange(Math.min(items.length - 1, Math.max(0, Math.ceil((scrollMarginTop - top) / itemHeight))));
+        }
+      }}
+      onBlur={(e) => e.target === e.currentTarget && setFocused(false)}
+      style={{ position: "relative", height: items.length * itemHeight, outline: "none" }}
+    >
+      <div style={{ position: "absolute", top: start * itemHeight, left: 0, right: 0 }}>
+        {visible.map((item, i) => renderItem(item, start + i, focused && start + i === activeIndex))}
+      </div>
+    </div>
+  );
+}
@@ -1,25 +1,206 @@
-import React, { useState, useRef, useEffect } from "react";
+import React, { useState, useRef, useEffect, useMemo } from "react";
 import {
   MagnifyingGlass,
   UploadSimple,
-  Sun,
-  Moon
+  Question,
+  Globe
 } from "phosphor-react";
+import CatalogSwitcher from "./CatalogSwitcher.jsx";
+import ThemeMenu from "./ThemeMenu.jsx";
+import SearchDropdown from "./SearchDropdown.jsx";
+import { searchSuggestions } from "./searchSuggestions.js";
+import { QUERY_EXAMPLES, QUERY_QUALIFIERS } from "./searchQuery.js";
+import { isTextInput } from "./keyboard.js";
+import { hasOpenDialog } from "./useDialogFocus.js";
+import { useI18n, LANGUAGES } from "./i18n.js";
+import { useTheme } from "./theme.js";
 
 const HEADER_HEIGHT = 56;
 const ICON_SIZE = 22;
+const SUGGESTIONS_ID = "search-suggestions";
+// Recent searches listed while typing (all of them when the box is empty)
+const RECENT_WHILE_TYPING = 3;
 
 export default function YouTubeHeader({
-  darkMode,
   searchValue,
   setSearchValue,
   onSearch,
+  onFocusResults,
+  searchError,
+  suggestionIndex,
+  recentSearches = [],
+  onRemoveRecentSearch,
+  savedSearches = [],
+  onSaveSearch,
+  onRemoveSavedSearch,
   onUpload,
-  onToggleDarkMode,
+  themePrefs,
+  onThemePrefsChange,
+  language,
+  onLanguageChange,
+  catalogs,
+  activeCatalogId,
+  searchAllCatalogs,
+  onSelectCatalog,
+  onToggleSearchAll,
+  onRenameCatalog,
+  onDeleteCatalog,
+  onCompareCatalogs,
 }) {
+  const { t } = useI18n();
+  const { colors } = useTheme();
   const [showSearch, setShowSearch] = useState(window.innerWidth > 560);
   const inputRef = useRef(null);
   const [searchFocused, setSearchFocused] = useState(false);
+  const [helpOpen, setHelpOpen] = useState(false);
+  const searchBoxRef = useRef(null);
+  // Suggestion dropdown and its keyboard-active option (-1: none, typing in the input)
+  const [suggestOpen, setSuggestOpen] = useState(false);
+  const [activeOption, setActiveOption] = useState(-1);
+
+  // Completions, saved and recent searches matching the input, plus "save search"
+  const suggestionGroups = useMemo(() => {
+    const text = searchValue.trim();
+    const lower = text.toLowerCase();
+    const matches = (value) => !lower || value.toLowerCase().includes(lower);
+    const groups = searchSuggestions(suggestionIndex, text).map(({ type, items }) => ({
+      key: type,
+      label: t(`search.group.${type}`),
+      options: items.map((item, i) => ({
+        id: `${SUGGESTIONS_ID}-${type}-${i}`,
+        kind: "completion",
+        label: item.value,
+        query: item.query,
+      })),
+    }));
+    const saved = savedSearches.filter((s) => matches(s.name) || matches(s.query));
+    if (saved.length) {
+      groups.push({
+        key: "saved",
+        label: t("search.group.saved"),
+        options: saved.map((s) => ({
+          id: `${SUGGESTIONS_ID}-saved-${s.id}`,
+          kind: "saved",
+          label: s.name,
+          detail: s.name === s.query ? "" : s.query,
+          query: s.query,
+          savedId: s.id,
+        })),
+      });
+    }
+    const recent = recentSearches
+      .filter((q) => matches(q) && q.toLowerCase() !== lower)
+      .slice(0, text ? RECENT_WHILE_TYPING : undefined);
+    if (recent.length) {
+      groups.push({
+        key: "recent",
+        label: t("search.group.recent"),
+        options: recent.map((q, i) => ({ id: `${SUGGESTIONS_ID}-recent-${i}`, kind: "recent", label: q, query: q })),
+      });
+    }
+    if (text && onSaveSearch) {
+      groups.push({
+        key: "actions",
+        label: "",
+        options: [{ id: `${SUGGESTIONS_ID}-save`, kind: "save", label: t("search.save"), query: text }],
+      });
+    }
+    return groups;
+  }, [searchValue, suggestionIndex, savedSearches, recentSearches, onSaveSearch, t]);
+  const suggestionOptions = suggestionGroups.flatMap((group) => group.options);
+  const showSuggestions = suggestOpen && !helpOpen && suggestionOptions.length > 0;
+  const activeOptionId = showSuggestions && suggestionOptions[activeOption] ? suggestionOptions[activeOption].id : undefined;
+
+  // The option list changes while typing; start over from the input
+  useEffect(() => {
+    setActiveOption(-1);
+  }, [searchValue]);
+
+  // Keep the keyboard-active option in view
+  useEffect(() => {
+    if (!activeOptionId) return;
+    const el = document.getElementById(activeOptionId);
+    if (el) el.scrollIntoView({ block: "nearest" });
+  }, [activeOptionId]);
+
+  function closeSuggestions() {
+    setSuggestOpen(false);
+    setActiveOption(-1);
+  }
+
+  function runSearch(query) {
+    closeSuggestions();
+    onSearch && onSearch(query);
+    if (window.innerWidth <= 560) setShowSearch(false);
+  }
+
+  function pickOption(option) {
+    if (option.kind === "save") {
+      const name = window.prompt(t("search.savePrompt"), option.query);
+      if (name && name.trim()) onSaveSearch(name.trim(), option.query);
+      return;
+    }
+    setSearchValue(option.query);
+    runSearch(option.query);
+  }
+
+  function removeOption(option) {
+    if (option.kind === "saved") onRemoveSavedSearch && onRemoveSavedSearch(option.savedId);
+    else if (option.kind === "recent") onRemoveRecentSearch && onRemoveRecentSearch(option.query);
+  }
+
+  function removeLabel(option) {
+    return option.kind === "saved"
+      ? t("search.removeSaved", { name: option.label })
+      : t("search.removeRecent", { query: option.label });
+  }
+
+  // Suggestions take the arrow keys while open; past the last one, ArrowDown
+  // continues into the result list
+  function handleInputKeyDown(e) {
+    if (e.key === "ArrowDown" && e.altKey) {
+      // Alt+ArrowDown opens the list without typing
+      e.preventDefault();
+      setSuggestOpen(true);
+    } else if (e.key === "ArrowDown") {
+      e.preventDefault();
+      if (showSuggestions && activeOption < suggestionOptions.length - 1) {
+        setActiveOption(activeOption + 1);
+      } else if (onFocusResults) {
+        closeSuggestions();
+        onFocusResults();
+      }
+    } else if (e.key === "ArrowUp" && showSuggestions) {
+      e.preventDefault();
+      setActiveOption(Math.max(-1, activeOption - 1));
+    } else if (e.key === "Enter" && showSuggestions && activeOption >= 0) {
+      e.preventDefault();
+      pickOption(suggestionOptions[activeOption]);
+    } else if (e.key === "Delete" && e.shiftKey && showSuggestions && activeOption >= 0) {
+      // Shift+Delete removes the active recent or saved search
+      e.preventDefault();
+      removeOption(suggestionOptions[activeOption]);
+      setActiveOption(activeOption - 1);
+    } else if (e.key === "Escape" && showSuggestions) {
+      e.preventDefault();
+      closeSuggestions();
+    } else if (e.key === "Escape" && helpOpen) {
+      setHelpOpen(false);
+    }
+  }
+
+  // Close the query help and the suggestions on outside tap/click
+  useEffect(() => {
+    if (!helpOpen && !suggestOpen) return;
+    function handlePointerDown(e) {
+      if (searchBoxRef.current && !searchBoxRef.current.contains(e.target)) {
+        setHelpOpen(false);
+        closeSuggestions();
+      }
+    }
+    document.addEventListener("pointerdown", handlePointerDown);
+    return () => document.removeEventListener("pointerdown", handlePointerDown);
+  }, [helpOpen, suggestOpen]);
 
   useEffect(() => {
     function handleResize() {
@@ -34,6 +215,24 @@ export default function YouTubeHeader({
     if (showSearch && inputRef.current) inputRef.current.focus();
   }, [showSearch]);
 
+  // "/" jumps to the search box, unless typing elsewhere or a dialog is open
+  useEffect(() => {
+    function handleKeyDown(e) {
+      if (e.key !== "/" || e.ctrlKey || e.metaKey || e.altKey) return;
+      if (isTextInput(e.target) || hasOpenDialog()) return;
+      e.preventDefault();
+      if (inputRef.current) {
+        inputRef.current.focus();
+        inputRef.current.select();
+        setSuggestOpen(true);
+      } else {
+        setShowSearch(true);
+      }
+    }
+    document.addEventListener("keydown", handleKeyDown);
+    return () => document.removeEventListener("keydown", handleKeyDown);
+  }, []);
+
   const iconButtonStyle = {
     width: 36,
     height: 36,
@@ -55,11 +254,11 @@ export default function YouTubeHeader({
         left: 0,
         width: "100vw",
         height: HEADER_HEIGHT,
-        background: darkMode ? "#18191a" : "#fff",
+        background: colors.background,
         display: "flex",
         alignItems: "center",
         justifyContent: "center",
-        borderBottom: darkMode ? "1px solid #232426" : "1px solid #e0e0e0",
+        borderBottom: `1px solid ${colors.divider}`,
         zIndex: 1100,
         padding: "0 8px",
       }}
@@ -80,6 +279,9 @@ export default function YouTubeHeader({
               gap: 12px !important;
               margin-left: 8px !important;
             }
+            .header-catalog-name {
+              display: none;
+            }
             .header-search-icon {
               font-size: 22px !important;
               width: 40px !important;
@@ -95,13 +297,16 @@ export default function YouTubeHeader({
       {window.innerWidth <= 560 && !showSearch && (
         <button
           className="header-search-icon"
-          aria-label="Visa sökfält"
+          aria-label={t("header.showSearch")}
           style={{
             ...iconButtonStyle,
-            color: darkMode ? "#f6f6f6" : "#18191a",
+            color: colors.text,
             marginRight: 10,
           }}
-          onClick={() => setShowSearch(true)}
+          onClick={() => {
+            setShowSearch(true);
+            setSuggestOpen(true);
+          }}
         >
           <MagnifyingGlass size={ICON_SIZE} weight="duotone" />
         </button>
@@ -118,20 +323,20 @@ export default function YouTubeHeader({
           }}
           onSubmit={e => {
             e.preventDefault();
-            onSearch && onSearch(searchValue);
-            if (window.innerWidth <= 560) setShowSearch(false);
+            runSearch(searchValue);
           }}
         >
           <div
+            ref={searchBoxRef}
             style={{
               display: "flex",
               alignItems: "center",
               borderRadius: "20px",
               border: searchFocused
-                ? `2px solid ${darkMode ? "#FFD600" : "#1976d2"}`
-                : "1px solid #ccc",
-              background: darkMode ? "#232426" : "#fff",
-              boxShadow: searchFocused ? "0 0 0 2px #FFD60020" : undefined,
+                ? `2px solid ${colors.accent}`
+                : `1px solid ${colors.border}`,
+              background: colors.surface,
+              boxShadow: searchFocused ? `0 0 0 2px ${colors.accent}33` : undefined,
               transition: "border 0.15s, box-shadow 0.15s",
               width: "100%",
               maxWidth: 600,
@@ -146,10 +351,28 @@ export default function YouTubeHeader({
               ref={inputRef}
               type="text"
               value={searchValue}
-              onChange={e => setSearchValue(e.target.value)}
-              placeholder="Sök"
+              onChange={e => {
+                setSearchValue(e.target.value);
+                setSuggestOpen(true);
+              }}
+              onKeyDown={handleInputKeyDown}
+              placeholder={t("header.searchPlaceholder")}
+              aria-label={t("header.searchLabel")}
+              aria-keyshortcuts="/"
+              role="combobox"
+              aria-autocomplete="list"
+              aria-expanded={showSuggestions}
+              aria-controls={SUGGESTIONS_ID}
+              aria-activedescendant={activeOptionId}
+              autoComplete="off"
               onFocus={() => setSearchFocused(true)}
-              onBlur={() => setSearchFocused(false)}
+              // Not on focus: the box is focused on load, the dropdown waits for the user
+              onClick={() => setSuggestOpen(true)}
+              onBlur={e => {
+                setSearchFocused(false);
+                // Tab or a tap elsewhere; taps on the suggestions keep focus
+                if (!searchBoxRef.current || !searchBoxRef.current.contains(e.relatedTarget)) closeSuggestions();
+              }}
               style={{
                 width: 400,
                 minWidth: 0,
@@ -158,11 +381,34 @@ export default function YouTubeHeader({
                 outline: "none",
                 fontSize: 16,
                 background: "transparent",
-                color: darkMode ? "#f6f6f6" : "#18191a",
+                color: colors.text,
                 transition: "background 0.2s,color 0.2s",
                 flex: 1,
               }}
             />
+            <button
+              type="button"
+              onClick={() => setHelpOpen((v) => !v)}
+              style={{
+                width: 32,
+                height: 36,
+                border: "none",
+                background: "none",
+                cursor: "pointer",
+                display: "flex",
+                alignItems: "center",
+                justifyContent: "center",
+                padding: 0,
+                color: searchError
+                  ? colors.sku
+                  : colors.textMuted,
+              }}
+              title={searchError ? t("header.invalidQuery", { error: t(searchError.key, searchError.params) }) : t("header.searchHelp")}
+              aria-label={t("header.searchHelp")}
+              aria-expanded={helpOpen}
+            >
+              <Question size={18} weight={searchError ? "fill" : "duotone"} />
+            </button>
             <button
               type="submit"
               style={{
@@ -176,19 +422,89 @@ export default function YouTubeHeader({
                 alignItems: "center",
                 justifyContent: "center",
                 color: searchFocused
-                  ? (darkMode ? "#FFD600" : "#1976d2")
-                  : (darkMode ? "#aaa" : "#888"),
+                  ? colors.accent
+                  : colors.textMuted,
                 marginRight: 2,
                 transition: "color 0.15s"
               }}
               tabIndex={-1}
-              aria-label="Sök"
+              aria-label={t("header.search")}
             >
               <MagnifyingGlass
                 size={18}
                 weight="duotone"
               />
             </button>
+            {showSuggestions && (
+              <SearchDropdown
+                id={SUGGESTIONS_ID}
+                groups={suggestionGroups}
+                activeId={activeOptionId}
+                onPick={pickOption}
+                onRemove={removeOption}
+                removeLabel={removeLabel}
+              />
+            )}
+            {helpOpen && (
+              <div
+                role="dialog"
+                aria-label={t("header.searchHelp")}
+                style={{
+                  position: "absolute",
+                  top: 42,
+                  left: 0,
+                  right: 0,
+                  maxHeight: "70vh",
+                  overflowY: "auto",
+                  background: colors.surface,
+                  color: colors.text,
+                  border: `1px solid ${colors.outline}`,
+                  borderRadius: 8,
+                  boxShadow: `0 4px 24px ${colors.shadow}`,
+                  padding: 12,
+                  fontSize: 14,
+                  zIndex: 1200,
+                }}
+              >
+                {searchError && (
+                  <div style={{ color: colors.sku, fontWeight: 600, marginBottom: 8 }}>
+                    {t("header.plainSearchFallback", { error: t(searchError.key, searchError.params) })}
+                  </div>
+                )}
+                <strong style={{ display: "block", marginBottom: 6 }}>{t("header.queryExamples")}</strong>
+                {QUERY_EXAMPLES.map(({ query, description }) => (
+                  <button
+                    key={query}
+                    type="button"
+                    onClick={() => {
+                      setSearchValue(query);
+                      setHelpOpen(false);
+                      if (inputRef.current) inputRef.current.focus();
+                    }}
+                    style={{
+                      display: "flex",
+                      gap: 10,
+                      width: "100%",
+                      minHeight: 32,
+                      alignItems: "center",
+                      background: "none",
+                      border: "none",
+                      padding: "2px 0",
+                      color: "inherit",
+                      textAlign: "left",
+                      cursor: "pointer",
+                      fontSize: 14,
+                    }}
+                  >
+                    <code style={{ color: colors.accent, flexShrink: 0 }}>{query}</code>
+                    <span style={{ color: colors.textMuted }}>{t(description)}</span>
+                  </button>
+                ))}
+                <div style={{ marginTop: 8, color: colors.textMuted, fontSize: 13 }}>
+                  {t("header.queryFields", { fields: QUERY_QUALIFIERS.join(", ") })}
+                </div>
+              </div>
+            )}
           </div>
         </form>
       )}
@@ -205,30 +521,56 @@ export default function YouTubeHeader({
           className="header-upload"
           type="button"
           style={iconButtonStyle}
-          title="Upload"
+          title={t("header.upload")}
           onClick={onUpload}
-          aria-label="Ladda upp"
+          aria-label={t("header.upload")}
         >
           <UploadSimple size={ICON_SIZE} weight="duotone" />
         </button>
-        <button
-          className="header-dark"
-          type="button"
-          onClick={onToggleDarkMode}
+        <CatalogSwitcher
+          catalogs={catalogs}
+          activeCatalogId={activeCatalogId}
+          searchAllCatalogs={searchAllCatalogs}
+          onSelectCatalog={onSelectCatalog}
+          onToggleSearchAll={onToggleSearchAll}
+          onRenameCatalog={onRenameCatalog}
+          onDeleteCatalog={onDeleteCatalog}
+          onCompareCatalogs={onCompareCatalogs}
+        />
+        <label
+          className="header-language"
           style={{
             ...iconButtonStyle,
-            color: darkMode ? "#FFD600" : "#1a237e",
-            background: "none",
-            border: "none"
+            width: "auto",
+            gap: 2,
+            position: "relative",
+            color: colors.text,
           }}
-          title="Växla dag/natt"
-          aria-label="Växla dag/natt"
+          title={t("header.language")}
         >
-          {darkMode
-            ? <Sun size={20} weight="duotone" />
-            : <Moon size={20} weight="duotone" />
-          }
-        </button>
+          <Globe size={20} weight="duotone" />
+          <select
+            value={language}
+            onChange={e => onLanguageChange(e.target.value)}
+            aria-label={t("header.language")}
+            style={{
+              border: "none",
+              background: "transparent",
+              color: "inherit",
+              fontSize: 13,
+              fontWeight: 600,
+              cursor: "pointer",
+              padding: 0,
+            }}
+          >
+            {LANGUAGES.map(l => (
+              <option key={l.code} value={l.code} lang={l.code} title={l.name}>
+                {l.code.toUpperCase()}
+              </option>
+            ))}
+          </select>
+        </label>
+        <ThemeMenu themePrefs={themePrefs} onThemePrefsChange={onThemePrefsChange} />
       </div>
     </header>
   );
@@ -0,0 +1,166 @@
+/**
+ * catalogDiff.js
+ *
+ * Compares two imported catalogs keyed on Artikelnummer.
+ * - added/removed: SKUs present in only one of the catalogs
+ * - changed: products whose canonical fields differ, with old/new values
+ * - price changes carry absolute and percentage deltas
+ * Also exports a diff to XLSX (one sheet per section, sheet names and headers
+ * in the UI language).
+ */
+
+import * as XLSX from "xlsx";
+import { PRODUCT_FIELDS, PRICE_VALUE_FIELDS } from "./productFields.js";
+import { parseNumber } from "./numberFormat.js";
+
+function skuOf(product) {
+  return String(product["Artikelnummer"] ?? "").trim();
+}
+
+function cellText(value) {
+  return String(value ?? "").trim();
+}
+
+/**
+ * Indexes rows by SKU. Rows without SKU are skipped; for duplicate SKUs the
+ * first row wins. Both are counted so the view can mention them.
+ */
+function indexBySku(rows) {
+  const bySku = new Map();
+  let missingSku = 0;
+  let duplicateSku = 0;
+  rows.forEach((row) => {
+    const sku = skuOf(row);
+    if (!sku) missingSku++;
+    else if (bySku.has(sku)) duplicateSku++;
+    else bySku.set(sku, row);
+  });
+  return { bySku, missingSku, duplicateSku };
+}
+
+/**
+ * Absolute and percentage delta between two price cells.
+ * Returns null when either side is not a number.
+ */
+export function priceDelta(oldValue, newValue) {
+  const oldNum = parseNumber(oldValue);
+  const newNum = parseNumber(newValue);
+  if (oldNum === null || newNum === null) return null;
+  const delta = newNum - oldNum;
+  const percent = oldNum !== 0 ? (delta / oldNum) * 100 : null;
+  return { oldNum, newNum, delta, percent };
+}
+
+/**
+ * Diffs two catalogs' rows.
+ * Returns {
+ *   added: [product], removed: [product],
+ *   changed: [{ sku, oldProduct, newProduct, changes: [{ field, oldValue, newValue, price }] }],
+ *   unchangedCount, missingSku: { old, new }, duplicateSku: { old, new }
+ * } where `price` is the priceDelta for price fields (else null).
+ */
+export function diffCatalogs(oldRows, newRows) {
+  const oldIndex = indexBySku(oldRows);
+  const newIndex = indexBySku(newRows);
+
+  const added = [];
+  const removed = [];
+  const changed = [];
+  let unchangedCount = 0;
+
+  newIndex.bySku.forEach((newProduct, sku) => {
+    const oldProduct = oldIndex.bySku.get(sku);
+    if (!oldProduct) {
+      added.push(newProduct);
+      return;
+    }
+    const changes = [];
+    PRODUCT_FIELDS.forEach((field) => {
+      const oldValue = cellText(oldProduct[field]);
+      const newValue = cellText(newProduct[field]);
+      if (oldValue === newValue) return;
+      const price = PRICE_VALUE_FIELDS.includes(field) ? priceDelta(oldValue, newValue) : null;
+      // "199,00" vs "199" is a formatting change, not a price change
+      if (price && price.delta === 0) return;
+      changes.push({ field, oldValue, newValue, price });
+    });
+    if (changes.length) changed.push({ sku, oldProduct, newProduct, changes });
+    else unchangedCount++;
+  });
+
+  oldIndex.bySku.forEach((oldProduct, sku) => {
+    if (!newIndex.bySku.has(sku)) removed.push(oldProduct);
+  });
+
+  return {
+    added,
+    removed,
+    changed,
+    unchangedCount,
+    missingSku: { old: oldIndex.missingSku, new: newIndex.missingSku },
+    duplicateSku: { old: oldIndex.duplicateSku, new: newIndex.duplicateSku },
+  };
+}
+
+/**
+ * True if any of the entry's changes is a price field.
+ */
+export function hasPriceChange(entry) {
+  return entry.changes.some((c) => PRICE_VALUE_FIELDS.includes(c.field));
+}
+
+function roundTo(value, decimals) {
+  if (value === null || value === undefined) return "";
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+function safeSheetFilePart(name, t) {
+  return String(name || "").replace(/[\\/:*?"<>|]+/g, "_").trim() || t("catalogs.untitled");
+}
+
+/**
+ * Writes the diff to an XLSX file and triggers the download.
+ */
+export function exportDiffToXlsx(diff, { oldName, newName }, i18n) {
+  const { t, fieldLabel } = i18n;
+  const workbook = XLSX.utils.book_new();
+  const productSheet = (rows) =>
+    XLSX.utils.json_to_sheet(rows, { header: PRODUCT_FIELDS });
+
+  const changeRows = [];
+  const priceRows = [];
+  diff.changed.forEach(({ sku, newProduct, changes }) => {
+    changes.forEach(({ field, oldValue, newValue, price }) => {
+      changeRows.push({
+        [fieldLabel("Artikelnummer")]: sku,
+        [fieldLabel("Namn")]: newProduct["Namn"],
+        [t("diff.sheet.field")]: fieldLabel(field),
+        [t("diff.sheet.oldIn", { name: oldName })]: oldValue,
+        [t("diff.sheet.newIn", { name: newName })]: newValue,
+      });
+      if (PRICE_VALUE_FIELDS.includes(field)) {
+        priceRows.push({
+          [fieldLabel("Artikelnummer")]: sku,
+          [fieldLabel("Namn")]: newProduct["Namn"],
+          [t("diff.sheet.field")]: fieldLabel(field),
+          [t("diff.sheet.old")]: price ? price.oldNum : oldValue,
+          [t("diff.sheet.new")]: price ? price.newNum : newValue,
+          [t("diff.sheet.change")]: price ? roundTo(price.delta, 2) : "",
+          [t("diff.sheet.changePercent")]: price ? roundTo(price.percent, 1) : "",
+        });
+      }
+    });
+  });
+
+  XLSX.utils.book_append_sheet(workbook, productSheet(diff.added), t("diff.added"));
+  XLSX.utils.book_append_sheet(workbook, productSheet(diff.removed), t("diff.removed"));
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(changeRows), t("diff.changed"));
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(priceRows), t("diff.sheet.priceChanges"));
+
+  const date = new Date().toISOString().slice(0, 10);
+  XLSX.writeFile(
+    workbook,
+    `diff_${safeSheetFilePart(oldName, t)}_${safeSheetFilePart(newName, t)}_${date}.xlsx`
+  );
+}
@@ -0,0 +1,231 @@
+/**
+ * catalogStore.js
+ *
+ * IndexedDB persistence for imported product catalogs (workspaces).
+ * - Several named catalogs are kept side by side, each with its own id.
+ * - Catalog metadata (name, file name, import time, row count) lives in its own store.
+ * - Rows are written and read in fixed-size chunks, yielding to the browser in
+ *   between, so catalogs with tens of thousands of rows never freeze the UI.
+ * - Errors of its own carry a message key, translated where they are shown
+ *   (catalogErrorMessage).
+ */
+
+const DB_NAME = "bento-browse";
+const DB_VERSION = 1;
+const META_STORE = "catalogs";
+const CHUNK_STORE = "catalogChunks";
+const CHUNK_SIZE = 2000;
+const ACTIVE_CATALOG_KEY = "bento.activeCatalogId";
+
+let dbPromise = null;
+
+function storeError(messageKey) {
+  const err = new Error(messageKey);
+  err.messageKey = messageKey;
+  return err;
+}
+
+/**
+ * Text of a catalog storage error in the UI language.
+ */
+export function catalogErrorMessage(err, t) {
+  return err && err.messageKey ? t(err.messageKey) : String((err && err.message) || err);
+}
+
+function openDb() {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === "undefined") {
+      reject(storeError("catalogs.error.unsupported"));
+      return;
+    }
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(META_STORE)) {
+        db.createObjectStore(META_STORE, { keyPath: "id" });
+      }
+      if (!db.objectStoreNames.contains(CHUNK_STORE)) {
+        db.createObjectStore(CHUNK_STORE, { keyPath: ["catalogId", "index"] });
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+  // Allow a retry after a failed open (e.g. private mode quota errors)
+  dbPromise.catch(() => { dbPromise = null; });
+  return dbPromise;
+}
+
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || storeError("catalogs.error.aborted"));
+  });
+}
+
+/**
+ * Gives the browser a chance to render and handle input between chunks.
+ */
+function yieldToBrowser() {
+  return new Promise((resolve) => setTimeout(resolve, 0));
+}
+
+async function deleteChunks(db, catalogId) {
+  const tx = db.transaction(CHUNK_STORE, "readwrite");
+  const range = IDBKeyRange.bound([catalogId, 0], [catalogId, Infinity]);
+  tx.objectStore(CHUNK_STORE).delete(range);
+  await transactionDone(tx);
+}
+
+function createCatalogId() {
+  return `cat-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Default catalog name: the file name without its extension ("" without one).
+ */
+export function catalogNameFromFile(fileName) {
+  return String(fileName || "").replace(/\.[^.]+$/, "");
+}
+
+/**
+ * Display name for a catalog, falling back to its file name, then to
+ * "Namnlös katalog" in the UI language.
+ */
+export function getCatalogName(meta, t) {
+  if (!meta) return "";
+  return meta.name || catalogNameFromFile(meta.fileName) || t("catalogs.untitled");
+}
+
+/**
+ * Builds metadata for a freshly imported catalog, before it is saved.
+ * Shape: { id, name, fileName, importedAt, rowCount, chunkCount }.
+ */
+export function createCatalogMeta(rows, { fileName = "", name } = {}) {
+  return {
+    id: createCatalogId(),
+    name: name || catalogNameFromFile(fileName),
+    fileName,
+    importedAt: new Date().toISOString(),
+    rowCount: rows.length,
+    chunkCount: Math.ceil(rows.length / CHUNK_SIZE),
+  };
+}
+
+/**
+ * Saves rows under the given catalog metadata (see createCatalogMeta).
+ * Metadata is written last, so a catalog interrupted mid-save is never listed.
+ */
+export async function saveCatalog(meta, rows) {
+  const db = await openDb();
+  const id = meta.id;
+
+  for (let index = 0; index < meta.chunkCount; index++) {
+    const tx = db.transaction(CHUNK_STORE, "readwrite");
+    tx.objectStore(CHUNK_STORE).put({
+      catalogId: id,
+      index,
+      rows: rows.slice(index * CHUNK_SIZE, (index + 1) * CHUNK_SIZE),
+    });
+    await transactionDone(tx);
+    await yieldToBrowser();
+  }
+
+  const tx = db.transaction(META_STORE, "readwrite");
+  tx.objectStore(META_STORE).put(meta);
+  await transactionDone(tx);
+  return meta;
+}
+
+/**
+ * Lists metadata for all stored catalogs, oldest import first.
+ */
+export async function listCatalogs() {
+  const db = await openDb();
+  const metas = await requestToPromise(
+    db.transaction(META_STORE, "readonly").objectStore(META_STORE).getAll()
+  );
+  return metas.sort((a, b) => String(a.importedAt).localeCompare(String(b.importedAt)));
+}
+
+/**
+ * Loads the rows of one catalog chunk by chunk.
+ * onProgress(loadedRows, totalRows) is called after each chunk.
+ * Resolves to { meta, rows }, or null if the catalog does not exist.
+ */
+export async function loadCatalog(id, onProgress) {
+  const db = await openDb();
+  const meta = await requestToPromise(
+    db.transaction(META_STORE, "readonly").objectStore(META_STORE).get(id)
+  );
+  if (!meta) return null;
+
+  const rows = [];
+  for (let index = 0; index < meta.chunkCount; index++) {
+    const chunk = await requestToPromise(
+      db.transaction(CHUNK_STORE, "readonly")
+        .objectStore(CHUNK_STORE)
+        .get([meta.id, index])
+    );
+    if (!chunk) throw storeError("catalogs.error.incomplete");
+    for (const row of chunk.rows) rows.push(row);
+    if (onProgress) onProgress(rows.length, meta.rowCount);
+    await yieldToBrowser();
+  }
+  return { meta, rows };
+}
+
+/**
+ * Renames a catalog. Resolves to the updated metadata.
+ */
+export async function renameCatalog(id, name) {
+  const db = await openDb();
+  const tx = db.transaction(META_STORE, "readwrite");
+  const store = tx.objectStore(META_STORE);
+  const meta = await requestToPromise(store.get(id));
+  if (!meta) throw storeError("catalogs.error.missing");
+  const updated = { ...meta, name: String(name).trim() || meta.name };
+  store.put(updated);
+  await transactionDone(tx);
+  return updated;
+}
+
+/**
+ * Removes a catalog and all of its rows.
+ */
+export async function deleteCatalog(id) {
+  const db = await openDb();
+  const tx = db.transaction(META_STORE, "readwrite");
+  tx.objectStore(META_STORE).delete(id);
+  await transactionDone(tx);
+  await deleteChunks(db, id);
+}
+
+/**
+ * The active catalog id is a small UI preference, kept in localStorage.
+ */
+export function getStoredActiveCatalogId() {
+  try {
+    return localStorage.getItem(ACTIVE_CATALOG_KEY);
+  } catch {
+    return null;
+  }
+}
+
+export function setStoredActiveCatalogId(id) {
+  try {
+    if (id) localStorage.setItem(ACTIVE_CATALOG_KEY, id);
+    else localStorage.removeItem(ACTIVE_CATALOG_KEY);
+  } catch {
+    // Storage unavailable (private mode); the choice just won't persist
+  }
+}
@@ -0,0 +1,114 @@
+/**
+ * compare.js
+ *
+ * Side-by-side comparison of 2-4 products.
+ * - The selection is a plain array of products (max MAX_COMPARE), matched by Artikelnummer.
+ * - compareRows builds one row per field; measurements are shown in one common unit
+ *   per row (the preferred display unit when set), and rows are flagged when the
+ *   products' values differ.
+ * - Row labels come from labelOf(field) (display labels, i18n.js); numbers use the locale.
+ * - Price rows follow the price settings (exkl./inkl./both); derived prices start with "≈".
+ */
+
+import { OTHER_MEASUREMENTS } from "./productFields.js";
+import { getMeasurement, commonUnit, formatMeasurement, displayUnitFor } from "./measurements.js";
+import { productPrices, shownPriceKinds, formatPrice, DEFAULT_PRICE_SETTINGS } from "./prices.js";
+
+export const MAX_COMPARE = 4;
+export const MIN_COMPARE = 2;
+
+function compareSku(product) {
+  return String((product && product["Artikelnummer"]) || "").trim();
+}
+
+export function isCompared(items, product) {
+  const sku = compareSku(product);
+  return Boolean(sku) && items.some((item) => compareSku(item) === sku);
+}
+
+/**
+ * Adds the product, or removes it if it's already selected. A full selection is left as is.
+ */
+export function toggleCompare(items, product) {
+  const sku = compareSku(product);
+  if (!sku) return items;
+  if (isCompared(items, product)) return items.filter((item) => compareSku(item) !== sku);
+  if (items.length >= MAX_COMPARE) return items;
+  return [...items, product];
+}
+
+function textKey(value) {
+  return String(value ?? "").trim().toLowerCase();
+}
+
+// A row differs when at least two products have different values; an empty value counts too
+function valuesDiffer(keys) {
+  return new Set(keys).size > 1;
+}
+
+function textRow(label, products, field) {
+  const values = products.map((p) => String(p[field] ?? "").trim());
+  return { key: field, label, values, differs: valuesDiffer(values.map(textKey)) };
+}
+
+// Derived prices (computed from the other one) get a "≈" prefix
+function priceRow(label, products, kind, locale, priceSettings) {
+  const prices = products.map((p) => productPrices(p, priceSettings));
+  return {
+    key: kind,
+    label,
+    values: prices.map((p) =>
+      p[kind] ? `${p[kind].derived ? "≈ " : ""}${formatPrice(p[kind].value, p.currency, locale)}` : ""
+    ),
+    differs: valuesDiffer(prices.map((p) => (p[kind] ? `${p[kind].value.toFixed(2)} ${p.currency}` : ""))),
+    derived: prices.some((p) => p[kind] && p[kind].derived),
+  };
+}
+
+function measurementRow(name, label, products, displayUnits, locale) {
+  const measurements = products.map((p) => getMeasurement(p, name));
+  const present = measurements.filter(Boolean);
+  // The preferred display unit applies when every value converts to it
+  const preferred = present.length ? displayUnitFor(present[0], displayUnits) : null;
+  const unit =
+    preferred && present.every((m) => m.group === present[0].group) ? preferred : commonUnit(measurements);
+  return {
+    key: name,
+    label: unit ? `${label} (${unit})` : label,
+    values: measurements.map((m) => formatMeasurement(m, unit, locale)),
+    // Compare in base units so 120 cm equals 1,2 m
+    differs: valuesDiffer(
+      measurements.map((m) =>
+        m ? `${Math.round(m.base * 1000) / 1000}-${Math.round(m.baseMax * 1000) / 1000} ${m.baseUnit}` : ""
+      )
+    ),
+  };
+}
+
+/**
+ * Rows for the comparison table: [{ key, label, values: [string per product], differs }];
+ * price rows also say whether any value is derived.
+ * Measurements nobody has are left out.
+ */
+export function compareRows(
+  products,
+  displayUnits,
+  locale,
+  labelOf = (field) => field,
+  priceSettings = DEFAULT_PRICE_SETTINGS
+) {
+  const priceFields = { exkl: "Pris exkl. moms", inkl: "Pris inkl. moms" };
+  const rows = [
+    ...shownPriceKinds(priceSettings.display).map((kind) =>
+      priceRow(labelOf(priceFields[kind]), products, kind, locale, priceSettings)
+    ),
+    textRow(labelOf("Material"), products, "Material"),
+    textRow(labelOf("Serie"), products, "Serie"),
+    textRow(labelOf("Färg"), products, "Färg"),
+  ];
+  OTHER_MEASUREMENTS.forEach((name) => {
+    const row = measurementRow(name, labelOf(name), products, displayUnits, locale);
+    if (row.values.some(Boolean)) rows.push(row);
+  });
+  return rows;
+}
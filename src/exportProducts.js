@@ -0,0 +1,94 @@
+/**
+ * exportProducts.js
+ *
+ * Export of a product list to CSV or XLSX, columns in PRODUCT_FIELDS order.
+ * - CSV starts with a UTF-8 BOM so Swedish Excel shows å/ä/ö correctly, and
+ *   can use ";" as delimiter (what Excel expects with a Swedish locale).
+ * - File names are derived from the search query and today's date; the file
+ *   name prefix and the XLSX sheet name follow the UI language.
+ */
+
+import * as XLSX from "xlsx";
+import { PRODUCT_FIELDS } from "./productFields.js";
+
+const BOM = "\uFEFF";
+
+/**
+ * Keeps the requested columns, in canonical order.
+ */
+export function orderColumns(columns) {
+  return PRODUCT_FIELDS.filter((field) => columns.includes(field));
+}
+
+/**
+ * "produkter_glas-vit_2025-06-29", or "produkter_alla_<date>" without a query
+ * ("products_..." / "products_all_..." in English).
+ */
+export function buildExportFileName(query, i18n) {
+  const { t } = i18n;
+  const slug = String(query || "")
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 40);
+  const date = new Date().toISOString().slice(0, 10);
+  return `${t("export.filePrefix")}_${slug || t("export.fileAll")}_${date}`;
+}
+
+function csvCell(value, delimiter) {
+  const str = String(value ?? "");
+  if (str.includes(delimiter) || /["\r\n]/.test(str)) {
+    return `"${str.replace(/"/g, '""')}"`;
+  }
+  return str;
+}
+
+/**
+ * Builds CSV text (with BOM) for the products and columns.
+ */
+export function productsToCsv(products, columns, delimiter = ";") {
+  const lines = [columns.map((c) => csvCell(c, delimiter)).join(delimiter)];
+  products.forEach((product) => {
+    lines.push(columns.map((c) => csvCell(product[c], delimiter)).join(delimiter));
+  });
+  return BOM + lines.join("\r\n");
+}
+
+function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Give the browser time to start the download before revoking
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Writes products to a file and triggers the download.
+ * options: { format: "csv" | "xlsx", columns, delimiter, fileName (without extension) }
+ */
+export function exportProducts(products, { format, columns, delimiter = ";", fileName }, i18n) {
+  const ordered = orderColumns(columns);
+  if (format === "xlsx") {
+    const rows = products.map((product) => {
+      const row = {};
+      ordered.forEach((c) => { row[c] = product[c] ?? ""; });
+      return row;
+    });
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(
+      workbook,
+      XLSX.utils.json_to_sheet(rows, { header: ordered }),
+      i18n.t("export.sheet")
+    );
+    XLSX.writeFile(workbook, `${fileName}.xlsx`);
+    return;
+  }
+  const csv = productsToCsv(products, ordered, delimiter);
+  downloadBlob(new Blob([csv], { type: "text/csv;charset=utf-8" }), `${fileName}.csv`);
+}
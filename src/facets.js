@@ -0,0 +1,183 @@
+/**
+ * facets.js
+ *
+ * Faceted filtering over the loaded products.
+ * Filter state: { values: { [field]: [selected values] }, ranges: { [field]: [min, max] } }
+ * - Value facets match any selected value within a field, all fields combined (AND).
+ * - Facet counts are "live": each field is counted over products matching every
+ *   other active filter, so selecting a value doesn't zero out its siblings.
+ * - Ranges use parsed numbers; products without a number are excluded while a
+ *   range on that field is active.
+ * - Measurement ranges are in base units (mm, ml, g, see measurements.js), so
+ *   "12,5 cm" and "125 mm" filter alike; a value range ("10-12") matches when it overlaps.
+ */
+
+import { OTHER_MEASUREMENTS } from "./productFields.js";
+import { parseNumber } from "./numberFormat.js";
+import { getMeasurement, measurementName } from "./measurements.js";
+
+export const FACET_FIELDS = [
+  "Kategori (parent)",
+  "Kategori (sub)",
+  "Material",
+  "Färg",
+  "Serie",
+];
+
+export const RANGE_FIELDS = [
+  "Pris exkl. moms (värde)",
+  ...OTHER_MEASUREMENTS.map((name) => `${name} (värde)`),
+];
+
+export const EMPTY_FILTERS = { values: {}, ranges: {} };
+
+/**
+ * Short label for a range field, e.g. "Höjd" for "Höjd (värde)".
+ */
+export function rangeLabel(field) {
+  return field === "Pris exkl. moms (värde)" ? "Pris exkl. moms" : field.replace(/ \(värde\)$/, "");
+}
+
+function facetValue(product, field) {
+  return String(product[field] ?? "").trim();
+}
+
+function matchesValues(product, values, exceptField) {
+  for (const field in values) {
+    if (field === exceptField) continue;
+    const selected = values[field];
+    if (selected.length && !selected.includes(facetValue(product, field))) return false;
+  }
+  return true;
+}
+
+/**
+ * [low, high, unit] of a range field for one product, or null without a number.
+ */
+function numericRange(product, field) {
+  const name = measurementName(field);
+  if (name) {
+    const m = getMeasurement(product, name);
+    return m ? [m.base, m.baseMax, m.baseUnit] : null;
+  }
+  const num = parseNumber(product[field]);
+  return num === null ? null : [num, num, ""];
+}
+
+function matchesRanges(product, ranges) {
+  for (const field in ranges) {
+    const [min, max] = ranges[field];
+    const range = numericRange(product, field);
+    if (range === null || range[1] < min || range[0] > max) return false;
+  }
+  return true;
+}
+
+export function hasActiveFilters(filters) {
+  return (
+    Object.values(filters.values).some((v) => v.length > 0) ||
+    Object.keys(filters.ranges).length > 0
+  );
+}
+
+/**
+ * Products matching all active filters (optionally ignoring one value facet).
+ */
+export function applyFilters(products, filters, exceptField) {
+  if (!hasActiveFilters(filters)) return products;
+  return products.filter(
+    (p) => matchesValues(p, filters.values, exceptField) && matchesRanges(p, filters.ranges)
+  );
+}
+
+/**
+ * Value counts per facet field: { [field]: [{ value, count }] }, most common first.
+ * Empty cells are not counted.
+ */
+export function computeFacetCounts(products, filters) {
+  const result = {};
+  FACET_FIELDS.forEach((field) => {
+    const counts = new Map();
+    applyFilters(products, filters, field).forEach((p) => {
+      const value = facetValue(p, field);
+      if (value) counts.set(value, (counts.get(value) || 0) + 1);
+    });
+    result[field] = [...counts.entries()]
+      .map(([value, count]) => ({ value, count }))
+      .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value, "sv"));
+  });
+  return result;
+}
+
+/**
+ * Numeric bounds per range field: { [field]: { min, max, unit } } for fields
+ * with at least two distinct numbers. unit is the most common base unit ("" for prices).
+ */
+export function computeRangeBounds(products) {
+  const bounds = {};
+  RANGE_FIELDS.forEach((field) => {
+    let min = Infinity;
+    let max = -Infinity;
+    const units = new Map();
+    products.forEach((p) => {
+      const range = numericRange(p, field);
+      if (range === null) return;
+      if (range[0] < min) min = range[0];
+      if (range[1] > max) max = range[1];
+      units.set(range[2], (units.get(range[2]) || 0) + 1);
+    });
+    if (min < max) {
+      const unit = [...units.entries()].sort((a, b) => b[1] - a[1])[0][0];
+      bounds[field] = { min, max, unit };
+    }
+  });
+  return bounds;
+}
+
+export function toggleFacetValue(filters, field, value) {
+  const selected = filters.values[field] || [];
+  const next = selected.includes(value)
+    ? selected.filter((v) => v !== value)
+    : [...selected, value];
+  return { ...filters, values: { ...filters.values, [field]: next } };
+}
+
+/**
+ * Sets a range; a range covering the full bounds removes the filter.
+ */
+export function setRange(filters, field, range, bounds) {
+  const ranges = { ...filters.ranges };
+  if (!range || (bounds && range[0] <= bounds.min && range[1] >= bounds.max)) {
+    delete ranges[field];
+  } else {
+    ranges[field] = range;
+  }
+  return { ...filters, ranges };
+}
+
+/**
+ * Active filters as removable chips: [{ key, label, title, remove(filters) }].
+ * formatRangeValue(value, field) formats range bounds; labelOf(field) names a field.
+ */
+export function filterChips(filters, formatRangeValue = String, labelOf = rangeLabel) {
+  const chips = [];
+  Object.entries(filters.values).forEach(([field, selected]) => {
+    selected.forEach((value) => {
+      chips.push({
+        key: `v:${field}:${value}`,
+        label: value,
+        title: `${labelOf(field)}: ${value}`,
+        remove: (current) => toggleFacetValue(current, field, value),
+      });
+    });
+  });
+  Object.entries(filters.ranges).forEach(([field, [min, max]]) => {
+    chips.push({
+      key: `r:${field}`,
+      label: `${labelOf(field)} ${formatRangeValue(min, field)}–${formatRangeValue(max, field)}`,
+      title: labelOf(field),
+      remove: (current) => setRange(current, field, null),
+    });
+  });
+  return chips;
+}
@@ -0,0 +1,81 @@
+/**
+ * fieldMapping.js
+ *
+ * Mapping of uploaded column headers to canonical PRODUCT_FIELDS.
+ * A field map is { uploadedHeader: canonicalField }; headers mapped to
+ * anything that is not a canonical field (their own name, or IGNORE) are
+ * treated as extra and ignored on import.
+ */
+
+import { PRODUCT_FIELDS } from "./productFields.js";
+
+// Field map value for a column the user chose to ignore
+export const IGNORE = "";
+
+// Field normalization for robust mapping, e.g. "Färg" <-> "farg"
+const FIELD_ALIASES = PRODUCT_FIELDS.reduce((acc, field) => {
+  acc[field.toLowerCase()] = field;
+  acc[field.replace(/[\s\-\(\)]/g, "").toLowerCase()] = field;
+  return acc;
+}, {});
+
+// Try to map columns to canonical field names
+export function mapFields(uploadedFields) {
+  const mapping = {};
+  uploadedFields.forEach((f) => {
+    const norm = f.trim().toLowerCase();
+    if (FIELD_ALIASES[norm]) {
+      mapping[f] = FIELD_ALIASES[norm];
+    } else if (FIELD_ALIASES[norm.replace(/[\s\-\(\)]/g, "")]) {
+      mapping[f] = FIELD_ALIASES[norm.replace(/[\s\-\(\)]/g, "")];
+    } else {
+      mapping[f] = f; // unmapped, will be flagged as extra/ignored
+    }
+  });
+  return mapping;
+}
+
+// Validate columns: returns { missing: [], extra: [] }
+export function validateColumns(mappedFields) {
+  const present = Object.values(mappedFields);
+  const missing = PRODUCT_FIELDS.filter((f) => !present.includes(f));
+  const extra = Object.keys(mappedFields).filter(
+    (f) => !PRODUCT_FIELDS.includes(mappedFields[f])
+  );
+  return { missing, extra };
+}
+
+/**
+ * Row mapper for a field map: returns rows with only the canonical fields,
+ * in PRODUCT_FIELDS order, missing ones filled as "".
+ */
+export function createRowMapper(fieldMap) {
+  // Uploaded column for each canonical field, looked up once per import
+  const sourceColumns = {};
+  Object.keys(fieldMap).forEach((uploaded) => {
+    if (PRODUCT_FIELDS.includes(fieldMap[uploaded])) sourceColumns[fieldMap[uploaded]] = uploaded;
+  });
+  const columns = PRODUCT_FIELDS.map((canon) => [canon, sourceColumns[canon]]);
+  return (row) => {
+    const result = {};
+    for (const [canon, uploaded] of columns) {
+      result[canon] = uploaded !== undefined ? row[uploaded] : "";
+    }
+    return result;
+  };
+}
+
+/**
+ * Header as compared between files: "  Namn " and "namn" are the same column.
+ */
+export function normalizeHeader(header) {
+  return String(header).trim().toLowerCase();
+}
+
+/**
+ * Identifies a file layout by its set of headers, independent of column order
+ * and case, so a re-exported file with the same columns matches its profile.
+ */
+export function headerSignature(uploadedFields) {
+  return uploadedFields.map(normalizeHeader).sort().join("|");
+}
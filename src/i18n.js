@@ -0,0 +1,92 @@
+/**
+ * i18n.js
+ *
+ * UI language: message catalogs, field display labels and locale formatting.
+ * - Catalogs live in locales/<code>.js; a key missing from one falls back to
+ *   Swedish, then to the key itself. Add a language by adding a catalog to LANGUAGES.
+ * - Messages use {name} placeholders; a message may also be a function of the
+ *   params, for plurals.
+ * - Canonical field names stay the data keys (import, export, URLs); fieldLabel
+ *   only changes what is shown.
+ * - The language is a preference persisted in localStorage; the default follows
+ *   the browser, falling back to Swedish.
+ * - createI18n(code) bundles the helpers for one language; App provides them
+ *   with I18nProvider and components read them with useI18n().
+ */
+
+import React, { createContext, useContext } from "react";
+import { readJson, writeJson } from "./localStore.js";
+import { formatNumber } from "./numberFormat.js";
+import { formatPrice } from "./prices.js";
+import sv from "./locales/sv.js";
+import en from "./locales/en.js";
+import polarisSv from "@shopify/polaris/locales/sv.json";
+import polarisEn from "@shopify/polaris/locales/en.json";
+
+const LANGUAGE_KEY = "bento.language";
+
+export const DEFAULT_LANGUAGE = "sv";
+
+export const LANGUAGES = [
+  { code: "sv", name: "Svenska", locale: "sv-SE", messages: sv, polaris: polarisSv },
+  { code: "en", name: "English", locale: "en-GB", messages: en, polaris: polarisEn },
+];
+
+export function languageInfo(code) {
+  return LANGUAGES.find((l) => l.code === code) || LANGUAGES[0];
+}
+
+export function translate(code, key, params) {
+  let message = languageInfo(code).messages[key];
+  if (message === undefined) message = sv[key];
+  if (message === undefined) return key;
+  const text = typeof message === "function" ? message(params || {}) : message;
+  if (!params) return text;
+  return text.replace(/\{(\w+)\}/g, (match, name) => (params[name] === undefined ? match : String(params[name])));
+}
+
+/**
+ * Display label of a canonical field or measurement name ("Pris exkl. moms (värde)", "Höjd").
+ */
+export function fieldLabel(code, field) {
+  const labels = languageInfo(code).messages.fields || {};
+  return labels[field] || field;
+}
+
+export function loadLanguage() {
+  const stored = readJson(LANGUAGE_KEY, null);
+  if (LANGUAGES.some((l) => l.code === stored)) return stored;
+  const preferred = typeof navigator === "undefined" ? [] : navigator.languages || [navigator.language];
+  for (const tag of preferred) {
+    const match = LANGUAGES.find((l) => String(tag || "").toLowerCase().startsWith(l.code));
+    if (match) return match.code;
+  }
+  return DEFAULT_LANGUAGE;
+}
+
+export function saveLanguage(code) {
+  writeJson(LANGUAGE_KEY, code);
+}
+
+export function createI18n(code) {
+  const { locale } = languageInfo(code);
+  return {
+    language: code,
+    locale,
+    t: (key, params) => translate(code, key, params),
+    fieldLabel: (field) => fieldLabel(code, field),
+    formatNumber: (value, decimals = 2) => formatNumber(value, decimals, locale),
+    // Amount in a currency (ISO code, SEK by default) in the locale's notation
+    formatPrice: (value, currency) => formatPrice(value, currency, locale),
+  };
+}
+
+const I18nContext = createContext(createI18n(DEFAULT_LANGUAGE));
+
+export function I18nProvider({ value, children }) {
+  return React.createElement(I18nContext.Provider, { value }, children);
+}
+
+export function useI18n() {
+  return useContext(I18nContext);
+}
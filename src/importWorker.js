@@ -0,0 +1,243 @@
+/**
+ * importWorker.js
+ *
+ * Web Worker importing an uploaded CSV/XLSX file off the main thread.
+ * - CSV is streamed: decoded and parsed chunk by chunk.
+ * - XLSX is read with byte progress, then parsed by SheetJS.
+ * - Parsed rows are objects keyed by header, like XLSX.utils.sheet_to_json with
+ *   defval "" (blank lines skipped, duplicate headers get "_1", "_2"...). They
+ *   stay in the worker until the main thread has chosen a field map (saved
+ *   profile, automatic mapping or the mapping wizard).
+ * - Rows are then mapped to canonical fields here and handed over in batches.
+ *
+ * In:  { type: "parse", file }
+ *      { type: "map", fieldMap }
+ * Out: { type: "progress", rowsParsed, bytesRead, totalBytes }
+ *      { type: "parsed", fields, rowCount, previewRows }   (header names in file order)
+ *      { type: "rows", rows }           (canonical rows in batches, in file order)
+ *      { type: "done" }
+ *      { type: "error", message }
+ * Cancelling is done by terminating the worker.
+ */
+
+import * as XLSX from "xlsx";
+import { createRowMapper } from "./fieldMapping.js";
+
+// Rows per message to the main thread
+const BATCH_SIZE = 2000;
+// Minimum time between progress messages (ms)
+const PROGRESS_INTERVAL = 100;
+// Delimiters recognized in the header line
+const DELIMITERS = [";", ",", "\t", "|"];
+// Raw rows sent along for the mapping wizard's samples
+const PREVIEW_ROWS = 5;
+
+// { rows, fields } of the parsed file, until it has been mapped
+let parsed = null;
+
+function createProgress(totalBytes) {
+  const state = { rowsParsed: 0, bytesRead: 0, totalBytes };
+  let lastSent = 0;
+  return {
+    state,
+    report(force) {
+      const now = Date.now();
+      if (!force && now - lastSent < PROGRESS_INTERVAL) return;
+      lastSent = now;
+      self.postMessage({ type: "progress", ...state });
+    },
+  };
+}
+
+/**
+ * Header names made unique the way sheet_to_json does it.
+ */
+function uniqueHeaders(names) {
+  const seen = {};
+  return names.map((raw) => {
+    const name = String(raw).trim() === "" ? "__EMPTY" : String(raw);
+    if (seen[name] === undefined) {
+      seen[name] = 0;
+      return name;
+    }
+    seen[name] += 1;
+    return `${name}_${seen[name]}`;
+  });
+}
+
+/**
+ * Picks the delimiter occurring most often outside quotes in the header line.
+ */
+function detectDelimiter(line) {
+  const counts = {};
+  let inQuotes = false;
+  for (const c of line) {
+    if (c === '"') inQuotes = !inQuotes;
+    else if (!inQuotes && DELIMITERS.includes(c)) counts[c] = (counts[c] || 0) + 1;
+  }
+  let best = ",";
+  DELIMITERS.forEach((d) => {
+    if ((counts[d] || 0) > (counts[best] || 0)) best = d;
+  });
+  return best;
+}
+
+/**
+ * Incremental CSV parser (RFC 4180 quoting, CRLF or LF line ends).
+ * Quotes split across chunks are handled by the afterQuote state.
+ */
+function createCsvParser(onRecord) {
+  let delimiter = null;
+  let pending = "";
+  let field = "";
+  let record = [];
+  let inQuotes = false;
+  let afterQuote = false;
+
+  function endRecord() {
+    record.push(field);
+    field = "";
+    // Blank lines are skipped
+    if (record.length > 1 || record[0] !== "") onRecord(record);
+    record = [];
+  }
+
+  function parse(text) {
+    for (let i = 0; i < text.length; i++) {
+      const c = text[i];
+      if (afterQuote) {
+        afterQuote = false;
+        if (c === '"') {
+          field += '"';
+          continue;
+        }
+        inQuotes = false;
+      }
+      if (inQuotes) {
+        if (c === '"') afterQuote = true;
+        else field += c;
+      } else if (c === '"' && field === "") {
+        inQuotes = true;
+      } else if (c === delimiter) {
+        record.push(field);
+        field = "";
+      } else if (c === "\n") {
+        endRecord();
+      } else if (c !== "\r") {
+        field += c;
+      }
+    }
+  }
+
+  return {
+    write(text) {
+      if (delimiter) {
+        parse(text);
+        return;
+      }
+      // Wait for the whole header line before choosing the delimiter
+      pending += text;
+      const lineEnd = pending.indexOf("\n");
+      if (lineEnd === -1) return;
+      delimiter = detectDelimiter(pending.slice(0, lineEnd));
+      parse(pending);
+      pending = "";
+    },
+    end() {
+      if (!delimiter) {
+        delimiter = detectDelimiter(pending);
+        parse(pending);
+      }
+      if (afterQuote) inQuotes = false;
+      if (field !== "" || record.length > 0) endRecord();
+    },
+  };
+}
+
+async function parseCsv(file) {
+  const progress = createProgress(file.size);
+  const decoder = new TextDecoder("utf-8");
+  const rows = [];
+  let headers = null;
+
+  const parser = createCsvParser((record) => {
+    if (!headers) {
+      headers = uniqueHeaders(record);
+      return;
+    }
+    const row = {};
+    headers.forEach((h, i) => {
+      row[h] = record[i] !== undefined ? record[i] : "";
+    });
+    rows.push(row);
+    progress.state.rowsParsed += 1;
+  });
+
+  const reader = file.stream().getReader();
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    progress.state.bytesRead += value.byteLength;
+    parser.write(decoder.decode(value, { stream: true }));
+    progress.report(false);
+  }
+  parser.write(decoder.decode());
+  parser.end();
+  progress.report(true);
+  return { rows, fields: headers || [] };
+}
+
+async function parseWorkbook(file) {
+  const progress = createProgress(file.size);
+  const data = new Uint8Array(file.size);
+  const reader = file.stream().getReader();
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    data.set(value, progress.state.bytesRead);
+    progress.state.bytesRead += value.byteLength;
+    progress.report(false);
+  }
+  progress.report(true);
+
+  const workbook = XLSX.read(data, { type: "array" });
+  const sheet = workbook.Sheets[workbook.SheetNames[0]];
+  const rows = XLSX.utils.sheet_to_json(sheet, { defval: "" });
+  progress.state.rowsParsed = rows.length;
+  progress.report(true);
+  return { rows, fields: rows.length ? Object.keys(rows[0]) : [] };
+}
+
+/**
+ * Maps the parsed rows to canonical fields and posts them in batches.
+ */
+function mapRows(fieldMap) {
+  const { rows } = parsed;
+  const toCanonical = createRowMapper(fieldMap);
+  for (let i = 0; i < rows.length; i += BATCH_SIZE) {
+    self.postMessage({ type: "rows", rows: rows.slice(i, i + BATCH_SIZE).map(toCanonical) });
+  }
+  parsed = null;
+  self.postMessage({ type: "done" });
+}
+
+self.onmessage = async (e) => {
+  const message = e.data;
+  try {
+    if (message.type === "parse") {
+      const { file } = message;
+      const isCsv = file.name.split(".").pop().toLowerCase() === "csv";
+      parsed = isCsv ? await parseCsv(file) : await parseWorkbook(file);
+      self.postMessage({
+        type: "parsed",
+        fields: parsed.fields,
+        rowCount: parsed.rows.length,
+        previewRows: parsed.rows.slice(0, PREVIEW_ROWS),
+      });
+    } else if (message.type === "map" && parsed) {
+      mapRows(message.fieldMap);
+    }
+  } catch (err) {
+    self.postMessage({ type: "error", message: err.message });
+  }
+};
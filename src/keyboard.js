@@ -0,0 +1,28 @@
+/**
+ * keyboard.js
+ *
+ * Small helpers for global keyboard shortcuts.
+ */
+
+/**
+ * True when a key press belongs to a form field (typing "/" or arrows there
+ * must not trigger shortcuts).
+ */
+export function isTextInput(target) {
+  if (!target || !target.tagName) return false;
+  const tag = target.tagName;
+  if (tag === "TEXTAREA" || tag === "SELECT" || target.isContentEditable) return true;
+  if (tag !== "INPUT") return false;
+  return !["checkbox", "radio", "button", "submit", "reset"].includes(target.type);
+}
+
+/**
+ * onKeyDown handler making a role="button" element react to Enter and Space.
+ */
+export function activateOnKey(handler) {
+  return (e) => {
+    if (e.key !== "Enter" && e.key !== " ") return;
+    e.preventDefault();
+    handler(e);
+  };
+}
@@ -0,0 +1,25 @@
+/**
+ * localStore.js
+ *
+ * Small JSON helpers around localStorage for UI preferences and user data
+ * that is too small to need IndexedDB. Storage errors (private mode, quota)
+ * are swallowed: the app keeps working, the value just does not persist.
+ */
+
+export function readJson(key, fallback) {
+  try {
+    const raw = localStorage.getItem(key);
+    return raw === null ? fallback : JSON.parse(raw);
+  } catch {
+    return fallback;
+  }
+}
+
+export function writeJson(key, value) {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+    return true;
+  } catch {
+    return false;
+  }
+}
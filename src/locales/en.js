@@ -0,0 +1,402 @@
+/**
+ * locales/en.js
+ *
+ * English messages. Plurals are functions of the params; {name} placeholders
+ * are filled in afterwards by translate().
+ */
+
+const plural = (count, one, other) => (count === 1 ? one : other);
+
+export default {
+  "query.error.unclosedQuote": "Missing closing quote.",
+  "query.error.missingValue": '"{qualifier}" has no value.',
+  "query.error.notANumber": '"{value}" is not a number.',
+  "query.error.unknownUnit": 'Unknown unit "{unit}" for "{name}".',
+  "query.error.colonOnly": '"{name}" can only be used with ":".',
+  "query.error.unknownField": 'Unknown field "{name}".',
+  "query.error.emptyPhrase": "Empty phrase.",
+  "query.error.emptyGroup": "Empty expression around OR or parentheses.",
+  "query.error.unclosedParen": "Missing closing parenthesis.",
+  "query.error.unopenedParen": "Missing opening parenthesis.",
+  "query.example.field": "Field contains text",
+  "query.example.exclude": "Exclude words with a minus",
+  "query.example.compare": "Compare numbers (< <= > >= =)",
+  "query.example.measurement": "Measurement (with unit) and category",
+  "query.example.phrase": "Exact phrase",
+  "query.example.or": "Any of the alternatives",
+  "query.example.group": "Groups with parentheses",
+
+  "header.showSearch": "Show search",
+  "header.searchPlaceholder": "Search",
+  "header.searchLabel": "Search products",
+  "header.search": "Search",
+  "header.searchHelp": "Search help",
+  "header.invalidQuery": "Invalid query: {error}",
+  "header.plainSearchFallback": "{error} Searching as plain text.",
+  "header.queryExamples": "Query examples",
+  "header.queryFields": "Fields: {fields}",
+  "header.upload": "Upload",
+  "header.language": "Language",
+
+  "catalogs.all": "All catalogs",
+  "catalogs.choose": "Choose catalog",
+  "catalogs.rows": ({ count }) => plural(count, "{count} row", "{count} rows"),
+  "catalogs.searchAll": "Search all catalogs",
+  "catalogs.compare": "Compare catalogs",
+  "catalogs.rename": "Rename catalog",
+  "catalogs.delete": "Delete catalog",
+  "catalogs.untitled": "Untitled catalog",
+  "catalogs.error.unsupported": "This browser does not support IndexedDB.",
+  "catalogs.error.aborted": "The transaction was aborted.",
+  "catalogs.error.incomplete": "The saved catalog is incomplete.",
+  "catalogs.error.missing": "The catalog no longer exists.",
+
+  "common.cancel": "Cancel",
+  "common.close": "Close",
+
+  "app.saveCatalogFailed": "The catalog could not be saved locally: {error}",
+  "app.loadCatalogFailed": "Could not read the saved catalog: {error}",
+  "app.listCatalogsFailed": "Could not read the saved catalogs: {error}",
+  "app.renamePrompt": "New name for the catalog:",
+  "app.renameFailed": "Could not rename: {error}",
+  "app.deleteConfirm": 'Delete the catalog "{name}"?',
+  "app.deleteFailed": "Could not delete the catalog: {error}",
+  "app.qcFilter": "Products with data issues ({count})",
+  "app.qcFilterRemove": "Remove data issue filter",
+  "app.relatedFilterRemove": "Remove related products filter",
+  "app.loadingProducts": "Loading products",
+  "app.loadingProductsEllipsis": "Loading products...",
+  "app.readingFile": "Reading file... {rows} rows · {read} / {total} MB",
+  "app.readingStoredCatalog": "Reading saved catalog... {loaded} / {total}",
+  "app.importProgress": "Import progress",
+  "app.requiredColumnsPresent": "All required columns are present!",
+  "app.importedAt": "imported {date}",
+  "app.qualityOk": "Data quality OK",
+  "app.qualityCounts": ({ errors, warnings }) =>
+    `{errors} ${plural(errors, "error", "errors")}, {warnings} ${plural(warnings, "warning", "warnings")}`,
+  "app.productCount": ({ count }) => plural(count, "{count} product", "{count} products"),
+  "app.productCountGrouped": ({ count, groups }) =>
+    `{count} ${plural(count, "product", "products")} in {groups} ${plural(groups, "group", "groups")}`,
+  "app.showQuote": "Show quote",
+  "app.quoteButton": "Quote ({count})",
+  "app.compareSelected": "Compare selected products",
+  "app.compareButton": "Compare ({count})",
+  "app.backToResults": "Back to search results",
+  "app.showLists": "Show lists",
+  "app.listsButton": "Lists ({count})",
+  "app.hideFilters": "Hide filters",
+  "app.showFilters": "Show filters",
+  "app.filterButton": "Filters",
+  "app.filterButtonCount": "Filters ({count})",
+  "app.exportTitle": "Export the results to CSV/XLSX",
+  "app.export": "Export",
+  "app.removeFilter": "Remove filter {name}",
+  "app.clearAll": "Clear all",
+  "app.searching": "Searching...",
+  "app.noMatches": "No products match your search",
+  "app.results": "Search results",
+
+  "update.available": "A new version is available.",
+  "update.apply": "Update",
+  "update.later": "Later",
+
+  "gallery.label": "Images: {name}",
+  "gallery.product": "product",
+  "gallery.close": "Close image",
+  "gallery.previous": "Previous image",
+  "gallery.next": "Next image",
+  "gallery.image": "Image {number}",
+
+  "product.image": "Product image",
+  "product.unnamed": "Untitled",
+  "product.variantCount": "{count} variants",
+
+  "shortlist.remove": "Remove from list",
+  "shortlist.add": "Add to list",
+  "shortlist.defaultName": "Favorites",
+  "shortlist.newPrompt": "Name of the new list:",
+  "shortlist.renamePrompt": "New name for the list:",
+  "shortlist.deleteConfirm": 'Delete the list "{name}"?',
+  "shortlist.clearConfirm": 'Empty the list "{name}"?',
+  "shortlist.note": "Note",
+  "shortlist.noteFor": "Note for {sku}",
+  "shortlist.choose": "Choose list",
+  "shortlist.new": "New list",
+  "shortlist.renameLabel": "Rename list",
+  "shortlist.rename": "Rename",
+  "shortlist.delete": "Delete list",
+  "shortlist.missingCount": "{count} missing from {catalog}",
+  "shortlist.empty": "The list is empty. Tap the star next to a product to add it.",
+  "shortlist.notInCatalog": "Not in {catalog}",
+  "shortlist.removeSku": "Remove {sku} from the list",
+  "shortlist.starHint": "Stars in the list and on the product card add to",
+
+  "import.missingWarning": "Warning: Fields missing from the file: {fields}",
+  "import.readFailed": "Could not read the file: {error}",
+  "import.noRows": "The file contains no rows.",
+  "import.unknownError": "unknown error",
+  "import.profile": "Mapping profile:",
+  "import.warning": "Warning:",
+  "import.missingFields": "Fields missing from the file:",
+  "import.extraColumns": "Other columns (ignored):",
+
+  "mapping.newProfile": "New profile",
+  "mapping.deleteProfileConfirm": 'Delete the mapping profile "{name}"?',
+  "mapping.title": "Map columns",
+  "mapping.cancelImport": "Cancel import",
+  "mapping.intro": "{count} columns. Choose the field each column corresponds to.",
+  "mapping.applyProfile": "Apply mapping profile",
+  "mapping.applySavedProfile": "Apply saved profile...",
+  "mapping.deleteProfile": "Delete selected profile",
+  "mapping.emptyValues": "(empty values)",
+  "mapping.fieldFor": "Field for the column {column}",
+  "mapping.ignore": "Ignore",
+  "mapping.inUse": "in use",
+  "mapping.missing": "Missing after mapping ({count}):",
+  "mapping.saveProfile": "Save as profile",
+  "mapping.profileName": "Profile name",
+  "mapping.import": "Import",
+
+  "sort.relevance": "Relevance",
+  "sort.priceAsc": "Price, lowest first",
+  "sort.priceDesc": "Price, highest first",
+  "sort.nameAsc": "Name A–Z",
+  "sort.measurementAsc": "{name}, smallest first",
+  "sort.measurementDesc": "{name}, largest first",
+
+  "filters.title": "Filters",
+  "filters.close": "Close filters",
+  "filters.sort": "Sort",
+  "filters.groupVariants": "Group variants (size, color)",
+  "filters.showFewer": "Show fewer",
+  "filters.showAll": "Show all ({count})",
+  "filters.displayUnits": "Show measurements in",
+  "filters.unitGroup.length": "Length",
+  "filters.unitGroup.volume": "Volume",
+  "filters.unitGroup.weight": "Weight",
+  "filters.productUnit": "Product's unit",
+  "filters.rangeMin": "{name} minimum",
+  "filters.rangeMax": "{name} maximum",
+  "filters.showResults": ({ count }) => plural(count, "Show {count} product", "Show {count} products"),
+
+  "product.priceExkl": "Excl.",
+  "product.priceInkl": "Incl.",
+  "product.removeFromList": "Remove from {name}",
+  "product.addToList": "Add to {name}",
+  "product.showImages": "Show images ({count})",
+  "product.showLargeImage": "Show larger image",
+  "product.size": "Size",
+  "product.variant": "Variant",
+  "product.viewOnSite": "View on Table.se",
+  "product.addToQuote": "Add to quote",
+  "product.inQuote": "{count} in the quote",
+  "product.compareFull": "At most 4 products in the comparison",
+  "product.compared": "In comparison",
+  "product.compare": "Compare",
+
+  "related.title": "Related products",
+  "related.none": "No related products",
+  "related.series": "Same series",
+  "related.size": "Similar size",
+  "related.category": "Same category",
+  "related.show": "Show {name}",
+  "related.filter.series": "Same series as {name} ({count})",
+  "related.filter.size": "Similar size to {name} ({count})",
+  "related.filter.category": "Same category as {name} ({count})",
+
+  "qc.title": "Data quality",
+  "qc.severity.error": "Error",
+  "qc.severity.warning": "Warning",
+  "qc.check.emptySku": "Empty SKU",
+  "qc.check.duplicateSku": "Duplicate SKU",
+  "qc.check.nonNumeric": "Non-numeric value",
+  "qc.check.missingUnit": "Value without unit",
+  "qc.check.badUrl": "Invalid URL",
+  "qc.check.vatMismatch": "VAT does not match",
+  "qc.message.emptySku": "SKU is missing.",
+  "qc.message.duplicateSku": "SKU {sku} already exists on row {row}.",
+  "qc.message.nonNumeric": '"{value}" is not a number.',
+  "qc.message.missingUnit": 'The value "{value}" has no unit.',
+  "qc.message.badUrl": '"{value}" is not a valid http(s) address.',
+  "qc.message.vatMismatch": "Incl. VAT {inkl} should be about {expected} (excl. {exkl} + {rate}% VAT).",
+  "qc.sheet.row": "Row",
+  "qc.sheet.sku": "SKU",
+  "qc.sheet.severity": "Severity",
+  "qc.sheet.check": "Check",
+  "qc.sheet.field": "Field",
+  "qc.sheet.message": "Description",
+  "qc.catalog": "catalog",
+  "qc.fileName": "data_quality",
+  "qc.summary": ({ errors, warnings, affected }) => [
+    plural(errors, "{errors} error", "{errors} errors"),
+    plural(warnings, "{warnings} warning", "{warnings} warnings"),
+    plural(affected, "{affected} affected product", "{affected} affected products"),
+  ].join(" · "),
+  "qc.all": "All",
+  "qc.allChecks": "All checks",
+  "qc.showAffected": "Show affected products",
+  "qc.noIssues": "No issues found",
+  "qc.row": "Row {row}",
+  "qc.showMore": "Show more ({count} left)",
+
+  "compare.title": "Compare products",
+  "compare.onlyDifferences": "Only differences",
+  "compare.clear": "Clear",
+  "compare.chooseMore": 'Choose at least {count} products with "Compare" on the product card.',
+  "compare.property": "Property",
+  "compare.removeSku": "Remove {sku} from the comparison",
+  "compare.remove": "Remove from the comparison",
+  "compare.showProduct": "Show product",
+  "compare.noDifferences": "No differences.",
+
+  "quote.title": "Quote",
+  "quote.dated": "Quote {date}",
+  "quote.fileName": "quote_{date}",
+  "quote.headerPlaceholder": "Heading, customer, reference...",
+  "quote.headerLabel": "Custom heading text",
+  "quote.empty": 'The quote is empty. Open a product and choose "Add to quote".',
+  "quote.unitPrice": "Unit price {price} excl. VAT",
+  "quote.decrease": "Decrease quantity",
+  "quote.increase": "Increase quantity",
+  "quote.quantityFor": "Quantity for {sku}",
+  "quote.inkl": "incl. {price}",
+  "quote.removeSku": "Remove {sku} from the quote",
+  "quote.totalExkl": "Total excl. VAT",
+  "quote.vat": "VAT",
+  "quote.totalInkl": "Total incl. VAT",
+  "quote.print": "Print",
+  "quote.clearConfirm": "Empty the quote?",
+  "quote.clear": "Empty",
+  "quote.col.sku": "SKU",
+  "quote.col.name": "Name",
+  "quote.col.product": "Product",
+  "quote.col.quantity": "Quantity",
+  "quote.col.unitExkl": "Unit price excl. VAT",
+  "quote.col.currency": "Currency",
+  "quote.col.unitExklShort": "Unit excl.",
+  "quote.col.discount": "Discount (%)",
+  "quote.col.discountShort": "Discount",
+  "quote.col.totalExklShort": "Total excl.",
+  "quote.col.totalInklShort": "Total incl.",
+
+  "diff.title": "Compare catalogs",
+  "diff.oldCatalog": "Old catalog",
+  "diff.newCatalog": "New catalog",
+  "diff.chooseTwo": "Choose two different catalogs.",
+  "diff.loading": "Reading catalogs...",
+  "diff.added": "Added",
+  "diff.removed": "Removed",
+  "diff.changed": "Changed",
+  "diff.unchanged": "{count} unchanged",
+  "diff.missingSku": ({ count }) => plural(count, "{count} row without SKU", "{count} rows without SKU"),
+  "diff.duplicates": ({ count }) => plural(count, "{count} duplicate ignored", "{count} duplicates ignored"),
+  "diff.priceOnly": "Price changes only",
+  "diff.noDifferences": "No differences",
+  "diff.sheet.priceChanges": "Price changes",
+  "diff.sheet.field": "Field",
+  "diff.sheet.old": "Old",
+  "diff.sheet.new": "New",
+  "diff.sheet.oldIn": "Old ({name})",
+  "diff.sheet.newIn": "New ({name})",
+  "diff.sheet.change": "Change",
+  "diff.sheet.changePercent": "Change (%)",
+
+  "export.title": "Export products",
+  "export.countMatching": ({ count }) =>
+    plural(count, '{count} product matching "{query}"', '{count} products matching "{query}"'),
+  "export.delimiter": "Delimiter",
+  "export.semicolon": "Semicolon (Swedish Excel)",
+  "export.comma": "Comma",
+  "export.fileName": "File name",
+  "export.columns": "Columns ({count})",
+  "export.all": "All",
+  "export.none": "None",
+  "export.download": "Download {format}",
+  "export.filePrefix": "products",
+  "export.fileAll": "all",
+  "export.sheet": "Products",
+
+  "theme.title": "Appearance",
+  "theme.mode.system": "Follow system",
+  "theme.mode.light": "Light",
+  "theme.mode.dark": "Dark",
+  "theme.mode.contrast": "High contrast",
+  "theme.accent": "Accent color",
+  "theme.accent.default": "Default",
+  "theme.accent.blue": "Blue",
+  "theme.accent.yellow": "Yellow",
+  "theme.accent.green": "Green",
+  "theme.accent.orange": "Orange",
+  "theme.accent.pink": "Pink",
+  "theme.accent.purple": "Purple",
+
+  "prices.title": "Prices",
+  "prices.show": "Show",
+  "prices.display.exkl": "Excl. VAT",
+  "prices.display.inkl": "Incl. VAT",
+  "prices.display.both": "Excl. and incl. VAT",
+  "prices.vatRate": "VAT",
+  "prices.rateOption": "{rate}%",
+  "prices.categoryRates": "Used when a price is missing. Food is calculated at 12%, books and newspapers at 6%.",
+  "prices.exklShort": "excl.",
+  "prices.inklShort": "incl.",
+  "prices.derived": "Calculated with {rate}% VAT",
+  "prices.derivedNote": "≈ calculated from the other price and the product's VAT rate",
+
+  "search.group.name": "Products",
+  "search.group.series": "Series",
+  "search.group.category": "Categories",
+  "search.group.sku": "SKUs",
+  "search.group.saved": "Saved searches",
+  "search.group.recent": "Recent searches",
+  "search.save": "Save this search…",
+  "search.savePrompt": "Name of the saved search:",
+  "search.removeSaved": "Remove saved search {name}",
+  "search.removeRecent": "Remove {query} from recent searches",
+  "search.savedSearches": "Saved searches:",
+  // Display labels of canonical field and measurement names
+  fields: {
+    "Namn": "Name",
+    "Artikelnummer": "SKU",
+    "Färg": "Color",
+    "Material": "Material",
+    "Serie": "Series",
+    "Pris exkl. moms (värde)": "Price excl. VAT (value)",
+    "Pris exkl. moms (enhet)": "Price excl. VAT (unit)",
+    "Pris inkl. moms (värde)": "Price incl. VAT (value)",
+    "Pris inkl. moms (enhet)": "Price incl. VAT (unit)",
+    "Pris exkl. moms": "Price excl. VAT",
+    "Pris inkl. moms": "Price incl. VAT",
+    "Längd": "Length",
+    "Längd (värde)": "Length (value)",
+    "Längd (enhet)": "Length (unit)",
+    "Bredd": "Width",
+    "Bredd (värde)": "Width (value)",
+    "Bredd (enhet)": "Width (unit)",
+    "Höjd": "Height",
+    "Höjd (värde)": "Height (value)",
+    "Höjd (enhet)": "Height (unit)",
+    "Djup": "Depth",
+    "Djup (värde)": "Depth (value)",
+    "Djup (enhet)": "Depth (unit)",
+    "Diameter": "Diameter",
+    "Diameter (värde)": "Diameter (value)",
+    "Diameter (enhet)": "Diameter (unit)",
+    "Kapacitet": "Capacity",
+    "Kapacitet (värde)": "Capacity (value)",
+    "Kapacitet (enhet)": "Capacity (unit)",
+    "Volym": "Volume",
+    "Volym (värde)": "Volume (value)",
+    "Volym (enhet)": "Volume (unit)",
+    "Vikt": "Weight",
+    "Vikt (värde)": "Weight (value)",
+    "Vikt (enhet)": "Weight (unit)",
+    "Data (text)": "Data (text)",
+    "Kategori (parent)": "Category (parent)",
+    "Kategori (sub)": "Category (sub)",
+    "Produktbild-URL": "Product image URL",
+    "Produkt-URL": "Product URL",
+    "Beskrivning": "Description",
+    "Extra data": "Extra data",
+  },
+};
@@ -0,0 +1,348 @@
+/**
+ * locales/sv.js
+ *
+ * Swedish messages, the reference catalog: every key exists here.
+ * Field labels are the canonical field names themselves, so there is no fields map.
+ */
+
+export default {
+  "query.error.unclosedQuote": "Citattecken saknar slut.",
+  "query.error.missingValue": '"{qualifier}" saknar värde.',
+  "query.error.notANumber": '"{value}" är inte ett tal.',
+  "query.error.unknownUnit": 'Okänd enhet "{unit}" för "{name}".',
+  "query.error.colonOnly": '"{name}" kan bara användas med ":".',
+  "query.error.unknownField": 'Okänt fält "{name}".',
+  "query.error.emptyPhrase": "Tom fras.",
+  "query.error.emptyGroup": "Tomt uttryck kring OR eller parentes.",
+  "query.error.unclosedParen": "Parentes saknar slut.",
+  "query.error.unopenedParen": "Parentes saknar början.",
+  "query.example.field": "Fält innehåller text",
+  "query.example.exclude": "Uteslut ord med minus",
+  "query.example.compare": "Jämför tal (< <= > >= =)",
+  "query.example.measurement": "Mått (med enhet) och kategori",
+  "query.example.phrase": "Exakt fras",
+  "query.example.or": "Något av alternativen",
+  "query.example.group": "Grupper med parentes",
+
+  "header.showSearch": "Visa sökfält",
+  "header.searchPlaceholder": "Sök",
+  "header.searchLabel": "Sök produkter",
+  "header.search": "Sök",
+  "header.searchHelp": "Sökhjälp",
+  "header.invalidQuery": "Ogiltig sökfras: {error}",
+  "header.plainSearchFallback": "{error} Söker som vanlig text.",
+  "header.queryExamples": "Sökfraser",
+  "header.queryFields": "Fält: {fields}",
+  "header.upload": "Ladda upp",
+  "header.language": "Språk",
+
+  "catalogs.all": "Alla kataloger",
+  "catalogs.choose": "Välj katalog",
+  "catalogs.rows": "{count} rader",
+  "catalogs.searchAll": "Sök i alla kataloger",
+  "catalogs.compare": "Jämför kataloger",
+  "catalogs.rename": "Byt namn på katalog",
+  "catalogs.delete": "Ta bort katalog",
+  "catalogs.untitled": "Namnlös katalog",
+  "catalogs.error.unsupported": "IndexedDB stöds inte i den här webbläsaren.",
+  "catalogs.error.aborted": "Transaktionen avbröts.",
+  "catalogs.error.incomplete": "Den sparade katalogen är ofullständig.",
+  "catalogs.error.missing": "Katalogen finns inte längre.",
+
+  "common.cancel": "Avbryt",
+  "common.close": "Stäng",
+
+  "app.saveCatalogFailed": "Katalogen kunde inte sparas lokalt: {error}",
+  "app.loadCatalogFailed": "Kunde inte läsa sparad katalog: {error}",
+  "app.listCatalogsFailed": "Kunde inte läsa sparade kataloger: {error}",
+  "app.renamePrompt": "Nytt namn på katalogen:",
+  "app.renameFailed": "Kunde inte byta namn: {error}",
+  "app.deleteConfirm": 'Ta bort katalogen "{name}"?',
+  "app.deleteFailed": "Kunde inte ta bort katalogen: {error}",
+  "app.qcFilter": "Produkter med datafel ({count})",
+  "app.qcFilterRemove": "Ta bort filter för datafel",
+  "app.relatedFilterRemove": "Ta bort filter för relaterade produkter",
+  "app.loadingProducts": "Laddar produkter",
+  "app.loadingProductsEllipsis": "Laddar produkter...",
+  "app.readingFile": "Läser fil... {rows} rader · {read} / {total} MB",
+  "app.readingStoredCatalog": "Läser sparad katalog... {loaded} / {total}",
+  "app.importProgress": "Importförlopp",
+  "app.requiredColumnsPresent": "Alla obligatoriska kolumner finns!",
+  "app.importedAt": "importerad {date}",
+  "app.qualityOk": "Datakvalitet OK",
+  "app.qualityCounts": "{errors} fel, {warnings} varningar",
+  "app.productCount": "{count} produkter",
+  "app.productCountGrouped": "{count} produkter i {groups} grupper",
+  "app.showQuote": "Visa offert",
+  "app.quoteButton": "Offert ({count})",
+  "app.compareSelected": "Jämför valda produkter",
+  "app.compareButton": "Jämför ({count})",
+  "app.backToResults": "Tillbaka till sökresultat",
+  "app.showLists": "Visa listor",
+  "app.listsButton": "Listor ({count})",
+  "app.hideFilters": "Dölj filter",
+  "app.showFilters": "Visa filter",
+  "app.filterButton": "Filter",
+  "app.filterButtonCount": "Filter ({count})",
+  "app.exportTitle": "Exportera resultatet till CSV/XLSX",
+  "app.export": "Exportera",
+  "app.removeFilter": "Ta bort filter {name}",
+  "app.clearAll": "Rensa alla",
+  "app.searching": "Söker...",
+  "app.noMatches": "Inga produkter matchar din sökning",
+  "app.results": "Sökresultat",
+
+  "update.available": "En ny version finns.",
+  "update.apply": "Uppdatera",
+  "update.later": "Senare",
+
+  "gallery.label": "Bilder: {name}",
+  "gallery.product": "produkt",
+  "gallery.close": "Stäng bild",
+  "gallery.previous": "Föregående bild",
+  "gallery.next": "Nästa bild",
+  "gallery.image": "Bild {number}",
+
+  "product.image": "Produktbild",
+  "product.unnamed": "Namnlös",
+  "product.variantCount": "{count} varianter",
+
+  "shortlist.remove": "Ta bort från lista",
+  "shortlist.add": "Lägg till i lista",
+  "shortlist.defaultName": "Favoriter",
+  "shortlist.newPrompt": "Namn på den nya listan:",
+  "shortlist.renamePrompt": "Nytt namn på listan:",
+  "shortlist.deleteConfirm": 'Ta bort listan "{name}"?',
+  "shortlist.clearConfirm": 'Töm listan "{name}"?',
+  "shortlist.note": "Anteckning",
+  "shortlist.noteFor": "Anteckning för {sku}",
+  "shortlist.choose": "Välj lista",
+  "shortlist.new": "Ny lista",
+  "shortlist.renameLabel": "Byt namn på lista",
+  "shortlist.rename": "Byt namn",
+  "shortlist.delete": "Ta bort lista",
+  "shortlist.missingCount": "{count} saknas i {catalog}",
+  "shortlist.empty": "Listan är tom. Tryck på stjärnan vid en produkt för att lägga till den.",
+  "shortlist.notInCatalog": "Finns inte i {catalog}",
+  "shortlist.removeSku": "Ta bort {sku} från listan",
+  "shortlist.starHint": "Stjärnor i listan och i produktkortet lägger till i",
+
+  "import.missingWarning": "Varning: Saknade fält i filen: {fields}",
+  "import.readFailed": "Kunde inte läsa filen: {error}",
+  "import.noRows": "Filen innehåller inga rader.",
+  "import.unknownError": "okänt fel",
+  "import.profile": "Mappningsprofil:",
+  "import.warning": "Varning:",
+  "import.missingFields": "Saknade fält i filen:",
+  "import.extraColumns": "Övriga kolumner (ignoreras):",
+
+  "mapping.newProfile": "Ny profil",
+  "mapping.deleteProfileConfirm": 'Ta bort mappningsprofilen "{name}"?',
+  "mapping.title": "Mappa kolumner",
+  "mapping.cancelImport": "Avbryt import",
+  "mapping.intro": "{count} kolumner. Välj vilket fält varje kolumn motsvarar.",
+  "mapping.applyProfile": "Använd mappningsprofil",
+  "mapping.applySavedProfile": "Använd sparad profil...",
+  "mapping.deleteProfile": "Ta bort vald profil",
+  "mapping.emptyValues": "(tomma värden)",
+  "mapping.fieldFor": "Fält för kolumnen {column}",
+  "mapping.ignore": "Ignorera",
+  "mapping.inUse": "används",
+  "mapping.missing": "Saknas efter mappning ({count}):",
+  "mapping.saveProfile": "Spara som profil",
+  "mapping.profileName": "Profilnamn",
+  "mapping.import": "Importera",
+
+  "sort.relevance": "Relevans",
+  "sort.priceAsc": "Pris, lägst först",
+  "sort.priceDesc": "Pris, högst först",
+  "sort.nameAsc": "Namn A–Ö",
+  "sort.measurementAsc": "{name}, minst först",
+  "sort.measurementDesc": "{name}, störst först",
+
+  "filters.title": "Filter",
+  "filters.close": "Stäng filter",
+  "filters.sort": "Sortera",
+  "filters.groupVariants": "Gruppera varianter (storlek, färg)",
+  "filters.showFewer": "Visa färre",
+  "filters.showAll": "Visa alla ({count})",
+  "filters.displayUnits": "Visa mått i",
+  "filters.unitGroup.length": "Längd",
+  "filters.unitGroup.volume": "Volym",
+  "filters.unitGroup.weight": "Vikt",
+  "filters.productUnit": "Produktens enhet",
+  "filters.rangeMin": "{name} minst",
+  "filters.rangeMax": "{name} högst",
+  "filters.showResults": "Visa {count} produkter",
+
+  "product.priceExkl": "Exkl.",
+  "product.priceInkl": "Inkl.",
+  "product.removeFromList": "Ta bort från {name}",
+  "product.addToList": "Lägg till i {name}",
+  "product.showImages": "Visa bilder ({count})",
+  "product.showLargeImage": "Visa större bild",
+  "product.size": "Storlek",
+  "product.variant": "Variant",
+  "product.viewOnSite": "Visa på Table.se",
+  "product.addToQuote": "Lägg till i offert",
+  "product.inQuote": "{count} st i offerten",
+  "product.compareFull": "Max 4 produkter i jämförelsen",
+  "product.compared": "I jämförelsen",
+  "product.compare": "Jämför",
+
+  "related.title": "Relaterade produkter",
+  "related.none": "Inga relaterade produkter",
+  "related.series": "Samma serie",
+  "related.size": "Liknande storlek",
+  "related.category": "Samma kategori",
+  "related.show": "Visa {name}",
+  "related.filter.series": "Samma serie som {name} ({count})",
+  "related.filter.size": "Liknande storlek som {name} ({count})",
+  "related.filter.category": "Samma kategori som {name} ({count})",
+
+  "qc.title": "Datakvalitet",
+  "qc.severity.error": "Fel",
+  "qc.severity.warning": "Varning",
+  "qc.check.emptySku": "Tomt artikelnummer",
+  "qc.check.duplicateSku": "Dubblerat artikelnummer",
+  "qc.check.nonNumeric": "Ej numeriskt värde",
+  "qc.check.missingUnit": "Värde utan enhet",
+  "qc.check.badUrl": "Felaktig URL",
+  "qc.check.vatMismatch": "Moms stämmer inte",
+  "qc.message.emptySku": "Artikelnummer saknas.",
+  "qc.message.duplicateSku": "Artikelnummer {sku} finns redan på rad {row}.",
+  "qc.message.nonNumeric": '"{value}" är inte ett tal.',
+  "qc.message.missingUnit": 'Värdet "{value}" saknar enhet.',
+  "qc.message.badUrl": '"{value}" är ingen giltig http(s)-adress.',
+  "qc.message.vatMismatch": "Inkl. moms {inkl} borde vara cirka {expected} (exkl. {exkl} + {rate} % moms).",
+  "qc.sheet.row": "Rad",
+  "qc.sheet.sku": "Artikelnummer",
+  "qc.sheet.severity": "Allvarlighet",
+  "qc.sheet.check": "Kontroll",
+  "qc.sheet.field": "Fält",
+  "qc.sheet.message": "Beskrivning",
+  "qc.catalog": "katalog",
+  "qc.fileName": "datakvalitet",
+  "qc.summary": "{errors} fel · {warnings} varningar · {affected} berörda produkter",
+  "qc.all": "Alla",
+  "qc.allChecks": "Alla kontroller",
+  "qc.showAffected": "Visa berörda produkter",
+  "qc.noIssues": "Inga problem hittades",
+  "qc.row": "Rad {row}",
+  "qc.showMore": "Visa fler ({count} kvar)",
+
+  "compare.title": "Jämför produkter",
+  "compare.onlyDifferences": "Bara skillnader",
+  "compare.clear": "Rensa",
+  "compare.chooseMore": 'Välj minst {count} produkter med "Jämför" i produktkortet.',
+  "compare.property": "Egenskap",
+  "compare.removeSku": "Ta bort {sku} från jämförelsen",
+  "compare.remove": "Ta bort från jämförelsen",
+  "compare.showProduct": "Visa produkt",
+  "compare.noDifferences": "Inga skillnader.",
+
+  "quote.title": "Offert",
+  "quote.dated": "Offert {date}",
+  "quote.fileName": "offert_{date}",
+  "quote.headerPlaceholder": "Rubrik, kund, referens...",
+  "quote.headerLabel": "Egen rubriktext",
+  "quote.empty": 'Offerten är tom. Öppna en produkt och välj "Lägg till i offert".',
+  "quote.unitPrice": "À-pris {price} exkl. moms",
+  "quote.decrease": "Minska antal",
+  "quote.increase": "Öka antal",
+  "quote.quantityFor": "Antal för {sku}",
+  "quote.inkl": "inkl. {price}",
+  "quote.removeSku": "Ta bort {sku} från offerten",
+  "quote.totalExkl": "Summa exkl. moms",
+  "quote.vat": "Moms",
+  "quote.totalInkl": "Summa inkl. moms",
+  "quote.print": "Skriv ut",
+  "quote.clearConfirm": "Töm offerten?",
+  "quote.clear": "Töm",
+  "quote.col.sku": "Artikelnummer",
+  "quote.col.name": "Namn",
+  "quote.col.product": "Produkt",
+  "quote.col.quantity": "Antal",
+  "quote.col.unitExkl": "À-pris exkl. moms",
+  "quote.col.currency": "Valuta",
+  "quote.col.unitExklShort": "À-pris exkl.",
+  "quote.col.discount": "Rabatt (%)",
+  "quote.col.discountShort": "Rabatt",
+  "quote.col.totalExklShort": "Summa exkl.",
+  "quote.col.totalInklShort": "Summa inkl.",
+
+  "diff.title": "Jämför kataloger",
+  "diff.oldCatalog": "Gammal katalog",
+  "diff.newCatalog": "Ny katalog",
+  "diff.chooseTwo": "Välj två olika kataloger.",
+  "diff.loading": "Läser kataloger...",
+  "diff.added": "Nya",
+  "diff.removed": "Borttagna",
+  "diff.changed": "Ändrade",
+  "diff.unchanged": "{count} oförändrade",
+  "diff.missingSku": "{count} rader utan artikelnummer",
+  "diff.duplicates": "{count} dubbletter ignorerade",
+  "diff.priceOnly": "Endast prisändringar",
+  "diff.noDifferences": "Inga skillnader",
+  "diff.sheet.priceChanges": "Prisändringar",
+  "diff.sheet.field": "Fält",
+  "diff.sheet.old": "Gammalt",
+  "diff.sheet.new": "Nytt",
+  "diff.sheet.oldIn": "Gammalt ({name})",
+  "diff.sheet.newIn": "Nytt ({name})",
+  "diff.sheet.change": "Förändring",
+  "diff.sheet.changePercent": "Förändring (%)",
+
+  "export.title": "Exportera produkter",
+  "export.countMatching": '{count} produkter som matchar "{query}"',
+  "export.delimiter": "Avgränsare",
+  "export.semicolon": "Semikolon (svensk Excel)",
+  "export.comma": "Komma",
+  "export.fileName": "Filnamn",
+  "export.columns": "Kolumner ({count})",
+  "export.all": "Alla",
+  "export.none": "Inga",
+  "export.download": "Ladda ner {format}",
+  "export.filePrefix": "produkter",
+  "export.fileAll": "alla",
+  "export.sheet": "Produkter",
+
+  "theme.title": "Utseende",
+  "theme.mode.system": "Följ systemet",
+  "theme.mode.light": "Ljust",
+  "theme.mode.dark": "Mörkt",
+  "theme.mode.contrast": "Hög kontrast",
+  "theme.accent": "Accentfärg",
+  "theme.accent.default": "Standard",
+  "theme.accent.blue": "Blå",
+  "theme.accent.yellow": "Gul",
+  "theme.accent.green": "Grön",
+  "theme.accent.orange": "Orange",
+  "theme.accent.pink": "Rosa",
+  "theme.accent.purple": "Lila",
+
+  "prices.title": "Priser",
+  "prices.show": "Visa",
+  "prices.display.exkl": "Exkl. moms",
+  "prices.display.inkl": "Inkl. moms",
+  "prices.display.both": "Exkl. och inkl. moms",
+  "prices.vatRate": "Moms",
+  "prices.rateOption": "{rate} %",
+  "prices.categoryRates": "Används när ett pris saknas. Livsmedel räknas med 12 %, böcker och tidningar med 6 %.",
+  "prices.exklShort": "exkl.",
+  "prices.inklShort": "inkl.",
+  "prices.derived": "Beräknat med {rate} % moms",
+  "prices.derivedNote": "≈ beräknat från det andra priset och produktens momssats",
+
+  "search.group.name": "Produkter",
+  "search.group.series": "Serier",
+  "search.group.category": "Kategorier",
+  "search.group.sku": "Artikelnummer",
+  "search.group.saved": "Sparade sökningar",
+  "search.group.recent": "Senaste sökningar",
+  "search.save": "Spara sökningen…",
+  "search.savePrompt": "Namn på den sparade sökningen:",
+  "search.removeSaved": "Ta bort sparad sökning {name}",
+  "search.removeRecent": "Ta bort {query} från senaste sökningar",
+  "search.savedSearches": "Sparade sökningar:",
+};
@@ -0,0 +1,64 @@
+/**
+ * mappingProfiles.js
+ *
+ * Named column-mapping profiles, persisted in localStorage.
+ * A profile is { name, signature, mapping, updatedAt }, where signature is
+ * the headerSignature of the file it was created for and mapping is a field
+ * map ({ uploadedHeader: canonicalField | IGNORE }).
+ */
+
+import { readJson, writeJson } from "./localStore.js";
+import { normalizeHeader } from "./fieldMapping.js";
+
+const PROFILES_KEY = "bento.mappingProfiles";
+
+export function listProfiles() {
+  const profiles = readJson(PROFILES_KEY, []);
+  return Array.isArray(profiles) ? profiles : [];
+}
+
+/**
+ * Profile whose header signature equals the uploaded file's, if any.
+ */
+export function findProfileBySignature(signature) {
+  return listProfiles().find((p) => p.signature === signature) || null;
+}
+
+/**
+ * Saves a profile. A profile with the same name or signature is replaced,
+ * so each file layout has at most one auto-applied profile.
+ */
+export function saveProfile({ name, signature, mapping }) {
+  const profile = {
+    name: String(name).trim(),
+    signature,
+    mapping,
+    updatedAt: new Date().toISOString(),
+  };
+  const others = listProfiles().filter(
+    (p) => p.name !== profile.name && p.signature !== signature
+  );
+  writeJson(PROFILES_KEY, [...others, profile]);
+  return profile;
+}
+
+export function deleteProfile(name) {
+  writeJson(PROFILES_KEY, listProfiles().filter((p) => p.name !== name));
+}
+
+/**
+ * Applies a profile to a (possibly different) set of headers: headers the
+ * profile knows keep its choice, the rest keep the fallback mapping. Headers
+ * are matched like headerSignature does it, ignoring case and surrounding space.
+ */
+export function applyProfile(profile, uploadedFields, fallbackMapping) {
+  const known = new Map(
+    Object.keys(profile.mapping).map((header) => [normalizeHeader(header), profile.mapping[header]])
+  );
+  const mapping = {};
+  uploadedFields.forEach((f) => {
+    const key = normalizeHeader(f);
+    mapping[f] = known.has(key) ? known.get(key) : fallbackMapping[f];
+  });
+  return mapping;
+}
@@ -0,0 +1,209 @@
+/**
+ * measurements.js
+ *
+ * Unit handling for the "(värde)"/"(enhet)" measurement pairs.
+ * - Values use Swedish decimal commas ("12,5"), may be ranges ("10-12") and
+ *   sometimes carry their unit inline ("12 cm") when "(enhet)" is empty.
+ * - Length (mm/cm/m), volume and capacity (ml/cl/dl/l) and weight (g/kg)
+ *   convert to their base unit (mm, ml, g); sorting and filters use base values.
+ * - Unknown units are kept as they are; values still compare within the same unit.
+ * - Display units are a user preference per unit group, persisted in localStorage.
+ */
+
+import { OTHER_MEASUREMENTS } from "./productFields.js";
+import { parseNumber, formatNumber } from "./numberFormat.js";
+import { readJson, writeJson } from "./localStore.js";
+
+// Unit -> { group, factor to the group's base unit }
+const UNITS = {
+  mm: { group: "length", factor: 1 },
+  cm: { group: "length", factor: 10 },
+  m: { group: "length", factor: 1000 },
+  ml: { group: "volume", factor: 1 },
+  cl: { group: "volume", factor: 10 },
+  dl: { group: "volume", factor: 100 },
+  l: { group: "volume", factor: 1000 },
+  g: { group: "weight", factor: 1 },
+  kg: { group: "weight", factor: 1000 },
+};
+
+export const BASE_UNITS = { length: "mm", volume: "ml", weight: "g" };
+
+// Units offered as display preference, per group
+export const DISPLAY_UNIT_CHOICES = {
+  length: ["mm", "cm", "m"],
+  volume: ["ml", "cl", "dl", "l"],
+  weight: ["g", "kg"],
+};
+
+// Spelled-out and odd variants seen in scraped data
+const UNIT_ALIASES = {
+  millimeter: "mm",
+  centimeter: "cm",
+  meter: "m",
+  milliliter: "ml",
+  centiliter: "cl",
+  deciliter: "dl",
+  liter: "l",
+  lit: "l",
+  gram: "g",
+  gr: "g",
+  kilo: "kg",
+  kilogram: "kg",
+};
+
+const DISPLAY_UNITS_KEY = "bento.displayUnits";
+
+// "" keeps each product's own unit
+export const ORIGINAL_DISPLAY_UNITS = { length: "", volume: "", weight: "" };
+
+/**
+ * Canonical unit key ("CM", "cm." -> "cm"), or the trimmed input if unknown.
+ */
+export function normalizeUnit(unit) {
+  const key = String(unit ?? "").trim().toLowerCase().replace(/\.$/, "");
+  return UNIT_ALIASES[key] || key;
+}
+
+export function unitGroup(unit) {
+  const info = UNITS[normalizeUnit(unit)];
+  return info ? info.group : null;
+}
+
+/**
+ * Converts a value between two units of the same group; null if not convertible.
+ */
+export function convertValue(value, fromUnit, toUnit) {
+  const from = UNITS[normalizeUnit(fromUnit)];
+  const to = UNITS[normalizeUnit(toUnit)];
+  if (!from || !to || from.group !== to.group) return null;
+  return (value * from.factor) / to.factor;
+}
+
+/**
+ * Parses a measurement value: "12,5", "10-12", "10–12 cm".
+ * Returns { min, max, unit } (unit only when written inline, else "") or null.
+ */
+export function parseMeasureValue(raw) {
+  const single = parseNumber(raw);
+  if (single !== null) return { min: single, max: single, unit: "" };
+  const str = String(raw ?? "").trim();
+  if (!str) return null;
+
+  const withUnit = str.match(/^(.*\d)\s*([a-zåäö]+\.?)$/i);
+  if (withUnit) {
+    const parsed = parseMeasureValue(withUnit[1]);
+    return parsed && !parsed.unit ? { ...parsed, unit: normalizeUnit(withUnit[2]) } : null;
+  }
+
+  const range = str.match(/^(\d[\d\s.,]*?)\s*[-–—]\s*(\d[\d\s.,]*)$/);
+  if (range) {
+    const a = parseNumber(range[1]);
+    const b = parseNumber(range[2]);
+    if (a !== null && b !== null) return { min: Math.min(a, b), max: Math.max(a, b), unit: "" };
+  }
+  return null;
+}
+
+/**
+ * Field name -> measurement name ("Höjd (värde)" -> "Höjd"), null for other fields.
+ */
+export function measurementName(field) {
+  const name = String(field).replace(/ \(värde\)$/, "");
+  return name !== field && OTHER_MEASUREMENTS.includes(name) ? name : null;
+}
+
+/**
+ * A product's measurement, or null when the value isn't a number:
+ * { name, value, max, unit, group, base, baseMax, baseUnit }.
+ * value/max are equal unless the value is a range. base/baseMax are in the
+ * group's base unit (or the original unit when it's unknown).
+ */
+export function getMeasurement(product, name) {
+  const parsed = parseMeasureValue(product[`${name} (värde)`]);
+  if (!parsed) return null;
+  const unit = normalizeUnit(product[`${name} (enhet)`]) || parsed.unit;
+  const group = unitGroup(unit);
+  const measurement = { name, value: parsed.min, max: parsed.max, unit, group };
+  if (!group) return { ...measurement, base: parsed.min, baseMax: parsed.max, baseUnit: unit };
+  const baseUnit = BASE_UNITS[group];
+  return {
+    ...measurement,
+    base: convertValue(parsed.min, unit, baseUnit),
+    baseMax: convertValue(parsed.max, unit, baseUnit),
+    baseUnit,
+  };
+}
+
+/**
+ * The unit to show a set of measurements in: the unit most of them already
+ * use, as long as every measurement converts to it. Returns null for none.
+ */
+export function commonUnit(measurements) {
+  const present = measurements.filter(Boolean);
+  if (present.length === 0) return null;
+  const counts = new Map();
+  present.forEach((m) => counts.set(m.unit, (counts.get(m.unit) || 0) + 1));
+  const candidates = [...counts.entries()].sort((a, b) => b[1] - a[1]).map(([unit]) => unit);
+  return (
+    candidates.find((unit) =>
+      present.every((m) => m.unit === unit || convertValue(m.value, m.unit, unit) !== null)
+    ) || null
+  );
+}
+
+function formatValue(value, locale) {
+  const rounded = Math.round(value * 100) / 100;
+  const decimals = (String(rounded).split(".")[1] || "").length;
+  return formatNumber(rounded, decimals, locale);
+}
+
+/**
+ * { text: "12,5" or "10–12", unit }, converted to displayUnit when given and convertible.
+ */
+export function formatMeasurementParts(measurement, displayUnit, locale) {
+  let { value, max = measurement.value, unit } = measurement;
+  if (displayUnit && displayUnit !== unit) {
+    const converted = convertValue(value, unit, displayUnit);
+    if (converted !== null) {
+      max = convertValue(max, unit, displayUnit);
+      value = converted;
+      unit = displayUnit;
+    }
+  }
+  const text = max !== value ? `${formatValue(value, locale)}–${formatValue(max, locale)}` : formatValue(value, locale);
+  return { text, unit };
+}
+
+/**
+ * "12,5 cm" or "10–12 cm"; converted to displayUnit when given and convertible.
+ */
+export function formatMeasurement(measurement, displayUnit, locale) {
+  if (!measurement) return "";
+  const { text, unit } = formatMeasurementParts(measurement, displayUnit, locale);
+  return unit ? `${text} ${unit}` : text;
+}
+
+/**
+ * The preferred display unit for a measurement, or null to keep its own unit.
+ */
+export function displayUnitFor(measurement, displayUnits) {
+  if (!measurement || !measurement.group || !displayUnits) return null;
+  return displayUnits[measurement.group] || null;
+}
+
+/**
+ * Formats a value given in baseUnit (e.g. a filter bound) in the preferred display unit.
+ */
+export function formatBaseValue(value, baseUnit, displayUnits, locale) {
+  const measurement = { value, max: value, unit: baseUnit || "", group: unitGroup(baseUnit) };
+  return formatMeasurement(measurement, displayUnitFor(measurement, displayUnits), locale);
+}
+
+export function loadDisplayUnits() {
+  return { ...ORIGINAL_DISPLAY_UNITS, ...readJson(DISPLAY_UNITS_KEY, {}) };
+}
+
+export function saveDisplayUnits(displayUnits) {
+  writeJson(DISPLAY_UNITS_KEY, displayUnits);
+}
@@ -0,0 +1,36 @@
+/**
+ * numberFormat.js
+ *
+ * Parsing and formatting of numeric cell values.
+ * Scraped cells use Swedish notation ("1 234,50"), but dot decimals and
+ * stray currency text ("199 kr") also occur.
+ */
+
+/**
+ * Parses a numeric cell value. Returns null for empty or non-numeric cells.
+ */
+export function parseNumber(value) {
+  if (typeof value === "number") return Number.isFinite(value) ? value : null;
+  let str = String(value ?? "")
+    .replace(/[\s  ]/g, "")
+    .replace(/(kr|sek|:-)$/i, "");
+  if (!str) return null;
+  // "1.234,50" -> thousands dots with a decimal comma
+  if (/^-?\d{1,3}(\.\d{3})+(,\d+)?$/.test(str)) str = str.replace(/\./g, "");
+  str = str.replace(",", ".");
+  if (!/^-?(\d+\.?\d*|\.\d+)$/.test(str)) return null;
+  const num = Number(str);
+  return Number.isFinite(num) ? num : null;
+}
+
+/**
+ * Formats a number with the locale's grouping (Swedish by default) and a
+ * fixed number of decimals.
+ */
+export function formatNumber(value, decimals = 2, locale = "sv-SE") {
+  if (value === null || value === undefined || !Number.isFinite(value)) return "";
+  return value.toLocaleString(locale, {
+    minimumFractionDigits: decimals,
+    maximumFractionDigits: decimals,
+  });
+}
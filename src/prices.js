@@ -0,0 +1,151 @@
+/**
+ * prices.js
+ *
+ * Product prices exkl./inkl. moms for display.
+ * - Price settings: which prices to show ("exkl", "inkl" or "both") and the
+ *   default VAT rate; persisted in localStorage.
+ * - A product's VAT rate is the default (25 %) unless its parent or sub category
+ *   is one of CATEGORY_VAT_RATES (livsmedel 12 %, böcker och tidningar 6 %).
+ * - A missing exkl/inkl price is derived from the other one and flagged derived.
+ * - The currency comes from the "(enhet)" column ("kr", "SEK", "€/st"); SEK when
+ *   it names none. Prices render with Intl.NumberFormat in the UI locale,
+ *   whatever notation the cell used.
+ */
+
+import { readJson, writeJson } from "./localStore.js";
+import { parseNumber } from "./numberFormat.js";
+
+const PRICE_SETTINGS_KEY = "bento.prices";
+
+export const PRICE_DISPLAY_MODES = ["exkl", "inkl", "both"];
+
+export const VAT_RATE_CHOICES = [0.25, 0.12, 0.06];
+
+export const DEFAULT_PRICE_SETTINGS = { display: "both", vatRate: 0.25 };
+
+// Checked against "Kategori (parent)" and "Kategori (sub)"; first match wins.
+// Whole category names only, so "Dryckesglas" and "Food service" keep the default rate.
+export const CATEGORY_VAT_RATES = [
+  { pattern: /^(livsmedel|matvaror|drycker|food|beverages)$/i, rate: 0.12 },
+  { pattern: /^(böcker|tidningar|tidskrifter|books|magazines)$/i, rate: 0.06 },
+];
+
+export const PRICE_KINDS = {
+  exkl: { value: "Pris exkl. moms (värde)", unit: "Pris exkl. moms (enhet)" },
+  inkl: { value: "Pris inkl. moms (värde)", unit: "Pris inkl. moms (enhet)" },
+};
+
+export const DEFAULT_CURRENCY = "SEK";
+
+// Unit text -> ISO 4217 code
+const CURRENCY_ALIASES = {
+  kr: "SEK",
+  sek: "SEK",
+  ":-": "SEK",
+  eur: "EUR",
+  "€": "EUR",
+  euro: "EUR",
+  nok: "NOK",
+  dkk: "DKK",
+  usd: "USD",
+  $: "USD",
+  gbp: "GBP",
+  "£": "GBP",
+};
+
+export function loadPriceSettings() {
+  const stored = readJson(PRICE_SETTINGS_KEY, null) || {};
+  return {
+    display: PRICE_DISPLAY_MODES.includes(stored.display) ? stored.display : DEFAULT_PRICE_SETTINGS.display,
+    vatRate: VAT_RATE_CHOICES.includes(stored.vatRate) ? stored.vatRate : DEFAULT_PRICE_SETTINGS.vatRate,
+  };
+}
+
+export function savePriceSettings(settings) {
+  writeJson(PRICE_SETTINGS_KEY, settings);
+}
+
+/**
+ * The price kinds ("exkl", "inkl") to show for a display mode.
+ */
+export function shownPriceKinds(display) {
+  return display === "exkl" || display === "inkl" ? [display] : ["exkl", "inkl"];
+}
+
+/**
+ * VAT rate (0.25) of a product: its category's rate, else the default.
+ */
+export function vatRateFor(product, settings = DEFAULT_PRICE_SETTINGS) {
+  const categories = [product["Kategori (parent)"], product["Kategori (sub)"]].map((c) =>
+    String(c ?? "").trim()
+  );
+  const match = CATEGORY_VAT_RATES.find((c) => categories.some((category) => c.pattern.test(category)));
+  return match ? match.rate : settings.vatRate;
+}
+
+/**
+ * { currency, per } from a price unit: "kr/st" -> { currency: "SEK", per: "st" }.
+ */
+export function parsePriceUnit(unit) {
+  const [head, ...rest] = String(unit ?? "").split("/");
+  const code = head.trim().toLowerCase();
+  return { currency: CURRENCY_ALIASES[code] || DEFAULT_CURRENCY, per: rest.join("/").trim() };
+}
+
+/**
+ * Both prices of a product: { exkl, inkl, rate, currency, per }, where exkl and
+ * inkl are { value, derived } or null when the product has neither price.
+ */
+export function productPrices(product, settings = DEFAULT_PRICE_SETTINGS) {
+  const rate = vatRateFor(product, settings);
+  const exkl = parseNumber(product[PRICE_KINDS.exkl.value]);
+  const inkl = parseNumber(product[PRICE_KINDS.inkl.value]);
+  const prices = {
+    exkl: exkl === null ? null : { value: exkl, derived: false },
+    inkl: inkl === null ? null : { value: inkl, derived: false },
+  };
+  if (exkl === null && inkl !== null) prices.exkl = { value: inkl / (1 + rate), derived: true };
+  if (inkl === null && exkl !== null) prices.inkl = { value: exkl * (1 + rate), derived: true };
+  const unit = product[PRICE_KINDS.exkl.unit] || product[PRICE_KINDS.inkl.unit];
+  return { ...prices, rate, ...parsePriceUnit(unit) };
+}
+
+/**
+ * { min, max, derived } of one price kind over several products (a variant
+ * group), or null; derived when any of the prices is.
+ */
+export function priceRangeOf(products, kind, settings = DEFAULT_PRICE_SETTINGS) {
+  let range = null;
+  products.forEach((product) => {
+    const price = productPrices(product, settings)[kind];
+    if (!price) return;
+    if (!range) range = { min: price.value, max: price.value, derived: price.derived };
+    range.min = Math.min(range.min, price.value);
+    range.max = Math.max(range.max, price.value);
+    range.derived = range.derived || price.derived;
+  });
+  return range;
+}
+
+const formatters = new Map();
+
+/**
+ * "1 234,50 kr" / "SEK 1,234.50": an amount in the locale's currency notation.
+ */
+export function formatPrice(value, currency = DEFAULT_CURRENCY, locale = "sv-SE") {
+  if (value === null || value === undefined || !Number.isFinite(value)) return "";
+  const key = `${locale}|${currency}`;
+  if (!formatters.has(key)) {
+    formatters.set(key, new Intl.NumberFormat(locale, { style: "currency", currency }));
+  }
+  return formatters.get(key).format(value);
+}
+
+/**
+ * "49,00 kr–59,00 kr" for a { min, max } range; one price when they are equal.
+ */
+export function formatPriceRange(range, currency = DEFAULT_CURRENCY, locale = "sv-SE") {
+  if (!range) return "";
+  const min = formatPrice(range.min, currency, locale);
+  return range.min === range.max ? min : `${min}–${formatPrice(range.max, currency, locale)}`;
+}
@@ -0,0 +1,38 @@
+// Canonical Table.se product fields (order matters for export)
+export const PRODUCT_FIELDS = [
+  "Namn",
+  "Artikelnummer",
+  "Färg",
+  "Material",
+  "Serie",
+  "Pris exkl. moms (värde)",
+  "Pris exkl. moms (enhet)",
+  "Pris inkl. moms (värde)",
+  "Pris inkl. moms (enhet)",
+  "Längd (värde)", "Längd (enhet)",
+  "Bredd (värde)", "Bredd (enhet)",
+  "Höjd (värde)", "Höjd (enhet)",
+  "Djup (värde)", "Djup (enhet)",
+  "Diameter (värde)", "Diameter (enhet)",
+  "Kapacitet (värde)", "Kapacitet (enhet)",
+  "Volym (värde)", "Volym (enhet)",
+  "Vikt (värde)", "Vikt (enhet)",
+  "Data (text)",
+  "Kategori (parent)",
+  "Kategori (sub)",
+  "Produktbild-URL",
+  "Produkt-URL",
+  "Beskrivning",
+  "Extra data",
+];
+
+// Price value columns, exkl. and inkl. moms
+export const PRICE_VALUE_FIELDS = [
+  "Pris exkl. moms (värde)",
+  "Pris inkl. moms (värde)",
+];
+
+// Measurement names; each has "<name> (värde)" and "<name> (enhet)" columns
+export const OTHER_MEASUREMENTS = [
+  "Längd", "Bredd", "Höjd", "Djup", "Diameter", "Kapacitet", "Volym", "Vikt"
+];
@@ -0,0 +1,58 @@
+/**
+ * productImages.js
+ *
+ * Product image URLs.
+ * - Produktbild-URL may hold several URLs separated by whitespace, ";", "|"
+ *   or commas before the next URL ("a.jpg, https://b.jpg").
+ * - Image URLs found in Extra data are appended after those.
+ * - getHighResImage guesses the full-size variant of a thumbnail URL; callers
+ *   fall back to the original URL when that one fails to load.
+ */
+
+// Separators between URLs; a comma only counts before "http", since URLs may contain commas
+export const IMAGE_URL_SEPARATOR = /\s*[;|]\s*|\s+|,\s*(?=https?:\/\/)/;
+
+const URL_START = /^(https?:)?\/\//i;
+
+// Image links inside free text
+const IMAGE_URL_IN_TEXT = /https?:\/\/[^\s"'<>|;,]+?\.(?:jpe?g|png|webp|gif|avif)(?:\?[^\s"'<>|;]*)?(?=$|[\s"'<>|;,])/gi;
+
+/**
+ * URLs of a Produktbild-URL cell value.
+ */
+export function splitImageUrls(value) {
+  return String(value ?? "")
+    .split(IMAGE_URL_SEPARATOR)
+    .map((url) => url.trim())
+    .filter((url) => URL_START.test(url));
+}
+
+/**
+ * Every image of a product, without duplicates, Produktbild-URL first.
+ */
+export function productImages(product) {
+  if (!product) return [];
+  const urls = splitImageUrls(product["Produktbild-URL"]);
+  const extra = String(product["Extra data"] ?? "").match(IMAGE_URL_IN_TEXT) || [];
+  return [...new Set([...urls, ...extra])];
+}
+
+/**
+ * The image shown in lists and thumbnails ("" without one).
+ */
+export function primaryImage(product) {
+  if (!product) return "";
+  return splitImageUrls(product["Produktbild-URL"])[0] || productImages(product)[0] || "";
+}
+
+export function getHighResImage(url) {
+  if (!url) return url;
+  let highRes = url
+    .replace(/(_small|_thumb|_medium)/gi, "")
+    .replace(/(-\d+x\d+)(\.\w+)$/, "$2")
+    .replace(/\/small\//gi, "/")
+    .replace(/\/thumb\//gi, "/")
+    .replace(/\/medium\//gi, "/")
+    .replace(/(size=)\d+x\d+/gi, "size=2000x2000");
+  return highRes;
+}
@@ -0,0 +1,198 @@
+/**
+ * qualityCheck.js
+ *
+ * Row-level data quality (QC) pass over an imported catalog.
+ * Checks every row for:
+ * - empty or duplicate Artikelnummer
+ * - non-numeric price or measurement (värde) cells; measurements are read with
+ *   parseMeasureValue (measurements.js), so ranges and inline units pass
+ * - a value without a matching (enhet), unless the measurement has its unit inline
+ * - malformed Produktbild-URL / Produkt-URL
+ * - inkl. moms price that is not about exkl. × (1 + VAT rate); the rate is the
+ *   product's category rate or the configured default (prices.js)
+ * Row numbers are spreadsheet rows (header is row 1, first product row 2).
+ * Issues carry an i18n message key and params; issueMessage turns them into text.
+ */
+
+import * as XLSX from "xlsx";
+import { parseNumber } from "./numberFormat.js";
+import { OTHER_MEASUREMENTS } from "./productFields.js";
+import { IMAGE_URL_SEPARATOR } from "./productImages.js";
+import { parseMeasureValue } from "./measurements.js";
+import { vatRateFor, DEFAULT_PRICE_SETTINGS } from "./prices.js";
+
+export const SEVERITY_ERROR = "error";
+export const SEVERITY_WARNING = "warning";
+
+// Severities with their label message keys
+export const SEVERITY_LABELS = {
+  [SEVERITY_ERROR]: "qc.severity.error",
+  [SEVERITY_WARNING]: "qc.severity.warning",
+};
+
+// Check ids with their label message keys
+export const QC_CHECKS = {
+  emptySku: "qc.check.emptySku",
+  duplicateSku: "qc.check.duplicateSku",
+  nonNumeric: "qc.check.nonNumeric",
+  missingUnit: "qc.check.missingUnit",
+  badUrl: "qc.check.badUrl",
+  vatMismatch: "qc.check.vatMismatch",
+};
+
+// Allowed relative deviation from exkl × (1 + rate) (covers öresavrundning)
+const VAT_TOLERANCE = 0.02;
+
+// Message params that are prices, formatted per locale
+const AMOUNT_PARAMS = ["inkl", "expected", "exkl"];
+
+const PRICE_PAIRS = [
+  ["Pris exkl. moms (värde)", "Pris exkl. moms (enhet)"],
+  ["Pris inkl. moms (värde)", "Pris inkl. moms (enhet)"],
+];
+
+const URL_FIELDS = ["Produktbild-URL", "Produkt-URL"];
+
+function text(value) {
+  return String(value ?? "").trim();
+}
+
+function isValidUrl(value) {
+  try {
+    const url = new URL(value);
+    return (url.protocol === "http:" || url.protocol === "https:") && Boolean(url.hostname);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Runs every check over the rows.
+ * Returns {
+ *   issues: [{ index, row, sku, field, check, severity, messageKey, params }],
+ *   counts: { error, warning }, byCheck: { [check]: count },
+ *   affectedIndices: Set of row indices with at least one issue
+ * }.
+ */
+export function checkCatalogQuality(rows, priceSettings = DEFAULT_PRICE_SETTINGS) {
+  const issues = [];
+  const firstRowBySku = new Map();
+
+  rows.forEach((product, index) => {
+    const row = index + 2;
+    const sku = text(product["Artikelnummer"]);
+    const add = (field, check, severity, messageKey, params = {}) => {
+      issues.push({ index, row, sku, field, check, severity, messageKey, params });
+    };
+
+    // Artikelnummer
+    if (!sku) {
+      add("Artikelnummer", "emptySku", SEVERITY_ERROR, "qc.message.emptySku");
+    } else if (firstRowBySku.has(sku)) {
+      add("Artikelnummer", "duplicateSku", SEVERITY_ERROR, "qc.message.duplicateSku", {
+        sku,
+        row: firstRowBySku.get(sku),
+      });
+    } else {
+      firstRowBySku.set(sku, row);
+    }
+
+    // Prices
+    PRICE_PAIRS.forEach(([valueField, unitField]) => {
+      const value = text(product[valueField]);
+      if (!value) return;
+      if (parseNumber(value) === null) {
+        add(valueField, "nonNumeric", SEVERITY_ERROR, "qc.message.nonNumeric", { value });
+      }
+      if (!text(product[unitField])) {
+        add(unitField, "missingUnit", SEVERITY_WARNING, "qc.message.missingUnit", { value });
+      }
+    });
+
+    // Measurements
+    OTHER_MEASUREMENTS.forEach((name) => {
+      const valueField = `${name} (värde)`;
+      const value = text(product[valueField]);
+      if (!value) return;
+      // Same rules as filtering and sorting: ranges ("10–12") and inline units ("12 cm") are fine
+      const parsed = parseMeasureValue(value);
+      if (!parsed) {
+        add(valueField, "nonNumeric", SEVERITY_WARNING, "qc.message.nonNumeric", { value });
+      }
+      if (!text(product[`${name} (enhet)`]) && !(parsed && parsed.unit)) {
+        add(`${name} (enhet)`, "missingUnit", SEVERITY_WARNING, "qc.message.missingUnit", { value });
+      }
+    });
+
+    // URLs
+    URL_FIELDS.forEach((field) => {
+      const value = text(product[field]);
+      if (!value) return;
+      // Produktbild-URL may list several images
+      const urls = field === "Produktbild-URL" ? value.split(IMAGE_URL_SEPARATOR).filter(Boolean) : [value];
+      const bad = urls.find((url) => !isValidUrl(url));
+      if (bad !== undefined) {
+        add(field, "badUrl", SEVERITY_WARNING, "qc.message.badUrl", { value: bad });
+      }
+    });
+
+    // VAT: inkl ≈ exkl × (1 + rate)
+    const exkl = parseNumber(product["Pris exkl. moms (värde)"]);
+    const inkl = parseNumber(product["Pris inkl. moms (värde)"]);
+    if (exkl !== null && inkl !== null && exkl > 0) {
+      const rate = vatRateFor(product, priceSettings);
+      const expected = exkl * (1 + rate);
+      if (Math.abs(inkl - expected) / expected > VAT_TOLERANCE) {
+        add("Pris inkl. moms (värde)", "vatMismatch", SEVERITY_WARNING, "qc.message.vatMismatch", {
+          inkl,
+          expected,
+          exkl,
+          rate: Math.round(rate * 100),
+        });
+      }
+    }
+  });
+
+  const counts = { [SEVERITY_ERROR]: 0, [SEVERITY_WARNING]: 0 };
+  const byCheck = {};
+  const affectedIndices = new Set();
+  issues.forEach((issue) => {
+    counts[issue.severity]++;
+    byCheck[issue.check] = (byCheck[issue.check] || 0) + 1;
+    affectedIndices.add(issue.index);
+  });
+
+  return { issues, counts, byCheck, affectedIndices };
+}
+
+/**
+ * Text of an issue in the language of i18n (createI18n); numbers in the locale's format.
+ */
+export function issueMessage(issue, i18n) {
+  const params = {};
+  Object.entries(issue.params).forEach(([name, value]) => {
+    params[name] = AMOUNT_PARAMS.includes(name) ? i18n.formatNumber(value) : value;
+  });
+  return i18n.t(issue.messageKey, params);
+}
+
+/**
+ * Writes the issues to an XLSX file and triggers the download. Headings and
+ * messages are in the UI language; field names stay canonical.
+ */
+export function exportQualityReport(report, catalogName, i18n) {
+  const { t } = i18n;
+  const sheetRows = report.issues.map((issue) => ({
+    [t("qc.sheet.row")]: issue.row,
+    [t("qc.sheet.sku")]: issue.sku,
+    [t("qc.sheet.severity")]: t(SEVERITY_LABELS[issue.severity]),
+    [t("qc.sheet.check")]: t(QC_CHECKS[issue.check]),
+    [t("qc.sheet.field")]: issue.field,
+    [t("qc.sheet.message")]: issueMessage(issue, i18n),
+  }));
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(sheetRows), t("qc.title"));
+  const date = new Date().toISOString().slice(0, 10);
+  const safeName = String(catalogName || t("qc.catalog")).replace(/[\\/:*?"<>|]+/g, "_");
+  XLSX.writeFile(workbook, `${t("qc.fileName")}_${safeName}_${date}.xlsx`);
+}
@@ -0,0 +1,298 @@
+/**
+ * quote.js
+ *
+ * Price quote (offert) built from looked-up products, persisted in localStorage.
+ * Quote: { header, lines: [{ id, sku, name, imageUrl, unitExkl, unitInkl, currency, quantity, discount }] }
+ * - Lines keep the product's name, image and prices from when they were added,
+ *   so the quote doesn't change when another catalog becomes active.
+ * - Adding a product whose SKU is already quoted raises that line's quantity;
+ *   a product without SKU always gets a line of its own.
+ * - discount is a percentage per line (0-100).
+ * - Each line keeps its product's currency; totals are summed per currency,
+ *   since lines in different currencies can't be added up.
+ * - A missing exkl/inkl price is derived from the other one with the product's
+ *   VAT rate (prices.js).
+ * - Export to XLSX, or to a print-optimized HTML page with images, in the UI
+ *   language (i18n from createI18n).
+ */
+
+import * as XLSX from "xlsx";
+import { readJson, writeJson } from "./localStore.js";
+import { primaryImage } from "./productImages.js";
+import { productPrices, DEFAULT_PRICE_SETTINGS, DEFAULT_CURRENCY } from "./prices.js";
+
+const QUOTE_KEY = "bento.quote";
+
+export const EMPTY_QUOTE = { header: "", lines: [] };
+
+function createLineId() {
+  return `line-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+export function loadQuote() {
+  const stored = readJson(QUOTE_KEY, null);
+  if (!stored || !Array.isArray(stored.lines)) return EMPTY_QUOTE;
+  // Quotes saved before lines had ids or currencies get them here
+  const lines = stored.lines.map((line) => ({
+    ...line,
+    id: line.id || createLineId(),
+    currency: line.currency || DEFAULT_CURRENCY,
+  }));
+  return { header: String(stored.header || ""), lines };
+}
+
+export function saveQuote(quote) {
+  writeJson(QUOTE_KEY, quote);
+}
+
+function lineSku(product) {
+  return String((product && product["Artikelnummer"]) || "").trim();
+}
+
+/**
+ * Quantity of the product in the quote, 0 when it isn't quoted (or has no SKU).
+ */
+export function quotedQuantity(quote, product) {
+  const sku = lineSku(product);
+  const line = sku && quote.lines.find((l) => l.sku === sku);
+  return line ? line.quantity : 0;
+}
+
+/**
+ * Adds one of the product; adding it again raises the quantity.
+ */
+export function addToQuote(quote, product, priceSettings = DEFAULT_PRICE_SETTINGS) {
+  const sku = lineSku(product);
+  if (sku && quote.lines.some((line) => line.sku === sku)) {
+    return {
+      ...quote,
+      lines: quote.lines.map((line) =>
+        line.sku === sku ? { ...line, quantity: line.quantity + 1 } : line
+      ),
+    };
+  }
+  const prices = productPrices(product, priceSettings);
+  const line = {
+    id: createLineId(),
+    sku,
+    name: product["Namn"] || "",
+    imageUrl: primaryImage(product),
+    unitExkl: prices.exkl ? prices.exkl.value : 0,
+    unitInkl: prices.inkl ? prices.inkl.value : 0,
+    currency: prices.currency,
+    quantity: 1,
+    discount: 0,
+  };
+  return { ...quote, lines: [...quote.lines, line] };
+}
+
+function updateLine(quote, lineId, update) {
+  return { ...quote, lines: quote.lines.map((line) => (line.id === lineId ? update(line) : line)) };
+}
+
+export function setLineQuantity(quote, lineId, quantity) {
+  const value = Math.max(1, Math.round(Number(quantity) || 1));
+  return updateLine(quote, lineId, (line) => ({ ...line, quantity: value }));
+}
+
+export function setLineDiscount(quote, lineId, discount) {
+  const value = Math.min(100, Math.max(0, Number(discount) || 0));
+  return updateLine(quote, lineId, (line) => ({ ...line, discount: value }));
+}
+
+export function removeQuoteLine(quote, lineId) {
+  return { ...quote, lines: quote.lines.filter((line) => line.id !== lineId) };
+}
+
+export function setQuoteHeader(quote, header) {
+  return { ...quote, header };
+}
+
+function roundMoney(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Line totals and grand totals per currency, in order of first appearance:
+ * { lines: [{ ...line, totalExkl, totalInkl, vat }], currencies: [{ currency, totalExkl, totalInkl, vat }] }.
+ */
+export function quoteTotals(quote) {
+  const sums = new Map();
+  const lines = quote.lines.map((line) => {
+    const factor = line.quantity * (1 - line.discount / 100);
+    const lineExkl = roundMoney(line.unitExkl * factor);
+    const lineInkl = roundMoney(line.unitInkl * factor);
+    const sum = sums.get(line.currency) || { totalExkl: 0, totalInkl: 0 };
+    sums.set(line.currency, { totalExkl: sum.totalExkl + lineExkl, totalInkl: sum.totalInkl + lineInkl });
+    return { ...line, totalExkl: lineExkl, totalInkl: lineInkl, vat: roundMoney(lineInkl - lineExkl) };
+  });
+  const currencies = [...sums].map(([currency, sum]) => ({
+    currency,
+    totalExkl: roundMoney(sum.totalExkl),
+    totalInkl: roundMoney(sum.totalInkl),
+    vat: roundMoney(sum.totalInkl - sum.totalExkl),
+  }));
+  return { lines, currencies };
+}
+
+// "offert_2025-06-29.xlsx" / "quote_2025-06-29.xlsx"
+function quoteFileName(extension, t) {
+  const date = new Date().toISOString().slice(0, 10);
+  return `${t("quote.fileName", { date })}.${extension}`;
+}
+
+/**
+ * Writes the quote to an XLSX file and triggers the download.
+ */
+export function exportQuoteToXlsx(quote, i18n) {
+  const { t } = i18n;
+  const totals = quoteTotals(quote);
+  const col = {
+    sku: t("quote.col.sku"),
+    name: t("quote.col.name"),
+    quantity: t("quote.col.quantity"),
+    unitExkl: t("quote.col.unitExkl"),
+    currency: t("quote.col.currency"),
+    discount: t("quote.col.discount"),
+    totalExkl: t("quote.totalExkl"),
+    vat: t("quote.vat"),
+    totalInkl: t("quote.totalInkl"),
+  };
+  const rows = totals.lines.map((line) => ({
+    [col.sku]: line.sku,
+    [col.name]: line.name,
+    [col.quantity]: line.quantity,
+    [col.unitExkl]: roundMoney(line.unitExkl),
+    [col.currency]: line.currency,
+    [col.discount]: line.discount,
+    [col.totalExkl]: line.totalExkl,
+    [col.vat]: line.vat,
+    [col.totalInkl]: line.totalInkl,
+  }));
+  for (const sum of totals.currencies) {
+    rows.push({});
+    rows.push({ [col.name]: col.totalExkl, [col.currency]: sum.currency, [col.totalExkl]: sum.totalExkl });
+    rows.push({ [col.name]: col.vat, [col.currency]: sum.currency, [col.vat]: sum.vat });
+    rows.push({ [col.name]: col.totalInkl, [col.currency]: sum.currency, [col.totalInkl]: sum.totalInkl });
+  }
+
+  // Own header text above the table
+  const header = quote.header.trim();
+  const sheet = XLSX.utils.aoa_to_sheet(header ? [[header], []] : []);
+  XLSX.utils.sheet_add_json(sheet, rows, { origin: header ? "A3" : "A1" });
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, sheet, t("quote.title"));
+  XLSX.writeFile(workbook, quoteFileName("xlsx", t));
+}
+
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Standalone HTML page for printing the quote (A4, images, SKUs, own header text).
+ */
+export function quoteToHtml(quote, i18n) {
+  const { t, formatNumber, formatPrice } = i18n;
+  const totals = quoteTotals(quote);
+  const date = new Date().toLocaleDateString(i18n.locale);
+  const rows = totals.lines
+    .map(
+      (line) => `
+      <tr>
+        <td class="img">${line.imageUrl ? `<img src="${escapeHtml(line.imageUrl)}" alt="">` : ""}</td>
+        <td><div class="name">${escapeHtml(line.name)}</div><div class="sku">${escapeHtml(line.sku)}</div></td>
+        <td class="num">${line.quantity}</td>
+        <td class="num">${formatPrice(line.unitExkl, line.currency)}</td>
+        <td class="num">${line.discount ? `${formatNumber(line.discount, 1)} %` : ""}</td>
+        <td class="num">${formatPrice(line.totalExkl, line.currency)}</td>
+        <td class="num">${formatPrice(line.totalInkl, line.currency)}</td>
+      </tr>`
+    )
+    .join("");
+  const totalTables = totals.currencies
+    .map(
+      (sum) => `
+  <table class="totals">
+    <tr><td>${escapeHtml(t("quote.totalExkl"))}</td><td class="num">${formatPrice(sum.totalExkl, sum.currency)}</td></tr>
+    <tr><td>${escapeHtml(t("quote.vat"))}</td><td class="num">${formatPrice(sum.vat, sum.currency)}</td></tr>
+    <tr class="grand"><td>${escapeHtml(t("quote.totalInkl"))}</td><td class="num">${formatPrice(sum.totalInkl, sum.currency)}</td></tr>
+  </table>`
+    )
+    .join("");
+
+  return `<!DOCTYPE html>
+<html lang="${escapeHtml(i18n.language)}">
+<head>
+<meta charset="UTF-8">
+<title>${escapeHtml(t("quote.dated", { date }))}</title>
+<style>
+  @page { size: A4; margin: 15mm; }
+  body { font-family: -apple-system, "Segoe UI", Roboto, Arial, sans-serif; color: #18191a; font-size: 12px; margin: 0; padding: 16px; }
+  .header { white-space: pre-line; font-size: 14px; margin-bottom: 12px; }
+  .date { color: #888; margin-bottom: 16px; }
+  table { width: 100%; border-collapse: collapse; }
+  th { text-align: left; border-bottom: 2px solid #18191a; padding: 6px 4px; font-size: 11px; }
+  td { border-bottom: 1px solid #e0e0e0; padding: 6px 4px; vertical-align: middle; }
+  tr { page-break-inside: avoid; }
+  .img { width: 56px; }
+  .img img { width: 48px; height: 48px; object-fit: contain; display: block; }
+  .name { font-weight: 600; text-transform: uppercase; }
+  .sku { color: #ff7e1b; font-weight: 600; }
+  .num { text-align: right; white-space: nowrap; }
+  .totals { margin-top: 16px; margin-left: auto; width: 280px; }
+  .totals td { border: none; padding: 3px 4px; }
+  .totals .grand td { border-top: 2px solid #18191a; font-weight: 700; font-size: 14px; }
+  @media print { body { padding: 0; } }
+</style>
+</head>
+<body>
+  ${quote.header.trim() ? `<div class="header">${escapeHtml(quote.header.trim())}</div>` : ""}
+  <div class="date">${escapeHtml(t("quote.dated", { date }))}</div>
+  <table>
+    <thead>
+      <tr>
+        <th></th><th>${escapeHtml(t("quote.col.product"))}</th><th class="num">${escapeHtml(t("quote.col.quantity"))}</th>
+        <th class="num">${escapeHtml(t("quote.col.unitExklShort"))}</th><th class="num">${escapeHtml(t("quote.col.discountShort"))}</th>
+        <th class="num">${escapeHtml(t("quote.col.totalExklShort"))}</th><th class="num">${escapeHtml(t("quote.col.totalInklShort"))}</th>
+      </tr>
+    </thead>
+    <tbody>${rows}
+    </tbody>
+  </table>${totalTables}
+</body>
+</html>`;
+}
+
+/**
+ * Opens the printable quote in a new window and starts printing once images
+ * have loaded. Downloads the HTML file instead when pop-ups are blocked.
+ */
+export function printQuote(quote, i18n) {
+  const html = quoteToHtml(quote, i18n);
+  const win = window.open("", "_blank");
+  if (!win) {
+    const url = URL.createObjectURL(new Blob([html], { type: "text/html;charset=utf-8" }));
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = quoteFileName("html", i18n.t);
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+    return;
+  }
+  // The print dialog is opened by the page itself, after its images loaded
+  win.document.open();
+  win.document.write(
+    html.replace(
+      "</body>",
+      "<script>window.addEventListener('load', function () { window.focus(); window.print(); });</script>\n</body>"
+    )
+  );
+  win.document.close();
+}
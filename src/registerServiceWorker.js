@@ -0,0 +1,69 @@
+/**
+ * registerServiceWorker.js
+ *
+ * Registers sw.js (production builds only) and reports when a new build has
+ * been downloaded and waits to take over.
+ * - onUpdateAvailable subscribes the update prompt; applyUpdate activates the
+ *   waiting build and reloads once it controls the page.
+ * - Long-open tabs (a tablet in the showroom) check for a new build periodically.
+ */
+
+const UPDATE_CHECK_MS = 60 * 60 * 1000;
+
+let waitingWorker = null;
+let updateRequested = false;
+const listeners = new Set();
+
+function setWaiting(worker) {
+  waitingWorker = worker;
+  listeners.forEach((listener) => listener());
+}
+
+// A worker that finished installing while another one controls the page is an update
+function watchInstalling(worker) {
+  worker.addEventListener("statechange", () => {
+    if (worker.state === "installed" && navigator.serviceWorker.controller) setWaiting(worker);
+  });
+}
+
+export function registerServiceWorker() {
+  if (!import.meta.env.PROD || !("serviceWorker" in navigator)) return;
+
+  navigator.serviceWorker.addEventListener("controllerchange", () => {
+    // The first install also claims the page; only reload for a requested update
+    if (!updateRequested) return;
+    updateRequested = false;
+    window.location.reload();
+  });
+
+  window.addEventListener("load", () => {
+    navigator.serviceWorker
+      .register(`${import.meta.env.BASE_URL}sw.js`)
+      .then((registration) => {
+        if (registration.waiting && navigator.serviceWorker.controller) setWaiting(registration.waiting);
+        registration.addEventListener("updatefound", () => {
+          if (registration.installing) watchInstalling(registration.installing);
+        });
+        setInterval(() => registration.update().catch(() => {}), UPDATE_CHECK_MS);
+      })
+      .catch(() => {
+        // No offline support (private mode, unsupported browser); the app still works online
+      });
+  });
+}
+
+/**
+ * Calls listener when a new build is waiting (at once if one already is).
+ * Returns an unsubscribe function.
+ */
+export function onUpdateAvailable(listener) {
+  listeners.add(listener);
+  if (waitingWorker) listener();
+  return () => listeners.delete(listener);
+}
+
+export function applyUpdate() {
+  if (!waitingWorker) return;
+  updateRequested = true;
+  waitingWorker.postMessage({ type: "SKIP_WAITING" });
+}
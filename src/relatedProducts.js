@@ -0,0 +1,135 @@
+/**
+ * relatedProducts.js
+ *
+ * Related products for ProductCard, ranked by similarity to the open product.
+ * - Score: same Serie, matching Material and Färg, same category, closeness of
+ *   measurements (in base units) and price, and a shared SKU prefix.
+ * - Grouped into sections: same series, similar size, same category. A product
+ *   is previewed in the first section it belongs to; each section's full set
+ *   (for "Visa alla") still holds every match, best first.
+ */
+
+import { OTHER_MEASUREMENTS } from "./productFields.js";
+import { parseNumber } from "./numberFormat.js";
+import { getMeasurement } from "./measurements.js";
+
+// Products previewed per section
+export const RELATED_PREVIEW = 6;
+
+// Average measurement closeness (0-1) needed for "Liknande storlek"
+const SIMILAR_SIZE_MIN = 0.85;
+
+const WEIGHTS = {
+  series: 5,
+  subcategory: 3,
+  parentCategory: 1,
+  material: 2,
+  color: 1.5,
+  size: 3,
+  price: 2,
+  skuPrefix: 1,
+};
+
+function text(product, field) {
+  return String(product[field] ?? "").trim().toLowerCase();
+}
+
+function sameText(a, b, field) {
+  const value = text(a, field);
+  return value !== "" && value === text(b, field);
+}
+
+// 1 for equal numbers, falling towards 0 as they drift apart
+function closeness(a, b) {
+  const largest = Math.max(Math.abs(a), Math.abs(b));
+  return largest === 0 ? 1 : Math.max(0, 1 - Math.abs(a - b) / largest);
+}
+
+// Parsed measurements per row, so opening another card doesn't re-parse the catalog
+const profiles = new WeakMap();
+
+/**
+ * Measurements of a product by name, parsed once per product.
+ */
+function measurementProfile(product) {
+  let profile = profiles.get(product);
+  if (profile) return profile;
+  profile = {};
+  OTHER_MEASUREMENTS.forEach((name) => {
+    const m = getMeasurement(product, name);
+    if (m) profile[name] = m;
+  });
+  profiles.set(product, profile);
+  return profile;
+}
+
+/**
+ * Average closeness over the measurements both products have in the same unit,
+ * or null when they share none.
+ */
+function sizeSimilarity(profileA, profileB) {
+  let total = 0;
+  let shared = 0;
+  for (const name in profileA) {
+    const a = profileA[name];
+    const b = profileB[name];
+    if (!b || a.baseUnit !== b.baseUnit) continue;
+    total += closeness((a.base + a.baseMax) / 2, (b.base + b.baseMax) / 2);
+    shared += 1;
+  }
+  return shared ? total / shared : null;
+}
+
+/**
+ * Sections of related products:
+ * [{ key ("series", "size", "category"), products (preview), all (every match, best first) }].
+ * Empty sections are left out.
+ */
+export function relatedSections(product, allProducts, preview = RELATED_PREVIEW) {
+  const sku = String(product["Artikelnummer"] || "").trim();
+  const price = parseNumber(product["Pris exkl. moms (värde)"]);
+  const profile = measurementProfile(product);
+
+  const scored = [];
+  allProducts.forEach((candidate) => {
+    const candidateSku = String(candidate["Artikelnummer"] || "").trim();
+    if (!candidateSku || candidateSku === sku) return;
+
+    const sameSeries = sameText(product, candidate, "Serie");
+    const sameSub = sameText(product, candidate, "Kategori (sub)");
+    const sameParent = sameText(product, candidate, "Kategori (parent)");
+    const size = sizeSimilarity(profile, measurementProfile(candidate));
+    const similarSize = size !== null && size >= SIMILAR_SIZE_MIN;
+    // Only products sharing series, category or size are related at all
+    if (!sameSeries && !sameSub && !similarSize) return;
+
+    let score = 0;
+    if (sameSeries) score += WEIGHTS.series;
+    if (sameSub) score += WEIGHTS.subcategory;
+    else if (sameParent) score += WEIGHTS.parentCategory;
+    if (sameText(product, candidate, "Material")) score += WEIGHTS.material;
+    if (sameText(product, candidate, "Färg")) score += WEIGHTS.color;
+    if (size !== null) score += WEIGHTS.size * size;
+    const candidatePrice = parseNumber(candidate["Pris exkl. moms (värde)"]);
+    if (price !== null && candidatePrice !== null) score += WEIGHTS.price * closeness(price, candidatePrice);
+    if (sku.length >= 3 && candidateSku.startsWith(sku.slice(0, 3))) score += WEIGHTS.skuPrefix;
+
+    scored.push({ product: candidate, score, sameSeries, sameSub, similarSize });
+  });
+  scored.sort((a, b) => b.score - a.score);
+
+  const sections = [
+    { key: "series", match: (entry) => entry.sameSeries },
+    { key: "size", match: (entry) => entry.similarSize },
+    { key: "category", match: (entry) => entry.sameSub },
+  ];
+  const previewed = new Set();
+  return sections
+    .map(({ key, match }) => {
+      const all = scored.filter(match).map((entry) => entry.product);
+      const products = all.filter((p) => !previewed.has(p)).slice(0, preview);
+      products.forEach((p) => previewed.add(p));
+      return { key, products, all };
+    })
+    .filter((section) => section.products.length > 0);
+}
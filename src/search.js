@@ -0,0 +1,180 @@
+/**
+ * search.js
+ *
+ * Product search: relevancy heuristics for plain words plus evaluation of the
+ * query language from searchQuery.js. Input that fails to parse is searched
+ * as plain words, exactly like before the query language existed.
+ */
+
+import { parseQuery, collectText, QuerySyntaxError } from "./searchQuery.js";
+import { parseNumber } from "./numberFormat.js";
+import { getMeasurement, measurementName, convertValue } from "./measurements.js";
+
+// Score contributed by a matching field qualifier or comparison
+const QUALIFIER_SCORE = 10;
+
+/**
+ * Normalizes strings for search: lowercase, removes accents, replaces non-alphanum with space.
+ */
+export function normalize(str) {
+  return String(str || "")
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^\w\d]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Heuristic: Detect whether user is searching by SKU or by product name.
+ */
+export function isLikelySku(q) {
+  return /\d/.test(q) || (/^[\w\-]+$/.test(q) && q.length < 10);
+}
+
+/**
+ * Compute a relevancy score for a match (for fuzzy search).
+ */
+export function getRelevancy(p, q, mode) {
+  const name = normalize(p["Namn"]);
+  const sku = normalize(p["Artikelnummer"]);
+  const parent = normalize(p["Kategori (parent)"]);
+  const sub = normalize(p["Kategori (sub)"]);
+  if (mode === "sku") {
+    if (sku.includes(q)) return 100;
+    if (sub.includes(q)) return 90;
+    if (parent.includes(q)) return 80;
+    if (name.includes(q)) return 70;
+  } else {
+    if (sub.includes(q)) return 100;
+    if (parent.includes(q)) return 90;
+    if (sku.includes(q)) return 80;
+    if (name.includes(q)) return 70;
+  }
+  return 0;
+}
+
+// A value range (low < high) matches when any value in it does
+function compare(low, high, op, value) {
+  switch (op) {
+    case "<": return low < value;
+    case "<=": return low <= value;
+    case ">": return high > value;
+    case ">=": return high >= value;
+    default: return low <= value && value <= high;
+  }
+}
+
+/**
+ * Numeric comparison node against a product. Measurements compare in base
+ * units when the query gives a unit (höjd>10cm), else in the product's own unit.
+ */
+function matchesComparison(node, p) {
+  const name = measurementName(node.field);
+  if (!name) {
+    const num = parseNumber(p[node.field]);
+    return num !== null && compare(num, num, node.op, node.value);
+  }
+  const m = getMeasurement(p, name);
+  if (!m) return false;
+  if (!node.unit) return compare(m.value, m.max, node.op, node.value);
+  const value = convertValue(node.value, node.unit, m.baseUnit);
+  return value !== null && compare(m.base, m.baseMax, node.op, value);
+}
+
+/**
+ * Words a text node requires: each plain word, or the whole phrase.
+ */
+export function textNodeWords(node) {
+  return node.phrase
+    ? [normalize(node.value)].filter(Boolean)
+    : normalize(node.value).split(" ").filter(Boolean);
+}
+
+/**
+ * Default text scorer: every word must match name, SKU or category.
+ */
+function scoreTextByRelevancy(node, p, mode) {
+  let total = 0;
+  for (const q of textNodeWords(node)) {
+    const score = getRelevancy(p, q, mode);
+    if (score === 0) return null;
+    total += score;
+  }
+  return total;
+}
+
+/**
+ * Scores a product against a query AST.
+ * scoreText(node, p, mode) scores text nodes (the search index supplies its own).
+ * Returns null when the product does not match, otherwise a score >= 0.
+ */
+export function evaluateQuery(node, p, mode, scoreText = scoreTextByRelevancy) {
+  const evaluate = (child) => evaluateQuery(child, p, mode, scoreText);
+  switch (node.type) {
+    case "text":
+      return scoreText(node, p, mode);
+    case "field": {
+      const q = normalize(node.value);
+      return node.fields.some((f) => normalize(p[f]).includes(q)) ? QUALIFIER_SCORE : null;
+    }
+    case "compare":
+      return matchesComparison(node, p) ? QUALIFIER_SCORE : null;
+    case "not":
+      return evaluate(node.node) === null ? 0 : null;
+    case "and": {
+      let total = 0;
+      for (const child of node.nodes) {
+        const score = evaluate(child);
+        if (score === null) return null;
+        total += score;
+      }
+      return total;
+    }
+    case "or": {
+      let best = null;
+      for (const child of node.nodes) {
+        const score = evaluate(child);
+        if (score !== null && (best === null || score > best)) best = score;
+      }
+      return best;
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Parses a query, falling back to plain words on syntax errors.
+ * Returns { ast, mode, error } where error is the syntax error as { key, params }, or null.
+ */
+export function compileQuery(input) {
+  let ast;
+  let error = null;
+  try {
+    ast = parseQuery(input);
+  } catch (err) {
+    if (!(err instanceof QuerySyntaxError)) throw err;
+    error = { key: err.key, params: err.params };
+    ast = { type: "text", value: input, phrase: false };
+  }
+  const text = error ? input : collectText(ast);
+  return { ast, mode: isLikelySku(text || input) ? "sku" : "name", error };
+}
+
+/**
+ * Searches products without an index (fallback when Web Workers are unavailable).
+ * Keeps the original row objects, best matches first. Returns { results, error }.
+ */
+export function searchProducts(products, input) {
+  if (!input || !input.trim()) return { results: products, error: null };
+  const { ast, mode, error } = compileQuery(input);
+  if (!ast) return { results: products, error };
+  const results = products
+    .map((product) => ({ product, score: evaluateQuery(ast, product, mode) }))
+    .filter((entry) => entry.score !== null)
+    .sort((a, b) => b.score - a.score)
+    .map((entry) => entry.product);
+  return { results, error };
+}
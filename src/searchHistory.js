@@ -0,0 +1,68 @@
+/**
+ * searchHistory.js
+ *
+ * Recent and saved searches, persisted in localStorage.
+ * - Recent: the last MAX_RECENT_SEARCHES submitted queries, newest first, no duplicates.
+ * - Saved: searches kept under a name, [{ id, name, query, savedAt }]; saving
+ *   under an existing name replaces that search.
+ * - All updates are pure: they return a new list.
+ */
+
+import { readJson, writeJson } from "./localStore.js";
+
+const RECENT_SEARCHES_KEY = "bento.recentSearches";
+const SAVED_SEARCHES_KEY = "bento.savedSearches";
+
+export const MAX_RECENT_SEARCHES = 8;
+
+function sameQuery(a, b) {
+  return a.trim().toLowerCase() === b.trim().toLowerCase();
+}
+
+export function loadRecentSearches() {
+  const stored = readJson(RECENT_SEARCHES_KEY, []);
+  return Array.isArray(stored) ? stored.filter((q) => typeof q === "string" && q.trim()) : [];
+}
+
+export function saveRecentSearches(recent) {
+  writeJson(RECENT_SEARCHES_KEY, recent);
+}
+
+/**
+ * Puts the query first; an empty query leaves the list as is.
+ */
+export function addRecentSearch(recent, query) {
+  const value = String(query || "").trim();
+  if (!value) return recent;
+  return [value, ...recent.filter((q) => !sameQuery(q, value))].slice(0, MAX_RECENT_SEARCHES);
+}
+
+export function removeRecentSearch(recent, query) {
+  return recent.filter((q) => q !== query);
+}
+
+export function loadSavedSearches() {
+  const stored = readJson(SAVED_SEARCHES_KEY, []);
+  return Array.isArray(stored) ? stored.filter((s) => s && s.id && s.name && s.query) : [];
+}
+
+export function saveSavedSearches(saved) {
+  writeJson(SAVED_SEARCHES_KEY, saved);
+}
+
+export function addSavedSearch(saved, name, query) {
+  const label = String(name || "").trim();
+  const value = String(query || "").trim();
+  if (!label || !value) return saved;
+  const search = {
+    id: `search-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    name: label,
+    query: value,
+    savedAt: new Date().toISOString(),
+  };
+  return [search, ...saved.filter((s) => s.name.toLowerCase() !== label.toLowerCase())];
+}
+
+export function removeSavedSearch(saved, id) {
+  return saved.filter((s) => s.id !== id);
+}
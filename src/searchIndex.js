@@ -0,0 +1,279 @@
+/**
+ * searchIndex.js
+ *
+ * Prebuilt search index for large catalogs (used by searchWorker.js).
+ * - Name, SKU and category fields are normalized once, when the index is built.
+ * - Inverted index: normalized token -> products and the fields it occurs in.
+ * - Query words match tokens exactly, as prefix, inside compound words, or
+ *   with typos (edit distance 1, 2 for long words). å/ä/ö fold to a/a/o, so
+ *   "kak" finds "kåk" and a missing ring or dots costs nothing.
+ * - Lookups don't scan the vocabulary: prefixes are a binary search in the
+ *   sorted tokens, infixes one in the sorted token suffixes, and typos are only
+ *   tried against tokens of about the same length (or, for a typo in the
+ *   beginning of a longer token, tokens with the same first letter).
+ * - Ranking keeps the field priorities of getRelevancy: SKU first for SKU-like
+ *   queries, categories first otherwise; better matches score higher.
+ * - Field qualifiers and comparisons are evaluated with search.js.
+ */
+
+import { normalize, compileQuery, evaluateQuery, textNodeWords } from "./search.js";
+
+// Fields covered by plain words, in bit order
+const TEXT_FIELDS = ["Namn", "Artikelnummer", "Kategori (parent)", "Kategori (sub)"];
+const NAME = 1;
+const SKU = 2;
+const PARENT = 4;
+const SUB = 8;
+
+// Field weights per mode, same order as getRelevancy
+const FIELD_WEIGHTS = {
+  sku: [[SKU, 100], [SUB, 90], [PARENT, 80], [NAME, 70]],
+  name: [[SUB, 100], [PARENT, 90], [SKU, 80], [NAME, 70]],
+};
+
+// Match quality multipliers
+const EXACT = 1;
+const PREFIX = 0.95;
+const INFIX = 0.9;
+const TYPO = [1, 0.75, 0.6];
+
+// Shortest word that may contain typos, and the length that allows two
+const TYPO_MIN_LENGTH = 4;
+const TYPO_TWO_EDITS_LENGTH = 8;
+
+/**
+ * Builds the index. products is kept by reference; results are product positions.
+ */
+export function buildSearchIndex(products) {
+  const fields = new Array(products.length);
+  const postings = new Map();
+
+  products.forEach((p, i) => {
+    const values = TEXT_FIELDS.map((f) => normalize(p[f]));
+    fields[i] = values;
+    // token -> fields bitmask for this product
+    const tokens = new Map();
+    values.forEach((value, f) => {
+      if (!value) return;
+      for (const token of value.split(" ")) {
+        tokens.set(token, (tokens.get(token) || 0) | (1 << f));
+      }
+    });
+    tokens.forEach((mask, token) => {
+      let list = postings.get(token);
+      if (!list) {
+        list = { ids: [], masks: [] };
+        postings.set(token, list);
+      }
+      list.ids.push(i);
+      list.masks.push(mask);
+    });
+  });
+
+  const vocabulary = Array.from(postings.keys()).sort(compareStrings);
+
+  // Every suffix after the first letter, for infix lookups
+  const suffixEntries = [];
+  vocabulary.forEach((token) => {
+    for (let s = 1; s < token.length; s++) suffixEntries.push([token.slice(s), token]);
+  });
+  suffixEntries.sort((a, b) => compareStrings(a[0], b[0]));
+
+  const byLength = new Map();
+  const byFirstLetter = new Map();
+  vocabulary.forEach((token) => {
+    addToBucket(byLength, token.length, token);
+    addToBucket(byFirstLetter, token[0], token);
+  });
+
+  return {
+    products,
+    fields,
+    postings,
+    vocabulary,
+    suffixes: suffixEntries.map((entry) => entry[0]),
+    suffixTokens: suffixEntries.map((entry) => entry[1]),
+    byLength,
+    byFirstLetter,
+  };
+}
+
+// Code unit order, which startsWith ranges are contiguous in
+function compareStrings(a, b) {
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+function addToBucket(buckets, key, token) {
+  const bucket = buckets.get(key);
+  if (bucket) bucket.push(token);
+  else buckets.set(key, [token]);
+}
+
+/**
+ * Position of the first string >= value in a sorted array.
+ */
+function lowerBound(sorted, value) {
+  let lo = 0;
+  let hi = sorted.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >>> 1;
+    if (sorted[mid] < value) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+/**
+ * Optimal string alignment distance (typos incl. swapped letters).
+ * Gives up early and returns max + 1 once the distance exceeds max.
+ */
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prevPrev = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let d = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+      if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d = Math.min(d, prevPrev[j - 2] + 1);
+      }
+      row.push(d);
+      if (d < rowMin) rowMin = d;
+    }
+    if (rowMin > max) return max + 1;
+    prevPrev = prev;
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+/**
+ * Finds vocabulary tokens matching a query word: Map<token, match quality>.
+ * Typos are only tried when nothing matches exactly, as prefix or infix.
+ */
+function matchTokens(index, word) {
+  const { vocabulary, suffixes, suffixTokens } = index;
+  const matches = new Map();
+  for (let i = lowerBound(vocabulary, word); i < vocabulary.length && vocabulary[i].startsWith(word); i++) {
+    matches.set(vocabulary[i], vocabulary[i] === word ? EXACT : PREFIX);
+  }
+  for (let i = lowerBound(suffixes, word); i < suffixes.length && suffixes[i].startsWith(word); i++) {
+    if (!matches.has(suffixTokens[i])) matches.set(suffixTokens[i], INFIX);
+  }
+  if (matches.size > 0 || word.length < TYPO_MIN_LENGTH) return matches;
+
+  const maxEdits = word.length >= TYPO_TWO_EDITS_LENGTH ? 2 : 1;
+  for (let length = word.length - maxEdits; length <= word.length + maxEdits; length++) {
+    for (const token of index.byLength.get(length) || []) {
+      const distance = editDistance(word, token, maxEdits);
+      if (distance <= maxEdits) matches.set(token, TYPO[distance]);
+    }
+  }
+  // Also allow a typo in the beginning of a longer token ("talrik" -> "tallrikar")
+  for (const token of index.byFirstLetter.get(word[0]) || []) {
+    if (token.length <= word.length + maxEdits) continue;
+    const distance = editDistance(word, token.slice(0, word.length), maxEdits);
+    if (distance <= maxEdits) matches.set(token, TYPO[distance] * PREFIX);
+  }
+  return matches;
+}
+
+function bestFieldScore(mask, quality, mode) {
+  for (const [field, weight] of FIELD_WEIGHTS[mode]) {
+    if (mask & field) return weight * quality;
+  }
+  return 0;
+}
+
+/**
+ * Scores every product for one word. Returns Map<position, score>.
+ */
+function scoreWord(index, word, mode) {
+  const scores = new Map();
+  for (const [token, quality] of matchTokens(index, word)) {
+    const { ids, masks } = index.postings.get(token);
+    for (let k = 0; k < ids.length; k++) {
+      const score = bestFieldScore(masks[k], quality, mode);
+      if (score > (scores.get(ids[k]) || 0)) scores.set(ids[k], score);
+    }
+  }
+  return scores;
+}
+
+/**
+ * Scores every product for a quoted phrase by substring match on the
+ * normalized fields, like the unindexed search.
+ */
+function scorePhrase(index, phrase, mode) {
+  const scores = new Map();
+  index.fields.forEach((values, i) => {
+    let mask = 0;
+    values.forEach((value, f) => {
+      if (value.includes(phrase)) mask |= 1 << f;
+    });
+    if (mask) scores.set(i, bestFieldScore(mask, EXACT, mode));
+  });
+  return scores;
+}
+
+/**
+ * Scores a text node for all products at once. Returns Map<position, score>
+ * holding only products where every word matched, or null for a node without
+ * words ("-", "&"), which like in search.js matches every product with score 0.
+ */
+function scoreTextNode(index, node, mode) {
+  let result = null;
+  for (const word of textNodeWords(node)) {
+    const scores = node.phrase ? scorePhrase(index, word, mode) : scoreWord(index, word, mode);
+    if (result === null) {
+      result = scores;
+      continue;
+    }
+    const next = new Map();
+    result.forEach((total, i) => {
+      const score = scores.get(i);
+      if (score !== undefined) next.set(i, total + score);
+    });
+    result = next;
+  }
+  return result;
+}
+
+/**
+ * Searches the index. Returns { indices, error }: product positions, best first.
+ */
+export function searchIndex(index, input) {
+  if (!input || !input.trim()) {
+    return { indices: index.products.map((_, i) => i), error: null };
+  }
+  const { ast, mode, error } = compileQuery(input);
+  if (!ast) return { indices: index.products.map((_, i) => i), error };
+
+  // Text nodes are scored once through the index, then looked up per product
+  const textScores = new Map();
+  const scoreText = (node, i) => {
+    if (!textScores.has(node)) textScores.set(node, scoreTextNode(index, node, mode));
+    const scores = textScores.get(node);
+    if (scores === null) return 0;
+    const score = scores.get(i);
+    return score === undefined ? null : score;
+  };
+
+  const scored = [];
+  if (ast.type === "text") {
+    // Plain words: only products that matched need to be ranked
+    const scores = scoreTextNode(index, ast, mode);
+    if (scores === null) index.products.forEach((_, i) => scored.push({ i, score: 0 }));
+    else scores.forEach((score, i) => scored.push({ i, score }));
+  } else {
+    index.products.forEach((product, i) => {
+      const score = evaluateQuery(ast, product, mode, (node) => scoreText(node, i));
+      if (score !== null) scored.push({ i, score });
+    });
+  }
+  scored.sort((a, b) => b.score - a.score || a.i - b.i);
+  return { indices: scored.map((entry) => entry.i), error };
+}
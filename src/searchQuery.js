@@ -0,0 +1,262 @@
+/**
+ * searchQuery.js
+ *
+ * Parser for the search box query language.
+ * - plain words:          glas vit        (all words must match)
+ * - quoted phrases:       "vitt glas"
+ * - field qualifiers:     serie:Signature  material:porslin  färg:"ljus grå"
+ * - numeric comparisons:  pris<200  höjd>=10  vikt=500
+ *   (measurements take a unit: höjd>=10cm, volym<0,5l; without one the
+ *   product's own unit is used)
+ * - negation:             -glas  -material:glas  -(a OR b)
+ * - OR groups:            glas OR porslin  (tallrik | fat) serie:x
+ * AND binds tighter than OR. Parse errors throw QuerySyntaxError (a message
+ * key plus params, translated for display); callers fall back to plain search.
+ *
+ * AST nodes:
+ *   { type: "text", value, phrase }         matched by name/SKU/category relevancy
+ *   { type: "field", fields, value }        substring match in any of fields
+ *   { type: "compare", field, op, value, unit }   numeric comparison (unit may be "")
+ *   { type: "not", node } | { type: "and", nodes } | { type: "or", nodes }
+ */
+
+import { OTHER_MEASUREMENTS } from "./productFields.js";
+import { normalizeUnit, unitGroup } from "./measurements.js";
+
+export class QuerySyntaxError extends Error {
+  constructor(key, params = {}) {
+    super(key);
+    this.name = "QuerySyntaxError";
+    this.key = key;
+    this.params = params;
+  }
+}
+
+// Qualifier names (lowercase, accents optional) -> product fields
+const FIELD_QUALIFIERS = {
+  namn: ["Namn"],
+  sku: ["Artikelnummer"],
+  art: ["Artikelnummer"],
+  artikelnummer: ["Artikelnummer"],
+  serie: ["Serie"],
+  material: ["Material"],
+  farg: ["Färg"],
+  kategori: ["Kategori (parent)", "Kategori (sub)"],
+  huvudkategori: ["Kategori (parent)"],
+  underkategori: ["Kategori (sub)"],
+  beskrivning: ["Beskrivning"],
+  data: ["Data (text)"],
+};
+
+// Numeric qualifiers -> value fields
+const NUMERIC_QUALIFIERS = {
+  pris: "Pris exkl. moms (värde)",
+  prisexkl: "Pris exkl. moms (värde)",
+  exkl: "Pris exkl. moms (värde)",
+  prisinkl: "Pris inkl. moms (värde)",
+  inkl: "Pris inkl. moms (värde)",
+  langd: "Längd (värde)",
+  bredd: "Bredd (värde)",
+  hojd: "Höjd (värde)",
+  djup: "Djup (värde)",
+  diameter: "Diameter (värde)",
+  kapacitet: "Kapacitet (värde)",
+  volym: "Volym (värde)",
+  vikt: "Vikt (värde)",
+};
+
+const OR_WORDS = ["OR", "ELLER", "|"];
+
+// Every product field a query can read (plain words use name, SKU and category)
+export const QUERY_FIELDS = Array.from(
+  new Set([
+    "Namn",
+    "Artikelnummer",
+    "Kategori (parent)",
+    "Kategori (sub)",
+    ...Object.values(FIELD_QUALIFIERS).flat(),
+    ...Object.values(NUMERIC_QUALIFIERS),
+    ...OTHER_MEASUREMENTS.map((name) => `${name} (enhet)`),
+  ])
+);
+
+// Examples shown in the search help popover
+export const QUERY_EXAMPLES = [
+  { query: "serie:Signature", description: "query.example.field" },
+  { query: "material:porslin -glas", description: "query.example.exclude" },
+  { query: "pris<200", description: "query.example.compare" },
+  { query: "höjd>=10cm kategori:glas", description: "query.example.measurement" },
+  { query: "\"vitt glas\"", description: "query.example.phrase" },
+  { query: "tallrik OR fat", description: "query.example.or" },
+  { query: "(skål | fat) färg:vit", description: "query.example.group" },
+];
+
+// Qualifier names listed in the help popover (aliases omitted)
+export const QUERY_QUALIFIERS = [
+  "namn", "sku", "serie", "material", "färg", "kategori", "underkategori",
+  "beskrivning", "pris", "prisinkl", "längd", "bredd", "höjd", "djup",
+  "diameter", "kapacitet", "volym", "vikt",
+];
+
+function qualifierKey(name) {
+  return name
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "");
+}
+
+/**
+ * Splits input into tokens: "(", ")", OR words and terms. Quotes keep
+ * whitespace and parentheses inside a term.
+ */
+function tokenize(input) {
+  const tokens = [];
+  let current = "";
+  let inQuotes = false;
+  const flush = () => {
+    if (current) tokens.push(current);
+    current = "";
+  };
+  for (const ch of input) {
+    if (ch === '"') {
+      inQuotes = !inQuotes;
+      current += ch;
+    } else if (inQuotes) {
+      current += ch;
+    } else if (/\s/.test(ch)) {
+      flush();
+    } else if (ch === "(" || ch === ")" || ch === "|") {
+      // "-(" stays together so the group can be negated
+      if (ch === "(" && current === "-") {
+        current += ch;
+        flush();
+      } else {
+        flush();
+        tokens.push(ch);
+      }
+    } else {
+      current += ch;
+    }
+  }
+  if (inQuotes) throw new QuerySyntaxError("query.error.unclosedQuote");
+  flush();
+  return tokens;
+}
+
+function unquote(value) {
+  return value.replace(/^"(.*)"$/s, "$1");
+}
+
+function parseNumberLiteral(raw) {
+  const num = Number(raw.replace(/\s/g, "").replace(",", "."));
+  return raw.trim() !== "" && Number.isFinite(num) ? num : null;
+}
+
+// "10cm" / "0,5 l" -> { number: "10", unit: "cm" }
+function splitUnit(raw) {
+  const match = raw.match(/^(.*?\d)\s*([a-zåäö]+)$/i);
+  return match ? { number: match[1], unit: normalizeUnit(match[2]) } : { number: raw, unit: "" };
+}
+
+function parseTerm(token) {
+  let negated = false;
+  let raw = token;
+  if (raw.length > 1 && raw.startsWith("-")) {
+    negated = true;
+    raw = raw.slice(1);
+  }
+
+  let node;
+  const qualified = raw.match(/^([\p{L}\w]+)(<=|>=|<|>|=|:)(.*)$/su);
+  if (qualified && !raw.startsWith('"')) {
+    const [, name, op, rest] = qualified;
+    const key = qualifierKey(name);
+    const value = unquote(rest).trim();
+    if (!value) throw new QuerySyntaxError("query.error.missingValue", { qualifier: `${name}${op}` });
+    if (op === ":" && FIELD_QUALIFIERS[key]) {
+      node = { type: "field", fields: FIELD_QUALIFIERS[key], value };
+    } else if (NUMERIC_QUALIFIERS[key]) {
+      const field = NUMERIC_QUALIFIERS[key];
+      const isPrice = field.startsWith("Pris");
+      let { number, unit } = splitUnit(value);
+      if (isPrice && /^(kr|sek)$/.test(unit)) unit = "";
+      const num = parseNumberLiteral(number);
+      if (num === null) throw new QuerySyntaxError("query.error.notANumber", { value });
+      if (unit && (isPrice || !unitGroup(unit))) {
+        throw new QuerySyntaxError("query.error.unknownUnit", { unit, name });
+      }
+      node = { type: "compare", field, op: op === ":" ? "=" : op, value: num, unit };
+    } else if (FIELD_QUALIFIERS[key]) {
+      throw new QuerySyntaxError("query.error.colonOnly", { name });
+    } else {
+      throw new QuerySyntaxError("query.error.unknownField", { name });
+    }
+  } else {
+    const phrase = raw.startsWith('"');
+    const value = unquote(raw).trim();
+    if (!value) throw new QuerySyntaxError("query.error.emptyPhrase");
+    node = { type: "text", value, phrase };
+  }
+  return negated ? { type: "not", node } : node;
+}
+
+/**
+ * Parses a query string into an AST (see module comment).
+ * Returns null for an empty query.
+ */
+export function parseQuery(input) {
+  const tokens = tokenize(String(input || ""));
+  if (tokens.length === 0) return null;
+  let pos = 0;
+
+  function parseOr() {
+    const nodes = [parseAnd()];
+    while (pos < tokens.length && OR_WORDS.includes(tokens[pos])) {
+      pos++;
+      nodes.push(parseAnd());
+    }
+    return nodes.length === 1 ? nodes[0] : { type: "or", nodes };
+  }
+
+  function parseAnd() {
+    const nodes = [];
+    while (pos < tokens.length && tokens[pos] !== ")" && !OR_WORDS.includes(tokens[pos])) {
+      nodes.push(parseUnary());
+    }
+    if (nodes.length === 0) throw new QuerySyntaxError("query.error.emptyGroup");
+    return nodes.length === 1 ? nodes[0] : { type: "and", nodes };
+  }
+
+  function parseUnary() {
+    const token = tokens[pos];
+    if (token === "(" || token === "-(") {
+      pos++;
+      const inner = parseOr();
+      if (tokens[pos] !== ")") throw new QuerySyntaxError("query.error.unclosedParen");
+      pos++;
+      return token === "-(" ? { type: "not", node: inner } : inner;
+    }
+    pos++;
+    return parseTerm(token);
+  }
+
+  const ast = parseOr();
+  if (pos < tokens.length) throw new QuerySyntaxError("query.error.unopenedParen");
+  return ast;
+}
+
+/**
+ * Text of all positive text terms, used to pick SKU or name ranking.
+ */
+export function collectText(node) {
+  if (!node) return "";
+  switch (node.type) {
+    case "text":
+      return node.value;
+    case "and":
+    case "or":
+      return node.nodes.map(collectText).filter(Boolean).join(" ");
+    default:
+      return "";
+  }
+}
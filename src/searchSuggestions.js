@@ -0,0 +1,94 @@
+/**
+ * searchSuggestions.js
+ *
+ * Completions for the search box, drawn from the loaded products.
+ * - Groups: product names, series, categories (parent and sub) and SKUs, each
+ *   value once.
+ * - Values starting with the typed text come first, then values with a word
+ *   starting with it, then any other match; ties keep alphabetical order.
+ * - A completion's query is a plain phrase for names and a qualifier for the
+ *   other groups (serie:"Signature"), so picking it searches precisely.
+ * - Input that already uses the query language (qualifiers, OR groups,
+ *   negation) gets no completions.
+ */
+
+export const SUGGESTION_GROUPS = [
+  { type: "name", fields: ["Namn"], qualifier: "" },
+  { type: "series", fields: ["Serie"], qualifier: "serie" },
+  { type: "category", fields: ["Kategori (parent)", "Kategori (sub)"], qualifier: "kategori" },
+  { type: "sku", fields: ["Artikelnummer"], qualifier: "sku" },
+];
+
+// Completions per group
+export const SUGGESTIONS_PER_GROUP = 4;
+
+// Shorter input matches too much to be useful
+const MIN_INPUT_LENGTH = 2;
+
+/**
+ * Distinct values per group: { [type]: [{ value, key }] }, sorted by value.
+ */
+export function buildSuggestionIndex(products) {
+  const index = {};
+  SUGGESTION_GROUPS.forEach(({ type, fields }) => {
+    const seen = new Map();
+    products.forEach((product) => {
+      fields.forEach((field) => {
+        const value = String(product[field] ?? "").trim();
+        const key = value.toLowerCase();
+        if (value && !seen.has(key)) seen.set(key, { value, key });
+      });
+    });
+    index[type] = [...seen.values()].sort((a, b) => a.value.localeCompare(b.value, "sv"));
+  });
+  return index;
+}
+
+function quoteValue(value) {
+  const plain = value.replace(/"/g, "");
+  return /[\s()|:]/.test(plain) || plain.startsWith("-") ? `"${plain}"` : plain;
+}
+
+/**
+ * The query a completion runs: "Glas Nova 25 cl" -> "\"Glas Nova 25 cl\"",
+ * a series -> serie:"Signature Blue".
+ */
+export function suggestionQuery(type, value) {
+  const group = SUGGESTION_GROUPS.find((g) => g.type === type);
+  const quoted = quoteValue(value);
+  return group && group.qualifier ? `${group.qualifier}:${quoted}` : quoted;
+}
+
+function usesQueryLanguage(input) {
+  return /[:"()|<>=]|(^|\s)-|\s(OR|ELLER)\s/.test(input);
+}
+
+function matchRank(key, needle) {
+  if (key.startsWith(needle)) return 0;
+  if (key.includes(` ${needle}`)) return 1;
+  return key.includes(needle) ? 2 : -1;
+}
+
+/**
+ * Completions for the typed input: [{ type, items: [{ value, query }] }],
+ * empty groups left out.
+ */
+export function searchSuggestions(index, input, perGroup = SUGGESTIONS_PER_GROUP) {
+  const text = String(input || "").trim();
+  const needle = text.toLowerCase();
+  if (!index || needle.length < MIN_INPUT_LENGTH || usesQueryLanguage(text)) return [];
+  return SUGGESTION_GROUPS.map(({ type }) => {
+    const ranked = [[], [], []];
+    for (const entry of index[type] || []) {
+      const rank = matchRank(entry.key, needle);
+      if (rank >= 0 && entry.key !== needle) ranked[rank].push(entry);
+      // Enough best matches: the rest can't rank higher
+      if (ranked[0].length >= perGroup) break;
+    }
+    const items = ranked
+      .flat()
+      .slice(0, perGroup)
+      .map(({ value }) => ({ value, query: suggestionQuery(type, value) }));
+    return { type, items };
+  }).filter((group) => group.items.length > 0);
+}
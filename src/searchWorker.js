@@ -0,0 +1,24 @@
+/**
+ * searchWorker.js
+ *
+ * Web Worker holding the search index (see searchIndex.js), so typing stays
+ * smooth on big catalogs.
+ * - { type: "index", products }: rebuilds the index for a new search pool.
+ * - { type: "search", id, query }: replies { id, indices, error } where indices
+ *   (Uint32Array, transferred) are positions in the indexed pool, best first.
+ */
+
+import { buildSearchIndex, searchIndex } from "./searchIndex.js";
+
+let index = buildSearchIndex([]);
+
+self.onmessage = (e) => {
+  const message = e.data;
+  if (message.type === "index") {
+    index = buildSearchIndex(message.products);
+  } else if (message.type === "search") {
+    const { indices, error } = searchIndex(index, message.query);
+    const buffer = Uint32Array.from(indices);
+    self.postMessage({ id: message.id, indices: buffer, error }, [buffer.buffer]);
+  }
+};
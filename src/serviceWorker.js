@@ -0,0 +1,127 @@
+/**
+ * serviceWorker.js
+ *
+ * Service worker source. Not bundled: vite.config.js fills in the build's file
+ * list and emits it as sw.js next to index.html.
+ * - The app shell (index, scripts, styles, workers, icons) is precached on
+ *   install, so the app starts without network; catalogs already live in IndexedDB.
+ * - Product images are cached on first view, oldest evicted once the cache
+ *   holds MAX_IMAGE_ENTRIES images. Cross-origin images are fetched with CORS;
+ *   hosts that don't allow it give opaque responses, which are not cached
+ *   (the browser counts each one as several MB against the storage quota).
+ * - A new build waits until the page asks it to take over (the update prompt),
+ *   so a running session never mixes files from two builds.
+ */
+
+const BUILD_ID = "__BUILD_ID__";
+// Paths relative to the worker scope, filled in at build time
+const PRECACHE_URLS = __PRECACHE_URLS__;
+
+const SHELL_CACHE_PREFIX = "bento-shell-";
+const SHELL_CACHE = `${SHELL_CACHE_PREFIX}${BUILD_ID}`;
+const IMAGE_CACHE = "bento-images-v2";
+// Earlier image caches, which could hold opaque responses
+const OLD_IMAGE_CACHES = ["bento-images"];
+const MAX_IMAGE_ENTRIES = 400;
+
+// Image hosts that refused a CORS request, asked without CORS from then on
+const noCorsOrigins = new Set();
+
+function scopeUrl(path) {
+  return new URL(path, self.registration.scope).href;
+}
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(caches.open(SHELL_CACHE).then((cache) => cache.addAll(PRECACHE_URLS.map(scopeUrl))));
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys
+            .filter(
+              (key) =>
+                (key.startsWith(SHELL_CACHE_PREFIX) && key !== SHELL_CACHE) || OLD_IMAGE_CACHES.includes(key)
+            )
+            .map((key) => caches.delete(key))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+// The page's update prompt posts this to switch to the waiting build
+self.addEventListener("message", (event) => {
+  if (event.data && event.data.type === "SKIP_WAITING") self.skipWaiting();
+});
+
+async function trimImageCache(cache) {
+  const keys = await cache.keys();
+  // Keys come back in insertion order: drop the oldest
+  const excess = keys.length - MAX_IMAGE_ENTRIES;
+  for (let i = 0; i < excess; i++) await cache.delete(keys[i]);
+}
+
+/**
+ * Fetches an image, cross-origin ones with CORS where the host allows it.
+ */
+async function fetchImage(request) {
+  const { origin } = new URL(request.url);
+  if (origin === self.location.origin || noCorsOrigins.has(origin)) return fetch(request);
+  try {
+    return await fetch(request.url, { mode: "cors", credentials: "omit" });
+  } catch {
+    // Only a host that answers without CORS is remembered, not a network error
+    const response = await fetch(request);
+    noCorsOrigins.add(origin);
+    return response;
+  }
+}
+
+async function cachedImage(request) {
+  const cache = await caches.open(IMAGE_CACHE);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+  const response = await fetchImage(request);
+  // Opaque responses report ok: false, so only readable images are cached
+  if (response.ok) {
+    await cache.put(request, response.clone());
+    trimImageCache(cache);
+  }
+  return response;
+}
+
+async function shellResponse(request) {
+  const shell = await caches.open(SHELL_CACHE);
+  const cached = await shell.match(request);
+  return cached || fetch(request);
+}
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+  const url = new URL(request.url);
+
+  // Deep links (?q=..., ?sku=...) all start from the cached index
+  if (request.mode === "navigate") {
+    event.respondWith(
+      caches
+        .open(SHELL_CACHE)
+        .then((shell) => shell.match(scopeUrl("./")))
+        .then((cached) => cached || fetch(request))
+    );
+    return;
+  }
+
+  if (url.origin === self.location.origin && PRECACHE_URLS.some((path) => scopeUrl(path) === url.href)) {
+    event.respondWith(shellResponse(request));
+    return;
+  }
+
+  if (request.destination === "image") {
+    event.respondWith(cachedImage(request).catch(() => caches.match(request).then((r) => r || Response.error())));
+  }
+});
@@ -0,0 +1,129 @@
+/**
+ * shortlists.js
+ *
+ * Favorites and named shortlists of SKUs, persisted in localStorage.
+ * State: { lists: [{ id, name, createdAt, items: [{ sku, name, note, addedAt }] }], activeId }
+ * - Items are stored by Artikelnummer, with the product name at the time it was
+ *   added, so items missing from a newer catalog can still be shown and flagged.
+ * - The active list is the one the star buttons add to.
+ * - The default list is stored without a name and shown as "Favoriter" in the
+ *   UI language (shortlistName); renaming it stores the new name.
+ * - All updates are pure: they return a new state.
+ */
+
+import { readJson, writeJson } from "./localStore.js";
+
+const SHORTLISTS_KEY = "bento.shortlists";
+// Name the default list was stored under before it was translated
+const LEGACY_DEFAULT_NAME = "Favoriter";
+
+function newList(name) {
+  return {
+    id: `list-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    name,
+    createdAt: new Date().toISOString(),
+    items: [],
+  };
+}
+
+function itemSku(product) {
+  return String((product && product["Artikelnummer"]) || "").trim();
+}
+
+/**
+ * Stored shortlists; there is always at least the default list.
+ */
+export function loadShortlists() {
+  const stored = readJson(SHORTLISTS_KEY, null);
+  if (stored && Array.isArray(stored.lists) && stored.lists.length > 0) {
+    const activeId = stored.lists.some((l) => l.id === stored.activeId)
+      ? stored.activeId
+      : stored.lists[0].id;
+    const lists = stored.lists.map((l) => (l.name === LEGACY_DEFAULT_NAME ? { ...l, name: "" } : l));
+    return { lists, activeId };
+  }
+  const list = newList("");
+  return { lists: [list], activeId: list.id };
+}
+
+export function saveShortlists(state) {
+  writeJson(SHORTLISTS_KEY, state);
+}
+
+/**
+ * Display name of a list; the unnamed default list is "Favoriter" / "Favorites".
+ */
+export function shortlistName(list, t) {
+  return (list && list.name) || t("shortlist.defaultName");
+}
+
+export function getActiveList(state) {
+  return state.lists.find((l) => l.id === state.activeId) || state.lists[0];
+}
+
+function updateList(state, listId, update) {
+  return { ...state, lists: state.lists.map((l) => (l.id === listId ? update(l) : l)) };
+}
+
+export function setActiveList(state, listId) {
+  return { ...state, activeId: listId };
+}
+
+/**
+ * Adds a list and makes it active.
+ */
+export function createShortlist(state, name) {
+  const list = newList(name);
+  return { lists: [...state.lists, list], activeId: list.id };
+}
+
+export function renameShortlist(state, listId, name) {
+  return updateList(state, listId, (l) => ({ ...l, name }));
+}
+
+/**
+ * Removes a list; the last remaining list can't be removed, only emptied.
+ */
+export function deleteShortlist(state, listId) {
+  if (state.lists.length <= 1) return updateList(state, listId, (l) => ({ ...l, items: [] }));
+  const lists = state.lists.filter((l) => l.id !== listId);
+  const activeId = state.activeId === listId ? lists[0].id : state.activeId;
+  return { lists, activeId };
+}
+
+export function isInList(list, sku) {
+  return Boolean(sku) && list.items.some((item) => item.sku === sku);
+}
+
+/**
+ * Adds the product to the list, or removes it if it's already there.
+ */
+export function toggleListItem(state, listId, product) {
+  const sku = itemSku(product);
+  if (!sku) return state;
+  return updateList(state, listId, (l) =>
+    isInList(l, sku)
+      ? { ...l, items: l.items.filter((item) => item.sku !== sku) }
+      : {
+          ...l,
+          items: [
+            ...l.items,
+            { sku, name: product["Namn"] || "", note: "", addedAt: new Date().toISOString() },
+          ],
+        }
+  );
+}
+
+export function setItemNote(state, listId, sku, note) {
+  return updateList(state, listId, (l) => ({
+    ...l,
+    items: l.items.map((item) => (item.sku === sku ? { ...item, note } : item)),
+  }));
+}
+
+export function removeListItem(state, listId, sku) {
+  return updateList(state, listId, (l) => ({
+    ...l,
+    items: l.items.filter((item) => item.sku !== sku),
+  }));
+}
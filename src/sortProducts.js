@@ -0,0 +1,68 @@
+/**
+ * sortProducts.js
+ *
+ * Sort orders for the result list.
+ * - "relevans" keeps the search ranking (default).
+ * - Price and name, and every measurement ascending/descending. Measurements sort
+ *   by their value in base units (measurements.js), ranges by their lower end.
+ * - Products without a value always go last; ties keep the search ranking.
+ * - Options carry an i18n message key (and the measurement as its param), not text.
+ */
+
+import { OTHER_MEASUREMENTS } from "./productFields.js";
+import { parseNumber } from "./numberFormat.js";
+import { getMeasurement } from "./measurements.js";
+
+export const DEFAULT_SORT = "relevans";
+
+export const SORT_OPTIONS = [
+  { key: DEFAULT_SORT, labelKey: "sort.relevance" },
+  { key: "pris-asc", labelKey: "sort.priceAsc" },
+  { key: "pris-desc", labelKey: "sort.priceDesc" },
+  { key: "namn-asc", labelKey: "sort.nameAsc" },
+  ...OTHER_MEASUREMENTS.flatMap((name) => [
+    { key: `${name}-asc`, labelKey: "sort.measurementAsc", measurement: name },
+    { key: `${name}-desc`, labelKey: "sort.measurementDesc", measurement: name },
+  ]),
+];
+
+export function isSortKey(key) {
+  return SORT_OPTIONS.some((option) => option.key === key);
+}
+
+/**
+ * Measurement a sort key orders by ("Höjd" for "Höjd-asc"), or null.
+ */
+export function sortMeasurement(sortKey) {
+  const option = SORT_OPTIONS.find((o) => o.key === sortKey);
+  return (option && option.measurement) || null;
+}
+
+function sortValue(product, field) {
+  if (field === "pris") return parseNumber(product["Pris exkl. moms (värde)"]);
+  if (field === "namn") return String(product["Namn"] || "").trim() || null;
+  const m = getMeasurement(product, field);
+  return m ? m.base : null;
+}
+
+/**
+ * Sorted copy of products (or products itself for "relevans" / unknown keys).
+ */
+export function sortProducts(products, sortKey) {
+  if (!sortKey || sortKey === DEFAULT_SORT || !isSortKey(sortKey)) return products;
+  const dash = sortKey.lastIndexOf("-");
+  const field = sortKey.slice(0, dash);
+  const direction = sortKey.slice(dash + 1) === "desc" ? -1 : 1;
+
+  // Values are computed once per product, not per comparison
+  const entries = products.map((product) => ({ product, value: sortValue(product, field) }));
+  entries.sort((a, b) => {
+    if (a.value === null || b.value === null) {
+      return (a.value === null) - (b.value === null);
+    }
+    const diff =
+      typeof a.value === "string" ? a.value.localeCompare(b.value, "sv") : a.value - b.value;
+    return diff * direction;
+  });
+  return entries.map((entry) => entry.product);
+}
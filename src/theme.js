@@ -1,34 +1,244 @@
-// Table.se Polaris Themes (light/dark)
-
-export const tableSeLightTheme = {
-    colors: {
-      surface: "#fff",
-      onSurface: "#212b36",
-      interactive: "#006d6a",
-      primary: "#006d6a",
-      critical: "#d82c0d",
-      warning: "#ffd700",
-      highlight: "#ffd700",
-      success: "#34a853",
-      decorative: "#f4f6f8",
-      text: "#212b36",
-      // Add more if needed
-    },
-    // You can add borderRadius, spacing, typography, etc if desired
+/**
+ * theme.js
+ *
+ * Design tokens for the whole UI; components read them with useTheme() instead
+ * of hard-coding colors.
+ * - Three themes: light, dark and high contrast (WCAG AA: text at least 4.5:1,
+ *   borders and controls at least 3:1 against their background).
+ * - The mode is "system" (follows prefers-color-scheme, also while the app is
+ *   open), "light", "dark" or "contrast"; mode and accent persist in localStorage.
+ * - The accent color can be chosen; text on it is black or white, whichever
+ *   contrasts more. The accent is also used as text, so in the light and dark
+ *   themes it is darkened or lightened until it reaches 4.5:1 on the background
+ *   and surface; in high contrast an accent below 4.5:1 falls back to yellow.
+ * - App provides the resolved theme with ThemeProvider.
+ */
+
+import React, { createContext, useContext, useEffect, useState } from "react";
+import { readJson, writeJson } from "./localStore.js";
+
+const THEME_KEY = "bento.theme";
+
+export const THEME_MODES = ["system", "light", "dark", "contrast"];
+
+// value "" keeps the theme's own accent; key names the color in messages (theme.accent.<key>)
+export const ACCENT_CHOICES = [
+  { key: "default", value: "" },
+  { key: "blue", value: "#1976d2" },
+  { key: "yellow", value: "#FFD600" },
+  { key: "green", value: "#2e7d32" },
+  { key: "orange", value: "#ff7e1b" },
+  { key: "pink", value: "#c2185b" },
+  { key: "purple", value: "#7b1fa2" },
+];
+
+export const DEFAULT_THEME_PREFS = { mode: "system", accent: "" };
+
+const BASE_COLORS = {
+  light: {
+    background: "#fff",
+    surface: "#fff",
+    // Image wells and placeholders
+    surfaceAlt: "#f8f8f8",
+    // Info blocks (Serie/Färg, Beskrivning)
+    panel: "#f7f7fa",
+    input: "#fff",
+    text: "#18191a",
+    textMuted: "#888",
+    heading: "#333",
+    border: "#e0e0e0",
+    // Between result rows
+    divider: "#e0e0e0",
+    // Edge of cards, dialogs and popovers
+    outline: "#e0e0e0",
+    accent: "#1976d2",
+    sku: "#ff7e1b",
+    error: "#b00020",
+    warning: "#8c6d00",
+    success: "#2e7d32",
+    // Rows that differ (comparison, price changes)
+    highlight: "#fff6d6",
+    // Active row in the result list
+    selected: "#f0f5fc",
+    errorBg: "#ffeaea",
+    errorBorder: "#ffcdd2",
+    warningBg: "#fffbe7",
+    warningBorder: "#ffe082",
+    successBg: "#eafbe7",
+    successBorder: "#b8e6c1",
+    backdrop: "rgba(0,0,0,0.5)",
+    shadow: "#0003",
+  },
+  dark: {
+    background: "#18191a",
+    surface: "#232426",
+    surfaceAlt: "#18191a",
+    panel: "#1d1d1e",
+    input: "#18191a",
+    text: "#f6f6f6",
+    textMuted: "#aaa",
+    // null: the accent
+    heading: null,
+    border: "#333",
+    divider: "#232426",
+    outline: "#444",
+    accent: "#FFD600",
+    sku: "#ff7e1b",
+    error: "#ff9494",
+    warning: "#ffd700",
+    success: "#7cffb3",
+    highlight: "#3a3420",
+    selected: "#232426",
+    errorBg: "#3a1d1f",
+    errorBorder: "#7a3438",
+    warningBg: "#3a3210",
+    warningBorder: "#6b5a1a",
+    successBg: "#1b3322",
+    successBorder: "#2f6b3d",
+    backdrop: "rgba(0,0,0,0.5)",
+    shadow: "#0003",
+  },
+  contrast: {
+    background: "#000",
+    surface: "#000",
+    surfaceAlt: "#000",
+    panel: "#000",
+    input: "#000",
+    text: "#fff",
+    textMuted: "#e6e6e6",
+    heading: null,
+    border: "#fff",
+    divider: "#8a8a8a",
+    outline: "#fff",
+    accent: "#ffff00",
+    sku: "#ffb26b",
+    error: "#ff8a8a",
+    warning: "#ffd700",
+    success: "#7cffb3",
+    highlight: "#333300",
+    selected: "#002b55",
+    errorBg: "#000",
+    errorBorder: "#ff8a8a",
+    warningBg: "#000",
+    warningBorder: "#ffd700",
+    successBg: "#000",
+    successBorder: "#7cffb3",
+    backdrop: "rgba(0,0,0,0.8)",
+    shadow: "#0000",
+  },
+};
+
+function channels(hex) {
+  let value = hex.replace("#", "");
+  if (value.length === 3) value = value.replace(/./g, (c) => c + c);
+  return [0, 2, 4].map((i) => parseInt(value.slice(i, i + 2), 16) / 255);
+}
+
+function luminance(hex) {
+  const [r, g, b] = channels(hex).map((c) => (c <= 0.03928 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4));
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+/**
+ * WCAG contrast ratio (1–21) between two #rgb / #rrggbb colors.
+ */
+export function contrastRatio(a, b) {
+  const [light, dark] = [luminance(a), luminance(b)].sort((x, y) => y - x);
+  return (light + 0.05) / (dark + 0.05);
+}
+
+function isHexColor(value) {
+  return /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(String(value || ""));
+}
+
+function mixColors(hex, target, amount) {
+  const to = channels(target);
+  return `#${channels(hex)
+    .map((c, i) => Math.round((c + (to[i] - c) * amount) * 255).toString(16).padStart(2, "0"))
+    .join("")}`;
+}
+
+/**
+ * The color, darkened on light backgrounds or lightened on dark ones, until it
+ * has minRatio contrast against each background.
+ */
+function readableOn(hex, backgrounds, minRatio) {
+  const target = luminance(backgrounds[0]) > 0.5 ? "#000" : "#fff";
+  let color = hex;
+  let amount = 0;
+  while (amount < 1 && backgrounds.some((bg) => contrastRatio(color, bg) < minRatio)) {
+    amount += 0.05;
+    color = mixColors(hex, target, amount);
+  }
+  return color;
+}
+
+export function loadThemePrefs() {
+  const stored = readJson(THEME_KEY, null) || {};
+  return {
+    mode: THEME_MODES.includes(stored.mode) ? stored.mode : DEFAULT_THEME_PREFS.mode,
+    accent: ACCENT_CHOICES.some((c) => c.value === stored.accent) ? stored.accent : DEFAULT_THEME_PREFS.accent,
   };
-  
-  export const tableSeDarkTheme = {
-    colors: {
-      surface: "#181920",
-      onSurface: "#f4f6f8",
-      interactive: "#ffd700",
-      primary: "#ffd700",
-      critical: "#ff9494",
-      warning: "#ffd700",
-      highlight: "#ffd700",
-      success: "#7cffb3",
-      decorative: "#212b36",
-      text: "#f4f6f8",
-      // Add more if needed
-    },
-  };
\ No newline at end of file
+}
+
+export function saveThemePrefs(prefs) {
+  writeJson(THEME_KEY, prefs);
+}
+
+function prefersDark() {
+  return typeof window !== "undefined" && window.matchMedia
+    ? window.matchMedia("(prefers-color-scheme: dark)").matches
+    : false;
+}
+
+/**
+ * Current prefers-color-scheme, updated when the system setting changes.
+ */
+export function useSystemDark() {
+  const [dark, setDark] = useState(prefersDark);
+  useEffect(() => {
+    if (!window.matchMedia) return undefined;
+    const query = window.matchMedia("(prefers-color-scheme: dark)");
+    const handleChange = () => setDark(query.matches);
+    query.addEventListener("change", handleChange);
+    return () => query.removeEventListener("change", handleChange);
+  }, []);
+  return dark;
+}
+
+/**
+ * Theme name ("light", "dark", "contrast") for a mode.
+ */
+export function resolveThemeName(mode, systemDark) {
+  if (mode === "system") return systemDark ? "dark" : "light";
+  return BASE_COLORS[mode] ? mode : "light";
+}
+
+/**
+ * { name, dark, colors } for a theme name and an optional accent (#hex).
+ */
+export function createTheme(name, accent = "") {
+  const base = BASE_COLORS[name] || BASE_COLORS.light;
+  let chosen = isHexColor(accent) ? accent : base.accent;
+  if (name === "contrast") {
+    if (contrastRatio(chosen, base.background) < 4.5) chosen = base.accent;
+  } else {
+    chosen = readableOn(chosen, [base.background, base.surface], 4.5);
+  }
+  const onAccent = contrastRatio(chosen, "#000") >= contrastRatio(chosen, "#fff") ? "#000" : "#fff";
+  return {
+    name,
+    dark: name !== "light",
+    colors: { ...base, accent: chosen, onAccent, heading: base.heading || chosen },
+  };
+}
+
+const ThemeContext = createContext(createTheme("light"));
+
+export function ThemeProvider({ value, children }) {
+  return React.createElement(ThemeContext.Provider, { value }, children);
+}
+
+export function useTheme() {
+  return useContext(ThemeContext);
+}
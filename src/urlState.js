@@ -0,0 +1,86 @@
+/**
+ * urlState.js
+ *
+ * The shareable part of the view in the URL query string:
+ * - q: search query
+ * - sku: Artikelnummer of the product open in ProductCard
+ * - kategori, underkategori, material, farg, serie: selected facet values
+ *   (repeated parameter per value)
+ * - pris, langd, bredd, hojd, ...: numeric ranges as "min-max" (measurements in mm/ml/g)
+ * - sortera: sort order other than relevance (see sortProducts.js)
+ * Example: ?q=glas&material=Glas&pris=50-200&sortera=pris-asc&sku=123456
+ */
+
+import { FACET_FIELDS, RANGE_FIELDS, rangeLabel, EMPTY_FILTERS } from "./facets.js";
+import { DEFAULT_SORT, isSortKey } from "./sortProducts.js";
+
+// Parameter name: lowercase label without accents ("Färg" -> "farg", "Höjd" -> "hojd")
+function paramName(label) {
+  return label
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^a-z]/g, "");
+}
+
+const FACET_PARAMS = {
+  "Kategori (parent)": "kategori",
+  "Kategori (sub)": "underkategori",
+};
+FACET_FIELDS.forEach((field) => {
+  if (!FACET_PARAMS[field]) FACET_PARAMS[field] = paramName(field);
+});
+
+const RANGE_PARAMS = {};
+RANGE_FIELDS.forEach((field) => {
+  RANGE_PARAMS[field] = field === "Pris exkl. moms (värde)" ? "pris" : paramName(rangeLabel(field));
+});
+
+const RANGE_PATTERN = /^(-?\d+(?:\.\d+)?)-(-?\d+(?:\.\d+)?)$/;
+
+/**
+ * Query string ("?..." or "") for a view: { query, filters, sort, sku }.
+ */
+export function viewStateToSearch({ query, filters, sort, sku }) {
+  const params = new URLSearchParams();
+  if (query && query.trim()) params.set("q", query);
+  FACET_FIELDS.forEach((field) => {
+    (filters.values[field] || []).forEach((value) => params.append(FACET_PARAMS[field], value));
+  });
+  RANGE_FIELDS.forEach((field) => {
+    const range = filters.ranges[field];
+    if (range) params.set(RANGE_PARAMS[field], `${range[0]}-${range[1]}`);
+  });
+  if (sort && sort !== DEFAULT_SORT) params.set("sortera", sort);
+  if (sku) params.set("sku", sku);
+  const search = params.toString();
+  return search ? `?${search}` : "";
+}
+
+/**
+ * View read from a query string. Unknown parameters and malformed ranges are ignored.
+ * Returns { query, filters, sort, sku }.
+ */
+export function searchToViewState(search) {
+  const params = new URLSearchParams(search);
+  const values = {};
+  FACET_FIELDS.forEach((field) => {
+    const selected = params.getAll(FACET_PARAMS[field]).filter(Boolean);
+    if (selected.length) values[field] = selected;
+  });
+  const ranges = {};
+  RANGE_FIELDS.forEach((field) => {
+    const match = RANGE_PATTERN.exec(params.get(RANGE_PARAMS[field]) || "");
+    if (match && Number(match[1]) <= Number(match[2])) {
+      ranges[field] = [Number(match[1]), Number(match[2])];
+    }
+  });
+  const hasFilters = Object.keys(values).length > 0 || Object.keys(ranges).length > 0;
+  const sort = params.get("sortera");
+  return {
+    query: params.get("q") || "",
+    filters: hasFilters ? { values, ranges } : EMPTY_FILTERS,
+    sort: isSortKey(sort) ? sort : DEFAULT_SORT,
+    sku: (params.get("sku") || "").trim(),
+  };
+}
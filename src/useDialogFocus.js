@@ -0,0 +1,71 @@
+/**
+ * useDialogFocus.js
+ *
+ * Focus handling for modal overlays (ProductCard, ImageGallery, the panels).
+ * - Focus moves into the dialog when it opens and back to whatever had it
+ *   (the result list, a toolbar button) when it closes.
+ * - Tab and Shift+Tab cycle within the dialog.
+ * - Escape calls onClose.
+ * - Only the topmost open dialog reacts, so a gallery over the card closes first.
+ */
+
+import { useEffect, useRef } from "react";
+
+const FOCUSABLE =
+  'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+// Open dialogs, topmost last
+const dialogStack = [];
+
+export function hasOpenDialog() {
+  return dialogStack.length > 0;
+}
+
+export default function useDialogFocus(dialogRef, onClose, open = true) {
+  const onCloseRef = useRef(onClose);
+  onCloseRef.current = onClose;
+
+  useEffect(() => {
+    const dialog = dialogRef.current;
+    if (!open || !dialog) return undefined;
+    const previous = document.activeElement;
+    const entry = { dialog };
+    dialogStack.push(entry);
+    if (!dialog.contains(document.activeElement)) dialog.focus({ preventScroll: true });
+
+    function handleKeyDown(e) {
+      if (dialogStack[dialogStack.length - 1] !== entry || e.defaultPrevented) return;
+      if (e.key === "Escape") {
+        e.preventDefault();
+        onCloseRef.current();
+        return;
+      }
+      if (e.key !== "Tab") return;
+      const focusable = [...dialog.querySelectorAll(FOCUSABLE)].filter((el) => el.getClientRects().length > 0);
+      if (focusable.length === 0) {
+        e.preventDefault();
+        dialog.focus();
+        return;
+      }
+      const first = focusable[0];
+      const last = focusable[focusable.length - 1];
+      const inside = dialog.contains(document.activeElement) && document.activeElement !== dialog;
+      if (e.shiftKey && (!inside || document.activeElement === first)) {
+        e.preventDefault();
+        last.focus();
+      } else if (!e.shiftKey && (!inside || document.activeElement === last)) {
+        e.preventDefault();
+        first.focus();
+      }
+    }
+
+    document.addEventListener("keydown", handleKeyDown);
+    return () => {
+      document.removeEventListener("keydown", handleKeyDown);
+      dialogStack.splice(dialogStack.indexOf(entry), 1);
+      if (previous && previous.isConnected && typeof previous.focus === "function") {
+        previous.focus({ preventScroll: true });
+      }
+    };
+  }, [open, dialogRef]);
+}
@@ -0,0 +1,101 @@
+/**
+ * useProductSearch.js
+ *
+ * React hook running product search in searchWorker.js.
+ * - The pool is indexed once whenever it changes (import, catalog switch,
+ *   QC filter), instead of normalizing every field on each keystroke.
+ * - Only one search is in flight; while it runs, newer keystrokes replace the
+ *   queued query, so the worker never falls behind the user.
+ * - Results are the pool's original row objects. The previous results stay
+ *   on screen until the new ones arrive.
+ * - Falls back to searchProducts on the main thread without Worker support.
+ */
+
+import { useState, useEffect, useRef, useMemo } from "react";
+import { searchProducts } from "./search.js";
+import { QUERY_FIELDS } from "./searchQuery.js";
+
+// Only the fields a query can read are copied to the worker
+function toSearchRow(product) {
+  const row = {};
+  for (const field of QUERY_FIELDS) {
+    if (product[field] !== undefined) row[field] = product[field];
+  }
+  return row;
+}
+
+export default function useProductSearch(pool, query) {
+  const [workerFailed, setWorkerFailed] = useState(() => typeof Worker === "undefined");
+  const [response, setResponse] = useState({ pool: null, query: "", results: [], error: null });
+  const workerRef = useRef(null);
+  const indexedPoolRef = useRef(null);
+  const nextIdRef = useRef(0);
+  const inFlightRef = useRef(null);
+  const queuedRef = useRef(null);
+
+  const hasQuery = Boolean(query && query.trim());
+  const useWorker = !workerFailed && hasQuery;
+
+  // The worker is started lazily, on the first search
+  function getWorker() {
+    if (workerRef.current) return workerRef.current;
+    try {
+      const worker = new Worker(new URL("./searchWorker.js", import.meta.url), { type: "module" });
+      worker.onmessage = (e) => {
+        const request = inFlightRef.current;
+        inFlightRef.current = null;
+        if (request && request.id === e.data.id) {
+          const results = Array.from(e.data.indices, (i) => request.pool[i]);
+          setResponse({ pool: request.pool, query: request.query, results, error: e.data.error });
+        }
+        const queued = queuedRef.current;
+        queuedRef.current = null;
+        if (queued) send(queued);
+      };
+      worker.onerror = () => setWorkerFailed(true);
+      workerRef.current = worker;
+    } catch (err) {
+      setWorkerFailed(true);
+    }
+    return workerRef.current;
+  }
+
+  useEffect(() => {
+    return () => {
+      if (workerRef.current) workerRef.current.terminate();
+      workerRef.current = null;
+      indexedPoolRef.current = null;
+      inFlightRef.current = null;
+      queuedRef.current = null;
+    };
+  }, []);
+
+  function send(request) {
+    const worker = getWorker();
+    if (!worker) return;
+    if (indexedPoolRef.current !== request.pool) {
+      worker.postMessage({ type: "index", products: request.pool.map(toSearchRow) });
+      indexedPoolRef.current = request.pool;
+    }
+    inFlightRef.current = request;
+    worker.postMessage({ type: "search", id: request.id, query: request.query });
+  }
+
+  useEffect(() => {
+    if (!useWorker) return;
+    const request = { id: ++nextIdRef.current, pool, query };
+    if (inFlightRef.current) queuedRef.current = request;
+    else send(request);
+  }, [useWorker, pool, query]);
+
+  // Main-thread fallback
+  const fallback = useMemo(
+    () => (workerFailed && hasQuery ? searchProducts(pool, query) : null),
+    [workerFailed, hasQuery, pool, query]
+  );
+
+  if (!hasQuery) return { results: pool, error: null, pending: false };
+  if (fallback) return { ...fallback, pending: false };
+  const pending = response.pool !== pool || response.query !== query;
+  return { results: response.results, error: response.error, pending };
+}
@@ -0,0 +1,171 @@
+/**
+ * variants.js
+ *
+ * Variant grouping: near-identical rows (the same glass in five sizes, the same
+ * bowl in four colors) clustered by Serie plus a normalized base name. Rows
+ * without a Serie or a name are never grouped: without a series, equal base
+ * names say nothing about the products being related.
+ * - The base name drops sizes ("25 cl", "Ø 20 cm", "20x30"), the product's own
+ *   Färg and punctuation.
+ * - groupVariants keeps the list order: a group sits where its first member was.
+ * - variantPicker builds the Färg / size chips for ProductCard.
+ * - Whether the list is grouped is a preference persisted in localStorage.
+ */
+
+import { OTHER_MEASUREMENTS } from "./productFields.js";
+import { getMeasurement, formatMeasurement, displayUnitFor } from "./measurements.js";
+import { readJson, writeJson } from "./localStore.js";
+
+const GROUPED_MODE_KEY = "bento.groupVariants";
+
+// Numbers with an optional unit, "Ø" prefix and "x"-separated dimensions
+const SIZE_PATTERN =
+  /(?<![\p{L}\d])(ø\s*)?\d+(?:[.,]\d+)?(?:\s*[x×]\s*\d+(?:[.,]\d+)?)*\s*(?:mm|cm|m|ml|cl|dl|l|g|kg|liter|st)?(?![\p{L}\d])/giu;
+
+function lower(value) {
+  return String(value ?? "").trim().toLowerCase();
+}
+
+/**
+ * Name without sizes, its own color and punctuation: "Glas Nova 25 cl klar" -> "glas nova".
+ */
+export function baseName(product) {
+  let name = lower(product["Namn"]).replace(SIZE_PATTERN, " ");
+  const color = lower(product["Färg"]);
+  if (color) name = ` ${name} `.split(` ${color} `).join(" ");
+  return name
+    .replace(/[^\p{L}\d]+/gu, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * "serie|base name", or null for a product that has no variants (no Serie or name).
+ */
+export function variantKey(product) {
+  const series = lower(product["Serie"]);
+  const name = baseName(product);
+  return series && name ? `${series}|${name}` : null;
+}
+
+/**
+ * Map of variant key -> products, for looking up a product's siblings.
+ * Products without a variant key are left out.
+ */
+export function buildVariantIndex(products) {
+  const index = new Map();
+  products.forEach((product) => {
+    const key = variantKey(product);
+    if (!key) return;
+    const group = index.get(key);
+    if (group) group.push(product);
+    else index.set(key, [product]);
+  });
+  return index;
+}
+
+/**
+ * Every variant of the product (itself included) in the index, or just the product.
+ */
+export function variantsOf(index, product) {
+  if (!product) return [];
+  const key = variantKey(product);
+  return (key && index.get(key)) || [product];
+}
+
+/**
+ * Groups a list: [{ key, product (first member), products }]. scopeOf keeps
+ * products from different catalogs apart; price ranges come from priceRangeOf
+ * (prices.js).
+ */
+export function groupVariants(products, scopeOf = () => "") {
+  const groups = new Map();
+  const order = [];
+  products.forEach((product, i) => {
+    // Rows without series or name stay single
+    const variant = variantKey(product);
+    const key = variant ? `${scopeOf(product) || ""}#${variant}` : `#row${i}`;
+    let group = groups.get(key);
+    if (!group) {
+      group = { key, product, products: [] };
+      groups.set(key, group);
+      order.push(group);
+    }
+    group.products.push(product);
+  });
+  return order;
+}
+
+/**
+ * Size label of each variant: the measurements that differ within the group
+ * ("25 cl", "Ø 20 cm" style), else the size written in the name.
+ */
+function sizeLabels(variants, displayUnits, locale) {
+  const differing = OTHER_MEASUREMENTS.filter((name) => {
+    const values = new Set(
+      variants.map((p) => {
+        const m = getMeasurement(p, name);
+        return m ? `${m.base}-${m.baseMax} ${m.baseUnit}` : "";
+      })
+    );
+    return values.size > 1;
+  });
+  return variants.map((p) => {
+    const parts = differing
+      .map((name) => {
+        const m = getMeasurement(p, name);
+        return m ? formatMeasurement(m, displayUnitFor(m, displayUnits), locale) : "";
+      })
+      .filter(Boolean);
+    if (parts.length) return parts.join(" · ");
+    const inName = String(p["Namn"] || "").match(SIZE_PATTERN);
+    return inName ? inName.map((s) => s.trim()).filter(Boolean).join(" ") : "";
+  });
+}
+
+/**
+ * Chips for switching between variants:
+ * { colors: [{ label, product, selected }], sizes: [...], others: [...] }.
+ * A chip targets the variant with that value that keeps the other dimension,
+ * else the first variant with that value. Rows with a single value are empty;
+ * others (by SKU) is only filled when neither color nor size tells variants apart.
+ */
+export function variantPicker(variants, current, displayUnits, locale) {
+  const sizes = sizeLabels(variants, displayUnits, locale);
+  const entries = variants.map((product, i) => ({
+    product,
+    color: String(product["Färg"] || "").trim(),
+    size: sizes[i],
+  }));
+  const currentEntry = entries.find((e) => e.product === current) || entries[0];
+
+  function chips(dimension, other) {
+    const values = [...new Set(entries.map((e) => e[dimension]).filter(Boolean))];
+    if (values.length < 2) return [];
+    return values.map((value) => {
+      const withValue = entries.filter((e) => e[dimension] === value);
+      const target = withValue.find((e) => e[other] === currentEntry[other]) || withValue[0];
+      return { label: value, product: target.product, selected: currentEntry[dimension] === value };
+    });
+  }
+
+  const colors = chips("color", "size");
+  const sizeChips = chips("size", "color");
+  const others =
+    colors.length === 0 && sizeChips.length === 0 && variants.length > 1
+      ? entries.map((e) => ({
+          label: String(e.product["Artikelnummer"] || ""),
+          product: e.product,
+          selected: e.product === current,
+        }))
+      : [];
+  return { colors, sizes: sizeChips, others };
+}
+
+export function loadGroupedMode() {
+  return readJson(GROUPED_MODE_KEY, false) === true;
+}
+
+export function saveGroupedMode(grouped) {
+  writeJson(GROUPED_MODE_KEY, grouped);
+}
@@ -0,0 +1,41 @@
+import { readFileSync } from "node:fs";
+import { createHash } from "node:crypto";
+import { defineConfig } from "vite";
+
+// public/ files that are part of the app shell
+const PUBLIC_SHELL_FILES = [
+  "manifest.webmanifest",
+  "logo.png",
+  "favicon.png",
+  "icon-192.png",
+  "icon-512.png",
+  "icon-maskable-512.png",
+];
+
+/**
+ * Emits sw.js from src/serviceWorker.js with this build's files as the
+ * precache list. The build id changes with any file name (content-hashed) or
+ * the worker source, so each deploy installs a new worker.
+ */
+function serviceWorker() {
+  return {
+    name: "bento-service-worker",
+    apply: "build",
+    enforce: "post",
+    generateBundle(_options, bundle) {
+      const source = readFileSync(new URL("./src/serviceWorker.js", import.meta.url), "utf8");
+      const files = Object.keys(bundle).filter((file) => file !== "index.html" && !file.endsWith(".map"));
+      const urls = ["./", ...files.sort(), ...PUBLIC_SHELL_FILES];
+      const buildId = createHash("sha256").update(urls.join("\n")).update(source).digest("hex").slice(0, 12);
+      this.emitFile({
+        type: "asset",
+        fileName: "sw.js",
+        source: source.replace('"__BUILD_ID__"', JSON.stringify(buildId)).replace("__PRECACHE_URLS__", JSON.stringify(urls)),
+      });
+    },
+  };
+}
+
+export default defineConfig({
+  plugins: [serviceWorker()],
+});